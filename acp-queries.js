@@ -6,7 +6,9 @@ const j = (o) => JSON.stringify(o);
 const jp = (s) => { try { return JSON.parse(s); } catch { return {}; } };
 
 export function createACPQueries(db, prep) {
+  const runStatusListeners = new Set();
   return {
+    onRunStatusChange(fn) { runStatusListeners.add(fn); return () => runStatusListeners.delete(fn); },
     createThread(metadata = {}) {
       const id = uuid(), now = Date.now();
       prep('INSERT INTO conversations (id, agentId, title, created_at, updated_at, status, metadata) VALUES (?, ?, ?, ?, ?, ?, ?)').run(id, 'unknown', null, now, now, 'idle', j(metadata));
@@ -30,6 +32,7 @@ export function createACPQueries(db, prep) {
       db.transaction(() => {
         prep('DELETE FROM thread_states WHERE thread_id = ?').run(tid);
         prep('DELETE FROM checkpoints WHERE thread_id = ?').run(tid);
+        prep('DELETE FROM webhook_deliveries WHERE run_id IN (SELECT run_id FROM run_metadata WHERE thread_id = ?)').run(tid);
         prep('DELETE FROM run_metadata WHERE thread_id = ?').run(tid);
         prep('DELETE FROM sessions WHERE conversationId = ?').run(tid);
         prep('DELETE FROM messages WHERE conversationId = ?').run(tid);
@@ -89,14 +92,16 @@ export function createACPQueries(db, prep) {
       const cps = rows.map(r => ({ checkpoint_id: r.id, thread_id: r.thread_id, checkpoint_name: r.checkpoint_name, sequence: r.sequence, created_at: iso(r.created_at) }));
       return { checkpoints: cps, total: tot, limit: lim, offset: off, hasMore: off + lim < tot };
     },
-    createRun(aid, tid = null, inp = null, cfg = null, wh = null) {
+    // withSession false leaves out the run's own session row, for callers that
+    // run the prompt in a session they create themselves
+    createRun(aid, tid = null, inp = null, cfg = null, wh = null, { withSession = true } = {}) {
       const rid = uuid(), now = Date.now(), mid = gid('runmeta');
       let atid = tid;
       if (!tid) {
         atid = uuid();
         prep('INSERT INTO conversations (id, agentId, title, created_at, updated_at, status, metadata) VALUES (?, ?, ?, ?, ?, ?, ?)').run(atid, aid, 'Stateless Run', now, now, 'idle', '{"stateless":true}');
       }
-      prep('INSERT INTO sessions (id, conversationId, status, started_at, completed_at, response, error) VALUES (?, ?, ?, ?, ?, ?, ?)').run(rid, atid, 'pending', now, null, null, null);
+      if (withSession) prep('INSERT INTO sessions (id, conversationId, status, started_at, completed_at, response, error) VALUES (?, ?, ?, ?, ?, ?, ?)').run(rid, atid, 'pending', now, null, null, null);
       prep('INSERT INTO run_metadata (id, run_id, thread_id, agent_id, status, input, config, webhook_url, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').run(mid, rid, tid, aid, 'pending', inp ? j(inp) : null, cfg ? j(cfg) : null, wh, now, now);
       return { run_id: rid, thread_id: tid, agent_id: aid, status: 'pending', created_at: iso(now), updated_at: iso(now) };
     },
@@ -109,7 +114,46 @@ export function createACPQueries(db, prep) {
       const now = Date.now();
       prep('UPDATE run_metadata SET status = ?, updated_at = ? WHERE run_id = ?').run(stat, now, rid);
       prep('UPDATE sessions SET status = ? WHERE id = ?').run(stat, rid);
-      return this.getRun(rid);
+      const run = this.getRun(rid);
+      if (run) for (const fn of runStatusListeners) { try { fn(run); } catch (e) { console.error('[runs] status listener failed:', e.message); } }
+      return run;
+    },
+    // Runs still marked active when the server starts were cut off by the restart
+    interruptActiveRuns() {
+      const ids = prep("SELECT run_id FROM run_metadata WHERE status = 'active'").all().map(r => r.run_id);
+      ids.forEach(rid => this.updateRunStatus(rid, 'interrupted'));
+      return ids.length;
+    },
+    getRunWebhookUrl(rid) {
+      return prep('SELECT webhook_url FROM run_metadata WHERE run_id = ?').get(rid)?.webhook_url || null;
+    },
+    createWebhookDelivery(rid, url, event, payload, now = Date.now()) {
+      const id = gid('whd');
+      prep('INSERT INTO webhook_deliveries (id, run_id, url, event, payload, status, attempts, next_attempt_at, log, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').run(id, rid, url, event, j(payload), 'pending', 0, now, '[]', now, now);
+      return this.getWebhookDelivery(id);
+    },
+    getWebhookDelivery(id) {
+      const r = prep('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+      return r ? { ...r, payload: jp(r.payload), log: JSON.parse(r.log || '[]') } : null;
+    },
+    getWebhookDeliveries(rid) {
+      return prep('SELECT * FROM webhook_deliveries WHERE run_id = ? ORDER BY created_at ASC').all(rid)
+        .map(r => ({ id: r.id, run_id: r.run_id, url: r.url, event: r.event, status: r.status, attempts: r.attempts, next_attempt_at: r.next_attempt_at ? iso(r.next_attempt_at) : null, response_status: r.response_status, last_error: r.last_error, log: JSON.parse(r.log || '[]'), created_at: iso(r.created_at), updated_at: iso(r.updated_at) }));
+    },
+    getDueWebhookDeliveries(now = Date.now()) {
+      return prep("SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at ASC").all(now).map(r => r.id);
+    },
+    getNextWebhookAttemptAt() {
+      return prep("SELECT MIN(next_attempt_at) AS t FROM webhook_deliveries WHERE status = 'pending'").get()?.t ?? null;
+    },
+    // attempt: { at, status?, error?, duration_ms }, appended to the delivery's log
+    recordWebhookAttempt(id, attempt, status, nextAttemptAt = null) {
+      const d = this.getWebhookDelivery(id);
+      if (!d) return null;
+      const log = [...d.log, attempt].slice(-20);
+      prep('UPDATE webhook_deliveries SET status = ?, attempts = attempts + 1, next_attempt_at = ?, response_status = ?, last_error = ?, log = ?, updated_at = ? WHERE id = ?')
+        .run(status, nextAttemptAt, attempt.status ?? null, attempt.error ?? null, j(log), Date.now(), id);
+      return this.getWebhookDelivery(id);
     },
     cancelRun(rid) {
       const r = this.getRun(rid);
@@ -117,10 +161,16 @@ export function createACPQueries(db, prep) {
       if (['success', 'error', 'cancelled'].includes(r.status)) throw new Error('Run already completed or cancelled');
       return this.updateRunStatus(rid, 'cancelled');
     },
+    finishRun(rid, stat) {
+      const r = this.getRun(rid);
+      if (!r || ['success', 'error', 'cancelled', 'interrupted'].includes(r.status)) return r;
+      return this.updateRunStatus(rid, stat);
+    },
     deleteRun(rid) {
       db.transaction(() => {
         prep('DELETE FROM chunks WHERE sessionId = ?').run(rid);
         prep('DELETE FROM events WHERE sessionId = ?').run(rid);
+        prep('DELETE FROM webhook_deliveries WHERE run_id = ?').run(rid);
         prep('DELETE FROM run_metadata WHERE run_id = ?').run(rid);
         prep('DELETE FROM sessions WHERE id = ?').run(rid);
       })();
@@ -133,8 +183,9 @@ export function createACPQueries(db, prep) {
       return { runs, total: tot, limit: lim, offset: off, hasMore: off + lim < tot };
     },
     searchThreads(flt = {}) {
-      const { metadata, status, dateRange, limit = 50, offset = 0 } = flt;
+      const { metadata, status, dateRange, limit = 50, offset = 0, visibleTo } = flt;
       let wh = "status != 'deleted'", prm = [];
+      if (visibleTo) { wh += ' AND (ownerId = ? OR id IN (SELECT conversationId FROM conversation_shares WHERE userId = ?))'; prm.push(visibleTo, visibleTo); }
       if (status) { wh += ' AND status = ?'; prm.push(status); }
       if (dateRange?.start) { wh += ' AND created_at >= ?'; prm.push(new Date(dateRange.start).getTime()); }
       if (dateRange?.end) { wh += ' AND created_at <= ?'; prm.push(new Date(dateRange.end).getTime()); }
@@ -168,8 +219,9 @@ export function createACPQueries(db, prep) {
       return { agents: agents_list, total, limit, offset, hasMore: offset + limit < total };
     },
     searchRuns(flt = {}) {
-      const { agent_id, thread_id, status, limit = 50, offset = 0 } = flt;
+      const { agent_id, thread_id, status, limit = 50, offset = 0, visibleTo } = flt;
       let wh = '1=1', prm = [];
+      if (visibleTo) { wh += ' AND thread_id IN (SELECT id FROM conversations WHERE ownerId = ? UNION SELECT conversationId FROM conversation_shares WHERE userId = ?)'; prm.push(visibleTo, visibleTo); }
       if (agent_id) { wh += ' AND agent_id = ?'; prm.push(agent_id); }
       if (thread_id) { wh += ' AND thread_id = ?'; prm.push(thread_id); }
       if (status) { wh += ' AND status = ?'; prm.push(status); }
@@ -1,8 +1,10 @@
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import crypto from 'crypto';
 import { createRequire } from 'module';
 import { createACPQueries } from './acp-queries.js';
+import { extractSearchText, isSearchableChunk, parseSnippet } from './lib/search-index.js';
 
 const require = createRequire(import.meta.url);
 
@@ -230,6 +232,167 @@ function initSchema() {
 
     CREATE INDEX IF NOT EXISTS idx_oauth_tokens_provider ON oauth_tokens(provider);
 
+    CREATE TABLE IF NOT EXISTS permission_rules (
+      id TEXT PRIMARY KEY,
+      conversationId TEXT NOT NULL,
+      tool TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_permission_rules_conv_tool ON permission_rules(conversationId, tool);
+
+    CREATE TABLE IF NOT EXISTS mcp_servers (
+      id TEXT PRIMARY KEY,
+      conversationId TEXT,
+      name TEXT NOT NULL,
+      transport TEXT NOT NULL DEFAULT 'stdio',
+      command TEXT,
+      args TEXT,
+      env TEXT,
+      url TEXT,
+      headers TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_mcp_servers_conv ON mcp_servers(conversationId);
+
+    CREATE TABLE IF NOT EXISTS users (
+      id TEXT PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      passwordHash TEXT,
+      role TEXT NOT NULL DEFAULT 'member',
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS conversation_shares (
+      id TEXT PRIMARY KEY,
+      conversationId TEXT NOT NULL,
+      userId TEXT NOT NULL,
+      access TEXT NOT NULL DEFAULT 'read',
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_shares_conv_user ON conversation_shares(conversationId, userId);
+    CREATE INDEX IF NOT EXISTS idx_conversation_shares_user ON conversation_shares(userId);
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      run_id TEXT NOT NULL,
+      url TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at INTEGER,
+      response_status INTEGER,
+      last_error TEXT,
+      log TEXT NOT NULL DEFAULT '[]',
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_run ON webhook_deliveries(run_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+
+    CREATE TABLE IF NOT EXISTS message_queue (
+      id TEXT PRIMARY KEY,
+      conversationId TEXT NOT NULL,
+      messageId TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      content TEXT,
+      agentId TEXT,
+      model TEXT,
+      subAgent TEXT,
+      userId TEXT,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_message_queue_conv ON message_queue(conversationId, position);
+
+    CREATE TABLE IF NOT EXISTS session_usage (
+      sessionId TEXT PRIMARY KEY,
+      conversationId TEXT NOT NULL,
+      ownerId TEXT,
+      agentId TEXT,
+      model TEXT,
+      workingDirectory TEXT,
+      input_tokens INTEGER NOT NULL DEFAULT 0,
+      output_tokens INTEGER NOT NULL DEFAULT 0,
+      cache_read_tokens INTEGER NOT NULL DEFAULT 0,
+      cache_write_tokens INTEGER NOT NULL DEFAULT 0,
+      cost_usd REAL NOT NULL DEFAULT 0,
+      context_used INTEGER,
+      context_size INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session_usage_created ON session_usage(created_at);
+    CREATE INDEX IF NOT EXISTS idx_session_usage_conv ON session_usage(conversationId);
+
+    CREATE TABLE IF NOT EXISTS conversation_worktrees (
+      conversationId TEXT PRIMARY KEY,
+      repoRoot TEXT NOT NULL,
+      worktreePath TEXT NOT NULL,
+      workingDirectory TEXT NOT NULL,
+      sourceDirectory TEXT NOT NULL,
+      branch TEXT NOT NULL,
+      baseBranch TEXT,
+      baseCommit TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'active',
+      pushedRemote TEXT,
+      pushedAt INTEGER,
+      mergedAt INTEGER,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS session_snapshots (
+      sessionId TEXT PRIMARY KEY,
+      conversationId TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      workingDirectory TEXT NOT NULL,
+      repoRoot TEXT,
+      startCommit TEXT,
+      endCommit TEXT,
+      created_at INTEGER NOT NULL,
+      completed_at INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_session_snapshots_conv ON session_snapshots(conversationId);
+
+    CREATE TABLE IF NOT EXISTS secret_audit (
+      id TEXT PRIMARY KEY,
+      secretName TEXT NOT NULL,
+      action TEXT NOT NULL,
+      agentId TEXT,
+      conversationId TEXT,
+      userId TEXT,
+      version INTEGER,
+      created_at INTEGER NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_secret_audit_name ON secret_audit(secretName, created_at);
+    CREATE INDEX IF NOT EXISTS idx_secret_audit_created ON secret_audit(created_at);
+
+    CREATE TABLE IF NOT EXISTS env_profiles (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      description TEXT,
+      env TEXT NOT NULL DEFAULT '{}',
+      secretVars TEXT NOT NULL DEFAULT '[]',
+      pathPrepend TEXT NOT NULL DEFAULT '[]',
+      httpProxy TEXT,
+      httpsProxy TEXT,
+      noProxy TEXT,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
   `);
 }
 
@@ -421,7 +584,11 @@ try {
     claudeSessionId: 'TEXT',
     isStreaming: 'INTEGER DEFAULT 0',
     model: 'TEXT',
-    subAgent: 'TEXT'
+    subAgent: 'TEXT',
+    ownerId: 'TEXT',
+    forkedFrom: 'TEXT',
+    forkPoint: 'TEXT',
+    envProfileId: 'TEXT'
   };
 
   let addedColumns = false;
@@ -443,10 +610,42 @@ try {
       console.warn('[Migration] Index creation warning:', e.message);
     }
   }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_conversations_owner ON conversations(ownerId)');
 } catch (err) {
   console.error('[Migration] Error:', err.message);
 }
 
+// Migration: per-user global MCP servers
+try {
+  const mcpCols = db.prepare("PRAGMA table_info(mcp_servers)").all().map(c => c.name);
+  if (!mcpCols.includes('ownerId')) {
+    db.exec('ALTER TABLE mcp_servers ADD COLUMN ownerId TEXT');
+    console.log('[Migration] Added ownerId column to mcp_servers');
+  }
+} catch (err) {
+  console.error('[Migration] mcp_servers migration error:', err.message);
+}
+
+// Migration: file checkpoints of non-git session snapshots
+try {
+  const snapCols = db.prepare("PRAGMA table_info(session_snapshots)").all().map(c => c.name);
+  if (!snapCols.includes('manifestHash')) {
+    db.exec('ALTER TABLE session_snapshots ADD COLUMN manifestHash TEXT');
+    console.log('[Migration] Added manifestHash column to session_snapshots');
+  }
+} catch (err) {
+  console.error('[Migration] session_snapshots migration error:', err.message);
+}
+
+// Migration: always-allow rules used to cover a whole tool kind; they now name a command or path
+try {
+  const kinds = ['read', 'edit', 'delete', 'move', 'search', 'execute', 'think', 'fetch', 'switch_mode'];
+  const removed = db.prepare(`DELETE FROM permission_rules WHERE tool IN (${kinds.map(() => '?').join(', ')})`).run(...kinds).changes;
+  if (removed) console.log(`[Migration] Removed ${removed} permission rules that allowed a whole tool kind`);
+} catch (err) {
+  console.error('[Migration] permission_rules migration error:', err.message);
+}
+
 // Migration: Add resume capability columns (disabled - incomplete migration)
 // This migration block was incomplete and has been removed
 
@@ -595,6 +794,65 @@ try {
 }
 
 
+// ============ FULL-TEXT SEARCH INDEX ============
+// messages_fts / chunks_fts hold the extracted text of each row under the same
+// rowid as the source row. Inserts are indexed by createMessage/createChunk;
+// rows written by migrations or bulk imports are picked up by the catch-up
+// below, and the delete triggers cover every path that removes rows.
+let searchIndexReady = false;
+try {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(text, tokenize = 'unicode61 remove_diacritics 2');
+    CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(text, tokenize = 'unicode61 remove_diacritics 2');
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      DELETE FROM messages_fts WHERE rowid = old.rowid;
+    END;
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_delete AFTER DELETE ON chunks BEGIN
+      DELETE FROM chunks_fts WHERE rowid = old.rowid;
+    END;
+  `);
+  searchIndexReady = true;
+  catchUpSearchIndex();
+} catch (err) {
+  console.warn('[Migration] Full-text search unavailable:', err.message);
+}
+
+
+function catchUpSearchIndex() {
+  if (!searchIndexReady) return;
+  const run = (source, fts, columns, textOf) => {
+    const select = db.prepare(`SELECT rowid AS rid, ${columns} FROM ${source} WHERE rowid > ? ORDER BY rowid LIMIT 500`);
+    const insert = db.prepare(`INSERT OR REPLACE INTO ${fts} (rowid, text) VALUES (?, ?)`);
+    let last = db.prepare(`SELECT COALESCE(MAX(rowid), 0) AS m FROM ${fts}`).get().m;
+    let count = 0;
+    for (;;) {
+      const rows = select.all(last);
+      if (!rows.length) break;
+      db.transaction(() => {
+        for (const row of rows) insert.run(row.rid, textOf(row));
+      })();
+      last = rows[rows.length - 1].rid;
+      count += rows.length;
+    }
+    if (count > 0) console.log(`[Search] Indexed ${count} ${source} rows`);
+  };
+  run('messages', 'messages_fts', 'content', row => extractSearchText(row.content));
+  run('chunks', 'chunks_fts', 'type, data', row => isSearchableChunk(row.type) ? extractSearchText(row.data) : '');
+}
+
+
+// Called with a conversation id after the conversation and its rows are removed
+const conversationDeleteListeners = new Set();
+
+function notifyConversationDeleted(ids) {
+  for (const id of ids) {
+    for (const fn of conversationDeleteListeners) {
+      try { fn(id); } catch (e) { console.error('[db] conversation delete listener failed:', e.message); }
+    }
+  }
+}
+
 const stmtCache = new Map();
 function prep(sql) {
   let s = stmtCache.get(sql);
@@ -611,13 +869,13 @@ function generateId(prefix) {
 
 export const queries = {
   _db: db,
-  createConversation(agentType, title = null, workingDirectory = null, model = null, subAgent = null) {
+  createConversation(agentType, title = null, workingDirectory = null, model = null, subAgent = null, ownerId = null, envProfileId = null) {
     const id = generateId('conv');
     const now = Date.now();
     const stmt = prep(
-      `INSERT INTO conversations (id, agentId, agentType, title, created_at, updated_at, status, workingDirectory, model, subAgent) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      `INSERT INTO conversations (id, agentId, agentType, title, created_at, updated_at, status, workingDirectory, model, subAgent, ownerId, envProfileId) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     );
-    stmt.run(id, agentType, agentType, title, now, now, 'active', workingDirectory, model, subAgent);
+    stmt.run(id, agentType, agentType, title, now, now, 'active', workingDirectory, model, subAgent, ownerId, envProfileId);
 
     return {
       id,
@@ -626,6 +884,8 @@ export const queries = {
       workingDirectory,
       model,
       subAgent,
+      ownerId,
+      envProfileId,
       created_at: now,
       updated_at: now,
       status: 'active'
@@ -644,11 +904,27 @@ export const queries = {
 
   getConversationsList() {
     const stmt = prep(
-      'SELECT id, agentId, title, agentType, created_at, updated_at, messageCount, workingDirectory, isStreaming, model, subAgent FROM conversations WHERE status != ? ORDER BY updated_at DESC'
+      'SELECT id, agentId, title, agentType, created_at, updated_at, messageCount, workingDirectory, isStreaming, model, subAgent, ownerId, forkedFrom FROM conversations WHERE status != ? ORDER BY updated_at DESC'
     );
     return stmt.all('deleted');
   },
 
+  // Conversations the user owns or has been shared, with the user's access level
+  getConversationsListForUser(userId) {
+    return prep(`
+      SELECT c.id, c.agentId, c.title, c.agentType, c.created_at, c.updated_at, c.messageCount, c.workingDirectory, c.isStreaming, c.model, c.subAgent, c.ownerId, c.forkedFrom,
+        CASE WHEN c.ownerId = ? THEN 'owner' ELSE s.access END AS access
+      FROM conversations c
+      LEFT JOIN conversation_shares s ON s.conversationId = c.id AND s.userId = ?
+      WHERE c.status != ? AND (c.ownerId = ? OR s.userId IS NOT NULL)
+      ORDER BY c.updated_at DESC
+    `).all(userId, userId, 'deleted', userId);
+  },
+
+  setConversationOwner(id, ownerId) {
+    return prep('UPDATE conversations SET ownerId = ? WHERE id = ?').run(ownerId, id).changes > 0;
+  },
+
   getConversations() {
     const stmt = prep('SELECT * FROM conversations WHERE status != ? ORDER BY updated_at DESC');
     return stmt.all('deleted');
@@ -665,11 +941,13 @@ export const queries = {
     const agentType = data.agentType !== undefined ? data.agentType : conv.agentType;
     const model = data.model !== undefined ? data.model : conv.model;
     const subAgent = data.subAgent !== undefined ? data.subAgent : conv.subAgent;
+    const workingDirectory = data.workingDirectory !== undefined ? data.workingDirectory : conv.workingDirectory;
+    const envProfileId = data.envProfileId !== undefined ? data.envProfileId : conv.envProfileId;
 
     const stmt = prep(
-      `UPDATE conversations SET title = ?, status = ?, agentId = ?, agentType = ?, model = ?, subAgent = ?, updated_at = ? WHERE id = ?`
+      `UPDATE conversations SET title = ?, status = ?, agentId = ?, agentType = ?, model = ?, subAgent = ?, workingDirectory = ?, envProfileId = ?, updated_at = ? WHERE id = ?`
     );
-    stmt.run(title, status, agentId, agentType, model, subAgent, now, id);
+    stmt.run(title, status, agentId, agentType, model, subAgent, workingDirectory, envProfileId, now, id);
 
     return {
       ...conv,
@@ -679,6 +957,8 @@ export const queries = {
       agentType,
       model,
       subAgent,
+      workingDirectory,
+      envProfileId,
       updated_at: now
     };
   },
@@ -769,7 +1049,8 @@ export const queries = {
     const stmt = prep(
       `INSERT INTO messages (id, conversationId, role, content, created_at) VALUES (?, ?, ?, ?, ?)`
     );
-    stmt.run(id, conversationId, role, storedContent, now);
+    const result = stmt.run(id, conversationId, role, storedContent, now);
+    this._indexSearchText('messages_fts', result.lastInsertRowid, extractSearchText(storedContent));
 
     const updateConvStmt = prep('UPDATE conversations SET updated_at = ? WHERE id = ?');
     updateConvStmt.run(now, conversationId);
@@ -819,11 +1100,13 @@ export const queries = {
      });
    },
 
+  // Newest user message that has been sent to the agent; ones still waiting in
+  // message_queue are saved up front but will run when the queue drains
   getLastUserMessage(conversationId) {
     const stmt = prep(
-      "SELECT * FROM messages WHERE conversationId = ? AND role = 'user' ORDER BY created_at DESC LIMIT 1"
+      "SELECT * FROM messages WHERE conversationId = ? AND role = 'user' AND id NOT IN (SELECT messageId FROM message_queue WHERE conversationId = ?) ORDER BY created_at DESC LIMIT 1"
     );
-    const msg = stmt.get(conversationId);
+    const msg = stmt.get(conversationId, conversationId);
     if (msg && typeof msg.content === 'string') {
       try { msg.content = JSON.parse(msg.content); } catch (_) {}
     }
@@ -1061,13 +1344,24 @@ export const queries = {
       }
       prep('DELETE FROM sessions WHERE conversationId = ?').run(id);
       prep('DELETE FROM messages WHERE conversationId = ?').run(id);
+      prep('DELETE FROM permission_rules WHERE conversationId = ?').run(id);
+      prep('DELETE FROM mcp_servers WHERE conversationId = ?').run(id);
+      prep('DELETE FROM conversation_shares WHERE conversationId = ?').run(id);
+      prep('DELETE FROM webhook_deliveries WHERE run_id IN (SELECT run_id FROM run_metadata WHERE thread_id = ?)').run(id);
+      prep('DELETE FROM message_queue WHERE conversationId = ?').run(id);
       prep('DELETE FROM conversations WHERE id = ?').run(id);
     });
 
     deleteStmt();
+    notifyConversationDeleted([id]);
     return true;
   },
 
+  onConversationDeleted(fn) {
+    conversationDeleteListeners.add(fn);
+    return () => conversationDeleteListeners.delete(fn);
+  },
+
   deleteClaudeSessionFile(sessionId) {
     try {
       const claudeDir = path.join(os.homedir(), '.claude');
@@ -1140,6 +1434,7 @@ export const queries = {
         this.deleteClaudeSessionFile(csid);
       }
 
+      const ids = prep('SELECT id FROM conversations').all().map(r => r.id);
       const deleteAllStmt = db.transaction(() => {
         prep('DELETE FROM stream_updates').run();
         prep('DELETE FROM chunks').run();
@@ -1147,10 +1442,16 @@ export const queries = {
         prep('DELETE FROM voice_cache').run();
         prep('DELETE FROM sessions').run();
         prep('DELETE FROM messages').run();
+        prep('DELETE FROM permission_rules').run();
+        prep('DELETE FROM mcp_servers WHERE conversationId IS NOT NULL').run();
+        prep('DELETE FROM conversation_shares').run();
+        prep('DELETE FROM webhook_deliveries').run();
+        prep('DELETE FROM message_queue').run();
         prep('DELETE FROM conversations').run();
       });
 
       deleteAllStmt();
+      notifyConversationDeleted(ids);
       console.log('[deleteAllConversations] Deleted all conversations and associated Claude Code files');
       return true;
     } catch (err) {
@@ -1321,6 +1622,7 @@ export const queries = {
         });
 
         importStmt();
+        catchUpSearchIndex();
         imported.push({ id: conv.id, status: 'imported', title: displayTitle, messages: messages.length });
       } catch (e) {
         imported.push({ id: conv.id, status: 'error', error: e.message });
@@ -1386,12 +1688,12 @@ export const queries = {
       `INSERT INTO conversations (
         id, agentId, title, created_at, updated_at, status,
         agentType, source, externalId, firstPrompt, messageCount,
-        projectPath, gitBranch, sourcePath, lastSyncedAt
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        projectPath, gitBranch, sourcePath, lastSyncedAt, workingDirectory
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
     );
     stmt.run(
       id,
-      data.externalId || id,
+      data.agentId || data.agentType || 'claude-code',
       data.title,
       data.created || now,
       data.modified || now,
@@ -1404,11 +1706,94 @@ export const queries = {
       data.projectPath,
       data.gitBranch,
       data.sourcePath,
-      now
+      now,
+      data.projectPath || null
     );
     return { id, ...data };
   },
 
+  /** createImportedConversation plus its messages, keeping their original timestamps. */
+  importConversationWithMessages(data, messages) {
+    let conv;
+    db.transaction(() => {
+      conv = this.createImportedConversation(data);
+      const insert = prep('INSERT INTO messages (id, conversationId, role, content, created_at) VALUES (?, ?, ?, ?, ?)');
+      for (const msg of messages) {
+        const content = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content);
+        const result = insert.run(generateId('msg'), conv.id, msg.role, content, msg.created_at || data.created || Date.now());
+        this._indexSearchText('messages_fts', result.lastInsertRowid, extractSearchText(content));
+      }
+    })();
+    return conv;
+  },
+
+  getKnownWorkingDirectories() {
+    return prep("SELECT DISTINCT workingDirectory FROM conversations WHERE workingDirectory IS NOT NULL AND workingDirectory != ''")
+      .all().map(r => r.workingDirectory);
+  },
+
+  /**
+   * Recreate a conversation from an export archive (see lib/conversation-export.js)
+   * with fresh ids for the conversation, its messages, sessions and chunks.
+   * The same owner importing the same archive again within the idempotency
+   * window gets the first import instead of a duplicate, unless that
+   * conversation was deleted.
+   */
+  importConversationArchive(archive, ownerId = null) {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(archive)).digest('hex');
+    const key = `import:${ownerId || ''}:${digest}`;
+    const cached = this.getIdempotencyKey(key);
+    if (cached) {
+      const prior = JSON.parse(cached);
+      const existing = prior.conversation && this.getConversation(prior.conversation.id);
+      if (existing && existing.status !== 'deleted') return { ...prior, conversation: existing, duplicate: true };
+    }
+
+    const src = archive.conversation;
+    const now = Date.now();
+    const id = generateId('conv');
+    const agentType = src.agentType || src.agentId || 'claude-code';
+    const metadata = JSON.stringify({ importedFrom: { conversationId: src.id || null, exportedAt: archive.exportedAt || null } });
+    const counts = { messages: 0, sessions: 0, chunks: 0 };
+
+    db.transaction(() => {
+      prep(
+        `INSERT INTO conversations (id, agentId, agentType, title, created_at, updated_at, status, workingDirectory, model, subAgent, ownerId, messageCount, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(id, agentType, agentType, src.title || 'Imported conversation', src.created_at || now, src.updated_at || now, 'active',
+        src.workingDirectory || null, src.model || null, src.subAgent || null, ownerId, archive.messages.length, metadata);
+
+      const insertMessage = prep('INSERT INTO messages (id, conversationId, role, content, created_at) VALUES (?, ?, ?, ?, ?)');
+      for (const m of archive.messages) {
+        const content = typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? '');
+        const result = insertMessage.run(generateId('msg'), id, m.role, content, m.created_at || now);
+        this._indexSearchText('messages_fts', result.lastInsertRowid, extractSearchText(content));
+        counts.messages++;
+      }
+
+      const insertSession = prep('INSERT INTO sessions (id, conversationId, status, started_at, completed_at, response, error) VALUES (?, ?, ?, ?, ?, ?, ?)');
+      const insertChunk = prep('INSERT INTO chunks (id, sessionId, conversationId, sequence, type, data, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)');
+      for (const s of archive.sessions || []) {
+        const sessionId = generateId('sess');
+        // A session that was still running when exported can never finish here
+        const status = s.status === 'active' || s.status === 'pending' ? 'interrupted' : (s.status || 'completed');
+        const startedAt = s.started_at || s.chunks[0]?.created_at || now;
+        insertSession.run(sessionId, id, status, startedAt, s.completed_at || null, null, s.error || null);
+        counts.sessions++;
+        s.chunks.forEach((c, i) => {
+          const data = typeof c.data === 'string' ? c.data : JSON.stringify(c.data ?? {});
+          const result = insertChunk.run(generateId('chunk'), sessionId, id, Number.isInteger(c.sequence) ? c.sequence : i, c.type, data, c.created_at || startedAt);
+          this._indexSearchText('chunks_fts', result.lastInsertRowid, isSearchableChunk(c.type) ? extractSearchText(data) : '');
+          counts.chunks++;
+        });
+      }
+    })();
+
+    const imported = { conversation: this.getConversation(id), ...counts };
+    this.setIdempotencyKey(key, imported);
+    return imported;
+  },
+
   getConversationByExternalId(agentType, externalId) {
     const stmt = prep(
       'SELECT * FROM conversations WHERE agentType = ? AND externalId = ?'
@@ -1439,7 +1824,8 @@ export const queries = {
       `INSERT INTO chunks (id, sessionId, conversationId, sequence, type, data, created_at)
        VALUES (?, ?, ?, ?, ?, ?, ?)`
     );
-    stmt.run(id, sessionId, conversationId, sequence, type, dataBlob, now);
+    const result = stmt.run(id, sessionId, conversationId, sequence, type, dataBlob, now);
+    this._indexSearchText('chunks_fts', result.lastInsertRowid, isSearchableChunk(type) ? extractSearchText(dataBlob) : '');
 
     return {
       id,
@@ -1898,6 +2284,622 @@ export const queries = {
     return stmt.run(toolId, toolId, keepCount).changes;
   },
 
+  getPermissionRules(conversationId) {
+    return prep('SELECT * FROM permission_rules WHERE conversationId = ? ORDER BY created_at ASC').all(conversationId);
+  },
+
+  getPermissionRule(conversationId, tool) {
+    return prep('SELECT * FROM permission_rules WHERE conversationId = ? AND tool = ?').get(conversationId, tool) || null;
+  },
+
+  setPermissionRule(conversationId, tool, decision) {
+    const id = generateId('perm');
+    const now = Date.now();
+    prep(`
+      INSERT INTO permission_rules (id, conversationId, tool, decision, created_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(conversationId, tool) DO UPDATE SET decision = excluded.decision, created_at = excluded.created_at
+    `).run(id, conversationId, tool, decision, now);
+    return this.getPermissionRule(conversationId, tool);
+  },
+
+  deletePermissionRule(conversationId, ruleId) {
+    return prep('DELETE FROM permission_rules WHERE conversationId = ? AND id = ?').run(conversationId, ruleId).changes > 0;
+  },
+
+  _parseMcpServer(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      args: row.args ? JSON.parse(row.args) : [],
+      env: row.env ? JSON.parse(row.env) : {},
+      headers: row.headers ? JSON.parse(row.headers) : {},
+      enabled: !!row.enabled
+    };
+  },
+
+  getMcpServer(id) {
+    return this._parseMcpServer(prep('SELECT * FROM mcp_servers WHERE id = ?').get(id));
+  },
+
+  // conversationId null lists global servers: system-wide when ownerId is null, otherwise that user's own
+  listMcpServers(conversationId = null, ownerId = null) {
+    const rows = conversationId
+      ? prep('SELECT * FROM mcp_servers WHERE conversationId = ? ORDER BY name ASC').all(conversationId)
+      : prep('SELECT * FROM mcp_servers WHERE conversationId IS NULL AND ownerId IS ? ORDER BY name ASC').all(ownerId);
+    return rows.map(r => this._parseMcpServer(r));
+  },
+
+  // System-wide servers, then the conversation owner's, then the conversation's own; a later entry overrides (or, when disabled, suppresses) an earlier one of the same name
+  getEffectiveMcpServers(conversationId) {
+    const byName = new Map();
+    for (const s of this.listMcpServers(null)) byName.set(s.name, s);
+    const ownerId = conversationId ? this.getConversation(conversationId)?.ownerId : null;
+    if (ownerId) for (const s of this.listMcpServers(null, ownerId)) byName.set(s.name, s);
+    if (conversationId) for (const s of this.listMcpServers(conversationId)) byName.set(s.name, s);
+    return [...byName.values()].filter(s => s.enabled);
+  },
+
+  saveMcpServer(data) {
+    const now = Date.now();
+    const existing = data.id ? this.getMcpServer(data.id) : null;
+    const id = existing ? existing.id : generateId('mcp');
+    const row = [
+      data.name,
+      data.transport || 'stdio',
+      data.command || null,
+      JSON.stringify(data.args || []),
+      JSON.stringify(data.env || {}),
+      data.url || null,
+      JSON.stringify(data.headers || {}),
+      data.enabled === false ? 0 : 1
+    ];
+    if (existing) {
+      prep(`
+        UPDATE mcp_servers SET name = ?, transport = ?, command = ?, args = ?, env = ?, url = ?, headers = ?, enabled = ?, updated_at = ?
+        WHERE id = ?
+      `).run(...row, now, id);
+    } else {
+      prep(`
+        INSERT INTO mcp_servers (id, conversationId, ownerId, name, transport, command, args, env, url, headers, enabled, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, data.conversationId || null, data.conversationId ? null : (data.ownerId || null), ...row, now, now);
+    }
+    return this.getMcpServer(id);
+  },
+
+  deleteMcpServer(id) {
+    return prep('DELETE FROM mcp_servers WHERE id = ?').run(id).changes > 0;
+  },
+
+  _hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  },
+
+  _publicUser(row) {
+    if (!row) return null;
+    const { passwordHash, ...user } = row;
+    return { ...user, hasPassword: !!passwordHash };
+  },
+
+  createUser({ username, password = null, role = 'member' }) {
+    const id = generateId('user');
+    const now = Date.now();
+    prep('INSERT INTO users (id, username, passwordHash, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)')
+      .run(id, username, password ? this._hashPassword(password) : null, role, now, now);
+    return this.getUser(id);
+  },
+
+  getUser(id) {
+    return this._publicUser(prep('SELECT * FROM users WHERE id = ?').get(id));
+  },
+
+  getUserByUsername(username) {
+    return this._publicUser(prep('SELECT * FROM users WHERE username = ?').get(username));
+  },
+
+  listUsers() {
+    return prep('SELECT * FROM users ORDER BY username ASC').all().map(r => this._publicUser(r));
+  },
+
+  // Returns the existing account or creates one without a password (proxy-authenticated users)
+  ensureUser(username, role = 'member') {
+    return this.getUserByUsername(username) || this.createUser({ username, role });
+  },
+
+  setUserRole(id, role) {
+    prep('UPDATE users SET role = ?, updated_at = ? WHERE id = ?').run(role, Date.now(), id);
+    return this.getUser(id);
+  },
+
+  setUserPassword(id, password) {
+    prep('UPDATE users SET passwordHash = ?, updated_at = ? WHERE id = ?').run(this._hashPassword(password), Date.now(), id);
+    return this.getUser(id);
+  },
+
+  verifyUserPassword(username, password) {
+    const row = prep('SELECT * FROM users WHERE username = ?').get(username);
+    if (!row || !row.passwordHash || typeof password !== 'string') return null;
+    const [scheme, salt, hash] = row.passwordHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return null;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual) ? this._publicUser(row) : null;
+  },
+
+  // Owned conversations are kept so an admin can reassign or delete them
+  deleteUser(id) {
+    const deleteStmt = db.transaction(() => {
+      prep('DELETE FROM conversation_shares WHERE userId = ?').run(id);
+      prep('DELETE FROM mcp_servers WHERE conversationId IS NULL AND ownerId = ?').run(id);
+      return prep('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    });
+    return deleteStmt();
+  },
+
+  getConversationAcl(conversationId) {
+    const conv = prep('SELECT ownerId FROM conversations WHERE id = ?').get(conversationId);
+    if (!conv) return null;
+    const shares = prep('SELECT userId, access FROM conversation_shares WHERE conversationId = ?').all(conversationId);
+    return { ownerId: conv.ownerId || null, shares };
+  },
+
+  getConversationShares(conversationId) {
+    return prep(`
+      SELECT s.id, s.conversationId, s.userId, u.username, s.access, s.created_at
+      FROM conversation_shares s JOIN users u ON u.id = s.userId
+      WHERE s.conversationId = ? ORDER BY u.username ASC
+    `).all(conversationId);
+  },
+
+  shareConversation(conversationId, userId, access) {
+    prep(`
+      INSERT INTO conversation_shares (id, conversationId, userId, access, created_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(conversationId, userId) DO UPDATE SET access = excluded.access
+    `).run(generateId('share'), conversationId, userId, access, Date.now());
+    return this.getConversationShares(conversationId).find(s => s.userId === userId) || null;
+  },
+
+  unshareConversation(conversationId, userId) {
+    return prep('DELETE FROM conversation_shares WHERE conversationId = ? AND userId = ?').run(conversationId, userId).changes > 0;
+  },
+
+  // ============ MESSAGE QUEUE ============
+  // Prompts sent while a conversation is busy, drained in order once it is idle
+
+  _queueItem(row) {
+    return { messageId: row.messageId, content: row.content, agentId: row.agentId, model: row.model, subAgent: row.subAgent, userId: row.userId, created_at: row.created_at };
+  },
+
+  enqueueMessage(conversationId, { messageId, content, agentId = null, model = null, subAgent = null, userId = null }) {
+    db.transaction(() => {
+      const { last } = prep('SELECT MAX(position) AS last FROM message_queue WHERE conversationId = ?').get(conversationId);
+      prep(`
+        INSERT INTO message_queue (id, conversationId, messageId, position, content, agentId, model, subAgent, userId, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(generateId('queue'), conversationId, messageId, (last || 0) + 1, content, agentId, model, subAgent, userId, Date.now());
+    })();
+    return this.getQueueLength(conversationId);
+  },
+
+  getQueuedMessages(conversationId) {
+    return prep('SELECT * FROM message_queue WHERE conversationId = ? ORDER BY position ASC').all(conversationId).map(r => this._queueItem(r));
+  },
+
+  getQueuedMessage(conversationId, messageId) {
+    const row = prep('SELECT * FROM message_queue WHERE conversationId = ? AND messageId = ?').get(conversationId, messageId);
+    return row ? this._queueItem(row) : null;
+  },
+
+  getQueueLength(conversationId) {
+    return prep('SELECT COUNT(*) AS n FROM message_queue WHERE conversationId = ?').get(conversationId).n;
+  },
+
+  // Removes and returns the oldest queued message, or null when the queue is empty
+  dequeueMessage(conversationId) {
+    return db.transaction(() => {
+      const row = prep('SELECT * FROM message_queue WHERE conversationId = ? ORDER BY position ASC LIMIT 1').get(conversationId);
+      if (!row) return null;
+      prep('DELETE FROM message_queue WHERE id = ?').run(row.id);
+      return this._queueItem(row);
+    })();
+  },
+
+  updateQueuedMessage(conversationId, messageId, { content, agentId }) {
+    const item = this.getQueuedMessage(conversationId, messageId);
+    if (!item) return null;
+    if (content !== undefined) item.content = content;
+    if (agentId !== undefined) item.agentId = agentId;
+    prep('UPDATE message_queue SET content = ?, agentId = ? WHERE conversationId = ? AND messageId = ?').run(item.content, item.agentId, conversationId, messageId);
+    return item;
+  },
+
+  deleteQueuedMessage(conversationId, messageId) {
+    return prep('DELETE FROM message_queue WHERE conversationId = ? AND messageId = ?').run(conversationId, messageId).changes > 0;
+  },
+
+  getConversationsWithQueuedMessages() {
+    return prep('SELECT conversationId FROM message_queue GROUP BY conversationId ORDER BY MIN(created_at) ASC').all().map(r => r.conversationId);
+  },
+
+  // ============ USAGE ============
+  // One row per session. Rows are accounting records and are kept when the
+  // conversation is deleted.
+
+  recordSessionUsage(sessionId, usage) {
+    const prev = prep('SELECT * FROM session_usage WHERE sessionId = ?').get(sessionId);
+    const val = (key, col) => usage[key] ?? prev?.[col] ?? null;
+    const now = Date.now();
+    prep(`
+      INSERT OR REPLACE INTO session_usage (sessionId, conversationId, ownerId, agentId, model, workingDirectory,
+        input_tokens, output_tokens, cache_read_tokens, cache_write_tokens, cost_usd, context_used, context_size, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      sessionId, val('conversationId', 'conversationId'), val('ownerId', 'ownerId'), val('agentId', 'agentId'),
+      val('model', 'model'), val('workingDirectory', 'workingDirectory'),
+      val('inputTokens', 'input_tokens') || 0, val('outputTokens', 'output_tokens') || 0,
+      val('cacheReadTokens', 'cache_read_tokens') || 0, val('cacheWriteTokens', 'cache_write_tokens') || 0,
+      val('costUsd', 'cost_usd') || 0, val('contextUsed', 'context_used'), val('contextSize', 'context_size'),
+      prev?.created_at || now, now
+    );
+    return this.getSessionUsage(sessionId);
+  },
+
+  getSessionUsage(sessionId) {
+    return prep('SELECT * FROM session_usage WHERE sessionId = ?').get(sessionId) || null;
+  },
+
+  /**
+   * Aggregated usage for [from, to), broken down by UTC day, agent, model and
+   * working directory.
+   * @param {string} [opts.visibleTo] - restrict to conversations this user owns or was shared
+   */
+  getUsageReport({ from, to, visibleTo = null, agentId = null }) {
+    let wh = 'WHERE u.created_at >= ? AND u.created_at < ?';
+    const prm = [from, to];
+    if (agentId) { wh += ' AND u.agentId = ?'; prm.push(agentId); }
+    if (visibleTo) { wh += ' AND (u.ownerId = ? OR u.conversationId IN (SELECT conversationId FROM conversation_shares WHERE userId = ?))'; prm.push(visibleTo, visibleTo); }
+    const sums = `COUNT(*) AS sessions, COALESCE(SUM(u.input_tokens), 0) AS inputTokens, COALESCE(SUM(u.output_tokens), 0) AS outputTokens,
+      COALESCE(SUM(u.cache_read_tokens), 0) AS cacheReadTokens, COALESCE(SUM(u.cache_write_tokens), 0) AS cacheWriteTokens,
+      COALESCE(SUM(u.cost_usd), 0) AS costUsd`;
+    const groupBy = (expr, order) => prep(`SELECT ${expr} AS key, ${sums} FROM session_usage u ${wh} GROUP BY key ORDER BY ${order}`).all(...prm);
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      totals: prep(`SELECT ${sums} FROM session_usage u ${wh}`).get(...prm),
+      byDay: groupBy(`date(u.created_at / 1000, 'unixepoch')`, 'key ASC'),
+      byAgent: groupBy(`COALESCE(u.agentId, 'unknown')`, 'costUsd DESC, sessions DESC'),
+      byModel: groupBy(`COALESCE(u.model, 'default')`, 'costUsd DESC, sessions DESC'),
+      byDirectory: groupBy(`COALESCE(u.workingDirectory, '')`, 'costUsd DESC, sessions DESC')
+    };
+  },
+
+  getUsageCostSince(since, ownerId = null) {
+    const sql = 'SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM session_usage WHERE created_at >= ?' + (ownerId ? ' AND ownerId = ?' : '');
+    return prep(sql).get(...(ownerId ? [since, ownerId] : [since])).cost;
+  },
+
+  // ============ WORKTREES ============
+  // Rows outlive their conversation until the worktree on disk is removed
+  // (see lib/git-worktree.js removeConversationWorktree).
+
+  createConversationWorktree(conversationId, { repoRoot, worktreePath, workingDirectory, sourceDirectory, branch, baseBranch = null, baseCommit }) {
+    const now = Date.now();
+    prep(`
+      INSERT INTO conversation_worktrees (conversationId, repoRoot, worktreePath, workingDirectory, sourceDirectory, branch, baseBranch, baseCommit, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?)
+    `).run(conversationId, repoRoot, worktreePath, workingDirectory, sourceDirectory, branch, baseBranch, baseCommit, now, now);
+    return this.getConversationWorktree(conversationId);
+  },
+
+  getConversationWorktree(conversationId) {
+    return prep('SELECT * FROM conversation_worktrees WHERE conversationId = ?').get(conversationId) || null;
+  },
+
+  updateConversationWorktree(conversationId, { status, pushedRemote, pushedAt, mergedAt }) {
+    const cur = this.getConversationWorktree(conversationId);
+    if (!cur) return null;
+    prep('UPDATE conversation_worktrees SET status = ?, pushedRemote = ?, pushedAt = ?, mergedAt = ?, updated_at = ? WHERE conversationId = ?')
+      .run(status ?? cur.status, pushedRemote ?? cur.pushedRemote, pushedAt ?? cur.pushedAt, mergedAt ?? cur.mergedAt, Date.now(), conversationId);
+    return this.getConversationWorktree(conversationId);
+  },
+
+  deleteConversationWorktree(conversationId) {
+    return prep('DELETE FROM conversation_worktrees WHERE conversationId = ?').run(conversationId).changes > 0;
+  },
+
+  // Worktrees whose conversation is gone, e.g. after a crash between the two
+  getOrphanedWorktrees() {
+    return prep('SELECT w.conversationId FROM conversation_worktrees w LEFT JOIN conversations c ON c.id = w.conversationId WHERE c.id IS NULL').all().map(r => r.conversationId);
+  },
+
+  // ============ SESSION SNAPSHOTS ============
+  // kind 'git': startCommit/endCommit are snapshot commits kept alive by refs
+  // (see lib/session-diff.js); kind 'tools': the diff comes from tool calls and
+  // manifestHash, if set, is a file checkpoint (lib/file-checkpoints.js).
+  // Like worktrees, rows outlive their conversation until the refs are removed.
+
+  createSessionSnapshot(sessionId, { conversationId, kind, workingDirectory, repoRoot = null, startCommit = null, manifestHash = null }) {
+    prep(`
+      INSERT OR REPLACE INTO session_snapshots (sessionId, conversationId, kind, workingDirectory, repoRoot, startCommit, manifestHash, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(sessionId, conversationId, kind, workingDirectory, repoRoot, startCommit, manifestHash, Date.now());
+    return this.getSessionSnapshot(sessionId);
+  },
+
+  getSessionSnapshot(sessionId) {
+    return prep('SELECT * FROM session_snapshots WHERE sessionId = ?').get(sessionId) || null;
+  },
+
+  completeSessionSnapshot(sessionId, endCommit = null) {
+    prep('UPDATE session_snapshots SET endCommit = ?, completed_at = ? WHERE sessionId = ?').run(endCommit, Date.now(), sessionId);
+  },
+
+  getConversationSessionSnapshots(conversationId) {
+    return prep('SELECT * FROM session_snapshots WHERE conversationId = ? ORDER BY created_at ASC').all(conversationId);
+  },
+
+  deleteConversationSessionSnapshots(conversationId) {
+    return prep('DELETE FROM session_snapshots WHERE conversationId = ?').run(conversationId).changes;
+  },
+
+  // Newest file checkpoint of a directory, to skip re-reading unchanged files
+  getLatestFileCheckpoint(workingDirectory) {
+    const row = prep('SELECT manifestHash FROM session_snapshots WHERE workingDirectory = ? AND manifestHash IS NOT NULL ORDER BY created_at DESC LIMIT 1').get(workingDirectory);
+    return row ? row.manifestHash : null;
+  },
+
+  getFileCheckpointHashes() {
+    return prep('SELECT DISTINCT manifestHash FROM session_snapshots WHERE manifestHash IS NOT NULL').all().map(r => r.manifestHash);
+  },
+
+  // The session a user message started: the first one at or after it
+  getSessionForMessage(conversationId, messageId) {
+    const msg = prep('SELECT created_at FROM messages WHERE id = ? AND conversationId = ?').get(messageId, conversationId);
+    if (!msg) return null;
+    return prep('SELECT * FROM sessions WHERE conversationId = ? AND started_at >= ? ORDER BY started_at ASC LIMIT 1').get(conversationId, msg.created_at) || null;
+  },
+
+  getOrphanedSnapshotConversations() {
+    return prep('SELECT DISTINCT s.conversationId FROM session_snapshots s LEFT JOIN conversations c ON c.id = s.conversationId WHERE c.id IS NULL').all().map(r => r.conversationId);
+  },
+
+  // Sessions with the user message that started each one, newest first
+  getSessionsWithPrompts(conversationId, limit = 50) {
+    return prep(`
+      SELECT s.id, s.status, s.started_at, s.completed_at,
+        (SELECT m.content FROM messages m WHERE m.conversationId = s.conversationId AND m.role = 'user' AND m.created_at <= s.started_at
+         ORDER BY m.created_at DESC LIMIT 1) AS prompt
+      FROM sessions s WHERE s.conversationId = ? ORDER BY s.started_at DESC LIMIT ?
+    `).all(conversationId, limit);
+  },
+
+  // ============ FORKS ============
+  // A fork is a new conversation holding a copy of another one's messages,
+  // sessions and chunks up to a point, with original timestamps so it renders
+  // the same. forkPoint is the message or session it was forked at. The copy
+  // has no claudeSessionId: the agent's own session cannot be cut mid-history.
+
+  /**
+   * Fork at a user message (everything before it) or after an assistant turn,
+   * given as its session (everything up to the end of that turn).
+   */
+  forkConversation(sourceId, { messageId = null, sessionId = null, ownerId = null } = {}) {
+    const src = this.getConversation(sourceId);
+    if (!src) return null;
+    let messages, sessions;
+    if (messageId) {
+      const msg = prep('SELECT created_at FROM messages WHERE id = ? AND conversationId = ?').get(messageId, sourceId);
+      if (!msg) return null;
+      messages = prep('SELECT * FROM messages WHERE conversationId = ? AND created_at < ? ORDER BY created_at ASC').all(sourceId, msg.created_at);
+      sessions = prep('SELECT * FROM sessions WHERE conversationId = ? AND started_at < ? ORDER BY started_at ASC').all(sourceId, msg.created_at);
+    } else {
+      const sess = prep('SELECT * FROM sessions WHERE id = ? AND conversationId = ?').get(sessionId, sourceId);
+      if (!sess) return null;
+      const lastChunk = prep('SELECT MAX(created_at) AS t FROM chunks WHERE sessionId = ?').get(sessionId).t;
+      const end = Math.max(sess.completed_at || 0, lastChunk || 0, sess.started_at);
+      // User messages sent while the turn ran belong to later turns; error replies written at its end do not
+      messages = prep(`SELECT * FROM messages WHERE conversationId = ? AND (created_at <= ? OR (role != 'user' AND created_at <= ?)) ORDER BY created_at ASC`)
+        .all(sourceId, sess.started_at, end);
+      sessions = prep('SELECT * FROM sessions WHERE conversationId = ? AND started_at <= ? ORDER BY started_at ASC').all(sourceId, sess.started_at);
+    }
+
+    const id = generateId('conv');
+    const now = Date.now();
+    const title = `${src.title || 'Conversation'} (fork)`;
+    db.transaction(() => {
+      prep(
+        `INSERT INTO conversations (id, agentId, agentType, title, created_at, updated_at, status, workingDirectory, model, subAgent, ownerId, messageCount, forkedFrom, forkPoint, envProfileId)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).run(id, src.agentId, src.agentType || src.agentId, title, now, now, 'active', src.workingDirectory || null, src.model || null,
+        src.subAgent || null, ownerId, messages.length, sourceId, messageId || sessionId, src.envProfileId || null);
+
+      const insertMessage = prep('INSERT INTO messages (id, conversationId, role, content, created_at) VALUES (?, ?, ?, ?, ?)');
+      for (const m of messages) {
+        const result = insertMessage.run(generateId('msg'), id, m.role, m.content, m.created_at);
+        this._indexSearchText('messages_fts', result.lastInsertRowid, extractSearchText(m.content));
+      }
+
+      const insertSession = prep('INSERT INTO sessions (id, conversationId, status, started_at, completed_at, response, error) VALUES (?, ?, ?, ?, ?, ?, ?)');
+      const insertChunk = prep('INSERT INTO chunks (id, sessionId, conversationId, sequence, type, data, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)');
+      const chunksOf = prep('SELECT sequence, type, data, created_at FROM chunks WHERE sessionId = ? ORDER BY sequence ASC');
+      for (const s of sessions) {
+        const newSessionId = generateId('sess');
+        const status = s.status === 'active' || s.status === 'pending' ? 'interrupted' : s.status;
+        insertSession.run(newSessionId, id, status, s.started_at, s.completed_at, s.response, s.error);
+        for (const c of chunksOf.all(s.id)) {
+          const result = insertChunk.run(generateId('chunk'), newSessionId, id, c.sequence, c.type, c.data, c.created_at);
+          this._indexSearchText('chunks_fts', result.lastInsertRowid, isSearchableChunk(c.type) ? extractSearchText(c.data) : '');
+        }
+      }
+    })();
+    return this.getConversation(id);
+  },
+
+  // Legacy plaintext tokens, read once to move them into the secret store
+  getOAuthTokens() {
+    return prep('SELECT * FROM oauth_tokens ORDER BY created_at').all();
+  },
+
+  deleteOAuthToken(id) {
+    prep('DELETE FROM oauth_tokens WHERE id = ?').run(id);
+  },
+
+  // ============ ENVIRONMENT PROFILES ============
+  // Env vars, PATH additions and proxies for a conversation's processes. Values
+  // of the variables in secretVars are stored sealed (see lib/env-profiles.js).
+
+  _parseEnvProfile(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      env: JSON.parse(row.env || '{}'),
+      secretVars: JSON.parse(row.secretVars || '[]'),
+      pathPrepend: JSON.parse(row.pathPrepend || '[]')
+    };
+  },
+
+  getEnvProfile(id) {
+    return this._parseEnvProfile(prep('SELECT * FROM env_profiles WHERE id = ?').get(id));
+  },
+
+  getEnvProfileByName(name) {
+    return this._parseEnvProfile(prep('SELECT * FROM env_profiles WHERE name = ?').get(name));
+  },
+
+  listEnvProfiles() {
+    return prep('SELECT * FROM env_profiles ORDER BY name COLLATE NOCASE ASC').all().map(r => this._parseEnvProfile(r));
+  },
+
+  saveEnvProfile(data) {
+    const now = Date.now();
+    const existing = data.id ? this.getEnvProfile(data.id) : null;
+    const id = existing ? existing.id : generateId('envp');
+    const row = [
+      data.name,
+      data.description || null,
+      JSON.stringify(data.env || {}),
+      JSON.stringify(data.secretVars || []),
+      JSON.stringify(data.pathPrepend || []),
+      data.httpProxy || null,
+      data.httpsProxy || null,
+      data.noProxy || null
+    ];
+    if (existing) {
+      prep(`
+        UPDATE env_profiles SET name = ?, description = ?, env = ?, secretVars = ?, pathPrepend = ?, httpProxy = ?, httpsProxy = ?, noProxy = ?, updated_at = ?
+        WHERE id = ?
+      `).run(...row, now, id);
+    } else {
+      prep(`
+        INSERT INTO env_profiles (id, name, description, env, secretVars, pathPrepend, httpProxy, httpsProxy, noProxy, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(id, ...row, now, now);
+    }
+    return this.getEnvProfile(id);
+  },
+
+  countEnvProfileConversations(id) {
+    return prep("SELECT COUNT(*) AS n FROM conversations WHERE envProfileId = ? AND status != 'deleted'").get(id).n;
+  },
+
+  // Conversations using the profile fall back to the server's own environment
+  deleteEnvProfile(id) {
+    let deleted = false;
+    db.transaction(() => {
+      prep('UPDATE conversations SET envProfileId = NULL WHERE envProfileId = ?').run(id);
+      deleted = prep('DELETE FROM env_profiles WHERE id = ?').run(id).changes > 0;
+    })();
+    return deleted;
+  },
+
+  // ============ SECRET AUDIT ============
+  // One row per change to a secret (created, updated, rotated, deleted) and per
+  // agent process that was started with it (injected). Values are never stored here.
+
+  recordSecretEvent(secretName, action, { agentId = null, conversationId = null, userId = null, version = null } = {}) {
+    prep('INSERT INTO secret_audit (id, secretName, action, agentId, conversationId, userId, version, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+      .run(generateId('saud'), secretName, action, agentId, conversationId, userId, version, Date.now());
+  },
+
+  getSecretAudit({ secretName = null, agentId = null, limit = 200 } = {}) {
+    const where = [];
+    const params = [];
+    if (secretName) { where.push('secretName = ?'); params.push(secretName); }
+    if (agentId) { where.push('agentId = ?'); params.push(agentId); }
+    return prep(`SELECT * FROM secret_audit ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at DESC, rowid DESC LIMIT ?`)
+      .all(...params, Math.max(1, Math.min(limit, 1000)));
+  },
+
+  // ============ SEARCH ============
+
+  _indexSearchText(table, rowid, text) {
+    if (!searchIndexReady) return;
+    try {
+      prep(`INSERT OR REPLACE INTO ${table} (rowid, text) VALUES (?, ?)`).run(rowid, text);
+    } catch (e) {
+      console.error('[Search] Index write failed:', e.message);
+    }
+  },
+
+  /**
+   * Ranked full-text hits across messages and chunk blocks.
+   * @param {object} opts
+   * @param {string} opts.match - FTS5 MATCH expression (see buildMatchQuery)
+   * @param {string} [opts.conversationId] - restrict to one conversation
+   * @param {string} [opts.visibleTo] - restrict to conversations this user owns or was shared
+   * @returns {{ hits: object[], hasMore: boolean }}
+   */
+  searchHistory({ match, conversationId = null, visibleTo = null, limit = 20, offset = 0 }) {
+    if (!searchIndexReady) {
+      const e = new Error('Full-text search is not available in this SQLite build');
+      e.code = 501;
+      throw e;
+    }
+    let wh = "c.status != 'deleted'";
+    const prm = [];
+    if (conversationId) { wh += ' AND c.id = ?'; prm.push(conversationId); }
+    if (visibleTo) { wh += ' AND (c.ownerId = ? OR c.id IN (SELECT conversationId FROM conversation_shares WHERE userId = ?))'; prm.push(visibleTo, visibleTo); }
+    const rows = prep(`
+      SELECT 'message' AS kind, m.id AS refId, m.conversationId, NULL AS sessionId, m.role AS role, m.created_at,
+        c.title, c.agentType, snippet(messages_fts, 0, char(2), char(3), '…', 16) AS snippet, bm25(messages_fts) AS rank
+      FROM messages_fts
+      JOIN messages m ON m.rowid = messages_fts.rowid
+      JOIN conversations c ON c.id = m.conversationId
+      WHERE messages_fts MATCH ? AND ${wh}
+      UNION ALL
+      SELECT 'chunk' AS kind, ch.id AS refId, ch.conversationId, ch.sessionId, ch.type AS role, ch.created_at,
+        c.title, c.agentType, snippet(chunks_fts, 0, char(2), char(3), '…', 16) AS snippet, bm25(chunks_fts) AS rank
+      FROM chunks_fts
+      JOIN chunks ch ON ch.rowid = chunks_fts.rowid
+      JOIN conversations c ON c.id = ch.conversationId
+      WHERE chunks_fts MATCH ? AND ${wh}
+      ORDER BY rank
+      LIMIT ? OFFSET ?
+    `).all(match, ...prm, match, ...prm, limit + 1, offset);
+    const hasMore = rows.length > limit;
+    const hits = rows.slice(0, limit).map(r => {
+      const { text, highlights } = parseSnippet(r.snippet);
+      return {
+        kind: r.kind,
+        id: r.refId,
+        conversationId: r.conversationId,
+        conversationTitle: r.title,
+        agentType: r.agentType,
+        sessionId: r.sessionId,
+        role: r.role,
+        created_at: r.created_at,
+        snippet: text,
+        highlights,
+        rank: r.rank
+      };
+    });
+    return { hits, hasMore };
+  },
+
   // ============ ACP-COMPATIBLE QUERIES ============
   ...createACPQueries(db, prep)
 };
@@ -0,0 +1,289 @@
+/**
+ * Access control for multi-user workspaces
+ * Maps the authenticated identity to a user account and decides which
+ * conversations (and their sessions, runs, queue items and events) each user
+ * may read or change. Conversations belong to the user who created them and can
+ * be shared read-only or read-write; admins see everything.
+ * Multi-user mode is active for the password and proxy auth modes. Otherwise
+ * every caller is the local admin and nothing is filtered.
+ */
+
+const LEVELS = { read: 1, write: 2, owner: 3 };
+export const SHARE_ACCESS = ['read', 'write'];
+
+const LOCAL_ADMIN = Object.freeze({ id: null, username: 'local', role: 'admin' });
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+// Deletion events only carry an id the recipient either knows already or ignores,
+// and after the delete there is no ownership left to check against
+const UNRESTRICTED_EVENTS = new Set(['conversation_deleted', 'all_conversations_deleted']);
+
+// WS method -> how to find the conversation it touches and the access it needs
+const conv = (key) => (p) => ({ conversationId: p[key] });
+const session = (key) => (p) => ({ sessionId: p[key] });
+const run = (key) => (p) => ({ runId: p[key] });
+
+const METHOD_RULES = {
+  'conv.get': [conv('id'), 'read'],
+  'conv.full': [conv('id'), 'read'],
+  'conv.chunks': [conv('id'), 'read'],
+  'conv.chunks.earlier': [conv('id'), 'read'],
+  'conv.scripts': [conv('id'), 'read'],
+  'conv.script-log': [conv('id'), 'read'],
+  'conv.shares': [conv('id'), 'read'],
+  'conv.fork': [conv('id'), 'read'],
+  'conv.worktree': [conv('id'), 'read'],
+  'conv.worktree.diff': [conv('id'), 'read'],
+  'conv.session-diffs': [conv('id'), 'read'],
+  'conv.git.status': [conv('id'), 'read'],
+  'conv.git.diff': [conv('id'), 'read'],
+  'conv.git.branches': [conv('id'), 'read'],
+  'msg.ls': [conv('id'), 'read'],
+  'msg.ls.earlier': [conv('id'), 'read'],
+  'msg.get': [conv('id'), 'read'],
+  'msg.checkpoint': [conv('id'), 'read'],
+  'q.ls': [conv('id'), 'read'],
+  'sess.latest': [conv('id'), 'read'],
+  'perm.pending': [conv('id'), 'read'],
+  'perm.rules': [conv('id'), 'read'],
+  'mcp.ls': [conv('conversationId'), 'read'],
+  'search': [conv('conversationId'), 'read'],
+  'thread.get': [conv('id'), 'read'],
+  'thread.history': [conv('id'), 'read'],
+  'thread.copy': [conv('id'), 'read'],
+  'thread.run.stream.get': [conv('id'), 'read'],
+  'conv.upd': [conv('id'), 'write'],
+  'conv.cancel': [conv('id'), 'write'],
+  'conv.inject': [conv('id'), 'write'],
+  'conv.steer': [conv('id'), 'write'],
+  'conv.attach-output': [conv('id'), 'write'],
+  'conv.script-notify': [conv('id'), 'write'],
+  'conv.run-script': [conv('id'), 'write'],
+  'conv.stop-script': [conv('id'), 'write'],
+  'conv.restart-script': [conv('id'), 'write'],
+  'conv.dismiss-script': [conv('id'), 'write'],
+  'conv.worktree.merge': [conv('id'), 'write'],
+  'conv.worktree.push': [conv('id'), 'write'],
+  'conv.git.stage': [conv('id'), 'write'],
+  'conv.git.unstage': [conv('id'), 'write'],
+  'conv.git.commit': [conv('id'), 'write'],
+  'conv.git.branch': [conv('id'), 'write'],
+  'conv.git.switch': [conv('id'), 'write'],
+  'conv.git.push': [conv('id'), 'write'],
+  'conv.git.draft-message': [conv('id'), 'write'],
+  'msg.send': [conv('id'), 'write'],
+  'msg.stream': [conv('id'), 'write'],
+  'msg.restore': [conv('id'), 'write'],
+  'q.del': [conv('id'), 'write'],
+  'q.upd': [conv('id'), 'write'],
+  'perm.rule.del': [conv('id'), 'write'],
+  'mcp.save': [conv('conversationId'), 'write'],
+  'fs.buffer.set': [conv('conversationId'), 'write'],
+  'fs.buffer.clear': [conv('conversationId'), 'write'],
+  'thread.upd': [conv('id'), 'write'],
+  'thread.run.stream': [conv('id'), 'write'],
+  'thread.run.cancel': [conv('id'), 'write'],
+  'thread.run.steer': [conv('id'), 'write'],
+  'run.new': [conv('thread_id'), 'write'],
+  'conv.del': [conv('id'), 'owner'],
+  'conv.share': [conv('id'), 'owner'],
+  'conv.unshare': [conv('id'), 'owner'],
+  'thread.del': [conv('id'), 'owner'],
+  'sess.get': [session('id'), 'read'],
+  'sess.chunks': [session('id'), 'read'],
+  'sess.diff': [session('id'), 'read'],
+  'run.get': [run('id'), 'read'],
+  'run.webhooks': [run('id'), 'read'],
+  'run.wait': [run('id'), 'read'],
+  'run.stream.get': [run('id'), 'read'],
+  'run.resume': [run('id'), 'write'],
+  'run.cancel': [run('id'), 'write'],
+  'run.del': [run('id'), 'write']
+};
+
+const ADMIN_METHODS = new Set(['user.ls', 'user.new', 'user.del', 'user.role', 'user.password', 'import.claude', 'discover.claude', 'agent.custom.ls', 'agent.custom.save', 'agent.custom.del', 'auth.save', 'secret.ls', 'secret.save', 'secret.rotate', 'secret.del', 'secret.audit', 'env.profile.save', 'env.profile.del']);
+
+/**
+ * @param {object} opts
+ * @param {object} opts.queries - database queries
+ * @param {string} opts.authMode - mode from createAuth
+ * @param {string[]} [opts.adminUsers] - usernames that are always admins (proxy mode)
+ */
+export function createAccessControl({ queries, authMode = 'none', adminUsers = [] }) {
+  const multiUser = authMode === 'password' || authMode === 'proxy';
+  const admins = new Set(adminUsers);
+  const aclCache = new Map();
+  const sessionConversation = new Map();
+
+  /**
+   * Resolve the identity set by the auth layer (req.auth / ws.auth) to a principal
+   * { id, username, role }, or null when the account no longer exists.
+   */
+  function identify(auth) {
+    if (!multiUser) return LOCAL_ADMIN;
+    if (!auth || !auth.user) return null;
+    let user;
+    if (authMode === 'proxy') {
+      user = queries.ensureUser(auth.user, admins.has(auth.user) ? 'admin' : 'member');
+      if (admins.has(auth.user) && user.role !== 'admin') user = queries.setUserRole(user.id, 'admin');
+    } else {
+      user = queries.getUserByUsername(auth.user);
+    }
+    return user ? { id: user.id, username: user.username, role: user.role } : null;
+  }
+
+  const isAdmin = (principal) => !!principal && principal.role === 'admin';
+
+  function getAcl(conversationId) {
+    if (aclCache.has(conversationId)) return aclCache.get(conversationId);
+    const row = queries.getConversationAcl(conversationId);
+    if (!row) return null;
+    const acl = { ownerId: row.ownerId, shares: new Map(row.shares.map(s => [s.userId, s.access])) };
+    aclCache.set(conversationId, acl);
+    return acl;
+  }
+
+  function invalidate(conversationId) {
+    aclCache.delete(conversationId);
+  }
+
+  function conversationForSession(sessionId) {
+    if (sessionConversation.has(sessionId)) return sessionConversation.get(sessionId);
+    const conversationId = queries.getSession(sessionId)?.conversationId || null;
+    if (conversationId) {
+      if (sessionConversation.size > 10000) sessionConversation.clear();
+      sessionConversation.set(sessionId, conversationId);
+    }
+    return conversationId;
+  }
+
+  /**
+   * 'owner' | 'write' | 'read' | null. Conversations without an owner (created
+   * before multi-user mode, or imported) are visible to admins only.
+   */
+  function accessLevel(principal, conversationId) {
+    if (!principal) return null;
+    if (isAdmin(principal)) return 'owner';
+    const acl = getAcl(conversationId);
+    if (!acl) return null;
+    if (acl.ownerId && acl.ownerId === principal.id) return 'owner';
+    return acl.shares.get(principal.id) || null;
+  }
+
+  function can(principal, conversationId, level = 'read') {
+    const have = accessLevel(principal, conversationId);
+    return !!have && LEVELS[have] >= LEVELS[level];
+  }
+
+  /**
+   * Throw unless the principal has the given access. A missing conversation is
+   * let through so the handler reports its own 404; a conversation the user
+   * cannot see at all is reported as not found rather than forbidden.
+   */
+  function assertConversation(principal, conversationId, level = 'read') {
+    if (!multiUser || !conversationId || isAdmin(principal)) return;
+    if (!getAcl(conversationId)) return;
+    const have = accessLevel(principal, conversationId);
+    if (!have) fail(404, 'Conversation not found');
+    if (LEVELS[have] < LEVELS[level]) fail(403, level === 'owner' ? 'Only the owner can do this' : 'Read-only access');
+  }
+
+  function assertTarget(principal, target, level) {
+    if (!multiUser || isAdmin(principal)) return;
+    let conversationId = target.conversationId;
+    if (!conversationId && target.sessionId) conversationId = conversationForSession(target.sessionId);
+    if (!conversationId && target.runId) conversationId = queries.getRun(target.runId)?.thread_id;
+    assertConversation(principal, conversationId, level);
+  }
+
+  function assertAdmin(principal) {
+    if (multiUser && !isAdmin(principal)) fail(403, 'Admin access required');
+  }
+
+  /** WsRouter middleware: checks the access a method needs before its handler runs. */
+  function wsGuard(method, params, ws) {
+    if (!multiUser) return;
+    if (!ws.principal) fail(401, 'Unauthorized');
+    if (ADMIN_METHODS.has(method)) return assertAdmin(ws.principal);
+    const rule = METHOD_RULES[method];
+    if (rule) assertTarget(ws.principal, rule[0](params), rule[1]);
+  }
+
+  /**
+   * HTTP counterpart of wsGuard for the REST routes under /api/conversations,
+   * /api/threads, /api/sessions and /api/runs, plus admin-only tool installs and
+   * history imports.
+   * Throws an error carrying .code.
+   */
+  function httpGuard(principal, method, pathOnly) {
+    if (!multiUser) return;
+    if (!principal) fail(401, 'Unauthorized');
+    const write = method !== 'GET' && method !== 'HEAD';
+    let m = pathOnly.match(/^\/api\/(conversations|threads)\/([^/]+)(\/.*)?$/);
+    if (m) {
+      const level = method === 'DELETE' && !m[3] ? 'owner' : (write && m[3] !== '/copy' && m[3] !== '/fork' ? 'write' : 'read');
+      return assertConversation(principal, m[2], level);
+    }
+    m = pathOnly.match(/^\/api\/sessions\/([^/]+)/);
+    if (m) return assertTarget(principal, { sessionId: m[1] }, write ? 'write' : 'read');
+    m = pathOnly.match(/^\/api\/runs\/([^/]+)/);
+    if (m && m[1] !== 'search' && m[1] !== 'stream' && m[1] !== 'wait') return assertTarget(principal, { runId: m[1] }, write ? 'write' : 'read');
+    // Session stores on the server's disk belong to whoever runs it
+    if (/^\/api\/(discover|import)\//.test(pathOnly)) return assertAdmin(principal);
+    // Secrets are handed to every user's agents
+    if (/^\/api\/secrets(\/|$)/.test(pathOnly) || pathOnly === '/api/auth/save-config') return assertAdmin(principal);
+    if (write && /^\/api\/env-profiles(\/|$)/.test(pathOnly)) return assertAdmin(principal);
+    if (write && /^\/api\/tools\/[^/]+\/(install|update)$|^\/api\/tools\/(update|refresh-all)$/.test(pathOnly)) assertAdmin(principal);
+  }
+
+  /** Queued messages can be edited or removed by whoever queued them and by the conversation owner. */
+  function canChangeQueued(principal, conversationId, item) {
+    if (!multiUser || !item.userId || item.userId === principal?.id) return true;
+    return accessLevel(principal, conversationId) === 'owner';
+  }
+
+  /** Conversation list for the sidebar, with the caller's access level in multi-user mode. */
+  function listConversations(principal) {
+    if (!multiUser) return queries.getConversationsList();
+    if (!principal) return [];
+    if (isAdmin(principal)) return queries.getConversationsList().map(c => ({ ...c, access: 'owner' }));
+    return queries.getConversationsListForUser(principal.id);
+  }
+
+  /** User id that search queries should be restricted to, or null for no restriction. */
+  function scopeFor(principal) {
+    if (!multiUser || isAdmin(principal)) return null;
+    return principal ? principal.id : '__none__';
+  }
+
+  /** Whether a sync event may be delivered to a client authenticated as principal. */
+  function canReceive(principal, event) {
+    if (!multiUser) return true;
+    if (!principal) return false;
+    // Events addressed to one user (e.g. a share being granted or revoked) go to that user only
+    if (event.userId) return event.userId === principal.id;
+    if (UNRESTRICTED_EVENTS.has(event.type) || isAdmin(principal)) return true;
+    let conversationId = event.conversationId || event.conversation?.id || event.threadId || null;
+    if (!conversationId && event.sessionId) conversationId = conversationForSession(event.sessionId);
+    if (!conversationId) return true;
+    return accessLevel(principal, conversationId) !== null;
+  }
+
+  return {
+    multiUser,
+    identify,
+    isAdmin,
+    accessLevel,
+    can,
+    assertConversation,
+    assertAdmin,
+    canChangeQueued,
+    wsGuard,
+    httpGuard,
+    listConversations,
+    scopeFor,
+    canReceive,
+    invalidate
+  };
+}
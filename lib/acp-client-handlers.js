@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * ACP client-side request handlers
+ * Answers agent-to-client JSON-RPC requests (fs/*, terminal/*, session/request_permission)
+ * on behalf of a conversation.
+ * All paths are sandboxed to the conversation's working directory.
+ */
+
+export const RPC_ERRORS = {
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL: -32603,
+  RESOURCE_NOT_FOUND: -32002
+};
+
+function rpcError(code, message) {
+  const err = new Error(message);
+  err.rpcCode = code;
+  return err;
+}
+
+// Unsaved editor buffers, keyed by absolute file path. Reads prefer these over disk
+// so the agent sees what the user sees; a write from the agent supersedes the buffer.
+const unsavedBuffers = new Map();
+
+export function setUnsavedBuffer(filePath, content) {
+  unsavedBuffers.set(path.resolve(filePath), String(content));
+}
+
+export function clearUnsavedBuffer(filePath) {
+  return unsavedBuffers.delete(path.resolve(filePath));
+}
+
+export function getUnsavedBuffer(filePath) {
+  return unsavedBuffers.get(path.resolve(filePath));
+}
+
+function realpathOrNearest(p) {
+  let current = p;
+  const rest = [];
+  while (true) {
+    try {
+      return path.join(fs.realpathSync(current), ...rest);
+    } catch {
+      const parent = path.dirname(current);
+      if (parent === current) return p;
+      rest.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+export function resolveSandboxedPath(root, requested) {
+  if (typeof requested !== 'string' || !requested) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'path is required');
+  }
+  const rootReal = realpathOrNearest(path.resolve(root));
+  const target = realpathOrNearest(path.resolve(rootReal, requested));
+  const rel = path.relative(rootReal, target);
+  // `..foo` is a file inside root; only `..` itself or a `../` prefix leaves it
+  if (rel === '..' || rel.startsWith('..' + path.sep) || path.isAbsolute(rel)) {
+    throw rpcError(RPC_ERRORS.INVALID_PARAMS, `Path outside working directory: ${requested}`);
+  }
+  return target;
+}
+
+function sliceLines(content, line, limit) {
+  if (line == null && limit == null) return content;
+  const lines = content.split('\n');
+  const start = Math.max((parseInt(line, 10) || 1) - 1, 0);
+  const end = limit != null ? start + Math.max(parseInt(limit, 10) || 0, 0) : lines.length;
+  return lines.slice(start, end).join('\n');
+}
+
+/**
+ * Build the method table for one ACP run.
+ * @param {object} ctx
+ * @param {string} ctx.cwd - sandbox root (conversation workingDirectory)
+ * @param {function} [ctx.emit] - receives normalized events (same shape as protocolHandler output)
+ * @param {function} [ctx.getSessionId] - current ACP session id, attached to emitted events
+ * @param {object} [ctx.terminals] - terminal manager from acp-terminals.js; enables terminal/*
+ * @param {function} [ctx.requestPermission] - async (params) => RequestPermissionResponse
+ */
+export function createACPClientHandlers({ cwd, emit = null, getSessionId = () => null, terminals = null, requestPermission = null }) {
+  let writeCount = 0;
+
+  const emitEvent = (event) => {
+    if (!emit) return;
+    try { emit({ ...event, session_id: getSessionId() }); } catch (e) {
+      console.error(`[acp-client] emit error: ${e.message}`);
+    }
+  };
+
+  return {
+    'fs/read_text_file': async (params = {}) => {
+      const filePath = resolveSandboxedPath(cwd, params.path);
+      let content = unsavedBuffers.get(filePath);
+      if (content === undefined) {
+        try {
+          content = await fs.promises.readFile(filePath, 'utf-8');
+        } catch (e) {
+          if (e.code === 'ENOENT') throw rpcError(RPC_ERRORS.RESOURCE_NOT_FOUND, `File not found: ${params.path}`);
+          throw e;
+        }
+      }
+      return { content: sliceLines(content, params.line, params.limit) };
+    },
+
+    'fs/write_text_file': async (params = {}) => {
+      const filePath = resolveSandboxedPath(cwd, params.path);
+      if (typeof params.content !== 'string') {
+        throw rpcError(RPC_ERRORS.INVALID_PARAMS, 'content must be a string');
+      }
+      const toolUseId = `acp-fs-write-${Date.now()}-${++writeCount}`;
+      emitEvent({
+        type: 'assistant',
+        message: {
+          role: 'assistant',
+          content: [{ type: 'tool_use', id: toolUseId, name: 'Write', kind: 'edit', input: { file_path: filePath, content: params.content } }]
+        }
+      });
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, params.content, 'utf-8');
+        unsavedBuffers.delete(filePath);
+      } catch (e) {
+        emitEvent({
+          type: 'user',
+          message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: toolUseId, content: e.message, is_error: true }] }
+        });
+        throw e;
+      }
+      emitEvent({
+        type: 'user',
+        message: {
+          role: 'user',
+          content: [{ type: 'tool_result', tool_use_id: toolUseId, content: `Wrote ${Buffer.byteLength(params.content)} bytes to ${filePath}`, is_error: false }]
+        }
+      });
+      return null;
+    },
+
+    'session/request_permission': async (params = {}) => {
+      if (!requestPermission) return { outcome: { outcome: 'cancelled' } };
+      return requestPermission(params);
+    },
+
+    ...(terminals ? {
+      'terminal/create': async (params = {}) => terminals.create({
+        ...params,
+        cwd: params.cwd ? resolveSandboxedPath(cwd, params.cwd) : cwd
+      }),
+      'terminal/output': async (params = {}) => terminals.output(params.terminalId),
+      'terminal/wait_for_exit': async (params = {}) => terminals.waitForExit(params.terminalId),
+      'terminal/kill': async (params = {}) => terminals.kill(params.terminalId),
+      'terminal/release': async (params = {}) => terminals.release(params.terminalId)
+    } : {})
+  };
+}
+
+/**
+ * Dispatch one agent-to-client request and build the JSON-RPC response.
+ */
+export async function handleClientRequest(handlers, message) {
+  const handler = handlers[message.method];
+  if (!handler) {
+    return { jsonrpc: '2.0', id: message.id, error: { code: RPC_ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+  }
+  try {
+    const result = await handler(message.params || {});
+    return { jsonrpc: '2.0', id: message.id, result: result ?? null };
+  } catch (e) {
+    return { jsonrpc: '2.0', id: message.id, error: { code: e.rpcCode || RPC_ERRORS.INTERNAL, message: e.message } };
+  }
+}
@@ -0,0 +1,129 @@
+import { EventEmitter } from 'events';
+
+/**
+ * A JSON-RPC conversation with one ACP agent over a transport (see
+ * acp-transport.js) that can outlive a single prompt. Responses are matched
+ * to requests by id; notifications and the agent's own requests (fs/*,
+ * terminal/*, permissions) go to whichever handlers the current turn set.
+ *
+ * Emits 'close' (code) once the transport is gone; pending requests are
+ * rejected with an error marked isPrematureEnd.
+ */
+export class ACPConnection extends EventEmitter {
+  constructor(transport, { label = 'acp' } = {}) {
+    super();
+    this.transport = transport;
+    this.label = label;
+    this.alive = true;
+    this.capabilities = {};
+    this.sessionId = null;
+    this.sessionKey = null;
+    // Last running cost an agent reported for a session ({ sessionId, amount })
+    this.sessionCost = null;
+    this.stderrText = '';
+    this.onNotification = null;
+    this.onRequest = null;
+    this._nextId = 0;
+    this._pending = new Map();
+    this._initializing = null;
+
+    transport.on('message', (message) => this._dispatch(message));
+    transport.on('stderr', (text) => {
+      this.stderrText = (this.stderrText + text).slice(-4000);
+      this.emit('stderr', text);
+    });
+    transport.on('error', (err) => this._end(null, err));
+    transport.on('close', (code) => this._end(code, null));
+  }
+
+  get pid() { return this.transport.pid; }
+  get remote() { return this.transport.remote; }
+
+  request(method, params) {
+    if (!this.alive) return Promise.reject(this._closedError(null));
+    const id = ++this._nextId;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject, method });
+      this.transport.send({ jsonrpc: '2.0', id, method, params });
+    });
+  }
+
+  notify(method, params) {
+    if (this.alive) this.transport.send({ jsonrpc: '2.0', method, params });
+  }
+
+  /** Send `initialize` once per connection; resolves with the agent's reply. */
+  initialize() {
+    if (!this._initializing) {
+      this._initializing = this.request('initialize', {
+        protocolVersion: 1,
+        clientCapabilities: {
+          fs: { readTextFile: true, writeTextFile: true },
+          terminal: true
+        },
+        clientInfo: {
+          name: 'agentgui',
+          title: 'AgentGUI',
+          version: '1.0.0'
+        }
+      }).then((result) => {
+        this.capabilities = result?.agentCapabilities || {};
+        return result;
+      });
+    }
+    return this._initializing;
+  }
+
+  close() {
+    this.transport.kill();
+  }
+
+  _dispatch(message) {
+    if (message.method && message.id !== undefined && message.id !== null) {
+      if (this.onRequest) {
+        this.onRequest(message).then((response) => this.transport.send(response));
+      } else {
+        this.transport.send({ jsonrpc: '2.0', id: message.id, error: { code: -32603, message: 'No prompt is running' } });
+      }
+      return;
+    }
+    if (message.id !== undefined && message.id !== null && this._pending.has(message.id)) {
+      const { resolve, reject, method } = this._pending.get(message.id);
+      this._pending.delete(message.id);
+      if (message.error) {
+        const err = new Error(message.error.message || `ACP ${method} error`);
+        err.rpcError = message.error;
+        err.rpcMessage = message;
+        reject(err);
+      } else {
+        resolve(message.result);
+      }
+      return;
+    }
+    if (this.onNotification) {
+      try { this.onNotification(message); } catch (e) {
+        console.error(`[${this.label}] ACP message error:`, e.message);
+      }
+    }
+  }
+
+  _closedError(code, cause) {
+    const what = this.transport.remote ? `connection to ${this.transport.endpoint} closed` : `exited with code ${code}`;
+    const detail = cause ? `: ${cause.message}` : this.stderrText ? `: ${this.stderrText.substring(0, 200)}` : '';
+    const err = new Error(`ACP ${what}${detail}`);
+    err.isPrematureEnd = !cause;
+    if (cause?.code) err.code = cause.code;
+    err.exitCode = code;
+    err.stderrText = this.stderrText;
+    return err;
+  }
+
+  _end(code, cause) {
+    if (!this.alive) return;
+    this.alive = false;
+    const err = this._closedError(code, cause);
+    for (const { reject } of this._pending.values()) reject(err);
+    this._pending.clear();
+    this.emit('close', code, err);
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Long-lived ACP connections, one per conversation, so consecutive prompts
+ * reuse the agent process (or remote connection) and its session instead of
+ * starting both from scratch. A connection is replaced when the conversation
+ * switches to a different agent launch (command, args, cwd, env or endpoint),
+ * when it died since the last turn, and closed after ACP_IDLE_TIMEOUT_MS
+ * without a prompt. ACP_IDLE_TIMEOUT_MS=0 turns pooling off.
+ */
+
+const IDLE_TIMEOUT_MS = parseInt(process.env.ACP_IDLE_TIMEOUT_MS ?? '600000', 10);
+const MAX_CONNECTIONS = parseInt(process.env.ACP_POOL_MAX ?? '8', 10);
+
+const connections = new Map();
+
+function log(msg) { console.log('[ACP-POOL] ' + msg); }
+
+export function poolingEnabled() {
+  return IDLE_TIMEOUT_MS > 0;
+}
+
+function drop(conversationId, reason) {
+  const entry = connections.get(conversationId);
+  if (!entry) return;
+  connections.delete(conversationId);
+  clearTimeout(entry.idleTimer);
+  if (entry.conn.alive) {
+    log(`closing ${entry.agentId} for ${conversationId} (${reason})`);
+    entry.conn.close();
+  }
+}
+
+// Close the least recently used idle connection when the pool is full
+function makeRoom() {
+  if (connections.size < MAX_CONNECTIONS) return;
+  const idle = [...connections.entries()].filter(([, e]) => !e.busy).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  if (idle.length) drop(idle[0][0], 'pool full');
+}
+
+/**
+ * The conversation's connection for the launch described by `spec`, opened
+ * with `open()` if there is none yet or the previous one cannot be reused.
+ * Returns null while another prompt of the same conversation holds it.
+ */
+export function acquire(conversationId, agentId, spec, open) {
+  let entry = connections.get(conversationId);
+  if (entry?.busy) return null;
+  if (entry && !entry.conn.alive) {
+    log(`${entry.agentId} for ${conversationId} exited, restarting`);
+    drop(conversationId, 'exited');
+    entry = null;
+  } else if (entry && entry.spec !== spec) {
+    drop(conversationId, 'agent changed');
+    entry = null;
+  }
+  if (!entry) {
+    makeRoom();
+    entry = { conn: open(), agentId, spec, busy: false, lastUsed: Date.now(), idleTimer: null };
+    const conn = entry.conn;
+    conn.on('close', (code) => {
+      if (connections.get(conversationId)?.conn !== conn) return;
+      if (!connections.get(conversationId).busy) {
+        log(`${agentId} for ${conversationId} exited while idle (code ${code})`);
+        drop(conversationId, 'exited');
+      }
+    });
+    connections.set(conversationId, entry);
+  }
+  clearTimeout(entry.idleTimer);
+  entry.busy = true;
+  return entry.conn;
+}
+
+/** Hand a connection back after a prompt; `keep` false closes it instead. */
+export function release(conversationId, conn, keep = true) {
+  const entry = connections.get(conversationId);
+  if (!entry || entry.conn !== conn) {
+    if (conn.alive) conn.close();
+    return;
+  }
+  if (!keep || !conn.alive) {
+    drop(conversationId, keep ? 'exited' : 'discarded');
+    return;
+  }
+  entry.busy = false;
+  entry.lastUsed = Date.now();
+  entry.idleTimer = setTimeout(() => drop(conversationId, 'idle'), IDLE_TIMEOUT_MS);
+  entry.idleTimer.unref();
+}
+
+export function closeConversation(conversationId) {
+  drop(conversationId, 'conversation closed');
+}
+
+export function closeAll() {
+  for (const id of [...connections.keys()]) drop(id, 'shutdown');
+}
+
+export function getStatus() {
+  const now = Date.now();
+  return [...connections.entries()].map(([conversationId, e]) => ({
+    conversationId,
+    agentId: e.agentId,
+    pid: e.conn.pid || null,
+    remote: !!e.conn.remote,
+    sessionId: e.conn.sessionId,
+    busy: e.busy,
+    idleMs: e.busy ? 0 : now - e.lastUsed
+  }));
+}
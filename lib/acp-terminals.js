@@ -0,0 +1,161 @@
+import { spawn } from 'child_process';
+import { createRequire } from 'module';
+
+/**
+ * ACP terminal manager
+ * Backs terminal/create, terminal/output, terminal/wait_for_exit, terminal/kill and
+ * terminal/release for one agent run. Uses node-pty when available and falls back
+ * to plain pipes, mirroring the interactive terminal_start handler.
+ */
+
+const DEFAULT_OUTPUT_LIMIT = 1024 * 1024;
+
+let ptyModule;
+function loadPty() {
+  if (ptyModule === undefined) {
+    try { ptyModule = createRequire(import.meta.url)('node-pty'); } catch { ptyModule = null; }
+  }
+  return ptyModule;
+}
+
+function envArrayToObject(env) {
+  const out = {};
+  if (Array.isArray(env)) {
+    for (const e of env) if (e && typeof e.name === 'string') out[e.name] = String(e.value ?? '');
+  } else if (env && typeof env === 'object') {
+    Object.assign(out, env);
+  }
+  return out;
+}
+
+// Keep the tail of the output within limit bytes without splitting a UTF-8 sequence
+function truncateFront(buf, limit) {
+  if (buf.length <= limit) return buf;
+  let start = buf.length - limit;
+  while (start < buf.length && (buf[start] & 0xc0) === 0x80) start++;
+  return buf.subarray(start);
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.cwd - default working directory
+ * @param {object} [opts.baseEnv] - environment the agent itself was spawned with
+ * @param {function} [opts.onEvent] - receives { kind: 'started'|'output'|'exit', terminalId, ... }
+ */
+export function createTerminalManager({ cwd, baseEnv = process.env, onEvent = null }) {
+  const terminals = new Map();
+  let counter = 0;
+
+  const notify = (event) => {
+    if (!onEvent) return;
+    try { onEvent(event); } catch (e) {
+      console.error(`[acp-terminal] onEvent error: ${e.message}`);
+    }
+  };
+
+  const get = (terminalId) => {
+    const t = terminals.get(terminalId);
+    if (!t) {
+      const err = new Error(`Unknown terminal: ${terminalId}`);
+      err.rpcCode = -32002;
+      throw err;
+    }
+    return t;
+  };
+
+  function create({ command, args = [], env, cwd: termCwd, outputByteLimit }) {
+    if (typeof command !== 'string' || !command) {
+      const err = new Error('command is required');
+      err.rpcCode = -32602;
+      throw err;
+    }
+    const terminalId = `term-${Date.now()}-${++counter}`;
+    const limit = Number.isInteger(outputByteLimit) && outputByteLimit > 0 ? outputByteLimit : DEFAULT_OUTPUT_LIMIT;
+    const procEnv = { ...baseEnv, ...envArrayToObject(env), TERM: 'xterm-256color' };
+    delete procEnv.CLAUDECODE;
+    const workDir = termCwd || cwd;
+
+    const t = {
+      id: terminalId, command, args, output: Buffer.alloc(0), truncated: false, limit,
+      exitStatus: null, waiters: [], proc: null, isPty: false
+    };
+
+    const onData = (chunk) => {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      const combined = Buffer.concat([t.output, buf]);
+      if (combined.length > t.limit) t.truncated = true;
+      t.output = truncateFront(combined, t.limit);
+      notify({ kind: 'output', terminalId, data: buf.toString('base64') });
+    };
+    const onExit = (exitCode, signal) => {
+      if (t.exitStatus) return;
+      t.exitStatus = { exitCode: exitCode ?? null, signal: signal ?? null };
+      notify({ kind: 'exit', terminalId, ...t.exitStatus });
+      for (const resolve of t.waiters.splice(0)) resolve(t.exitStatus);
+    };
+
+    const pty = loadPty();
+    if (pty) {
+      try {
+        t.proc = pty.spawn(command, args, { name: 'xterm-256color', cols: 120, rows: 30, cwd: workDir, env: procEnv });
+        t.isPty = true;
+        t.proc.on('data', onData);
+        t.proc.on('exit', (code, sig) => onExit(code, typeof sig === 'number' && sig ? String(sig) : null));
+      } catch (e) {
+        console.error('[acp-terminal] PTY spawn failed, falling back to pipes:', e.message);
+        t.proc = null;
+      }
+    }
+    if (!t.proc) {
+      t.proc = spawn(command, args, { cwd: workDir, env: procEnv, stdio: ['ignore', 'pipe', 'pipe'], windowsHide: true });
+      t.proc.stdout.on('data', onData);
+      t.proc.stderr.on('data', onData);
+      t.proc.stdout.on('error', () => {});
+      t.proc.stderr.on('error', () => {});
+      t.proc.on('error', (e) => {
+        onData(Buffer.from(`${e.message}\n`));
+        onExit(127, null);
+      });
+      t.proc.on('close', (code, signal) => onExit(code, signal));
+    }
+
+    terminals.set(terminalId, t);
+    notify({ kind: 'started', terminalId, command, args, cwd: workDir });
+    return { terminalId };
+  }
+
+  function output(terminalId) {
+    const t = get(terminalId);
+    const result = { output: t.output.toString('utf-8'), truncated: t.truncated };
+    if (t.exitStatus) result.exitStatus = t.exitStatus;
+    return result;
+  }
+
+  function waitForExit(terminalId) {
+    const t = get(terminalId);
+    if (t.exitStatus) return Promise.resolve(t.exitStatus);
+    return new Promise((resolve) => t.waiters.push(resolve));
+  }
+
+  function kill(terminalId) {
+    const t = get(terminalId);
+    if (!t.exitStatus) {
+      try { t.proc.kill(t.isPty ? undefined : 'SIGTERM'); } catch {}
+    }
+    return {};
+  }
+
+  function release(terminalId) {
+    kill(terminalId);
+    terminals.delete(terminalId);
+    return {};
+  }
+
+  function releaseAll() {
+    for (const id of [...terminals.keys()]) {
+      try { release(id); } catch {}
+    }
+  }
+
+  return { create, output, waitForExit, kill, release, releaseAll };
+}
@@ -0,0 +1,165 @@
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import net from 'net';
+import WebSocket from 'ws';
+
+/**
+ * Transports carrying ACP's JSON-RPC messages between AgentGUI and an agent.
+ * Every transport is an EventEmitter with:
+ *   send(message)  queue one JSON-RPC message (sent once connected)
+ *   kill()         end the conversation with the agent
+ *   'message'      one parsed JSON-RPC message
+ *   'stderr'       diagnostic text (local processes only)
+ *   'close'        (code) the agent went away; code is null for remote agents
+ *   'error'        spawn or connection failure
+ * plus `pid` and `proc` for a local process and `remote` for a connection.
+ *
+ * stdio and TCP carry one message per line; over WebSocket each text frame
+ * holds one or more newline-separated messages.
+ */
+
+const CONNECT_TIMEOUT_MS = 15000;
+const CLOSE_GRACE_MS = 1000;
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+/**
+ * Parse an agent endpoint: ws://host:port/path, wss://... or tcp://host:port.
+ * Throws with code 400 if it is none of these.
+ */
+export function parseEndpoint(endpoint) {
+  let url;
+  try { url = new URL(endpoint); } catch { fail(400, `Invalid endpoint ${endpoint}`); }
+  if (url.protocol === 'ws:' || url.protocol === 'wss:') return { kind: 'websocket', url: url.href };
+  if (url.protocol === 'tcp:') {
+    if (!url.hostname || !url.port) fail(400, `TCP endpoint ${endpoint} needs a host and a port`);
+    return { kind: 'tcp', host: url.hostname.replace(/^\[|\]$/g, ''), port: Number(url.port) };
+  }
+  fail(400, `Endpoint ${endpoint} must start with ws://, wss:// or tcp://`);
+}
+
+/** The endpoint without credentials, for logs and error messages */
+export function describeEndpoint(endpoint) {
+  try {
+    const url = new URL(endpoint);
+    return `${url.protocol}//${url.host}${url.pathname === '/' ? '' : url.pathname}`;
+  } catch {
+    return 'invalid endpoint';
+  }
+}
+
+function lineParser(transport, label) {
+  let buffer = '';
+  const parse = (line) => {
+    if (!line.trim()) return;
+    let message;
+    try { message = JSON.parse(line); } catch {
+      console.error(`[${label}] JSON parse error:`, line.substring(0, 100));
+      return;
+    }
+    transport.emit('message', message);
+  };
+  return {
+    push(chunk) {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(parse);
+    },
+    // Whatever is left when the stream ends, if it forms a whole message
+    flush() {
+      const rest = buffer;
+      buffer = '';
+      if (!rest.trim()) return;
+      try { transport.emit('message', JSON.parse(rest)); } catch {}
+    }
+  };
+}
+
+/** A local agent process speaking ACP on its stdin and stdout */
+export function createStdioTransport(cmd, args, spawnOpts, label = cmd) {
+  const transport = new EventEmitter();
+  const proc = spawn(cmd, args, spawnOpts);
+  const parser = lineParser(transport, label);
+  transport.proc = proc;
+  transport.pid = proc.pid;
+  transport.remote = false;
+
+  proc.stdout.on('error', () => {});
+  proc.stderr.on('error', () => {});
+  proc.stdin.on('error', () => {});
+  proc.stdout.on('data', (chunk) => parser.push(chunk));
+  proc.stderr.on('data', (chunk) => transport.emit('stderr', chunk.toString()));
+  proc.on('close', (code) => {
+    parser.flush();
+    transport.emit('close', code);
+  });
+  proc.on('error', (err) => transport.emit('error', err));
+
+  transport.send = (message) => {
+    try { proc.stdin.write(JSON.stringify(message) + '\n'); } catch {}
+  };
+  transport.kill = () => {
+    try { proc.kill(); } catch {}
+  };
+  return transport;
+}
+
+function connectTcp(transport, { host, port }, label) {
+  const socket = net.connect({ host, port });
+  const parser = lineParser(transport, label);
+  socket.setTimeout(CONNECT_TIMEOUT_MS, () => socket.destroy(new Error(`Timed out connecting to ${host}:${port}`)));
+  socket.on('connect', () => socket.setTimeout(0));
+  socket.on('data', (chunk) => parser.push(chunk));
+  socket.on('error', (err) => transport.emit('error', err));
+  socket.on('close', () => {
+    parser.flush();
+    transport.emit('close', null);
+  });
+  // net buffers writes made before the connection is up
+  transport.send = (message) => {
+    if (!socket.destroyed) socket.write(JSON.stringify(message) + '\n');
+  };
+  // Ending gracefully lets a final message (such as session/cancel) go out first
+  transport.kill = () => {
+    socket.end();
+    setTimeout(() => socket.destroy(), CLOSE_GRACE_MS).unref();
+  };
+}
+
+function connectWebSocket(transport, { url }, label) {
+  const ws = new WebSocket(url, { handshakeTimeout: CONNECT_TIMEOUT_MS });
+  const parser = lineParser(transport, label);
+  const pending = [];
+  ws.on('open', () => {
+    for (const text of pending.splice(0)) ws.send(text);
+  });
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return;
+    parser.push(data.toString() + '\n');
+  });
+  ws.on('error', (err) => transport.emit('error', err));
+  ws.on('close', () => transport.emit('close', null));
+  transport.send = (message) => {
+    const text = JSON.stringify(message);
+    if (ws.readyState === WebSocket.OPEN) ws.send(text);
+    else if (ws.readyState === WebSocket.CONNECTING) pending.push(text);
+  };
+  transport.kill = () => {
+    try { ws.close(); } catch {}
+    setTimeout(() => { try { ws.terminate(); } catch {} }, CLOSE_GRACE_MS).unref();
+  };
+}
+
+/** An agent already running elsewhere, reached over WebSocket or TCP */
+export function createRemoteTransport(endpoint, label = 'acp') {
+  const target = parseEndpoint(endpoint);
+  const transport = new EventEmitter();
+  transport.proc = null;
+  transport.pid = null;
+  transport.remote = true;
+  transport.endpoint = describeEndpoint(endpoint);
+  if (target.kind === 'tcp') connectTcp(transport, target, label);
+  else connectWebSocket(transport, target, label);
+  return transport;
+}
@@ -1,7 +1,20 @@
 import { spawn, spawnSync } from 'child_process';
+import crypto from 'crypto';
+import { createStdioTransport, createRemoteTransport } from './acp-transport.js';
+import { ACPConnection } from './acp-connection.js';
+import * as acpPool from './acp-pool.js';
+import { createACPClientHandlers, handleClientRequest } from './acp-client-handlers.js';
+import { createTerminalManager } from './acp-terminals.js';
+import { toACPMcpServers, writeClaudeMcpConfigFile, removeClaudeMcpConfigFile } from './mcp-config.js';
 
 const isWindows = process.platform === 'win32';
 
+// How long a turn keeps listening after the agent answered the prompt; a
+// one-off process is killed afterwards, so it gets longer
+const ACP_DRAIN_MS = 1000;
+const ACP_POOLED_DRAIN_MS = 200;
+const ACP_CANCEL_GRACE_MS = 5000;
+
 function getSpawnOptions(cwd, additionalOptions = {}) {
   const options = { cwd, windowsHide: true, ...additionalOptions };
   if (isWindows) {
@@ -16,6 +29,28 @@ function getSpawnOptions(cwd, additionalOptions = {}) {
   return options;
 }
 
+// Set by the server: (agentId, { conversationId, cwd }) => { env, onSpawn } | null
+let spawnEnvProvider = null;
+
+/**
+ * Extra environment for local agent processes, such as secrets, computed at
+ * each spawn. `onSpawn` (optional) is called once a process was started with it.
+ */
+export function setSpawnEnvProvider(fn) {
+  spawnEnvProvider = fn;
+}
+
+// Set by the server: (requestPermission) => { mcpServer, tool, release }
+let permissionPromptProvider = null;
+
+/**
+ * How agents with the 'permission-prompt' feature (Claude Code) put their
+ * tool calls to config.onPermissionRequest; see permission-prompt.js.
+ */
+export function setPermissionPromptProvider(fn) {
+  permissionPromptProvider = fn;
+}
+
 function resolveCommand(command, npxPackage) {
   const whichCmd = isWindows ? 'where' : 'which';
   const check = spawnSync(whichCmd, [command], { encoding: 'utf-8', timeout: 3000 });
@@ -50,6 +85,8 @@ class AgentRunner {
     this.buildArgs = config.buildArgs || this.defaultBuildArgs;
     this.parseOutput = config.parseOutput || this.defaultParseOutput;
     this.supportsStdin = config.supportsStdin ?? true;
+    this.stdinPrompt = config.stdinPrompt ?? false; // write the prompt to stdin instead of passing it as an argument
+    this.endStdinAfterPrompt = config.endStdinAfterPrompt ?? false; // for CLIs that read the prompt until EOF
     this.closeStdin = config.closeStdin ?? false; // close stdin so process doesn't block waiting for input
     this.supportedFeatures = config.supportedFeatures || [];
     this.protocolHandler = config.protocolHandler || null;
@@ -58,6 +95,25 @@ class AgentRunner {
     this.adapterArgs = config.adapterArgs || [];
     this.npxPackage = config.npxPackage || null;
     this.spawnEnv = config.spawnEnv || {};
+    this.endpoint = config.endpoint || null; // ws://, wss:// or tcp:// URL of an ACP agent running elsewhere
+  }
+
+  // Spawn options for a local process: the server's env, then what the spawn
+  // env provider adds, then the agent's own spawnEnv (undefined unsets)
+  agentSpawnOptions(cwd, config = {}) {
+    const spawnOpts = getSpawnOptions(cwd);
+    let provided = null;
+    if (spawnEnvProvider) {
+      try { provided = spawnEnvProvider(this.id, { conversationId: config.conversationId || null, cwd }); } catch (e) {
+        console.error(`[${this.id}] spawn env provider failed: ${e.message}`);
+      }
+    }
+    const extra = { ...(provided?.env || {}), ...this.spawnEnv };
+    spawnOpts.env = { ...spawnOpts.env, ...extra };
+    for (const [k, v] of Object.entries(extra)) {
+      if (v === undefined) delete spawnOpts.env[k];
+    }
+    return { spawnOpts, extraEnv: extra, onSpawn: provided?.onSpawn || null };
   }
 
   defaultBuildArgs(prompt, config) {
@@ -88,21 +144,26 @@ class AgentRunner {
         onRateLimit = null
       } = config;
 
-      const args = this.buildArgs(prompt, config);
-      const spawnOpts = getSpawnOptions(cwd);
-      if (Object.keys(this.spawnEnv).length > 0) {
-        spawnOpts.env = { ...spawnOpts.env, ...this.spawnEnv };
-        for (const [k, v] of Object.entries(this.spawnEnv)) {
-          if (v === undefined) delete spawnOpts.env[k];
-        }
-      }
+      // Files buildArgs wrote for this run, removed once it ends
+      const tempFiles = [];
+      const permissionPrompt = config.onPermissionRequest && permissionPromptProvider && this.supportedFeatures.includes('permission-prompt')
+        ? permissionPromptProvider(config.onPermissionRequest)
+        : null;
+      const finish = () => {
+        tempFiles.forEach(removeClaudeMcpConfigFile);
+        permissionPrompt?.release();
+      };
+      const args = this.buildArgs(prompt, { ...config, cwd, tempFiles, permissionPrompt });
+      const { spawnOpts, onSpawn } = this.agentSpawnOptions(cwd, config);
       // Tell hooks the actual project dir (used by mcp-thorns/codebasesearch)
       if (cwd) spawnOpts.env.CLAUDE_PROJECT_DIR = cwd;
       if (this.closeStdin) {
         spawnOpts.stdio = ['ignore', 'pipe', 'pipe'];
       }
-      const proc = spawn(this.command, args, spawnOpts);
+      const resolved = this.npxPackage ? resolveCommand(this.command, this.npxPackage) : { cmd: this.command, prefixArgs: [] };
+      const proc = spawn(resolved.cmd, [...resolved.prefixArgs, ...args], spawnOpts);
       console.log(`[${this.id}] Spawned PID ${proc.pid} closeStdin=${this.closeStdin}`);
+      if (onSpawn && proc.pid) onSpawn();
 
       if (config.onPid) {
         try { config.onPid(proc.pid); } catch (e) {}
@@ -130,8 +191,10 @@ class AgentRunner {
 
       // Write prompt to stdin only for agents that use stdin protocol (not positional args)
       if (this.supportsStdin && this.stdinPrompt) {
+        proc.stdin.on('error', () => {});
         proc.stdin.write(typeof prompt === 'string' ? prompt : String(prompt));
         // Don't call stdin.end() - agents need open stdin for steering
+        if (this.endStdinAfterPrompt) proc.stdin.end();
       }
 
       proc.stdout.on('error', () => {});
@@ -211,6 +274,7 @@ class AgentRunner {
 
       proc.on('close', (code) => {
         clearTimeout(timeoutHandle);
+        finish();
         // Close stdin when process exits - it was kept open for steering during execution
         if (proc.stdin && !proc.stdin.destroyed) {
           try { proc.stdin.end(); } catch (e) {}
@@ -257,6 +321,7 @@ class AgentRunner {
 
       proc.on('error', (err) => {
         clearTimeout(timeoutHandle);
+        finish();
         reject(err);
       });
     });
@@ -287,6 +352,63 @@ class AgentRunner {
   }
 
   async _runACPOnce(prompt, cwd, config = {}) {
+    // Remote agents get nothing from the spawn env provider: no secrets leave the machine
+    const { spawnOpts, extraEnv, onSpawn } = this.endpoint
+      ? { spawnOpts: getSpawnOptions(cwd), extraEnv: {}, onSpawn: null }
+      : this.agentSpawnOptions(cwd, config);
+
+    let cmd = null, args = [];
+    if (this.endpoint) {
+      // nothing to start
+    } else if (this.requiresAdapter && this.adapterCommand) {
+      cmd = this.adapterCommand;
+      args = [...this.adapterArgs];
+    } else {
+      const resolved = resolveCommand(this.command, this.npxPackage);
+      cmd = resolved.cmd;
+      args = [...resolved.prefixArgs, ...this.buildArgs(prompt, { ...config, cwd })];
+    }
+    const open = () => {
+      const transport = this.endpoint
+        ? createRemoteTransport(this.endpoint, this.id)
+        : createStdioTransport(cmd, args, spawnOpts, this.id);
+      if (onSpawn && transport.pid) onSpawn();
+      const conn = new ACPConnection(transport, { label: this.id });
+      conn.on('stderr', (text) => console.error(`[${this.id}] stderr:`, text));
+      return conn;
+    };
+
+    // Prompts of one conversation share a connection and, where possible, a
+    // session. A changed env (say, a rotated key) starts a new process.
+    const envHash = crypto.createHash('sha256').update(JSON.stringify(extraEnv)).digest('hex');
+    const spec = JSON.stringify({ agent: this.id, cmd, args, cwd, endpoint: this.endpoint, envHash });
+    let conn = config.conversationId && acpPool.poolingEnabled() ? acpPool.acquire(config.conversationId, this.id, spec, open) : null;
+    const pooled = !!conn;
+    if (!conn) conn = open();
+
+    // Pooled processes too, so the health check can spot a stuck turn
+    if (config.onPid && conn.pid) {
+      try { config.onPid(conn.pid); } catch (e) {}
+    }
+
+    let keep = true;
+    try {
+      return await this._runACPTurn(conn, prompt, cwd, config, spawnOpts, {
+        drainMs: pooled ? ACP_POOLED_DRAIN_MS : ACP_DRAIN_MS,
+        // A one-off local process can simply be killed; pooled and remote
+        // agents are asked to cancel the prompt instead
+        handle: pooled ? null : conn.transport.proc
+      });
+    } catch (err) {
+      if (err.connectionSpoiled) keep = false;
+      throw err;
+    } finally {
+      if (pooled) acpPool.release(config.conversationId, conn, keep);
+      else conn.close();
+    }
+  }
+
+  _runACPTurn(conn, prompt, cwd, config, spawnOpts, { drainMs, handle }) {
     return new Promise((resolve, reject) => {
       const {
         timeout = 300000,
@@ -294,259 +416,184 @@ class AgentRunner {
         onError = null
       } = config;
 
-      let cmd, args;
-      if (this.requiresAdapter && this.adapterCommand) {
-        cmd = this.adapterCommand;
-        args = [...this.adapterArgs];
-      } else {
-        const resolved = resolveCommand(this.command, this.npxPackage);
-        cmd = resolved.cmd;
-        args = [...resolved.prefixArgs, ...this.buildArgs(prompt, config)];
-      }
-
-      const spawnOpts = getSpawnOptions(cwd);
-      if (Object.keys(this.spawnEnv).length > 0) {
-        spawnOpts.env = { ...spawnOpts.env, ...this.spawnEnv };
-      }
-      const proc = spawn(cmd, args, spawnOpts);
-
-      if (config.onPid) {
-        try { config.onPid(proc.pid); } catch (e) {}
-      }
-
-      if (config.onProcess) {
-        try { config.onProcess(proc); } catch (e) {}
-      }
-
       const outputs = [];
-      let timedOut = false;
       let sessionId = null;
-      let requestId = 0;
-      let initialized = false;
-      let stderrText = '';
-
-      const timeoutHandle = setTimeout(() => {
-        timedOut = true;
-        proc.kill();
-        reject(new Error(`${this.name} ACP timeout after ${timeout}ms`));
-      }, timeout);
+      let finished = false;
+      let replaying = false;
 
-      const handleMessage = (message) => {
-        const normalized = this.protocolHandler(message, { sessionId, initialized });
-        if (!normalized) {
-          if (message.id === 1 && message.result) {
-            initialized = true;
-          }
-          return;
+      const emit = (event) => {
+        outputs.push(event);
+        if (event.session_id) {
+          sessionId = event.session_id;
         }
-
-        outputs.push(normalized);
-
-        if (normalized.session_id) {
-          sessionId = normalized.session_id;
-        }
-
         if (onEvent) {
-          try { onEvent(normalized); } catch (e) {
+          try { onEvent(event); } catch (e) {
             console.error(`[${this.id}] onEvent error: ${e.message}`);
           }
         }
       };
 
-      proc.stdout.on('error', () => {});
-      proc.stderr.on('error', () => {});
-      let buffer = '';
-      proc.stdout.on('data', (chunk) => {
-        if (timedOut) return;
-
-        buffer += chunk.toString();
-        const lines = buffer.split('\n');
-        buffer = lines.pop();
-
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const message = JSON.parse(line);
-              handleMessage(message);
-            } catch (e) {
-              console.error(`[${this.id}] JSON parse error:`, line.substring(0, 100));
-            }
+      const terminals = createTerminalManager({
+        cwd,
+        baseEnv: spawnOpts.env,
+        onEvent: (event) => {
+          if (config.onTerminalEvent) {
+            try { config.onTerminalEvent(event); } catch (e) {}
           }
         }
       });
 
-      proc.stderr.on('data', (chunk) => {
-        const errorText = chunk.toString();
-        stderrText += errorText;
-        console.error(`[${this.id}] stderr:`, errorText);
-        if (onError) {
-          try { onError(errorText); } catch (e) {}
-        }
+      const clientHandlers = createACPClientHandlers({
+        cwd,
+        terminals,
+        requestPermission: config.onPermissionRequest || null,
+        emit,
+        getSessionId: () => sessionId
       });
 
-      const initRequest = {
-        jsonrpc: '2.0',
-        id: ++requestId,
-        method: 'initialize',
-        params: {
-          protocolVersion: 1,
-          clientCapabilities: {
-            fs: { readTextFile: true, writeTextFile: true },
-            terminal: true
-          },
-          clientInfo: {
-            name: 'agentgui',
-            title: 'AgentGUI',
-            version: '1.0.0'
-          }
+      const onStderr = (text) => {
+        if (onError) {
+          try { onError(text); } catch (e) {}
         }
       };
-      proc.stdin.on('error', () => {});
-      proc.stdin.write(JSON.stringify(initRequest) + '\n');
-
-      let sessionCreated = false;
-
-      const checkInitAndSend = () => {
-        if (initialized && !sessionCreated) {
-          sessionCreated = true;
 
-          const sessionParams = {
-            cwd: cwd,
-            mcpServers: []
-          };
-          if (config.model) sessionParams.model = config.model;
-          if (config.subAgent) sessionParams.agent = config.subAgent;
-          if (config.systemPrompt) sessionParams.systemPrompt = config.systemPrompt;
-          const sessionRequest = {
-            jsonrpc: '2.0',
-            id: ++requestId,
-            method: 'session/new',
-            params: sessionParams
-          };
-          proc.stdin.write(JSON.stringify(sessionRequest) + '\n');
-        } else if (!initialized) {
-          setTimeout(checkInitAndSend, 100);
-        }
+      const finish = (err, value) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timeoutHandle);
+        conn.onNotification = null;
+        conn.onRequest = null;
+        conn.off('stderr', onStderr);
+        conn.off('close', onClose);
+        terminals.releaseAll();
+        if (err) reject(err);
+        else resolve(value);
       };
 
-      let promptId = null;
-      let completed = false;
-
-      const originalHandler = handleMessage;
-      const enhancedHandler = (message) => {
-        if (message.id && message.result && message.result.sessionId) {
-          sessionId = message.result.sessionId;
-
-          promptId = ++requestId;
-          const promptRequest = {
-            jsonrpc: '2.0',
-            id: promptId,
-            method: 'session/prompt',
-            params: {
-              sessionId: sessionId,
-              prompt: [{ type: 'text', text: prompt }]
-            }
-          };
-          proc.stdin.write(JSON.stringify(promptRequest) + '\n');
-          return;
-        }
-
-        if (message.id === promptId && message.result && message.result.stopReason) {
-          completed = true;
-          draining = true;
-          clearTimeout(timeoutHandle);
-          // Wait a short time for any remaining events to be flushed before killing
-          setTimeout(() => {
-            draining = false;
-            try { proc.kill(); } catch (e) {}
-            resolve({ outputs, sessionId });
-          }, 1000);
-          return;
-        }
-
-        if (message.id === promptId && message.error) {
-          completed = true;
-          draining = true;
-          clearTimeout(timeoutHandle);
-          // Process the error message first, then delay for remaining events
-          originalHandler(message);
-          setTimeout(() => {
-            draining = false;
-            try { proc.kill(); } catch (e) {}
-            reject(new Error(message.error.message || 'ACP prompt error'));
-          }, 1000);
-          return;
-        }
-
-        originalHandler(message);
+      const fail = (err) => {
+        if (!err.message.startsWith(this.name)) err.message = `${this.name} ${err.message}`;
+        finish(err);
       };
 
-      buffer = '';
-      proc.stdout.removeAllListeners('data');
-      let draining = false;
-      proc.stdout.on('data', (chunk) => {
-        if (timedOut) return;
-        // Continue processing during drain period after stopReason/error
-        if (completed && !draining) return;
-
-        buffer += chunk.toString();
-        const lines = buffer.split('\n');
-        buffer = lines.pop();
-
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const message = JSON.parse(line);
+      // The agent went away mid-turn; what it produced so far still counts
+      const onClose = (code, err) => {
+        if (code === 0 || outputs.length > 0) finish(null, { outputs, sessionId });
+        else fail(err);
+      };
 
-              if (message.id === 1 && message.result) {
-                initialized = true;
-              }
+      // usage_update carries the session's running cost, which spans every
+      // turn of a reused session; events report only this turn's share
+      let costBase = 0;
+      const turnUsage = (event) => {
+        const cost = event.usage.cost;
+        if (typeof cost?.amount !== 'number') return event;
+        conn.sessionCost = { sessionId, amount: cost.amount };
+        return { ...event, usage: { ...event.usage, cost: { ...cost, amount: Math.max(0, cost.amount - costBase) } } };
+      };
 
-              enhancedHandler(message);
-            } catch (e) {
-              console.error(`[${this.id}] JSON parse error:`, line.substring(0, 100));
-            }
-          }
-        }
-      });
+      // Agent-to-client requests (fs/*, terminal/*, permissions) are answered
+      // by the client handlers; session/update notifications become events
+      conn.onRequest = (message) => handleClientRequest(clientHandlers, message);
+      conn.onNotification = (message) => {
+        if (replaying) return;
+        const normalized = this.protocolHandler(message, { sessionId, initialized: true });
+        if (normalized) emit(normalized.type === 'usage' ? turnUsage(normalized) : normalized);
+      };
+      conn.on('stderr', onStderr);
+      conn.on('close', onClose);
 
-      setTimeout(checkInitAndSend, 200);
+      const timeoutHandle = setTimeout(() => {
+        const err = new Error(`${this.name} ACP timeout after ${timeout}ms`);
+        err.connectionSpoiled = true;
+        finish(err);
+      }, timeout);
 
-      proc.on('close', (code) => {
-        clearTimeout(timeoutHandle);
-        if (timedOut || completed) return;
-
-        // Flush any remaining buffer content
-        if (buffer.trim()) {
-          try {
-            const message = JSON.parse(buffer.trim());
-            if (message.id === 1 && message.result) {
-              initialized = true;
-            }
-            enhancedHandler(message);
-          } catch (e) {
-            // Buffer might be incomplete, ignore parse errors on close
+      if (config.onProcess) {
+        const cancel = {
+          kill: () => {
+            if (finished) return;
+            if (sessionId) conn.notify('session/cancel', { sessionId });
+            // An agent that ignores the cancel loses its connection
+            setTimeout(() => {
+              if (finished) return;
+              const err = new Error(`${this.name} ACP prompt cancelled`);
+              err.connectionSpoiled = true;
+              finish(err);
+            }, ACP_CANCEL_GRACE_MS).unref();
           }
-        }
+        };
+        try { config.onProcess(handle || cancel); } catch (e) {}
+      }
 
-        if (code === 0 || outputs.length > 0) {
-          resolve({ outputs, sessionId });
-        } else {
-          const detail = stderrText ? `: ${stderrText.substring(0, 200)}` : '';
-          const err = new Error(`${this.name} ACP exited with code ${code}${detail}`);
-          err.isPrematureEnd = true;
-          err.exitCode = code;
-          err.stderrText = stderrText;
-          reject(err);
+      (async () => {
+        await conn.initialize();
+        if (finished) return;
+        sessionId = await this._openACPSession(conn, cwd, config, (on) => { replaying = on; });
+        if (finished) return;
+        if (conn.sessionCost?.sessionId === sessionId) costBase = conn.sessionCost.amount;
+        try {
+          const result = await conn.request('session/prompt', {
+            sessionId,
+            prompt: [{ type: 'text', text: prompt }]
+          });
+          // The reply holds the stop reason and, from agents that report it, the turn's token usage
+          const normalized = this.protocolHandler({ jsonrpc: '2.0', id: 'session/prompt', result }, { sessionId, initialized: true });
+          if (normalized) emit(normalized);
+          // Give notifications sent right after the reply a moment to arrive
+          setTimeout(() => finish(null, { outputs, sessionId }), drainMs);
+        } catch (err) {
+          if (!err.rpcMessage) throw err;
+          const normalized = this.protocolHandler(err.rpcMessage, { sessionId, initialized: true });
+          if (normalized) emit(normalized);
+          setTimeout(() => finish(new Error(err.message || 'ACP prompt error')), drainMs);
         }
-      });
-
-      proc.on('error', (err) => {
-        clearTimeout(timeoutHandle);
-        reject(err);
+      })().catch((err) => {
+        // Failing to initialize or open a session leaves the connection unusable
+        err.connectionSpoiled = true;
+        fail(err);
       });
     });
   }
+
+  /**
+   * The session for this prompt: the connection's current one when it is the
+   * session being resumed with unchanged settings, otherwise the resumed
+   * session loaded with session/load if the agent supports it, otherwise a
+   * new one. History the agent replays while loading is not shown again.
+   */
+  async _openACPSession(conn, cwd, config, setReplaying) {
+    const sessionParams = {
+      cwd: cwd,
+      mcpServers: toACPMcpServers(config.mcpServers || [])
+    };
+    if (config.model) sessionParams.model = config.model;
+    if (config.subAgent) sessionParams.agent = config.subAgent;
+    if (config.systemPrompt) sessionParams.systemPrompt = config.systemPrompt;
+    const key = JSON.stringify(sessionParams);
+    const resumeId = config.resumeSessionId || null;
+
+    if (resumeId && conn.sessionId === resumeId && conn.sessionKey === key) return resumeId;
+    if (resumeId && conn.capabilities.loadSession) {
+      const { systemPrompt, ...loadParams } = sessionParams;
+      setReplaying(true);
+      try {
+        await conn.request('session/load', { ...loadParams, sessionId: resumeId });
+        conn.sessionId = resumeId;
+        conn.sessionKey = key;
+        return resumeId;
+      } catch (err) {
+        if (!conn.alive) throw err;
+        console.error(`[${this.id}] session/load ${resumeId} failed, starting a new session: ${err.message}`);
+      } finally {
+        setReplaying(false);
+      }
+    }
+    const result = await conn.request('session/new', sessionParams);
+    conn.sessionId = result?.sessionId || null;
+    conn.sessionKey = key;
+    if (!conn.sessionId) throw new Error('ACP session/new returned no sessionId');
+    return conn.sessionId;
+  }
 }
 
 /**
@@ -563,6 +610,10 @@ class AgentRegistry {
     return runner;
   }
 
+  unregister(agentId) {
+    return this.agents.delete(agentId);
+  }
+
   get(agentId) {
     return this.agents.get(agentId);
   }
@@ -625,7 +676,7 @@ registry.register({
   supportsStdin: false, // stdin must be closed — claude blocks when stdin is an open socket (non-TTY)
   closeStdin: true, // close stdin on spawn so claude uses positional arg prompt immediately
   useJsonRpcStdin: false,
-  supportedFeatures: ['streaming', 'resume', 'system-prompt', 'permissions-skip', 'steering'],
+  supportedFeatures: ['streaming', 'resume', 'system-prompt', 'permission-prompt', 'steering', 'no-tools'],
   spawnEnv: { MAX_THINKING_TOKENS: '0', AGENTGUI_SUBPROCESS: '1' },
 
   buildArgs(prompt, config) {
@@ -635,7 +686,10 @@ registry.register({
       print = true,
       resumeSessionId = null,
       systemPrompt = null,
-      model = null
+      model = null,
+      mcpServers = [],
+      tools = true,
+      permissionPrompt = null
     } = config;
 
     const flags = [];
@@ -645,7 +699,16 @@ registry.register({
     if (model) flags.push('--model', model);
     if (resumeSessionId) flags.push('--resume', resumeSessionId);
     if (systemPrompt) flags.push('--append-system-prompt', systemPrompt);
-    flags.push('--dangerously-skip-permissions');
+    // Tool calls are approved in AgentGUI; without a way to ask, Claude Code
+    // denies those that need approval
+    const servers = permissionPrompt && tools !== false ? [...mcpServers, permissionPrompt.mcpServer] : mcpServers;
+    if (servers.length > 0) {
+      const mcpConfig = writeClaudeMcpConfigFile(servers);
+      config.tempFiles?.push(mcpConfig);
+      flags.push('--mcp-config', mcpConfig);
+    }
+    if (tools === false) flags.push('--tools', '');
+    else if (permissionPrompt) flags.push('--permission-prompt-tool', permissionPrompt.tool);
     flags.push(typeof prompt === 'string' ? prompt : String(prompt)); // positional arg - stdin stays open separately for steering
 
     return flags;
@@ -1198,6 +1261,95 @@ registry.register({
   }
 });
 
+/**
+ * Agents declared in agents.json (see lib/custom-agents.js)
+ * Arguments may contain {prompt}, {model}, {cwd} and {sessionId}; an argument
+ * whose placeholder has no value is left out. A direct agent without {prompt}
+ * in its arguments reads the prompt from stdin until EOF.
+ */
+const customAgentIds = new Set();
+const endpointOverrides = new Set();
+
+function expandArgs(args, values) {
+  const out = [];
+  for (const arg of args) {
+    let missing = false;
+    const expanded = arg.replace(/\{(prompt|model|cwd|sessionId)\}/g, (_, key) => {
+      const value = values[key];
+      if (value === undefined || value === null || value === '') missing = true;
+      return value ?? '';
+    });
+    if (!missing) out.push(expanded);
+  }
+  return out;
+}
+
+// 'text' output becomes one assistant text block per line
+function parseTextLine(line) {
+  return { type: 'assistant', message: { role: 'assistant', content: [{ type: 'text', text: line }] } };
+}
+
+function customRunnerConfig(def) {
+  const argValues = (prompt, config) => ({ prompt, model: config?.model, cwd: config?.cwd, sessionId: config?.resumeSessionId });
+  const base = {
+    id: def.id,
+    name: def.name,
+    command: def.command,
+    protocol: def.protocol,
+    npxPackage: def.npxPackage || null,
+    endpoint: def.endpoint || null,
+    supportedFeatures: def.supportedFeatures,
+    spawnEnv: def.env
+  };
+  if (def.protocol === 'acp') {
+    return { ...base, supportsStdin: false, buildArgs: (prompt, config) => expandArgs(def.args, argValues(null, config)), protocolHandler: acpProtocolHandler };
+  }
+  const promptInArgs = def.args.some(a => a.includes('{prompt}'));
+  return {
+    ...base,
+    supportsStdin: !promptInArgs,
+    stdinPrompt: !promptInArgs,
+    endStdinAfterPrompt: !promptInArgs,
+    closeStdin: promptInArgs,
+    buildArgs: (prompt, config) => expandArgs(def.args, argValues(prompt, config)),
+    parseOutput: def.parse === 'text' ? parseTextLine : (line) => { try { return JSON.parse(line); } catch { return null; } }
+  };
+}
+
+/**
+ * Replace the agents registered from agents.json with `defs` (already
+ * validated), including endpoint-only entries for built-in agents. Returns
+ * { id, error } for each entry that could not be applied.
+ */
+export function setCustomAgents(defs) {
+  for (const id of customAgentIds) registry.unregister(id);
+  customAgentIds.clear();
+  for (const id of endpointOverrides) {
+    const agent = registry.get(id);
+    if (agent) agent.endpoint = null;
+  }
+  endpointOverrides.clear();
+  const problems = [];
+  for (const def of defs) {
+    if (!def.name) {
+      const agent = registry.get(def.id);
+      if (!agent || agent.protocol !== 'acp') { problems.push({ id: def.id, error: `${def.id} is not a built-in ACP agent` }); continue; }
+      agent.endpoint = def.endpoint;
+      endpointOverrides.add(def.id);
+      continue;
+    }
+    if (registry.has(def.id)) { problems.push({ id: def.id, error: `${def.id} is a built-in agent and cannot be redefined` }); continue; }
+    registry.register(customRunnerConfig(def));
+    customAgentIds.add(def.id);
+  }
+  return problems;
+}
+
+/** Whether an id belongs to an agent built into AgentGUI (optionally: speaking `protocol`), which agents.json cannot replace */
+export function isBuiltinAgent(agentId, protocol = null) {
+  return registry.has(agentId) && !customAgentIds.has(agentId) && (!protocol || registry.get(agentId).protocol === protocol);
+}
+
 /**
  * Main export function - runs any registered agent
  */
@@ -1208,6 +1360,10 @@ export async function runClaudeWithStreaming(prompt, cwd, agentId = 'claude-code
   if (!agent) {
     throw new Error(`Unknown agent: ${agentId}. Registered agents: ${registry.list().map(a => a.id).join(', ')}`);
   }
+  // tools: false is a safety guarantee, so never run an agent that cannot honour it
+  if (config.tools === false && !agent.supportedFeatures.includes('no-tools')) {
+    throw new Error(`${agent.name} cannot run with its tools switched off`);
+  }
 
   const enhancedConfig = { ...config };
   if (!enhancedConfig.systemPrompt) {
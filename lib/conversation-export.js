@@ -0,0 +1,368 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+/**
+ * Conversation export
+ * Renders a conversation's messages and streamed chunks as Markdown, a portable
+ * JSON archive (the format the importer reads back), or a single HTML file with
+ * its stylesheet and syntax highlighting inlined so it opens offline.
+ */
+
+export const EXPORT_FORMATS = ['md', 'json', 'html'];
+export const ARCHIVE_FORMAT = 'agentgui-conversation';
+export const ARCHIVE_VERSION = 1;
+
+const VENDOR_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'static', 'vendor');
+
+// Blocks the chat view does not show as content (bookkeeping, or repeats of the final text)
+const HIDDEN_BLOCKS = new Set(['system', 'usage', 'result', 'tool_status', 'premature', 'permission_request', 'permission_result']);
+
+const CONVERSATION_FIELDS = ['id', 'title', 'agentType', 'agentId', 'model', 'subAgent', 'workingDirectory', 'created_at', 'updated_at'];
+
+/** Returns an error message, or null when the archive can be imported. */
+export function validateConversationArchive(archive) {
+  if (!archive || typeof archive !== 'object' || archive.format !== ARCHIVE_FORMAT) return `Not an ${ARCHIVE_FORMAT} archive`;
+  if (typeof archive.version !== 'number' || archive.version > ARCHIVE_VERSION) return `Unsupported archive version: ${archive.version}`;
+  if (!archive.conversation || typeof archive.conversation !== 'object') return 'conversation is required';
+  if (!Array.isArray(archive.messages)) return 'messages must be an array';
+  if (archive.messages.some(m => !m || typeof m.role !== 'string')) return 'every message needs a role';
+  if (archive.sessions !== undefined && !Array.isArray(archive.sessions)) return 'sessions must be an array';
+  for (const s of archive.sessions || []) {
+    if (!s || !Array.isArray(s.chunks)) return 'every session needs a chunks array';
+    if (s.chunks.some(c => !c || typeof c.type !== 'string')) return 'every chunk needs a type';
+  }
+  return null;
+}
+
+let hljs;
+function getHighlighter() {
+  if (hljs === undefined) {
+    try {
+      // The browser bundle assigns a global; evaluate it in its own context
+      const src = fs.readFileSync(path.join(VENDOR_DIR, 'highlight.min.js'), 'utf-8');
+      hljs = vm.runInNewContext(`${src};hljs`, {});
+    } catch (e) {
+      console.error('[export] highlight.js unavailable:', e.message);
+      hljs = null;
+    }
+  }
+  return hljs;
+}
+
+function readVendorCss(name) {
+  try { return fs.readFileSync(path.join(VENDOR_DIR, name), 'utf-8'); } catch { return ''; }
+}
+
+function fetchAllMessages(queries, conversationId) {
+  const out = [];
+  for (let offset = 0; ; offset += 500) {
+    const page = queries.getPaginatedMessages(conversationId, 500, offset);
+    out.push(...page.messages);
+    if (!page.hasMore) return out;
+  }
+}
+
+/** Everything an export needs, read once. Returns null for an unknown conversation. */
+export function loadConversationArchive(queries, conversationId) {
+  const conv = queries.getConversation(conversationId);
+  if (!conv) return null;
+  const conversation = {};
+  for (const key of CONVERSATION_FIELDS) if (conv[key] !== undefined) conversation[key] = conv[key];
+
+  const chunks = queries.getConversationChunks(conversationId);
+  const chunksBySession = new Map();
+  for (const c of chunks) {
+    if (!chunksBySession.has(c.sessionId)) chunksBySession.set(c.sessionId, []);
+    chunksBySession.get(c.sessionId).push({ sequence: c.sequence, type: c.type, data: c.data, created_at: c.created_at });
+  }
+  const sessions = queries.getConversationSessions(conversationId)
+    .sort((a, b) => a.started_at - b.started_at)
+    .map(s => ({
+      id: s.id,
+      status: s.status,
+      started_at: s.started_at,
+      completed_at: s.completed_at,
+      error: s.error || null,
+      chunks: (chunksBySession.get(s.id) || []).sort((a, b) => a.sequence - b.sequence)
+    }));
+
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation,
+    messages: fetchAllMessages(queries, conversationId).map(m => ({ id: m.id, role: m.role, content: m.content, created_at: m.created_at })),
+    sessions
+  };
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => typeof part === 'string' ? part : part?.type === 'text' ? part.text : part?.type === 'image' ? '[image]' : '').filter(Boolean).join('\n\n');
+  }
+  if (content && typeof content.text === 'string') return content.text;
+  return content == null ? '' : JSON.stringify(content, null, 2);
+}
+
+function stringify(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value) && value.every(p => p?.type === 'text')) return value.map(p => p.text).join('\n');
+  return JSON.stringify(value, null, 2);
+}
+
+/**
+ * The conversation as an ordered list of user turns and agent turns. Agent turns
+ * come from the session chunks, with each tool result folded under the tool call
+ * it answers, the same grouping the chat view uses. Conversations that have no
+ * chunks (imported from another tool) fall back to the stored assistant messages.
+ */
+function buildTimeline(archive) {
+  const hasChunks = archive.sessions.some(s => s.chunks.length);
+  const items = [];
+  for (const m of archive.messages) {
+    if (m.role === 'user' || !hasChunks) items.push({ role: m.role, at: m.created_at, text: messageText(m.content) });
+  }
+  for (const s of archive.sessions) {
+    if (!s.chunks.length) continue;
+    const blocks = [];
+    const toolUses = new Map();
+    for (const chunk of s.chunks) {
+      const block = chunk.data;
+      if (!block || typeof block !== 'object' || HIDDEN_BLOCKS.has(block.type)) continue;
+      if (block.type === 'tool_result') {
+        const owner = (block.tool_use_id && toolUses.get(block.tool_use_id)) ||
+          (blocks[blocks.length - 1]?.block.type === 'tool_use' ? blocks[blocks.length - 1] : null);
+        if (owner) { owner.results.push(block); continue; }
+      }
+      const entry = { block, results: [] };
+      if (block.type === 'tool_use' && block.id) toolUses.set(block.id, entry);
+      blocks.push(entry);
+    }
+    if (blocks.length) items.push({ role: 'assistant', at: s.chunks[0].created_at, blocks, error: s.error });
+  }
+  return items.sort((a, b) => a.at - b.at);
+}
+
+function toolTitle(input) {
+  if (!input || typeof input !== 'object') return '';
+  const v = input.file_path || input.path || input.command || input.pattern || input.url || input.query || input.description || '';
+  return typeof v === 'string' ? v.split('\n')[0].slice(0, 120) : '';
+}
+
+function planMark(status) {
+  return status === 'completed' ? '[x]' : status === 'in_progress' ? '[~]' : '[ ]';
+}
+
+function formatTime(ts) {
+  return ts ? new Date(ts).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '';
+}
+
+function header(conv) {
+  return [
+    conv.agentType || conv.agentId ? `Agent: ${conv.agentType || conv.agentId}${conv.model ? ` (${conv.model})` : ''}` : null,
+    conv.workingDirectory ? `Directory: ${conv.workingDirectory}` : null,
+    conv.created_at ? `Started: ${formatTime(conv.created_at)}` : null
+  ].filter(Boolean);
+}
+
+// ---- Markdown ----
+
+function fence(text, lang = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(r => r.length));
+  const ticks = '`'.repeat(longest + 1);
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+function blockToMarkdown({ block, results }) {
+  switch (block.type) {
+    case 'text':
+      return block.text || '';
+    case 'thinking':
+      return `<details><summary>Thinking</summary>\n\n${block.thinking || block.text || ''}\n\n</details>`;
+    case 'code':
+      return fence(block.code || '', block.language || '');
+    case 'bash':
+      return fence(`$ ${block.command || block.code || ''}${block.output ? `\n${block.output}` : ''}`, 'console');
+    case 'image':
+      return '_[image]_';
+    case 'error':
+      return `> **Error:** ${block.message || block.error || stringify(block)}`;
+    case 'plan':
+      return '**Plan**\n\n' + (block.entries || []).map(e => `- ${planMark(e.status)} ${e.content || ''}`).join('\n');
+    case 'tool_use': {
+      const title = toolTitle(block.input);
+      let md = `**Tool: ${block.name || 'unknown'}**${title ? ` \`${title.replace(/`/g, "'")}\`` : ''}`;
+      if (block.input && Object.keys(block.input).length) md += '\n\n' + fence(JSON.stringify(block.input, null, 2), 'json');
+      for (const r of results) {
+        md += `\n\n<details><summary>${r.is_error ? 'Error' : 'Result'}</summary>\n\n${fence(stringify(r.content ?? ''))}\n\n</details>`;
+      }
+      return md;
+    }
+    case 'tool_result':
+      return `<details><summary>${block.is_error ? 'Error' : 'Result'}</summary>\n\n${fence(stringify(block.content ?? ''))}\n\n</details>`;
+    default:
+      return fence(JSON.stringify(block, null, 2), 'json');
+  }
+}
+
+function toMarkdown(archive) {
+  const conv = archive.conversation;
+  const out = [`# ${conv.title || 'Untitled conversation'}`, header(conv).map(l => `- ${l}`).join('\n')];
+  for (const item of buildTimeline(archive)) {
+    const who = item.role === 'user' ? 'User' : 'Assistant';
+    out.push(`## ${who} · ${formatTime(item.at)}`);
+    if (item.blocks) {
+      for (const entry of item.blocks) out.push(blockToMarkdown(entry));
+      if (item.error) out.push(`> **Error:** ${item.error}`);
+    } else {
+      out.push(item.text);
+    }
+  }
+  return out.filter(Boolean).join('\n\n') + '\n';
+}
+
+// ---- HTML ----
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function highlight(code, language) {
+  const hl = getHighlighter();
+  if (hl && language && hl.getLanguage(language)) {
+    try { return `<pre><code class="hljs language-${escapeHtml(language)}">${hl.highlight(code, { language, ignoreIllegals: true }).value}</code></pre>`; } catch (_) {}
+  }
+  return `<pre><code class="hljs">${escapeHtml(code)}</code></pre>`;
+}
+
+function inlineMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/\[([^\]\n]+)\]\((https?:[^)\s]+)\)/g, '<a href="$2">$1</a>');
+}
+
+// Fenced code is highlighted, headings and list items get their own lines, the rest are paragraphs
+function markdownToHtml(text) {
+  let html = '';
+  const re = /^(`{3,})([\w+-]*)\n([\s\S]*?)\n\1\s*$/gm;
+  let last = 0;
+  let m;
+  const prose = (chunk) => chunk.split(/\n{2,}/).map(p => p.trim()).filter(Boolean).map(p => {
+    const h = p.match(/^(#{1,6})\s+(.*)$/);
+    if (h && !p.includes('\n')) return `<h${h[1].length + 2}>${inlineMarkdown(h[2])}</h${h[1].length + 2}>`;
+    if (/^([-*]|\d+\.)\s/.test(p)) return '<ul>' + p.split('\n').map(l => `<li>${inlineMarkdown(l.replace(/^\s*([-*]|\d+\.)\s+/, ''))}</li>`).join('') + '</ul>';
+    return `<p>${inlineMarkdown(p).replace(/\n/g, '<br>')}</p>`;
+  }).join('');
+  while ((m = re.exec(text)) !== null) {
+    html += prose(text.slice(last, m.index)) + highlight(m[3], m[2]);
+    last = re.lastIndex;
+  }
+  return html + prose(text.slice(last));
+}
+
+function resultToHtml(r) {
+  return `<details class="result${r.is_error ? ' error' : ''}"><summary>${r.is_error ? 'Error' : 'Result'}</summary>${highlight(stringify(r.content ?? ''))}</details>`;
+}
+
+function blockToHtml({ block, results }) {
+  switch (block.type) {
+    case 'text':
+      return `<div class="text">${markdownToHtml(block.text || '')}</div>`;
+    case 'thinking':
+      return `<details class="thinking"><summary>Thinking</summary><div class="text">${markdownToHtml(block.thinking || block.text || '')}</div></details>`;
+    case 'code':
+      return highlight(block.code || '', (block.language || '').toLowerCase());
+    case 'bash':
+      return highlight(`$ ${block.command || block.code || ''}${block.output ? `\n${block.output}` : ''}`, 'bash');
+    case 'image': {
+      const src = block.data && block.media_type ? `data:${block.media_type};base64,${block.data}` : (block.image || block.src || '');
+      return src.startsWith('data:') ? `<img src="${escapeHtml(src)}" alt="${escapeHtml(block.alt || 'Image')}">` : '<p><em>[image]</em></p>';
+    }
+    case 'error':
+      return `<div class="error-block">${escapeHtml(block.message || block.error || stringify(block))}</div>`;
+    case 'plan':
+      return '<div class="plan"><strong>Plan</strong><ul>' + (block.entries || []).map(e =>
+        `<li class="plan-${escapeHtml(e.status || 'pending')}">${escapeHtml(planMark(e.status))} ${escapeHtml(e.content || '')}</li>`).join('') + '</ul></div>';
+    case 'tool_use': {
+      const title = toolTitle(block.input);
+      const body = block.input && Object.keys(block.input).length ? highlight(JSON.stringify(block.input, null, 2), 'json') : '';
+      return `<details class="tool"><summary><span class="tool-name">${escapeHtml(block.name || 'unknown')}</span>${title ? ` <code>${escapeHtml(title)}</code>` : ''}</summary>${body}${results.map(resultToHtml).join('')}</details>`;
+    }
+    case 'tool_result':
+      return resultToHtml(block);
+    default:
+      return highlight(JSON.stringify(block, null, 2), 'json');
+  }
+}
+
+const HTML_STYLE = `
+body{margin:0;background:#0f172a;color:#e2e8f0;font:15px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif}
+main{max-width:900px;margin:0 auto;padding:2rem 1rem}
+h1{font-size:1.5rem;margin:0 0 .5rem}
+.meta{color:#94a3b8;font-size:.85rem;margin:0 0 2rem;padding:0;list-style:none}
+.turn{margin:0 0 1.5rem;padding:1rem;border-radius:.5rem;background:#1e293b}
+.turn.user{background:#1e3a5f}
+.turn-head{font-size:.75rem;color:#94a3b8;margin-bottom:.5rem;text-transform:uppercase;letter-spacing:.04em}
+.text p{margin:.5rem 0}
+code{font-family:Monaco,Menlo,"Ubuntu Mono",monospace;font-size:.85em;background:#0f172a;padding:.1em .3em;border-radius:3px}
+pre{margin:.5rem 0;border-radius:.375rem;overflow-x:auto}
+pre code{padding:0;background:none}
+details{margin:.5rem 0;border:1px solid #334155;border-radius:.375rem;padding:.25rem .75rem}
+summary{cursor:pointer;color:#cbd5e1;font-size:.85rem}
+.tool-name{font-weight:600;color:#93c5fd}
+.result.error summary,.error-block{color:#fca5a5}
+.thinking summary{font-style:italic}
+.plan ul{list-style:none;padding-left:.5rem}
+.plan-completed{text-decoration:line-through;opacity:.6}
+img{max-width:100%}
+a{color:#93c5fd}
+`;
+
+function toHtml(archive) {
+  const conv = archive.conversation;
+  const title = conv.title || 'Untitled conversation';
+  const turns = buildTimeline(archive).map(item => {
+    const body = item.blocks
+      ? item.blocks.map(blockToHtml).join('') + (item.error ? `<div class="error-block">${escapeHtml(item.error)}</div>` : '')
+      : `<div class="text">${markdownToHtml(item.text || '')}</div>`;
+    return `<section class="turn ${item.role === 'user' ? 'user' : 'assistant'}"><div class="turn-head">${item.role === 'user' ? 'User' : 'Assistant'} · ${escapeHtml(formatTime(item.at))}</div>${body}</section>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${readVendorCss('highlight-js.css')}${HTML_STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<ul class="meta">${header(conv).map(l => `<li>${escapeHtml(l)}</li>`).join('')}<li>Exported: ${escapeHtml(formatTime(Date.parse(archive.exportedAt)))}</li></ul>
+${turns}
+</main>
+</body>
+</html>
+`;
+}
+
+function fileName(conv, ext) {
+  const slug = (conv.title || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+  return `${slug || 'conversation'}.${ext}`;
+}
+
+/**
+ * @returns {{ contentType: string, filename: string, body: string } | null} null when the conversation does not exist
+ */
+export function exportConversation(queries, conversationId, format = 'md') {
+  const archive = loadConversationArchive(queries, conversationId);
+  if (!archive) return null;
+  const filename = fileName(archive.conversation, format);
+  if (format === 'json') return { contentType: 'application/json; charset=utf-8', filename, body: JSON.stringify(archive, null, 2) };
+  if (format === 'html') return { contentType: 'text/html; charset=utf-8', filename, body: toHtml(archive) };
+  return { contentType: 'text/markdown; charset=utf-8', filename, body: toMarkdown(archive) };
+}
@@ -0,0 +1,95 @@
+import { isolateConversation } from './git-worktree.js';
+
+/**
+ * Forking a conversation at an earlier point. The fork gets a copy of the
+ * history (see queries.forkConversation) but no agent session id, since an
+ * agent's session cannot be resumed from the middle. Its first turn instead
+ * starts a fresh session whose prompt carries the copied history as a
+ * transcript.
+ */
+
+const MAX_TRANSCRIPT = 60000;
+const MAX_TOOL_TEXT = 400;
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+/**
+ * Fork `conversationId` at a user message (the fork ends just before it and
+ * `draft` is its text, to edit and send again) or after the assistant turn of
+ * `sessionId`. A conversation isolated in a worktree gets a new worktree of
+ * the same checkout.
+ */
+export function forkConversation({ queries, dataDir, conversationId, messageId = null, sessionId = null, ownerId = null }) {
+  if (!messageId === !sessionId) fail(400, 'Pass either messageId or sessionId');
+  if (!queries.getConversation(conversationId)) fail(404, 'Conversation not found');
+  let draft = null;
+  if (messageId) {
+    const msg = queries.getMessage(messageId);
+    if (!msg || msg.conversationId !== conversationId) fail(404, 'Message not found');
+    draft = typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content);
+  } else {
+    const session = queries.getSession(sessionId);
+    if (!session || session.conversationId !== conversationId) fail(404, 'Session not found');
+    if (session.status === 'active' || session.status === 'pending') fail(409, 'Wait for this turn to finish before forking after it');
+  }
+
+  let conversation = queries.forkConversation(conversationId, { messageId, sessionId, ownerId });
+  const wt = queries.getConversationWorktree(conversationId);
+  if (wt) conversation = isolateConversation({ queries, dataDir, conversation: { ...conversation, workingDirectory: wt.sourceDirectory } });
+  return { conversation, draft };
+}
+
+function clip(text, max) {
+  return text.length > max ? text.slice(0, max) + '…' : text;
+}
+
+function blockText(block) {
+  if (!block || typeof block !== 'object') return null;
+  if (block.type === 'text' && typeof block.text === 'string') return block.text;
+  if (block.type === 'tool_use') return `[Used tool ${block.name || 'unknown'}: ${clip(JSON.stringify(block.input ?? {}), MAX_TOOL_TEXT)}]`;
+  if (block.type === 'tool_result') {
+    const content = Array.isArray(block.content)
+      ? block.content.map(c => (typeof c === 'string' ? c : c?.text || '')).join('\n')
+      : typeof block.content === 'string' ? block.content : JSON.stringify(block.content ?? '');
+    return `[Tool ${block.is_error ? 'error' : 'result'}: ${clip(content, MAX_TOOL_TEXT)}]`;
+  }
+  return null;
+}
+
+/**
+ * The conversation so far as plain text, oldest first, leaving out the turn
+ * being started (its message and session). Only the newest MAX_TRANSCRIPT
+ * characters are kept.
+ */
+export function forkTranscript(queries, conversationId, { messageId = null, sessionId = null } = {}) {
+  const entries = [];
+  for (const m of queries.getConversationMessages(conversationId)) {
+    if (m.id === messageId) continue;
+    const text = typeof m.content === 'string' ? m.content : JSON.stringify(m.content);
+    entries.push({ at: m.created_at, role: m.role === 'user' ? 'User' : 'Assistant', text });
+  }
+  for (const chunk of queries.getConversationChunks(conversationId)) {
+    if (chunk.sessionId === sessionId) continue;
+    const text = blockText(chunk.data);
+    if (text) entries.push({ at: chunk.created_at, role: 'Assistant', text });
+  }
+  entries.sort((a, b) => a.at - b.at);
+
+  // Consecutive blocks of one turn are joined under a single speaker line
+  const turns = [];
+  for (const e of entries) {
+    const last = turns[turns.length - 1];
+    if (last && last.role === e.role) last.parts.push(e.text);
+    else turns.push({ role: e.role, parts: [e.text] });
+  }
+  let transcript = turns.map(t => `${t.role}: ${t.parts.join('\n')}`).join('\n\n');
+  if (transcript.length > MAX_TRANSCRIPT) transcript = '[Earlier history truncated]\n\n' + transcript.slice(-MAX_TRANSCRIPT);
+  return transcript;
+}
+
+export function seedPrompt(transcript, content) {
+  if (!transcript) return content;
+  return 'This conversation was forked from an earlier one. Its history so far is below, for context; ' +
+    'any tool calls in it were already carried out.\n\n' +
+    `<conversation-history>\n${transcript}\n</conversation-history>\n\n${content}`;
+}
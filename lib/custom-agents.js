@@ -0,0 +1,178 @@
+import fs from 'fs';
+import path from 'path';
+import { parseEndpoint } from './acp-transport.js';
+
+/**
+ * User-defined agents, kept in <dataDir>/agents.json as an array of
+ * { id, name, icon, command, args, env, protocol, parse, npxPackage,
+ * supportedFeatures }. protocol is 'acp' (JSON-RPC over stdio) or 'direct'
+ * (the CLI prints its output), in which case parse says how: 'stream-json'
+ * for Claude Code style JSON lines, 'text' for plain text.
+ *
+ * An ACP agent may have an `endpoint` (ws://, wss:// or tcp://) instead of, or
+ * as well as, a command, in which case AgentGUI connects to it there rather
+ * than starting it. An entry holding only { id, endpoint } points a built-in
+ * ACP agent at a remote endpoint.
+ */
+
+export const AGENTS_FILE = 'agents.json';
+export const AGENT_PROTOCOLS = ['acp', 'direct'];
+export const PARSE_MODES = ['stream-json', 'text'];
+
+const WATCH_INTERVAL_MS = 1000;
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function agentsFilePath(dataDir) {
+  return path.join(dataDir, AGENTS_FILE);
+}
+
+const isStringArray = (v) => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+function endpointError(endpoint) {
+  if (typeof endpoint !== 'string') return 'endpoint must be a ws://, wss:// or tcp:// URL';
+  try { parseEndpoint(endpoint); } catch (e) { return e.message; }
+  return null;
+}
+
+/** Whether an entry only points a built-in agent at an endpoint */
+export function isEndpointOverride(data) {
+  return !!data && data.endpoint !== undefined && data.name === undefined && data.command === undefined;
+}
+
+export function validateCustomAgent(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return 'each agent must be an object';
+  if (typeof data.id !== 'string' || !/^[a-z0-9][a-z0-9_.-]{0,63}$/.test(data.id)) return 'id must be 1-64 lowercase letters, digits, _ . or -, starting with a letter or digit';
+  if (data.id.startsWith('cli-')) return 'ids starting with cli- are reserved';
+  if (isEndpointOverride(data)) {
+    const extra = Object.keys(data).filter(k => k !== 'id' && k !== 'endpoint');
+    return extra.length ? `an endpoint-only entry cannot also set ${extra.join(', ')}` : endpointError(data.endpoint);
+  }
+  if (typeof data.name !== 'string' || !data.name.trim()) return 'name is required';
+  if (data.icon !== undefined && (typeof data.icon !== 'string' || [...data.icon].length > 2)) return 'icon must be at most 2 characters';
+  if (data.endpoint !== undefined && data.endpoint !== null) {
+    const invalid = endpointError(data.endpoint);
+    if (invalid) return invalid;
+    if ((data.protocol || 'acp') !== 'acp') return 'only ACP agents can have an endpoint';
+  }
+  if (data.command != null || !data.endpoint) {
+    if (typeof data.command !== 'string' || !data.command.trim()) return 'command is required unless the agent has an endpoint';
+  }
+  if (data.args !== undefined && !isStringArray(data.args)) return 'args must be an array of strings';
+  if (data.env !== undefined && (typeof data.env !== 'object' || data.env === null || Array.isArray(data.env) || Object.values(data.env).some(v => typeof v !== 'string'))) {
+    return 'env must be an object of strings';
+  }
+  const protocol = data.protocol || 'acp';
+  if (!AGENT_PROTOCOLS.includes(protocol)) return `protocol must be one of ${AGENT_PROTOCOLS.join(', ')}`;
+  if (data.parse !== undefined && !PARSE_MODES.includes(data.parse)) return `parse must be one of ${PARSE_MODES.join(', ')}`;
+  if (data.npxPackage !== undefined && data.npxPackage !== null && (typeof data.npxPackage !== 'string' || !data.npxPackage.trim() || data.npxPackage.startsWith('-'))) {
+    return 'npxPackage must be a package name';
+  }
+  if (data.supportedFeatures !== undefined && !isStringArray(data.supportedFeatures)) return 'supportedFeatures must be an array of strings';
+  return null;
+}
+
+export function normalizeCustomAgent(data) {
+  if (isEndpointOverride(data)) return { id: data.id, endpoint: data.endpoint };
+  const protocol = data.protocol || 'acp';
+  return {
+    id: data.id,
+    name: data.name.trim(),
+    icon: data.icon || data.name.trim()[0].toUpperCase(),
+    command: data.command ? data.command.trim() : null,
+    endpoint: data.endpoint || null,
+    args: data.args || [],
+    env: data.env || {},
+    protocol,
+    ...(protocol === 'direct' ? { parse: data.parse || 'stream-json' } : {}),
+    npxPackage: data.npxPackage || null,
+    supportedFeatures: data.supportedFeatures || ['streaming']
+  };
+}
+
+/**
+ * { agents, errors }: the valid entries, normalized, and one error per entry
+ * that was left out. A missing file is an empty list.
+ */
+export function readCustomAgents(dataDir) {
+  const file = agentsFilePath(dataDir);
+  let raw;
+  try { raw = fs.readFileSync(file, 'utf-8'); } catch (e) {
+    if (e.code === 'ENOENT') return { agents: [], errors: [] };
+    return { agents: [], errors: [{ index: null, id: null, error: e.message }] };
+  }
+  let list;
+  try { list = JSON.parse(raw); } catch (e) {
+    return { agents: [], errors: [{ index: null, id: null, error: `${AGENTS_FILE} is not valid JSON: ${e.message}` }] };
+  }
+  if (!Array.isArray(list)) return { agents: [], errors: [{ index: null, id: null, error: `${AGENTS_FILE} must contain an array` }] };
+  const agents = [];
+  const errors = [];
+  const seen = new Set();
+  list.forEach((entry, index) => {
+    const id = entry && typeof entry.id === 'string' ? entry.id : null;
+    const invalid = validateCustomAgent(entry) || (seen.has(id) ? `duplicate id ${id}` : null);
+    if (invalid) { errors.push({ index, id, error: invalid }); return; }
+    seen.add(id);
+    agents.push(normalizeCustomAgent(entry));
+  });
+  return { agents, errors };
+}
+
+// The file as written, invalid entries included, so editing one agent from
+// the settings UI never drops another
+function readList(dataDir) {
+  let raw;
+  try { raw = fs.readFileSync(agentsFilePath(dataDir), 'utf-8'); } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  let list;
+  try { list = JSON.parse(raw); } catch { fail(409, `${AGENTS_FILE} is not valid JSON; fix it by hand first`); }
+  if (!Array.isArray(list)) fail(409, `${AGENTS_FILE} must contain an array; fix it by hand first`);
+  return list;
+}
+
+/** Add an agent, or replace the one with id `previousId` (which may differ when renaming). */
+export function saveCustomAgent(dataDir, data, previousId = null) {
+  const invalid = validateCustomAgent(data);
+  if (invalid) fail(400, invalid);
+  const list = readList(dataDir);
+  const index = previousId ? list.findIndex(a => a?.id === previousId) : -1;
+  if (previousId && index === -1) fail(404, `No agent ${previousId} in ${AGENTS_FILE}`);
+  if (list.some((a, i) => i !== index && a?.id === data.id)) fail(409, `An agent with id ${data.id} already exists`);
+  const agent = normalizeCustomAgent(data);
+  if (index === -1) list.push(agent);
+  else list[index] = agent;
+  writeCustomAgents(dataDir, list);
+  return agent;
+}
+
+export function deleteCustomAgent(dataDir, id) {
+  const list = readList(dataDir);
+  const rest = list.filter(a => a?.id !== id);
+  if (rest.length === list.length) fail(404, `No agent ${id} in ${AGENTS_FILE}`);
+  writeCustomAgents(dataDir, rest);
+}
+
+export function writeCustomAgents(dataDir, agents) {
+  const file = agentsFilePath(dataDir);
+  const tmp = `${file}.${process.pid}.tmp`;
+  // env may hold tokens, so the file is private to the server's user
+  fs.writeFileSync(tmp, JSON.stringify(agents, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Call onChange whenever agents.json is created, edited, replaced or removed.
+ * Polls, so editors that save by renaming a new file over the old one are
+ * seen too. Returns a function that stops watching.
+ */
+export function watchCustomAgents(dataDir, onChange) {
+  const file = agentsFilePath(dataDir);
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs || curr.ino !== prev.ino || curr.size !== prev.size) onChange();
+  };
+  fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
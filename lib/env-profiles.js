@@ -0,0 +1,236 @@
+import path from 'path';
+import { maskSecret, isSealed } from './secret-store.js';
+
+/**
+ * Named environment profiles (env_profiles table): extra env vars, PATH
+ * additions and HTTP proxies for everything a conversation starts, meaning
+ * its agent processes, project scripts and terminal. A conversation picks one
+ * when it is created (conversations.envProfileId); without one, processes get
+ * the server's own environment.
+ *
+ * Variables listed in secretVars, or named like a key, token, secret or
+ * password, and proxy URLs carrying a password are sealed with the secret
+ * store's key before they reach SQLite and are only sent to clients masked.
+ * Saving a masked value back unchanged keeps the stored one.
+ */
+
+export const SECRET_NAME_RE = /KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL/i;
+
+const ENV_RE = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+// Set through pathPrepend and the proxy fields instead
+const RESERVED_VARS = ['PATH', 'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY'];
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks5:', 'socks5h:'];
+const MAX_VARS = 200;
+const MAX_VALUE = 10000;
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+const isStringArray = (v) => Array.isArray(v) && v.every(x => typeof x === 'string');
+
+function proxyError(field, url) {
+  if (url === undefined || url === null || url === '') return null;
+  let parsed;
+  try { parsed = new URL(url); } catch { return `${field} must be a URL such as http://proxy:8080`; }
+  if (!PROXY_PROTOCOLS.includes(parsed.protocol)) return `${field} must be an http, https or socks URL`;
+  return null;
+}
+
+export function validateEnvProfile(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return 'profile must be an object';
+  if (typeof data.name !== 'string' || !data.name.trim() || data.name.trim().length > 64) return 'name must be 1-64 characters';
+  if (data.description != null && (typeof data.description !== 'string' || data.description.length > 500)) return 'description must be at most 500 characters';
+  if (data.env !== undefined) {
+    if (typeof data.env !== 'object' || data.env === null || Array.isArray(data.env)) return 'env must be an object of strings';
+    const names = Object.keys(data.env);
+    if (names.length > MAX_VARS) return `env can hold at most ${MAX_VARS} variables`;
+    for (const name of names) {
+      if (!ENV_RE.test(name)) return `${name} is not a valid environment variable name`;
+      if (RESERVED_VARS.includes(name.toUpperCase())) return `${name} is set with the PATH and proxy fields`;
+      if (typeof data.env[name] !== 'string' || data.env[name].length > MAX_VALUE) return `${name} must be a string of at most ${MAX_VALUE} characters`;
+    }
+  }
+  if (data.secretVars !== undefined && !isStringArray(data.secretVars)) return 'secretVars must be an array of variable names';
+  if (data.pathPrepend !== undefined) {
+    if (!isStringArray(data.pathPrepend)) return 'pathPrepend must be an array of directories';
+    const bad = data.pathPrepend.find(dir => !path.isAbsolute(dir) || dir.includes(path.delimiter));
+    if (bad !== undefined) return `${bad} must be an absolute directory without ${path.delimiter}`;
+  }
+  const invalidProxy = proxyError('httpProxy', data.httpProxy) || proxyError('httpsProxy', data.httpsProxy);
+  if (invalidProxy) return invalidProxy;
+  if (data.noProxy != null && typeof data.noProxy !== 'string') return 'noProxy must be a comma-separated list of hosts';
+  return null;
+}
+
+export function isSecretVar(profile, name) {
+  return (profile.secretVars || []).includes(name) || SECRET_NAME_RE.test(name);
+}
+
+function proxyHasPassword(url) {
+  try { return !!new URL(url).password; } catch { return false; }
+}
+
+// Whether a process started under the profile gets secrets from it
+function holdsSecrets(profile) {
+  return Object.values(profile.env).some(isSealed) || isSealed(profile.httpProxy) || isSealed(profile.httpsProxy);
+}
+
+function maskProxy(url) {
+  try {
+    const parsed = new URL(url);
+    if (!parsed.password) return url;
+    parsed.password = '****';
+    return parsed.href;
+  } catch {
+    return '****';
+  }
+}
+
+/**
+ * @param {object} opts
+ * @param {object} opts.queries - database queries
+ * @param {object} opts.secretStore - from createSecretStore, which seals secret values
+ */
+export function createEnvProfiles({ queries, secretStore }) {
+  // Plain text of a stored value, or null if it is sealed and cannot be opened
+  function open(value) {
+    if (!isSealed(value)) return value;
+    try { return secretStore.unseal(value); } catch { return null; }
+  }
+
+  function store(value, secret) {
+    return secret ? secretStore.seal(value) : value;
+  }
+
+  function toClient(profile) {
+    const env = {};
+    for (const [name, value] of Object.entries(profile.env)) {
+      const plain = open(value);
+      env[name] = isSecretVar(profile, name) || isSealed(value) ? maskSecret(plain || '') : plain;
+    }
+    const proxy = (value) => (value ? maskProxy(open(value) ?? '') : null);
+    return {
+      id: profile.id,
+      name: profile.name,
+      description: profile.description,
+      env,
+      secretVars: Object.keys(profile.env).filter(name => isSecretVar(profile, name) || isSealed(profile.env[name])),
+      pathPrepend: profile.pathPrepend,
+      httpProxy: proxy(profile.httpProxy),
+      httpsProxy: proxy(profile.httpsProxy),
+      noProxy: profile.noProxy,
+      holdsSecrets: holdsSecrets(profile),
+      conversations: queries.countEnvProfileConversations(profile.id),
+      created_at: profile.created_at,
+      updated_at: profile.updated_at
+    };
+  }
+
+  // The incoming value, or the stored one when the client sent back its mask;
+  // null for a mask of a value that can no longer be decrypted
+  function incoming(value, stored, mask) {
+    if (stored == null) return value;
+    const plain = open(stored);
+    if (plain === null) return value.includes('****') ? null : value;
+    return value === mask(plain) ? plain : value;
+  }
+
+  function list() {
+    return queries.listEnvProfiles().map(toClient);
+  }
+
+  function get(id) {
+    const profile = queries.getEnvProfile(id);
+    if (!profile) fail(404, 'Environment profile not found');
+    return toClient(profile);
+  }
+
+  /** Create a profile, or update the one with data.id */
+  function save(data) {
+    const invalid = validateEnvProfile(data);
+    if (invalid) fail(400, invalid);
+    const existing = data.id ? queries.getEnvProfile(data.id) : null;
+    if (data.id && !existing) fail(404, 'Environment profile not found');
+    const name = data.name.trim();
+    const clash = queries.getEnvProfileByName(name);
+    if (clash && clash.id !== existing?.id) fail(409, `A profile named ${name} already exists`);
+
+    const secretVars = [...new Set((data.secretVars || []).filter(v => Object.hasOwn(data.env || {}, v)))];
+    const profile = { secretVars };
+    const env = {};
+    for (const [varName, value] of Object.entries(data.env || {})) {
+      const plain = incoming(value, existing?.env[varName], maskSecret);
+      if (plain === null) fail(503, `${varName} cannot be decrypted; enter its value again`);
+      env[varName] = store(plain, isSecretVar(profile, varName));
+    }
+    const proxy = (value, stored) => {
+      if (!value) return null;
+      const plain = incoming(value, stored, maskProxy);
+      if (plain === null) fail(503, 'The proxy password cannot be decrypted; enter the proxy URL again');
+      return store(plain, proxyHasPassword(plain));
+    };
+    return toClient(queries.saveEnvProfile({
+      id: existing?.id,
+      name,
+      description: data.description?.trim() || null,
+      env,
+      secretVars,
+      pathPrepend: data.pathPrepend || [],
+      httpProxy: proxy(data.httpProxy, existing?.httpProxy),
+      httpsProxy: proxy(data.httpsProxy, existing?.httpsProxy),
+      noProxy: data.noProxy?.trim() || null
+    }));
+  }
+
+  /**
+   * Check that a conversation may be given profile `id`. Its processes get the
+   * profile's decrypted secrets, so profiles holding any are for admins only.
+   */
+  function assertUsable(id, { admin }) {
+    const profile = queries.getEnvProfile(id);
+    if (!profile) fail(404, 'Environment profile not found');
+    if (!admin && holdsSecrets(profile)) fail(403, `Profile ${profile.name} holds secrets; only admins can use it`);
+  }
+
+  function remove(id) {
+    if (!queries.deleteEnvProfile(id)) fail(404, 'Environment profile not found');
+  }
+
+  /**
+   * Variables a process started under `profile` gets on top of `baseEnv`.
+   * Sealed values that cannot be opened (locked secret store) are left out.
+   */
+  function envOf(profile, baseEnv = process.env) {
+    const env = {};
+    for (const [name, value] of Object.entries(profile.env)) {
+      const plain = open(value);
+      if (plain === null) {
+        console.error(`[env-profiles] ${profile.name}: ${name} cannot be decrypted, leaving it out`);
+        continue;
+      }
+      env[name] = plain;
+    }
+    if (profile.pathPrepend.length) {
+      // Windows spells it Path
+      const pathKey = Object.keys(baseEnv).find(k => k.toUpperCase() === 'PATH') || 'PATH';
+      env[pathKey] = [...profile.pathPrepend, baseEnv[pathKey]].filter(Boolean).join(path.delimiter);
+    }
+    const proxies = [['HTTP_PROXY', profile.httpProxy], ['HTTPS_PROXY', profile.httpsProxy], ['NO_PROXY', profile.noProxy]];
+    for (const [name, value] of proxies) {
+      const plain = value ? open(value) : null;
+      if (!plain) continue;
+      // Tools disagree on the case they read
+      env[name] = plain;
+      env[name.toLowerCase()] = plain;
+    }
+    return env;
+  }
+
+  /** Profile variables for a conversation's processes; {} without a profile. */
+  function envForConversation(conversationId, baseEnv = process.env) {
+    const profileId = conversationId ? queries.getConversation(conversationId)?.envProfileId : null;
+    const profile = profileId ? queries.getEnvProfile(profileId) : null;
+    return profile ? envOf(profile, baseEnv) : {};
+  }
+
+  return { list, get, save, remove, assertUsable, envOf, envForConversation };
+}
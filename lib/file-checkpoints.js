@@ -0,0 +1,203 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Checkpoints of directories that are not git repositories. Every file is
+ * stored once under <dataDir>/checkpoints/objects, named by its SHA-256, and a
+ * checkpoint is a manifest object mapping relative paths to those hashes, so
+ * files that did not change between checkpoints take no extra space.
+ *
+ * Dependency and VCS directories are left out, as are files over
+ * MAX_FILE_SIZE; such files are never touched by a restore either. A directory
+ * with more than MAX_FILES files gets no checkpoint at all.
+ *
+ * Checkpoints are taken and restored with fs.promises: walking and copying a
+ * large directory takes a while, and every turn starts with a checkpoint.
+ */
+
+const IGNORED_DIRS = new Set(['.git', '.hg', '.svn', 'node_modules', '__pycache__', '.venv', 'venv', '.next', '.cache']);
+const MAX_FILES = 10000;
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+function objectsDir(dataDir) {
+  return path.join(dataDir, 'checkpoints', 'objects');
+}
+
+function objectPath(dataDir, hash) {
+  return path.join(objectsDir(dataDir), hash.slice(0, 2), hash.slice(2));
+}
+
+const exists = (file) => fs.promises.access(file).then(() => true, () => false);
+
+async function writeObject(dataDir, buf) {
+  const hash = crypto.createHash('sha256').update(buf).digest('hex');
+  const file = objectPath(dataDir, hash);
+  if (!await exists(file)) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, buf);
+    await fs.promises.rename(tmp, file);
+  }
+  return hash;
+}
+
+async function readObject(dataDir, hash) {
+  try { return await fs.promises.readFile(objectPath(dataDir, hash)); } catch { fail(410, `Checkpoint object ${hash.slice(0, 12)} is missing`); }
+}
+
+export async function readManifest(dataDir, hash) {
+  return JSON.parse((await readObject(dataDir, hash)).toString('utf-8'));
+}
+
+// Relative paths ('/'-separated) of the files under dir, or null past
+// MAX_FILES. The data directory is skipped in case it lives inside dir.
+async function listFiles(dir, dataDir) {
+  const skip = path.resolve(dataDir);
+  const files = [];
+  const stack = [''];
+  while (stack.length) {
+    const rel = stack.pop();
+    let entries;
+    try { entries = await fs.promises.readdir(path.join(dir, rel), { withFileTypes: true }); } catch { continue; }
+    for (const e of entries) {
+      const p = rel ? `${rel}/${e.name}` : e.name;
+      if (e.isDirectory()) {
+        if (!IGNORED_DIRS.has(e.name) && path.resolve(dir, p) !== skip) stack.push(p);
+      } else if (e.isFile()) {
+        files.push(p);
+        if (files.length > MAX_FILES) return null;
+      }
+    }
+  }
+  return files;
+}
+
+function statFile(dir, rel) {
+  return fs.promises.stat(path.join(dir, rel)).catch(() => null);
+}
+
+/**
+ * Store the files of dir and return the manifest hash, or null when the
+ * directory is too large. Files whose size and mtime match `previousHash`'s
+ * manifest are not read again.
+ */
+export async function createFileCheckpoint(dataDir, dir, previousHash = null) {
+  const list = await listFiles(dir, dataDir);
+  if (!list) return null;
+  let previous = null;
+  if (previousHash) {
+    try { previous = (await readManifest(dataDir, previousHash)).files; } catch {}
+  }
+  const files = {};
+  for (const rel of list) {
+    const st = await statFile(dir, rel);
+    if (!st || st.size > MAX_FILE_SIZE) continue;
+    const old = previous?.[rel];
+    let hash = old && old.size === st.size && old.mtimeMs === st.mtimeMs ? old.hash : null;
+    if (!hash) {
+      try { hash = await writeObject(dataDir, await fs.promises.readFile(path.join(dir, rel))); } catch { continue; }
+    }
+    files[rel] = { hash, size: st.size, mtimeMs: st.mtimeMs, mode: st.mode & 0o777 };
+  }
+  return writeObject(dataDir, Buffer.from(JSON.stringify({ root: dir, createdAt: Date.now(), files })));
+}
+
+async function sameContent(dataDir, dir, rel, entry) {
+  const st = await statFile(dir, rel);
+  if (!st) return false;
+  if (st.size !== entry.size) return false;
+  if (st.mtimeMs === entry.mtimeMs) return true;
+  const hash = crypto.createHash('sha256').update(await fs.promises.readFile(path.join(dir, rel))).digest('hex');
+  return hash === entry.hash;
+}
+
+/**
+ * What restoring the checkpoint would do to dir, as [{ path, status }]:
+ * 'M' rewrites a changed file, 'A' recreates a deleted one, 'D' deletes a file
+ * created since.
+ */
+export async function fileCheckpointChanges(dataDir, hash, dir) {
+  const { files } = await readManifest(dataDir, hash);
+  const current = await listFiles(dir, dataDir);
+  if (!current) fail(413, `${dir} has grown past ${MAX_FILES} files; it cannot be compared with the checkpoint`);
+  const changes = [];
+  for (const [rel, entry] of Object.entries(files)) {
+    if (!await statFile(dir, rel)) changes.push({ path: rel, status: 'A' });
+    else if (!await sameContent(dataDir, dir, rel, entry)) changes.push({ path: rel, status: 'M' });
+  }
+  for (const rel of current) {
+    if (files[rel]) continue;
+    const st = await statFile(dir, rel);
+    if (st && st.size <= MAX_FILE_SIZE) changes.push({ path: rel, status: 'D' });
+  }
+  return changes.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// Opening for a restore never follows a symlink where the file was (where the
+// platform has O_NOFOLLOW)
+const RESTORE_FLAGS = fs.constants.O_WRONLY | fs.constants.O_CREAT | fs.constants.O_TRUNC | (fs.constants.O_NOFOLLOW || 0);
+
+// Write a checkpointed file back to dir/rel. The agent may have replaced the
+// file or one of its parent directories with a symlink since the checkpoint,
+// so anything in the way that is not a real directory (or, for the file
+// itself, a regular file) is removed rather than written through.
+async function writeRestoredFile(dir, rel, buf, mode) {
+  let current = dir;
+  for (const part of rel.split('/').slice(0, -1)) {
+    current = path.join(current, part);
+    const st = await fs.promises.lstat(current).catch(() => null);
+    if (st?.isDirectory()) continue;
+    if (st) await fs.promises.rm(current, { force: true });
+    await fs.promises.mkdir(current);
+  }
+  const target = path.join(dir, rel);
+  const st = await fs.promises.lstat(target).catch(() => null);
+  if (st && !st.isFile()) await fs.promises.rm(target, { recursive: true, force: true });
+  const handle = await fs.promises.open(target, RESTORE_FLAGS, mode);
+  try { await handle.writeFile(buf); } finally { await handle.close(); }
+  try { await fs.promises.chmod(target, mode); } catch {}
+}
+
+export async function restoreFileCheckpoint(dataDir, hash, dir) {
+  const { files } = await readManifest(dataDir, hash);
+  const changes = await fileCheckpointChanges(dataDir, hash, dir);
+  for (const change of changes) {
+    if (change.status === 'D') {
+      await fs.promises.rm(path.join(dir, change.path), { force: true });
+      continue;
+    }
+    const entry = files[change.path];
+    await writeRestoredFile(dir, change.path, await readObject(dataDir, entry.hash), entry.mode);
+  }
+  return changes;
+}
+
+/**
+ * Delete objects that none of the given manifests refer to. Synchronous on
+ * purpose: it runs at startup and must not overlap a checkpoint being written.
+ */
+export function pruneFileCheckpoints(dataDir, manifestHashes) {
+  const root = objectsDir(dataDir);
+  if (!fs.existsSync(root)) return 0;
+  const live = new Set();
+  for (const hash of manifestHashes) {
+    live.add(hash);
+    try {
+      const { files } = JSON.parse(fs.readFileSync(objectPath(dataDir, hash), 'utf-8'));
+      for (const entry of Object.values(files)) live.add(entry.hash);
+    } catch {}
+  }
+  let removed = 0;
+  for (const prefix of fs.readdirSync(root)) {
+    const sub = path.join(root, prefix);
+    for (const name of fs.readdirSync(sub)) {
+      if (live.has(prefix + name)) continue;
+      fs.rmSync(path.join(sub, name), { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,186 @@
+import { git, gitAsync, repoRoot, currentBranch, headCommit, isValidBranchName } from './git.js';
+
+/**
+ * Operations behind the per-conversation git panel. Everything runs at the
+ * root of the repository containing the conversation's working directory,
+ * with paths, messages and names passed as arguments (paths as literal
+ * pathspecs on stdin), never through a shell.
+ */
+
+const MAX_DRAFT_DIFF = 20000;
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function requireRepo(dir) {
+  const root = repoRoot(dir);
+  if (!root) fail(400, `${dir || 'The working directory'} is not inside a git repository`);
+  return root;
+}
+
+function requirePaths(paths) {
+  if (!Array.isArray(paths) || !paths.length || paths.some(p => typeof p !== 'string' || !p)) fail(400, 'paths must be a non-empty array of file paths');
+  return paths;
+}
+
+function hasBranch(root, name) {
+  try { git(root, ['show-ref', '--verify', '--quiet', `refs/heads/${name}`]); return true; } catch { return false; }
+}
+
+function withPaths(root, args, paths) {
+  return git(root, [...args, '--pathspec-from-file=-', '--pathspec-file-nul'], { input: paths.join('\0'), env: { GIT_LITERAL_PATHSPECS: '1' } });
+}
+
+/**
+ * Branch, upstream tracking and changed files. Each file has the index (X)
+ * and working tree (Y) status letters of `git status --porcelain=v2`, with
+ * '.' meaning unchanged.
+ */
+export function status(dir) {
+  const root = requireRepo(dir);
+  const out = git(root, ['status', '--porcelain=v2', '--branch', '--untracked-files=all', '-z'], { trim: false });
+  const result = { root, branch: null, detached: false, upstream: null, ahead: 0, behind: 0, head: null, files: [] };
+  const fields = out.split('\0');
+  for (let i = 0; i < fields.length; i++) {
+    const rec = fields[i];
+    if (!rec) continue;
+    if (rec.startsWith('# branch.head ')) {
+      const head = rec.slice(14);
+      result.detached = head === '(detached)';
+      result.branch = result.detached ? null : head;
+    } else if (rec.startsWith('# branch.oid ')) {
+      const oid = rec.slice(13);
+      result.head = oid === '(initial)' ? null : oid;
+    } else if (rec.startsWith('# branch.upstream ')) {
+      result.upstream = rec.slice(18);
+    } else if (rec.startsWith('# branch.ab ')) {
+      const m = rec.match(/\+(\d+) -(\d+)/);
+      if (m) { result.ahead = +m[1]; result.behind = +m[2]; }
+    } else if (rec[0] === '1' || rec[0] === '2' || rec[0] === 'u') {
+      const parts = rec.split(' ');
+      const xy = parts[1];
+      const file = { path: parts.slice(rec[0] === '1' ? 8 : rec[0] === '2' ? 9 : 10).join(' '), index: xy[0], worktree: xy[1], conflicted: rec[0] === 'u' };
+      if (rec[0] === '2') file.origPath = fields[++i];
+      file.staged = !file.conflicted && file.index !== '.';
+      file.unstaged = file.conflicted || file.worktree !== '.';
+      result.files.push(file);
+    } else if (rec[0] === '?') {
+      result.files.push({ path: rec.slice(2), index: '?', worktree: '?', untracked: true, staged: false, unstaged: true });
+    }
+  }
+  return result;
+}
+
+/** Unified diff of one file, staged (index vs HEAD) or unstaged (working tree vs index). */
+export function fileDiff(dir, file, { staged = false } = {}) {
+  const root = requireRepo(dir);
+  if (typeof file !== 'string' || !file) fail(400, 'path is required');
+  const tracked = git(root, ['ls-files', '--', file], { env: { GIT_LITERAL_PATHSPECS: '1' } }) !== '';
+  const patch = !staged && !tracked
+    ? git(root, ['diff', '--no-color', '--no-index', '--', '/dev/null', file], { allowFail: true, trim: false })
+    : git(root, ['diff', '--no-color', '--no-ext-diff', ...(staged ? ['--cached'] : []), '--', file], { trim: false, env: { GIT_LITERAL_PATHSPECS: '1' } });
+  const additions = patch.split('\n').filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
+  const deletions = patch.split('\n').filter(l => l.startsWith('-') && !l.startsWith('---')).length;
+  return { patch, files: patch ? [{ path: file, status: tracked ? 'M' : 'A', additions, deletions, binary: /^Binary files /m.test(patch) }] : [] };
+}
+
+export function stage(dir, paths) {
+  const root = requireRepo(dir);
+  withPaths(root, ['add', '-A'], requirePaths(paths));
+  return status(root);
+}
+
+export function unstage(dir, paths) {
+  const root = requireRepo(dir);
+  requirePaths(paths);
+  // Before the first commit there is no HEAD to restore the index from
+  if (headCommit(root)) withPaths(root, ['restore', '--staged'], paths);
+  else withPaths(root, ['rm', '--cached', '-r', '--quiet'], paths);
+  return status(root);
+}
+
+export function commit(dir, message) {
+  const root = requireRepo(dir);
+  if (typeof message !== 'string' || !message.trim()) fail(400, 'A commit message is required');
+  if (git(root, ['diff', '--cached', '--name-only']) === '' && headCommit(root)) fail(400, 'Nothing is staged');
+  git(root, ['commit', '--cleanup=strip', '-F', '-'], { input: message.endsWith('\n') ? message : message + '\n' });
+  return { commit: headCommit(root), summary: git(root, ['log', '-1', '--format=%s']), status: status(root) };
+}
+
+export function branches(dir) {
+  const root = requireRepo(dir);
+  const out = git(root, ['for-each-ref', '--format=%(refname:short)%00%(upstream:short)%00%(objectname:short)', 'refs/heads']);
+  const list = out.split('\n').filter(Boolean).map(line => {
+    const [name, upstream, head] = line.split('\0');
+    return { name, upstream: upstream || null, head };
+  });
+  const remotes = git(root, ['remote']).split('\n').filter(Boolean).map(name => ({
+    name, url: git(root, ['remote', 'get-url', name], { allowFail: true }) || null
+  }));
+  return { current: currentBranch(root), branches: list, remotes };
+}
+
+export function createBranch(dir, name, { startPoint = null, checkout = true } = {}) {
+  const root = requireRepo(dir);
+  if (!isValidBranchName(root, name)) fail(400, `Invalid branch name: ${name}`);
+  if (hasBranch(root, name)) fail(409, `Branch ${name} already exists`);
+  const start = [];
+  if (startPoint) {
+    if (typeof startPoint !== 'string' || startPoint.startsWith('-')) fail(400, `Invalid start point: ${startPoint}`);
+    try { start.push(git(root, ['rev-parse', '--verify', '--quiet', `${startPoint}^{commit}`])); } catch { fail(400, `Unknown start point: ${startPoint}`); }
+  }
+  git(root, checkout ? ['switch', '-c', name, ...start] : ['branch', name, ...start]);
+  return branches(root);
+}
+
+export function switchBranch(dir, name) {
+  const root = requireRepo(dir);
+  if (typeof name !== 'string' || name.startsWith('-') || !hasBranch(root, name)) fail(404, `No local branch ${name}`);
+  git(root, ['switch', name], { errorCode: 409 });
+  return branches(root);
+}
+
+/** Push a local branch (default: the current one) to one of the repository's remotes. */
+export async function push(dir, { remote, branch = null, setUpstream = true } = {}) {
+  const root = requireRepo(dir);
+  const remotes = git(root, ['remote']).split('\n').filter(Boolean);
+  if (!remotes.length) fail(400, 'The repository has no remotes');
+  if (!remote || !remotes.includes(remote)) fail(400, `Unknown remote ${remote}; available: ${remotes.join(', ')}`);
+  const name = branch || currentBranch(root);
+  if (!name) fail(409, 'HEAD is detached; choose a branch to push');
+  if (name.startsWith('-') || !hasBranch(root, name)) fail(404, `No local branch ${name}`);
+  const { stdout, stderr } = await gitAsync(root, ['push', ...(setUpstream ? ['--set-upstream'] : []), remote, `refs/heads/${name}:refs/heads/${name}`]);
+  return { remote, branch: name, output: [stdout, stderr].filter(Boolean).join('\n'), status: status(root) };
+}
+
+/**
+ * Prompt asking an agent for a commit message for the staged changes (or all
+ * changes when nothing is staged). The diff is part of the prompt, so the
+ * agent does not need access to the repository.
+ */
+export function commitMessagePrompt(dir) {
+  const root = requireRepo(dir);
+  let staged = true;
+  let patch = git(root, ['diff', '--cached', '--no-color', '--no-ext-diff'], { trim: false });
+  if (!patch.trim()) {
+    staged = false;
+    patch = git(root, ['diff', '--no-color', '--no-ext-diff', ...(headCommit(root) ? ['HEAD'] : [])], { trim: false });
+  }
+  if (!patch.trim()) fail(400, 'There are no changes to describe');
+  const recent = headCommit(root) ? git(root, ['log', '-5', '--format=%s']) : '';
+  const clipped = patch.length > MAX_DRAFT_DIFF ? patch.slice(0, MAX_DRAFT_DIFF) + '\n[diff truncated]\n' : patch;
+  return {
+    staged,
+    prompt: 'Write a git commit message for the following ' + (staged ? 'staged changes' : 'changes') + '. ' +
+      'Reply with the commit message only: a summary line of at most 72 characters, optionally followed by a blank line and a short body. ' +
+      'Do not use any tools and do not wrap the message in quotes or code fences.' +
+      (recent ? `\n\nRecent commit subjects, for style:\n${recent}` : '') +
+      `\n\nDiff:\n${clipped}`
+  };
+}
+
+export function cleanCommitMessage(text) {
+  let msg = String(text || '').trim();
+  const fenced = msg.match(/^```[^\n]*\n([\s\S]*?)\n```$/);
+  if (fenced) msg = fenced[1].trim();
+  return msg.replace(/^(["'])([\s\S]*)\1$/, '$2').trim();
+}
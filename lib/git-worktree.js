@@ -0,0 +1,187 @@
+import fs from 'fs';
+import path from 'path';
+import { git, gitAsync, repoRoot, currentBranch, headCommit, workingTreeDiff } from './git.js';
+
+/**
+ * Worktree isolation: a conversation created with { worktree: true } gets its
+ * own `git worktree` under <dataDir>/worktrees on a new branch, so several
+ * conversations on the same repository do not edit the same checkout. The
+ * branch can be merged back into the branch it started from, or pushed for a
+ * pull request. The worktree is removed with the conversation.
+ */
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function worktreeBranchName(conversationId) {
+  return `agentgui/${conversationId.replace(/^conv-/, '').slice(0, 24)}`;
+}
+
+/**
+ * Create the worktree for a conversation whose requested directory is
+ * `sourceDirectory`. Returns the row stored by queries.createConversationWorktree.
+ */
+export function createConversationWorktree({ queries, dataDir, conversationId, sourceDirectory }) {
+  const root = repoRoot(sourceDirectory);
+  if (!root) fail(400, `${sourceDirectory} is not inside a git repository`);
+  const baseCommit = headCommit(root);
+  if (!baseCommit) fail(400, 'The repository has no commits yet');
+  const baseBranch = currentBranch(root);
+  const branch = worktreeBranchName(conversationId);
+  const worktreePath = path.join(dataDir, 'worktrees', conversationId);
+  fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+  git(root, ['worktree', 'add', '-b', branch, worktreePath, baseCommit]);
+  // The conversation works in the same sub-directory of its own checkout
+  const relative = path.relative(fs.realpathSync(root), fs.realpathSync(sourceDirectory));
+  const workingDirectory = relative ? path.join(worktreePath, relative) : worktreePath;
+  return queries.createConversationWorktree(conversationId, {
+    repoRoot: root, worktreePath, workingDirectory, branch, baseBranch, baseCommit, sourceDirectory
+  });
+}
+
+/**
+ * Move a just-created conversation into its own worktree. On failure the
+ * conversation is deleted again and the error rethrown, so callers never end
+ * up with a conversation that silently shares the original checkout.
+ */
+export function isolateConversation({ queries, dataDir, conversation }) {
+  try {
+    if (!conversation.workingDirectory) fail(400, 'A worktree needs a workingDirectory inside a git repository');
+    const wt = createConversationWorktree({ queries, dataDir, conversationId: conversation.id, sourceDirectory: conversation.workingDirectory });
+    return queries.updateConversation(conversation.id, { workingDirectory: wt.workingDirectory });
+  } catch (e) {
+    queries.deleteConversation(conversation.id);
+    throw e;
+  }
+}
+
+function requireWorktree(queries, conversationId) {
+  const wt = queries.getConversationWorktree(conversationId);
+  if (!wt) fail(404, 'This conversation has no worktree');
+  if (!fs.existsSync(wt.worktreePath)) fail(410, 'The worktree no longer exists');
+  return wt;
+}
+
+function hasChanges(cwd) {
+  return git(cwd, ['status', '--porcelain']) !== '';
+}
+
+// Commits whatever the agent left uncommitted so it is part of the branch
+function commitPending(wt, message) {
+  if (!hasChanges(wt.worktreePath)) return null;
+  git(wt.worktreePath, ['add', '-A']);
+  git(wt.worktreePath, ['commit', '--no-verify', '-m', message]);
+  return headCommit(wt.worktreePath);
+}
+
+// Where the branch forked from its base, which moves forward after a merge
+function diffBase(wt) {
+  if (wt.baseBranch) {
+    try { return git(wt.worktreePath, ['merge-base', wt.baseBranch, 'HEAD']); } catch {}
+  }
+  return wt.baseCommit;
+}
+
+export function worktreeStatus(queries, conversationId) {
+  const wt = queries.getConversationWorktree(conversationId);
+  if (!wt) return null;
+  const exists = fs.existsSync(wt.worktreePath);
+  let ahead = 0, dirty = false;
+  if (exists) {
+    try { ahead = parseInt(git(wt.worktreePath, ['rev-list', '--count', `${diffBase(wt)}..HEAD`])) || 0; } catch {}
+    try { dirty = hasChanges(wt.worktreePath); } catch {}
+  }
+  return { ...wt, exists, ahead, dirty };
+}
+
+export function worktreeDiff(queries, conversationId) {
+  const wt = requireWorktree(queries, conversationId);
+  const base = diffBase(wt);
+  return { branch: wt.branch, baseBranch: wt.baseBranch, base, ...workingTreeDiff(wt.worktreePath, base) };
+}
+
+/**
+ * Merge the conversation's branch into its base branch in the original
+ * checkout. The original checkout must have the base branch checked out; a
+ * conflicting merge is aborted and reported with code 409.
+ */
+export function mergeWorktree(queries, conversationId, { message, conversationTitle } = {}) {
+  const wt = requireWorktree(queries, conversationId);
+  if (!wt.baseBranch) fail(409, 'The worktree was created from a detached HEAD; there is no branch to merge into');
+  const checkedOut = currentBranch(wt.repoRoot);
+  if (checkedOut !== wt.baseBranch) fail(409, `${wt.repoRoot} has ${checkedOut || 'a detached HEAD'} checked out, not ${wt.baseBranch}`);
+  const title = conversationTitle || wt.branch;
+  const committed = commitPending(wt, message || `AgentGUI: ${title}`);
+  if (git(wt.worktreePath, ['rev-list', '--count', `${wt.baseBranch}..HEAD`]) === '0') {
+    return { merged: false, reason: 'Nothing to merge', committed };
+  }
+  try {
+    git(wt.repoRoot, ['merge', '--no-ff', '--no-edit', '-m', `Merge ${wt.branch}: ${title}`, wt.branch]);
+  } catch (e) {
+    const conflicts = git(wt.repoRoot, ['diff', '--name-only', '--diff-filter=U'], { allowFail: true }).split('\n').filter(Boolean);
+    try { git(wt.repoRoot, ['merge', '--abort']); } catch {}
+    const err = new Error(conflicts.length ? `Merge conflicts in ${conflicts.join(', ')}` : e.message);
+    err.code = 409;
+    err.conflicts = conflicts;
+    throw err;
+  }
+  const mergeCommit = headCommit(wt.repoRoot);
+  queries.updateConversationWorktree(conversationId, { status: 'merged', mergedAt: Date.now() });
+  return { merged: true, into: wt.baseBranch, commit: mergeCommit, committed };
+}
+
+// https URL of a GitHub/GitLab-style remote, for a "create pull request" link
+function webUrl(remoteUrl) {
+  const m = remoteUrl.match(/^(?:https?:\/\/(?:[^@/]+@)?|ssh:\/\/git@|git@)([^/:]+)[:/](.+?)(?:\.git)?\/?$/);
+  return m ? `https://${m[1]}/${m[2]}` : null;
+}
+
+/**
+ * Commit pending changes and push the branch to `remote` so a pull request can
+ * be opened from it.
+ */
+export async function pushWorktreeBranch(queries, conversationId, { remote = 'origin', message, conversationTitle } = {}) {
+  const wt = requireWorktree(queries, conversationId);
+  const remotes = git(wt.worktreePath, ['remote']).split('\n').filter(Boolean);
+  if (!remotes.includes(remote)) fail(400, remotes.length ? `Unknown remote ${remote}; available: ${remotes.join(', ')}` : 'The repository has no remotes');
+  const committed = commitPending(wt, message || `AgentGUI: ${conversationTitle || wt.branch}`);
+  await gitAsync(wt.worktreePath, ['push', '--set-upstream', remote, `${wt.branch}:${wt.branch}`]);
+  queries.updateConversationWorktree(conversationId, { pushedRemote: remote, pushedAt: Date.now() });
+  const base = webUrl(git(wt.worktreePath, ['remote', 'get-url', remote]));
+  const compareUrl = base && wt.baseBranch
+    ? (base.includes('gitlab')
+      ? `${base}/-/merge_requests/new?merge_request[source_branch]=${encodeURIComponent(wt.branch)}&merge_request[target_branch]=${encodeURIComponent(wt.baseBranch)}`
+      : `${base}/compare/${encodeURIComponent(wt.baseBranch)}...${encodeURIComponent(wt.branch)}?expand=1`)
+    : null;
+  return { pushed: true, remote, branch: wt.branch, committed, compareUrl };
+}
+
+/**
+ * Remove the worktree directory and its branch. Uncommitted changes are first
+ * committed to the branch, and the branch is only deleted when it has been
+ * merged, so unmerged work stays reachable under its name. A worktree whose
+ * changes cannot be committed is left in place.
+ */
+export function removeConversationWorktree(queries, conversationId) {
+  const wt = queries.getConversationWorktree(conversationId);
+  if (!wt) return false;
+  if (fs.existsSync(wt.worktreePath)) {
+    try {
+      commitPending(wt, `AgentGUI: uncommitted changes of ${wt.branch}`);
+    } catch (e) {
+      fail(409, `Kept ${wt.worktreePath}: its uncommitted changes could not be committed (${e.message})`);
+    }
+  }
+  try {
+    git(wt.repoRoot, ['worktree', 'remove', '--force', wt.worktreePath]);
+  } catch (e) {
+    fs.rmSync(wt.worktreePath, { recursive: true, force: true });
+    try { git(wt.repoRoot, ['worktree', 'prune']); } catch {}
+  }
+  try {
+    git(wt.repoRoot, ['branch', '-d', wt.branch]);
+  } catch {
+    console.log(`[worktree] Kept unmerged branch ${wt.branch} in ${wt.repoRoot}`);
+  }
+  queries.deleteConversationWorktree(conversationId);
+  return true;
+}
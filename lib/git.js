@@ -0,0 +1,187 @@
+import { execFile, execFileSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Git commands run with an argument list and never through a shell, so paths,
+ * branch names and commit messages need no quoting. Errors carry the code the
+ * handlers return (400 by default) and git's stderr as the message.
+ */
+
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+// Never wait on a credential or editor prompt nobody can answer
+const GIT_ENV = { GIT_TERMINAL_PROMPT: '0', GIT_EDITOR: 'true', GIT_MERGE_AUTOEDIT: 'no' };
+
+// Snapshot commits are internal and must not depend on the user's git identity
+const SNAPSHOT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'AgentGUI', GIT_AUTHOR_EMAIL: 'agentgui@localhost',
+  GIT_COMMITTER_NAME: 'AgentGUI', GIT_COMMITTER_EMAIL: 'agentgui@localhost'
+};
+
+function gitError(e, args, code) {
+  const stderr = e.stderr ? String(e.stderr).trim() : '';
+  const err = new Error(stderr || e.message || `git ${args[0]} failed`);
+  err.code = code;
+  err.exitCode = e.status ?? e.code ?? null;
+  err.stdout = e.stdout ? String(e.stdout) : '';
+  return err;
+}
+
+/**
+ * Run git synchronously and return stdout. With allowFail the exit status is
+ * ignored and stdout returned anyway (e.g. `diff --no-index` exits 1 when files
+ * differ).
+ */
+export function git(cwd, args, { input, env, allowFail = false, errorCode = 400, trim = true } = {}) {
+  try {
+    const out = execFileSync('git', args, {
+      cwd, input, encoding: 'utf-8', maxBuffer: MAX_BUFFER,
+      stdio: ['pipe', 'pipe', 'pipe'], env: { ...process.env, ...GIT_ENV, ...env }
+    });
+    return trim ? out.trim() : out;
+  } catch (e) {
+    if (allowFail && e.stdout != null) return trim ? String(e.stdout).trim() : String(e.stdout);
+    throw gitError(e, args, errorCode);
+  }
+}
+
+/** Async variant for slow network commands (push, fetch). */
+export function gitAsync(cwd, args, { env, errorCode = 400, timeout = 120000 } = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, encoding: 'utf-8', maxBuffer: MAX_BUFFER, timeout, env: { ...process.env, ...GIT_ENV, ...env } }, (e, stdout, stderr) => {
+      if (e) { e.stderr = stderr; e.stdout = stdout; reject(gitError(e, args, errorCode)); return; }
+      resolve({ stdout: stdout.trim(), stderr: stderr.trim() });
+    });
+  });
+}
+
+export function repoRoot(dir) {
+  if (!dir) return null;
+  try { return git(dir, ['rev-parse', '--show-toplevel']); } catch { return null; }
+}
+
+export function currentBranch(dir) {
+  try { return git(dir, ['symbolic-ref', '--quiet', '--short', 'HEAD']) || null; } catch { return null; }
+}
+
+export function headCommit(dir) {
+  try { return git(dir, ['rev-parse', '--verify', 'HEAD']); } catch { return null; }
+}
+
+export function isValidBranchName(dir, name) {
+  if (typeof name !== 'string' || !name || name.startsWith('-')) return false;
+  try { git(dir, ['check-ref-format', '--branch', name]); return true; } catch { return false; }
+}
+
+/** Files not tracked and not ignored, relative to cwd. */
+export function untrackedFiles(cwd) {
+  const out = git(cwd, ['ls-files', '--others', '--exclude-standard', '-z'], { trim: false });
+  return out.split('\0').filter(Boolean);
+}
+
+/**
+ * Unified diff of the working tree against `base` (a commit), including files
+ * that are not tracked yet, plus per-file line counts. Paths are relative to
+ * the repository root.
+ */
+export function workingTreeDiff(dir, base) {
+  const cwd = repoRoot(dir) || dir;
+  const range = base ? [base] : [];
+  let patch = git(cwd, ['diff', '--no-color', '--no-ext-diff', ...range], { trim: false });
+  const files = diffFiles(cwd, range);
+  for (const file of untrackedFiles(cwd)) {
+    const p = git(cwd, ['diff', '--no-color', '--no-index', '--', '/dev/null', file], { allowFail: true, trim: false });
+    patch += p;
+    const added = p.split('\n').filter(l => l.startsWith('+') && !l.startsWith('+++')).length;
+    files.set(file, { path: file, status: 'A', additions: added, deletions: 0, binary: /^Binary files /m.test(p), untracked: true });
+  }
+  return { patch, files: [...files.values()].sort((a, b) => a.path.localeCompare(b.path)) };
+}
+
+/** Same shape as workingTreeDiff, between two commits. */
+export function commitDiff(dir, from, to) {
+  const cwd = repoRoot(dir) || dir;
+  const patch = git(cwd, ['diff', '--no-color', '--no-ext-diff', from, to], { trim: false });
+  const files = diffFiles(cwd, [from, to]);
+  return { patch, files: [...files.values()].sort((a, b) => a.path.localeCompare(b.path)) };
+}
+
+/**
+ * Commit the whole working tree, untracked files included, without touching
+ * the index, HEAD or any branch: files are staged into a copy of the index.
+ * The commit is only reachable through `ref` when one is given. Git runs
+ * asynchronously, as staging a large tree can take a while.
+ */
+export async function snapshotWorkingTree(dir, { message, ref } = {}) {
+  const root = repoRoot(dir);
+  if (!root) return null;
+  const run = async (args, env) => (await gitAsync(root, args, { env })).stdout;
+  const index = path.resolve(root, await run(['rev-parse', '--git-path', 'index']));
+  const tmpIndex = path.join(os.tmpdir(), `agentgui-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+  try {
+    try { await fs.promises.copyFile(index, tmpIndex); } catch (e) { if (e.code !== 'ENOENT') throw e; }
+    const env = { GIT_INDEX_FILE: tmpIndex, ...SNAPSHOT_IDENTITY };
+    await run(['add', '-A'], env);
+    const tree = await run(['write-tree'], env);
+    const head = await run(['rev-parse', '--verify', 'HEAD']).catch(() => null);
+    const commit = await run(['commit-tree', tree, ...(head ? ['-p', head] : []), '-m', message || 'AgentGUI snapshot'], env);
+    if (ref) await run(['update-ref', ref, commit]);
+    return commit;
+  } finally {
+    await fs.promises.rm(tmpIndex, { force: true });
+  }
+}
+
+/**
+ * What restoring `commit` (a snapshot) would do to the working tree, as
+ * [{ path, status }] relative to the repository root: 'M' rewrites a file, 'A'
+ * recreates one, 'D' deletes one created since. Ignored files are left alone.
+ */
+export async function snapshotChanges(dir, commit) {
+  const root = repoRoot(dir);
+  const current = await snapshotWorkingTree(root, { message: 'AgentGUI restore preview' });
+  const out = git(root, ['diff', '--name-status', '-z', '--no-renames', current, commit], { trim: false });
+  return parseNameStatus(out).map(([status, file]) => ({ path: file, status: status === 'T' ? 'M' : status }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/** Make the working tree match `commit` again; the index and HEAD are not touched. */
+export async function restoreSnapshot(dir, commit) {
+  const root = repoRoot(dir);
+  const changes = await snapshotChanges(root, commit);
+  const restore = changes.filter(c => c.status !== 'D').map(c => c.path);
+  if (restore.length) {
+    git(root, ['restore', `--source=${commit}`, '--worktree', '--pathspec-from-file=-', '--pathspec-file-nul'],
+      { input: restore.join('\0'), env: { GIT_LITERAL_PATHSPECS: '1' } });
+  }
+  for (const c of changes) {
+    if (c.status === 'D') fs.rmSync(path.join(root, c.path), { force: true });
+  }
+  return changes;
+}
+
+export function deleteRef(dir, ref) {
+  try { git(dir, ['update-ref', '-d', ref]); return true; } catch { return false; }
+}
+
+function diffFiles(cwd, range) {
+  const files = new Map();
+  const numstat = git(cwd, ['diff', '--numstat', '-z', '--no-renames', ...range], { trim: false });
+  for (const rec of numstat.split('\0')) {
+    const m = rec.match(/^(\d+|-)\t(\d+|-)\t(.+)$/s);
+    if (m) files.set(m[3], { path: m[3], additions: m[1] === '-' ? null : +m[1], deletions: m[2] === '-' ? null : +m[2], binary: m[1] === '-' });
+  }
+  for (const [status, file] of parseNameStatus(git(cwd, ['diff', '--name-status', '-z', '--no-renames', ...range], { trim: false }))) {
+    if (files.has(file)) files.get(file).status = status;
+  }
+  return files;
+}
+
+function parseNameStatus(out) {
+  const parts = out.split('\0').filter(Boolean);
+  const pairs = [];
+  for (let i = 0; i + 1 < parts.length; i += 2) pairs.push([parts[i][0], parts[i + 1]]);
+  return pairs;
+}
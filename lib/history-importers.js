@@ -0,0 +1,270 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * History importers for agents other than Claude Code
+ * Each importer finds an agent's local session store, lists the sessions it
+ * holds (discover) and turns one session into plain user/assistant messages
+ * (parse). importHistory() feeds the result into createImportedConversation.
+ * Register additional agents with registerHistoryImporter().
+ *
+ * A discovered entry looks like:
+ *   { externalId, title, projectPath, created, modified, messageCount, sourcePath, gitBranch }
+ */
+
+const importers = new Map();
+
+export function registerHistoryImporter(importer) {
+  if (!importer?.agentId || typeof importer.discover !== 'function' || typeof importer.parse !== 'function') {
+    throw new Error('A history importer needs agentId, discover() and parse()');
+  }
+  importers.set(importer.agentId, importer);
+}
+
+export function getHistoryImporter(agentId) {
+  return importers.get(agentId) || null;
+}
+
+export function listHistoryImporters() {
+  return [...importers.values()].map(i => ({ agentId: i.agentId, name: i.name }));
+}
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf-8')); } catch { return null; }
+}
+
+function listDir(dir) {
+  try { return fs.readdirSync(dir, { withFileTypes: true }); } catch { return []; }
+}
+
+function toTime(value) {
+  if (typeof value === 'number') return value;
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+function titleFrom(text, fallback) {
+  const line = (text || '').split('\n').map(l => l.trim()).find(Boolean);
+  if (!line) return fallback;
+  return line.length > 80 ? line.slice(0, 77) + '...' : line;
+}
+
+// ---- Gemini CLI: ~/.gemini/tmp/<sha256 of project root>/chats/session-*.json ----
+
+function geminiText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(p => (typeof p === 'string' ? p : p?.text || '')).join('');
+  return '';
+}
+
+registerHistoryImporter({
+  agentId: 'gemini',
+  name: 'Gemini CLI',
+  root: () => path.join(os.homedir(), '.gemini', 'tmp'),
+
+  // The store is keyed by a hash of the project root, so the path can only be
+  // recovered by hashing directories we already know about
+  discover({ knownDirectories = [] } = {}) {
+    const byHash = new Map(knownDirectories.map(d => [crypto.createHash('sha256').update(d).digest('hex'), d]));
+    const found = [];
+    for (const project of listDir(this.root())) {
+      if (!project.isDirectory()) continue;
+      const chatsDir = path.join(this.root(), project.name, 'chats');
+      for (const file of listDir(chatsDir)) {
+        if (!file.isFile() || !/^session-.*\.json$/.test(file.name)) continue;
+        const sourcePath = path.join(chatsDir, file.name);
+        const data = readJson(sourcePath);
+        if (!data || !Array.isArray(data.messages)) continue;
+        const messages = data.messages.filter(m => m.type === 'user' || m.type === 'gemini');
+        if (!messages.length) continue;
+        const firstPrompt = geminiText(messages.find(m => m.type === 'user')?.content);
+        found.push({
+          externalId: data.sessionId || path.basename(file.name, '.json'),
+          title: titleFrom(firstPrompt, 'Gemini CLI Session'),
+          firstPrompt,
+          projectPath: byHash.get(data.projectHash || project.name) || null,
+          created: toTime(data.startTime) || toTime(messages[0].timestamp),
+          modified: toTime(data.lastUpdated) || toTime(messages[messages.length - 1].timestamp),
+          messageCount: messages.length,
+          sourcePath
+        });
+      }
+    }
+    return found;
+  },
+
+  parse(entry) {
+    const data = readJson(entry.sourcePath);
+    if (!data || !Array.isArray(data.messages)) return [];
+    return data.messages
+      .filter(m => m.type === 'user' || m.type === 'gemini')
+      .map(m => ({ role: m.type === 'user' ? 'user' : 'assistant', content: geminiText(m.content), created_at: toTime(m.timestamp) }))
+      .filter(m => m.content);
+  }
+});
+
+// ---- OpenCode: $XDG_DATA_HOME/opencode/storage/{project,session,message,part} ----
+
+registerHistoryImporter({
+  agentId: 'opencode',
+  name: 'OpenCode',
+  root: () => path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'opencode', 'storage'),
+
+  discover() {
+    const root = this.root();
+    const found = [];
+    for (const project of listDir(path.join(root, 'session'))) {
+      if (!project.isDirectory()) continue;
+      const worktree = readJson(path.join(root, 'project', `${project.name}.json`))?.worktree || null;
+      const dir = path.join(root, 'session', project.name);
+      for (const file of listDir(dir)) {
+        if (!file.isFile() || !file.name.endsWith('.json')) continue;
+        const info = readJson(path.join(dir, file.name));
+        // Sessions with a parent are sub-agent runs, already part of the parent's transcript
+        if (!info?.id || info.parentID) continue;
+        const messageCount = listDir(path.join(root, 'message', info.id)).length;
+        if (!messageCount) continue;
+        found.push({
+          externalId: info.id,
+          title: info.title || 'OpenCode Session',
+          projectPath: info.directory || (worktree && worktree !== '/' ? worktree : null),
+          created: toTime(info.time?.created),
+          modified: toTime(info.time?.updated),
+          messageCount,
+          sourcePath: path.join(dir, file.name)
+        });
+      }
+    }
+    return found;
+  },
+
+  parse(entry) {
+    const root = this.root();
+    const messages = listDir(path.join(root, 'message', entry.externalId))
+      .map(f => readJson(path.join(root, 'message', entry.externalId, f.name)))
+      .filter(m => m?.id && (m.role === 'user' || m.role === 'assistant'))
+      .sort((a, b) => (a.time?.created || 0) - (b.time?.created || 0));
+    return messages.map(m => {
+      const parts = listDir(path.join(root, 'part', m.id))
+        .map(f => readJson(path.join(root, 'part', m.id, f.name)))
+        .filter(p => p?.type === 'text' && p.text && !p.synthetic)
+        .sort((a, b) => (a.id < b.id ? -1 : 1));
+      return { role: m.role, content: parts.map(p => p.text).join('\n\n'), created_at: toTime(m.time?.created) };
+    }).filter(m => m.content);
+  }
+});
+
+// ---- Codex: $CODEX_HOME/sessions/YYYY/MM/DD/rollout-*.jsonl ----
+
+// Context Codex injects as user turns; not something the user typed
+const CODEX_INJECTED = /^\s*<(environment_context|user_instructions|user_shell_command)>/;
+
+function codexLines(file) {
+  let raw;
+  try { raw = fs.readFileSync(file, 'utf-8'); } catch { return []; }
+  const out = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try { out.push(JSON.parse(line)); } catch (_) {}
+  }
+  return out;
+}
+
+function codexMessages(lines) {
+  const messages = [];
+  for (const line of lines) {
+    // Newer rollouts wrap items as { type: 'response_item', payload }, older ones write them bare
+    const item = line.type === 'response_item' ? line.payload : line;
+    if (item?.type !== 'message' || (item.role !== 'user' && item.role !== 'assistant')) continue;
+    const text = (item.content || []).filter(c => c.type === 'input_text' || c.type === 'output_text').map(c => c.text).join('\n');
+    if (!text || (item.role === 'user' && CODEX_INJECTED.test(text))) continue;
+    messages.push({ role: item.role, content: text, created_at: toTime(line.timestamp) });
+  }
+  return messages;
+}
+
+registerHistoryImporter({
+  agentId: 'codex',
+  name: 'Codex',
+  root: () => path.join(process.env.CODEX_HOME || path.join(os.homedir(), '.codex'), 'sessions'),
+
+  discover() {
+    const files = [];
+    const walk = (dir, depth) => {
+      for (const e of listDir(dir)) {
+        const p = path.join(dir, e.name);
+        if (e.isDirectory() && depth < 3) walk(p, depth + 1);
+        else if (e.isFile() && /^rollout-.*\.jsonl$/.test(e.name)) files.push(p);
+      }
+    };
+    walk(this.root(), 0);
+
+    const found = [];
+    for (const sourcePath of files) {
+      const lines = codexLines(sourcePath);
+      const meta = lines.find(l => l.type === 'session_meta')?.payload || (lines[0]?.id ? lines[0] : null);
+      const messages = codexMessages(lines);
+      if (!messages.length) continue;
+      const firstPrompt = messages.find(m => m.role === 'user')?.content;
+      let mtime = null;
+      try { mtime = fs.statSync(sourcePath).mtimeMs; } catch (_) {}
+      found.push({
+        externalId: meta?.id || path.basename(sourcePath, '.jsonl'),
+        title: titleFrom(firstPrompt, 'Codex Session'),
+        firstPrompt,
+        projectPath: meta?.cwd || null,
+        created: toTime(meta?.timestamp) || messages[0].created_at,
+        modified: messages[messages.length - 1].created_at || mtime,
+        messageCount: messages.length,
+        gitBranch: meta?.git?.branch || null,
+        sourcePath
+      });
+    }
+    return found;
+  },
+
+  parse(entry) {
+    return codexMessages(codexLines(entry.sourcePath));
+  }
+});
+
+/**
+ * Import every discovered session of one agent that is not already in the
+ * database. Sessions that were imported before (including ones since deleted)
+ * are skipped, so this is safe to run repeatedly.
+ * @returns {Array<{ externalId, status: 'imported'|'skipped'|'error', id?, title?, messages?, reason?, error? }>}
+ */
+export function importHistory(queries, agentId, options = {}) {
+  const importer = getHistoryImporter(agentId);
+  if (!importer) return null;
+  const results = [];
+  for (const entry of importer.discover(options)) {
+    try {
+      const existing = queries.getConversationByExternalId(agentId, entry.externalId);
+      if (existing) {
+        results.push({ externalId: entry.externalId, status: 'skipped', reason: existing.status === 'deleted' ? 'deleted' : 'exists' });
+        continue;
+      }
+      const messages = importer.parse(entry);
+      if (!messages.length) {
+        results.push({ externalId: entry.externalId, status: 'skipped', reason: 'empty' });
+        continue;
+      }
+      const projectName = entry.projectPath ? path.basename(entry.projectPath) : '';
+      const title = projectName ? `[${projectName}] ${entry.title}` : entry.title;
+      const conv = queries.importConversationWithMessages({
+        ...entry,
+        title,
+        agentId,
+        agentType: agentId,
+        messageCount: messages.length
+      }, messages);
+      results.push({ externalId: entry.externalId, status: 'imported', id: conv.id, title, messages: messages.length });
+    } catch (e) {
+      results.push({ externalId: entry.externalId, status: 'error', error: e.message });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,319 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * HTTP / WebSocket authentication
+ * Modes (AUTH_MODE):
+ *   none     - no authentication (default, localhost use)
+ *   token    - static AUTH_TOKEN via Authorization: Bearer, ?token= or session cookie
+ *   password - AUTH_PASSWORD (user "admin") or a user account's password exchanged for a
+ *              signed session cookie on the login page
+ *   proxy    - trusted reverse proxy sets AUTH_PROXY_HEADER (default x-forwarded-user)
+ *
+ * Session cookies are signed, not stored, so each carries its user's session
+ * generation (kept in <dataDir>/auth-sessions.json) and a tag of the shared
+ * AUTH_TOKEN / AUTH_PASSWORD. Signing out or revokeSessions() bumps the
+ * generation, and changing the shared secret changes the tag; either way the
+ * cookies issued before stop working.
+ */
+
+const COOKIE_NAME = 'agentgui_session';
+const MODES = ['none', 'token', 'password', 'proxy'];
+const GENERATIONS_FILE = 'auth-sessions.json';
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '::1']);
+
+/** Whether a server listening on `host` (unset: every interface) is reachable from this machine only */
+export function isLoopbackHost(host) {
+  return !!host && (LOOPBACK_HOSTS.has(host) || host.startsWith('127.'));
+}
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of (header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx > 0) out[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return out;
+}
+
+function loadSigningKey(dataDir) {
+  if (process.env.AUTH_SECRET) return process.env.AUTH_SECRET;
+  const keyPath = path.join(dataDir, 'auth-secret');
+  try {
+    return fs.readFileSync(keyPath, 'utf-8').trim();
+  } catch {
+    const key = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(keyPath, key, { mode: 0o600 });
+    return key;
+  }
+}
+
+function loadGenerations(dataDir) {
+  try {
+    return new Map(Object.entries(JSON.parse(fs.readFileSync(path.join(dataDir, GENERATIONS_FILE), 'utf-8'))));
+  } catch {
+    return new Map();
+  }
+}
+
+function loginPage(baseUrl, mode, next) {
+  const label = mode === 'token' ? 'Access token' : 'Password';
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>AgentGUI - Sign in</title>
+<style>
+  body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;font-family:system-ui,-apple-system,sans-serif;background:#f3f4f6;color:#111827}
+  @media (prefers-color-scheme:dark){body{background:#111827;color:#f3f4f6}form{background:#1f2937!important}input{background:#111827;color:#f3f4f6;border-color:#374151!important}}
+  form{background:#fff;padding:2rem;border-radius:.75rem;box-shadow:0 10px 25px rgba(0,0,0,.1);display:flex;flex-direction:column;gap:.75rem;width:18rem}
+  h1{margin:0 0 .5rem;font-size:1.25rem}
+  input{padding:.5rem .75rem;border:1px solid #d1d5db;border-radius:.375rem;font-size:.95rem}
+  button{padding:.5rem;border:none;border-radius:.375rem;background:#3b82f6;color:#fff;font-weight:600;cursor:pointer}
+  .err{color:#ef4444;font-size:.85rem;min-height:1em}
+</style></head>
+<body><form id="f"><h1>AgentGUI</h1>
+${mode === 'password' ? '<label for="u">Username</label><input id="u" autocomplete="username" placeholder="admin">' : ''}
+<label for="s">${label}</label><input id="s" type="password" autocomplete="current-password" ${mode === 'password' ? '' : 'autofocus '}required>
+<button type="submit">Sign in</button><div class="err" id="e"></div></form>
+<script>
+document.getElementById('f').addEventListener('submit', function(ev) {
+  ev.preventDefault();
+  fetch(${JSON.stringify(baseUrl + '/api/auth/login')}, {
+    method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: document.getElementById('u') ? document.getElementById('u').value : undefined, secret: document.getElementById('s').value })
+  }).then(function(r) {
+    if (r.ok) { location.href = ${JSON.stringify(next)}; return; }
+    document.getElementById('e').textContent = r.status === 429 ? 'Too many attempts, try again later' : 'Invalid ${mode === 'password' ? 'username or password' : label.toLowerCase()}';
+  }).catch(function() { document.getElementById('e').textContent = 'Connection failed'; });
+});
+</script></body></html>`;
+}
+
+/**
+ * @param {object} opts
+ * @param {function} [opts.verifyUser] - (username, password) => username | null, checks user accounts in password mode
+ */
+export function createAuth({ baseUrl = '', dataDir, env = process.env, verifyUser = null } = {}) {
+  const mode = (env.AUTH_MODE || 'none').toLowerCase();
+  if (!MODES.includes(mode)) throw new Error(`Invalid AUTH_MODE "${mode}". Use one of: ${MODES.join(', ')}`);
+  if (mode === 'token' && !env.AUTH_TOKEN) throw new Error('AUTH_MODE=token requires AUTH_TOKEN');
+  if (mode === 'password' && !env.AUTH_PASSWORD) throw new Error('AUTH_MODE=password requires AUTH_PASSWORD');
+
+  const sessionTtlMs = parseInt(env.AUTH_SESSION_TTL_MS || String(7 * 24 * 3600 * 1000), 10);
+  const proxyHeader = (env.AUTH_PROXY_HEADER || 'x-forwarded-user').toLowerCase();
+  const trustedProxies = new Set((env.AUTH_TRUSTED_PROXIES || '127.0.0.1,::1,::ffff:127.0.0.1').split(',').map(s => s.trim()).filter(Boolean));
+  const signingKey = mode === 'token' || mode === 'password' ? loadSigningKey(dataDir) : null;
+  const cookiePath = baseUrl || '/';
+  const secureCookies = env.AUTH_COOKIE_SECURE === '1' || env.AUTH_COOKIE_SECURE === 'true';
+  const corsOrigins = new Set((env.CORS_ORIGINS || '').split(',').map(s => s.trim().replace(/\/$/, '')).filter(Boolean));
+  const failedLogins = new Map();
+  const generations = signingKey ? loadGenerations(dataDir) : new Map();
+
+  const sign = (payload) => crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+  // Keyed, so the cookie (readable by its holder) reveals nothing about the secret
+  const secretTag = signingKey ? sign(`secret:${mode === 'token' ? env.AUTH_TOKEN : env.AUTH_PASSWORD}`).slice(0, 12) : null;
+
+  // What a cookie of `user` must carry to still be valid
+  const sessionVersion = (user) => `${generations.get(user) || 0}.${secretTag}`;
+
+  function issueSession(user) {
+    const payload = Buffer.from(JSON.stringify({ u: user, v: sessionVersion(user), exp: Date.now() + sessionTtlMs })).toString('base64url');
+    return `${payload}.${sign(payload)}`;
+  }
+
+  /** Invalidate every session cookie issued to `user` so far */
+  function revokeSessions(user) {
+    if (!signingKey) return;
+    generations.set(user, (generations.get(user) || 0) + 1);
+    fs.writeFileSync(path.join(dataDir, GENERATIONS_FILE), JSON.stringify(Object.fromEntries(generations)), { mode: 0o600 });
+  }
+
+  function readSession(value) {
+    if (!value || !signingKey) return null;
+    const [payload, sig] = value.split('.');
+    if (!payload || !sig || !safeEqual(sig, sign(payload))) return null;
+    try {
+      const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+      return data.exp > Date.now() && data.v === sessionVersion(data.u) ? data : null;
+    } catch { return null; }
+  }
+
+  function checkSecret(secret) {
+    if (typeof secret !== 'string' || !secret) return false;
+    return mode === 'token' ? safeEqual(secret, env.AUTH_TOKEN) : safeEqual(secret, env.AUTH_PASSWORD);
+  }
+
+  // Resolves a login attempt to the signed-in user name, or null
+  function checkLogin(username, secret) {
+    if (mode === 'token') return checkSecret(secret) ? 'token' : null;
+    const name = typeof username === 'string' ? username.trim() : '';
+    if ((!name || name === 'admin') && checkSecret(secret)) return 'admin';
+    if (name && verifyUser && typeof secret === 'string' && secret) return verifyUser(name, secret) || null;
+    return null;
+  }
+
+  /**
+   * Resolve the caller's identity, or null when unauthenticated.
+   * Works on both plain HTTP requests and WebSocket upgrade requests.
+   */
+  function authenticate(req) {
+    if (mode === 'none') return { user: 'local', mode };
+    if (mode === 'proxy') {
+      const remote = req.socket?.remoteAddress;
+      const user = req.headers[proxyHeader];
+      if (!trustedProxies.has(remote) || typeof user !== 'string' || !user.trim()) return null;
+      return { user: user.trim(), mode };
+    }
+    const authHeader = req.headers.authorization || '';
+    if (mode === 'token' && authHeader.startsWith('Bearer ') && checkSecret(authHeader.slice(7))) {
+      return { user: 'token', mode };
+    }
+    if (mode === 'token') {
+      const queryToken = new URL(req.url, 'http://localhost').searchParams.get('token');
+      if (queryToken && checkSecret(queryToken)) return { user: 'token', mode };
+    }
+    const session = readSession(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+    return session ? { user: session.u, mode } : null;
+  }
+
+  // HTTPS directly, or through a trusted proxy that says so
+  function isHttps(req) {
+    if (req.socket?.encrypted) return true;
+    return trustedProxies.has(req.socket?.remoteAddress) && (req.headers['x-forwarded-proto'] || '').split(',')[0].trim() === 'https';
+  }
+
+  function sessionCookie(req, value, maxAgeSec) {
+    const secure = secureCookies || isHttps(req) ? '; Secure' : '';
+    return `${COOKIE_NAME}=${encodeURIComponent(value)}; Path=${cookiePath}; HttpOnly; SameSite=Lax${secure}; Max-Age=${maxAgeSec}`;
+  }
+
+  // Where to go after logging in: a path under baseUrl only. Browsers read
+  // `/\host` and paths with tabs or newlines as other sites.
+  function safeNext(nextParam) {
+    if (!nextParam.startsWith(cookiePath) || nextParam.startsWith('//') || /[\\\x00-\x1f\x7f]/.test(nextParam)) return baseUrl + '/';
+    return nextParam;
+  }
+
+  function tooManyAttempts(ip) {
+    const entry = failedLogins.get(ip);
+    if (!entry || entry.resetAt < Date.now()) return false;
+    return entry.count >= 10;
+  }
+
+  function recordFailure(ip) {
+    const entry = failedLogins.get(ip);
+    if (!entry || entry.resetAt < Date.now()) failedLogins.set(ip, { count: 1, resetAt: Date.now() + 15 * 60 * 1000 });
+    else entry.count++;
+  }
+
+  async function readJson(req) {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+      if (raw.length > 10000) break;
+    }
+    try { return JSON.parse(raw || '{}'); } catch { return {}; }
+  }
+
+  function stripBase(url) {
+    const p = url.split('?')[0];
+    if (baseUrl && p.startsWith(baseUrl + '/')) return p.slice(baseUrl.length);
+    if (baseUrl && p === baseUrl) return '/';
+    return p;
+  }
+
+  /**
+   * HTTP guard. Serves the login endpoints itself and rejects unauthenticated
+   * requests. Returns true when the response has been handled.
+   */
+  async function guard(req, res) {
+    const route = stripBase(req.url);
+    if (mode === 'none') {
+      req.auth = { user: 'local', mode };
+      if (route !== '/api/auth/session') return false;
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify({ user: 'local', mode }));
+      return true;
+    }
+
+    if (route === '/login' && req.method === 'GET') {
+      if (mode === 'proxy') { res.writeHead(401, { 'Content-Type': 'text/plain' }); res.end('Authentication is handled by the reverse proxy'); return true; }
+      const nextParam = new URL(req.url, 'http://localhost').searchParams.get('next') || '';
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(loginPage(baseUrl, mode, safeNext(nextParam)));
+      return true;
+    }
+
+    if (route === '/api/auth/login' && req.method === 'POST') {
+      const ip = req.socket?.remoteAddress || 'unknown';
+      if (mode === 'proxy') { res.writeHead(400, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Login not available in proxy mode' })); return true; }
+      if (tooManyAttempts(ip)) { res.writeHead(429, { 'Content-Type': 'application/json' }); res.end(JSON.stringify({ error: 'Too many attempts' })); return true; }
+      const body = await readJson(req);
+      const user = checkLogin(body.username, body.secret);
+      if (!user) {
+        recordFailure(ip);
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid credentials' }));
+        return true;
+      }
+      failedLogins.delete(ip);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': sessionCookie(req, issueSession(user), Math.floor(sessionTtlMs / 1000)) });
+      res.end(JSON.stringify({ ok: true, user }));
+      return true;
+    }
+
+    if (route === '/api/auth/logout' && req.method === 'POST') {
+      const session = readSession(parseCookies(req.headers.cookie)[COOKIE_NAME]);
+      if (session) revokeSessions(session.u);
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Set-Cookie': sessionCookie(req, '', 0) });
+      res.end(JSON.stringify({ ok: true }));
+      return true;
+    }
+
+    const auth = authenticate(req);
+    if (auth && route === '/api/auth/session') {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify({ user: auth.user, mode }));
+      return true;
+    }
+    if (auth) {
+      req.auth = auth;
+      // A valid ?token= on a page load is swapped for a cookie so later requests need no token
+      if (mode === 'token' && req.method === 'GET' && !req.headers.authorization && new URL(req.url, 'http://localhost').searchParams.has('token')) {
+        res.setHeader('Set-Cookie', sessionCookie(req, issueSession(auth.user), Math.floor(sessionTtlMs / 1000)));
+      }
+      return false;
+    }
+
+    const wantsHtml = req.method === 'GET' && !route.startsWith('/api/') && (req.headers.accept || '').includes('text/html');
+    if (wantsHtml && mode !== 'proxy') {
+      res.writeHead(302, { Location: `${baseUrl}/login?next=${encodeURIComponent(req.url.split('?')[0])}` });
+      res.end();
+      return true;
+    }
+    res.writeHead(401, { 'Content-Type': 'application/json', 'WWW-Authenticate': mode === 'token' ? 'Bearer' : 'Cookie' });
+    res.end(JSON.stringify({ error: 'Unauthorized' }));
+    return true;
+  }
+
+  /**
+   * CORS headers for requests from an origin listed in CORS_ORIGINS. Other
+   * origins get none, so browsers keep their pages from reading responses.
+   */
+  function cors(req, res) {
+    const origin = req.headers.origin;
+    res.setHeader('Vary', 'Origin');
+    if (!origin || !corsOrigins.has(origin)) return;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  }
+
+  return { mode, authenticate, guard, cors, revokeSessions };
+}
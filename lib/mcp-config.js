@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * MCP server config translation
+ * Converts stored MCP server records into the ACP session/new shape and the
+ * Claude Code --mcp-config file format.
+ */
+
+export const MCP_TRANSPORTS = ['stdio', 'http', 'sse'];
+
+const toPairs = (obj) => Object.entries(obj || {}).map(([name, value]) => ({ name, value: String(value) }));
+
+export function validateMcpServer(data) {
+  if (!data || typeof data.name !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(data.name)) {
+    return 'name must be 1-64 characters of letters, digits, _ . or -';
+  }
+  const transport = data.transport || 'stdio';
+  if (!MCP_TRANSPORTS.includes(transport)) return `transport must be one of ${MCP_TRANSPORTS.join(', ')}`;
+  if (transport === 'stdio') {
+    if (typeof data.command !== 'string' || !data.command.trim()) return 'command is required for stdio servers';
+    if (data.args !== undefined && (!Array.isArray(data.args) || data.args.some(a => typeof a !== 'string'))) return 'args must be an array of strings';
+  } else {
+    try { new URL(data.url); } catch { return 'url must be a valid URL'; }
+  }
+  for (const key of ['env', 'headers']) {
+    const v = data[key];
+    if (v !== undefined && (typeof v !== 'object' || v === null || Array.isArray(v))) return `${key} must be an object`;
+  }
+  return null;
+}
+
+export function toACPMcpServers(servers = []) {
+  return servers.map((s) => {
+    if (s.transport === 'http' || s.transport === 'sse') {
+      return { type: s.transport, name: s.name, url: s.url, headers: toPairs(s.headers) };
+    }
+    return { name: s.name, command: s.command, args: s.args || [], env: toPairs(s.env) };
+  });
+}
+
+export function toClaudeMcpConfig(servers = []) {
+  const mcpServers = {};
+  for (const s of servers) {
+    if (s.transport === 'http' || s.transport === 'sse') {
+      mcpServers[s.name] = { type: s.transport, url: s.url, headers: s.headers || {} };
+    } else {
+      mcpServers[s.name] = { command: s.command, args: s.args || [], env: s.env || {} };
+    }
+  }
+  return { mcpServers };
+}
+
+export const MCP_CONFIG_DIR = 'mcp-configs';
+
+let configDir = path.join(os.tmpdir(), 'agentgui-' + MCP_CONFIG_DIR);
+
+/**
+ * Keep --mcp-config files in <dataDir>/mcp-configs, clearing any left behind
+ * by runs the server did not see end. Called once at startup.
+ */
+export function setMcpConfigDir(dataDir) {
+  configDir = path.join(dataDir, MCP_CONFIG_DIR);
+  fs.rmSync(configDir, { recursive: true, force: true });
+}
+
+// Written to a file rather than passed inline so the JSON survives shell quoting on Windows.
+// Server env and headers can hold secrets, so each run gets its own owner-only
+// file, which the caller removes with removeClaudeMcpConfigFile once the run ends.
+export function writeClaudeMcpConfigFile(servers = []) {
+  fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+  const filePath = path.join(configDir, `${crypto.randomUUID()}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(toClaudeMcpConfig(servers), null, 2), { encoding: 'utf-8', mode: 0o600, flag: 'wx' });
+  return filePath;
+}
+
+export function removeClaudeMcpConfigFile(filePath) {
+  fs.rm(filePath, { force: true }, (e) => {
+    if (e) console.error(`[mcp] Could not remove ${filePath}: ${e.message}`);
+  });
+}
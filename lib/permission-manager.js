@@ -0,0 +1,126 @@
+/**
+ * Permission Manager
+ * Routes ACP session/request_permission calls to the conversation's UI and
+ * resolves them with the user's decision, a stored always-allow rule, or the
+ * configured default once the timeout expires.
+ */
+
+const DECISIONS = new Set(['allow', 'always', 'deny']);
+
+// What a tool call acts on: its command, else the paths it touches, else its title
+function permissionTarget(toolCall) {
+  const input = toolCall.rawInput && typeof toolCall.rawInput === 'object' ? toolCall.rawInput : {};
+  if (typeof input.command === 'string') return input.command;
+  if (Array.isArray(input.command)) return input.command.join(' ');
+  const paths = (Array.isArray(toolCall.locations) ? toolCall.locations : []).map(l => l?.path).filter(Boolean);
+  if (paths.length) return [...new Set(paths)].sort().join(', ');
+  return input.file_path || input.path || input.url || toolCall.title || '';
+}
+
+// Rules are keyed by tool kind (edit, execute, ...), or the title for untyped
+// tools, together with the target, so always allowing `npm test` or one file
+// does not allow every command or every edit
+export function permissionRuleKey(toolCall = {}) {
+  const label = (toolCall.kind && toolCall.kind !== 'other' ? toolCall.kind : toolCall.title) || 'other';
+  const target = permissionTarget(toolCall);
+  return target && target !== label ? `${label}: ${target}` : label;
+}
+
+function pickOption(options, decision) {
+  const prefs = {
+    allow: ['allow_once', 'allow_always'],
+    always: ['allow_always', 'allow_once'],
+    deny: ['reject_once', 'reject_always']
+  }[decision] || [];
+  for (const kind of prefs) {
+    const opt = options.find(o => o.kind === kind);
+    if (opt) return opt;
+  }
+  return null;
+}
+
+export function createPermissionManager({ queries, timeoutMs = 120000, defaultDecision = 'deny' }) {
+  const pending = new Map();
+  let counter = 0;
+  const fallback = DECISIONS.has(defaultDecision) && defaultDecision !== 'always' ? defaultDecision : 'deny';
+
+  const outcomeFor = (options, decision) => {
+    const opt = pickOption(options, decision);
+    return opt ? { outcome: { outcome: 'selected', optionId: opt.optionId } } : { outcome: { outcome: 'cancelled' } };
+  };
+
+  /**
+   * Ask for a decision. emitBlock receives the request card and the result block,
+   * which the caller persists as chunks and streams to the conversation.
+   * Resolves with the ACP RequestPermissionResponse.
+   */
+  function request({ conversationId, sessionId, params = {}, emitBlock = () => {} }) {
+    const toolCall = params.toolCall || {};
+    const options = Array.isArray(params.options) ? params.options : [];
+    const tool = permissionRuleKey(toolCall);
+    const requestId = `permreq-${Date.now()}-${++counter}`;
+
+    const rule = queries.getPermissionRule(conversationId, tool);
+    if (rule) {
+      emitBlock({ type: 'permission_result', requestId, tool, decision: rule.decision, reason: 'rule' });
+      return Promise.resolve(outcomeFor(options, rule.decision === 'always' ? 'allow' : rule.decision));
+    }
+
+    return new Promise((resolve) => {
+      const expiresAt = Date.now() + timeoutMs;
+      const timer = setTimeout(() => settle(requestId, fallback, 'timeout'), timeoutMs);
+      pending.set(requestId, { conversationId, sessionId, tool, options, resolve, timer, emitBlock });
+      emitBlock({
+        type: 'permission_request',
+        requestId,
+        tool,
+        toolCall: { toolCallId: toolCall.toolCallId, title: toolCall.title, kind: toolCall.kind, rawInput: toolCall.rawInput },
+        options: options.map(o => ({ optionId: o.optionId, name: o.name, kind: o.kind })),
+        defaultDecision: fallback,
+        expiresAt
+      });
+    });
+  }
+
+  function settle(requestId, decision, reason) {
+    const entry = pending.get(requestId);
+    if (!entry) return false;
+    pending.delete(requestId);
+    clearTimeout(entry.timer);
+    if (decision === 'always') queries.setPermissionRule(entry.conversationId, entry.tool, 'always');
+    entry.emitBlock({ type: 'permission_result', requestId, tool: entry.tool, decision, reason });
+    entry.resolve(decision === 'cancelled' ? { outcome: { outcome: 'cancelled' } } : outcomeFor(entry.options, decision));
+    return true;
+  }
+
+  function respond(requestId, decision) {
+    if (!DECISIONS.has(decision)) {
+      const err = new Error(`Invalid decision: ${decision}`);
+      err.code = 400;
+      throw err;
+    }
+    return settle(requestId, decision, 'user');
+  }
+
+  function cancelConversation(conversationId) {
+    for (const [requestId, entry] of [...pending]) {
+      if (entry.conversationId === conversationId) settle(requestId, 'cancelled', 'cancelled');
+    }
+  }
+
+  function listPending(conversationId) {
+    const out = [];
+    for (const [requestId, entry] of pending) {
+      if (!conversationId || entry.conversationId === conversationId) {
+        out.push({ requestId, conversationId: entry.conversationId, sessionId: entry.sessionId, tool: entry.tool });
+      }
+    }
+    return out;
+  }
+
+  function getPending(requestId) {
+    return pending.get(requestId) || null;
+  }
+
+  return { request, respond, cancelConversation, listPending, getPending };
+}
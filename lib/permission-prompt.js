@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+
+/**
+ * Permission prompts for Claude Code
+ * Claude Code asks for tool approval through an MCP tool named by
+ * --permission-prompt-tool. This serves that tool as a minimal streamable-HTTP
+ * MCP server inside AgentGUI, so Claude Code's tool calls go through the same
+ * permission manager, cards and always-allow rules as ACP agents' requests.
+ *
+ * Each run registers its requestPermission callback and gets an MCP server
+ * entry for its --mcp-config, carrying a bearer token that only that run
+ * knows; requests with any other token are refused.
+ */
+
+export const PERMISSION_SERVER_NAME = 'agentgui';
+export const PERMISSION_TOOL = 'approve';
+
+const MAX_BODY = 20 * 1024 * 1024;
+
+// Claude Code tool names and the ACP tool kinds they correspond to
+const TOOL_KINDS = {
+  Bash: 'execute',
+  Edit: 'edit',
+  MultiEdit: 'edit',
+  Write: 'edit',
+  NotebookEdit: 'edit',
+  Read: 'read',
+  NotebookRead: 'read',
+  Glob: 'search',
+  Grep: 'search',
+  LS: 'search',
+  WebFetch: 'fetch',
+  WebSearch: 'fetch'
+};
+
+const OPTIONS = [
+  { optionId: 'allow', name: 'Allow', kind: 'allow_once' },
+  { optionId: 'allow-always', name: 'Always allow', kind: 'allow_always' },
+  { optionId: 'reject', name: 'Deny', kind: 'reject_once' }
+];
+
+const TOOL_DEFINITION = {
+  name: PERMISSION_TOOL,
+  description: 'Asks the AgentGUI user to approve a tool call',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      tool_name: { type: 'string' },
+      input: { type: 'object' },
+      tool_use_id: { type: 'string' }
+    },
+    required: ['tool_name', 'input']
+  }
+};
+
+/** The ACP session/request_permission params for a Claude Code approval request */
+export function toPermissionParams({ tool_name: toolName, input = {}, tool_use_id: toolUseId } = {}) {
+  const file = input.file_path || input.notebook_path;
+  return {
+    toolCall: {
+      toolCallId: toolUseId || null,
+      title: toolName || 'Tool',
+      kind: TOOL_KINDS[toolName] || 'other',
+      rawInput: input,
+      locations: typeof file === 'string' ? [{ path: file }] : []
+    },
+    options: OPTIONS
+  };
+}
+
+/** Claude Code's permission-prompt answer for an ACP RequestPermissionResponse */
+export function toPromptDecision(response, input) {
+  const optionId = response?.outcome?.outcome === 'selected' ? response.outcome.optionId : null;
+  if (optionId === 'allow' || optionId === 'allow-always') return { behavior: 'allow', updatedInput: input };
+  return { behavior: 'deny', message: optionId ? 'The user denied this tool call' : 'The permission request was cancelled' };
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.url - where Claude Code reaches the endpoint (a loopback URL)
+ * @param {string} opts.path - request path the endpoint is served on
+ */
+export function createPermissionPrompt({ url, path }) {
+  const runs = new Map();
+
+  /**
+   * Make requestPermission reachable for one run. Returns { mcpServer, tool,
+   * release }: the MCP server record for the run's --mcp-config, the
+   * --permission-prompt-tool name, and a function to call when the run ends.
+   */
+  function register(requestPermission) {
+    const token = crypto.randomBytes(32).toString('hex');
+    runs.set(token, requestPermission);
+    return {
+      mcpServer: { name: PERMISSION_SERVER_NAME, transport: 'http', url, headers: { Authorization: `Bearer ${token}` } },
+      tool: `mcp__${PERMISSION_SERVER_NAME}__${PERMISSION_TOOL}`,
+      release: () => runs.delete(token)
+    };
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, body === undefined ? {} : { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+  }
+
+  async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+      if (raw.length > MAX_BODY) return null;
+    }
+    try { return JSON.parse(raw); } catch { return undefined; }
+  }
+
+  async function call(requestPermission, message) {
+    const { id, method, params = {} } = message;
+    const result = (value) => ({ jsonrpc: '2.0', id, result: value });
+    if (method === 'initialize') {
+      return result({
+        protocolVersion: params.protocolVersion || '2025-06-18',
+        capabilities: { tools: {} },
+        serverInfo: { name: PERMISSION_SERVER_NAME, version: '1.0.0' }
+      });
+    }
+    if (method === 'ping') return result({});
+    if (method === 'tools/list') return result({ tools: [TOOL_DEFINITION] });
+    if (method === 'tools/call' && params.name === PERMISSION_TOOL) {
+      const args = params.arguments || {};
+      const response = await requestPermission(toPermissionParams(args));
+      return result({ content: [{ type: 'text', text: JSON.stringify(toPromptDecision(response, args.input || {})) }] });
+    }
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } };
+  }
+
+  /** Serve a request on `path`. Returns true when the response has been handled. */
+  async function handle(req, res) {
+    if (req.url.split('?')[0] !== path) return false;
+    const auth = req.headers.authorization || '';
+    const requestPermission = auth.startsWith('Bearer ') ? runs.get(auth.slice(7)) : null;
+    if (!requestPermission) { send(res, 401, { error: 'Unknown or finished run' }); return true; }
+    // No server-to-client stream: every answer goes in the POST response
+    if (req.method !== 'POST') { send(res, 405, { error: 'Method not allowed' }); return true; }
+    const message = await readBody(req);
+    if (message === null) { send(res, 413, { error: 'Request too large' }); return true; }
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      send(res, 400, { jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return true;
+    }
+    if (message.id === undefined) { send(res, 202); return true; }
+    try {
+      send(res, 200, await call(requestPermission, message));
+    } catch (e) {
+      send(res, 200, { jsonrpc: '2.0', id: message.id, error: { code: -32603, message: e.message } });
+    }
+    return true;
+  }
+
+  return { register, handle };
+}
@@ -3,6 +3,7 @@
 import { execSync } from 'child_process';
 import path from 'path';
 import fs from 'fs';
+import { git, gitAsync, headCommit } from '../git.js';
 
 export default {
   name: 'git',
@@ -43,10 +44,11 @@ export default {
       if (pushInProgress) throw new Error('Push already in progress');
       pushInProgress = true;
       try {
-        execSync('git add -A');
-        execSync(`git commit -m "${message}"`);
-        const result = execSync('git push', { encoding: 'utf8' });
-        lastPushSha = execSync('git rev-parse HEAD', { encoding: 'utf8' }).trim();
+        const root = getRepoRoot();
+        git(root, ['add', '-A']);
+        git(root, ['commit', '-F', '-'], { input: message || 'Auto-commit' });
+        await gitAsync(root, ['push']);
+        lastPushSha = headCommit(root);
         return { success: true, sha: lastPushSha };
       } catch (error) {
         return { success: false, error: error.message };
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+
+/**
+ * Project scripts: package.json scripts, Makefile targets and justfile recipes
+ * found in a conversation's working directory, and the processes started from
+ * them. Several scripts can run at once per conversation; each keeps its own
+ * log, exit status and can be restarted.
+ *
+ * A script looks like:
+ *   { id: 'npm:dev', source: 'npm'|'make'|'just', name, label, detail }
+ * Commands are spawned without a shell, with the script name as an argument.
+ */
+
+const MAX_LOG_CHARS = 256 * 1024;
+const KILL_GRACE_MS = 5000;
+
+// Names are passed as arguments; anything else is left out rather than quoted
+const SAFE_NAME = /^[\w][\w:.\-\/@+]*$/;
+
+const isWindows = os.platform() === 'win32';
+
+function readText(file) {
+  try { return fs.readFileSync(file, 'utf-8'); } catch { return null; }
+}
+
+function firstExisting(dir, names) {
+  for (const name of names) {
+    const p = path.join(dir, name);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+function packageManager(dir) {
+  if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) return 'pnpm';
+  if (fs.existsSync(path.join(dir, 'yarn.lock'))) return 'yarn';
+  if (fs.existsSync(path.join(dir, 'bun.lockb')) || fs.existsSync(path.join(dir, 'bun.lock'))) return 'bun';
+  return 'npm';
+}
+
+function npmScripts(dir) {
+  let pkg;
+  try { pkg = JSON.parse(readText(path.join(dir, 'package.json')) || 'null'); } catch { return []; }
+  const pm = packageManager(dir);
+  return Object.entries(pkg?.scripts || {})
+    .filter(([name, body]) => SAFE_NAME.test(name) && typeof body === 'string')
+    .map(([name, body]) => ({ id: `npm:${name}`, source: 'npm', name, label: `${pm} run ${name}`, detail: body, command: pm, args: ['run', name] }));
+}
+
+function makeTargets(dir) {
+  const text = readText(firstExisting(dir, ['GNUmakefile', 'makefile', 'Makefile']) || '');
+  if (!text) return [];
+  const seen = new Set();
+  const targets = [];
+  for (const line of text.split('\n')) {
+    // "target: deps" at column 0; skips ":=" / "::=" / ":::=" assignments, special (.PHONY) and pattern (%) targets
+    const m = line.match(/^([^\s:#=%.][^\s:#=%]*(?:\s+[^\s:#=%.][^\s:#=%]*)*)\s*::?(?!:*=)/);
+    if (!m) continue;
+    for (const name of m[1].split(/\s+/)) {
+      if (!SAFE_NAME.test(name) || name.includes('$') || seen.has(name)) continue;
+      seen.add(name);
+      targets.push({ id: `make:${name}`, source: 'make', name, label: `make ${name}`, detail: null, command: 'make', args: [name] });
+    }
+  }
+  return targets;
+}
+
+const JUST_KEYWORDS = new Set(['set', 'alias', 'export', 'import', 'mod', 'if', 'else']);
+
+function justRecipes(dir) {
+  const text = readText(firstExisting(dir, ['justfile', 'Justfile', '.justfile']) || '');
+  if (!text) return [];
+  const recipes = [];
+  let comment = null, isPrivate = false;
+  for (const line of text.split('\n')) {
+    if (line.startsWith('#')) { comment = line.replace(/^#\s?/, '').trim() || null; continue; }
+    if (line.startsWith('[')) { if (/\bprivate\b/.test(line)) isPrivate = true; continue; }
+    // "name param='default': deps" at column 0, optionally quiet (@)
+    const m = line.match(/^@?([A-Za-z_][\w-]*)((?:\s+[^:]+?)?)\s*:(?!=)/);
+    const skip = !m || JUST_KEYWORDS.has(m[1]) || m[1].startsWith('_') || isPrivate ||
+      // Recipes with required parameters cannot be run without arguments
+      m[2].trim().split(/\s+/).filter(Boolean).some(p => !p.includes('=') && !p.startsWith('*'));
+    if (!skip) recipes.push({ id: `just:${m[1]}`, source: 'just', name: m[1], label: `just ${m[1]}`, detail: comment, command: 'just', args: [m[1]] });
+    if (line.trim() && !/^\s/.test(line)) { comment = null; isPrivate = false; }
+  }
+  return recipes;
+}
+
+export function listProjectScripts(dir) {
+  if (!dir) return [];
+  return [...npmScripts(dir), ...makeTargets(dir), ...justRecipes(dir)];
+}
+
+/**
+ * Look up a script by id. A bare name is treated as a package.json script so
+ * older clients sending { script: 'dev' } keep working.
+ */
+export function findProjectScript(dir, id) {
+  if (typeof id !== 'string' || !id) return null;
+  const key = id.includes(':') && /^(npm|make|just):/.test(id) ? id : `npm:${id}`;
+  return listProjectScripts(dir).find(s => s.id === key) || null;
+}
+
+// Colour codes, cursor movement and OSC titles; carriage-return redraws keep their last state
+const ANSI = /\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+/** Last `lines` lines of terminal output as plain text. */
+export function tailOutput(text, lines = 100) {
+  const plain = String(text || '').replace(ANSI, '').replace(/\r\n/g, '\n');
+  const rows = plain.split('\n').map(l => l.slice(l.lastIndexOf('\r') + 1).trimEnd());
+  while (rows.length && !rows[rows.length - 1]) rows.pop();
+  return rows.slice(-Math.max(1, lines)).join('\n');
+}
+
+/**
+ * Wrap output for the agent: a one-line heading and the log in a fenced
+ * block long enough not to be closed by backticks inside the log.
+ */
+export function formatOutputForAgent({ title, output, note = null }) {
+  const longest = Math.max(0, ...(output.match(/`+/g) || []).map(r => r.length));
+  const fence = '`'.repeat(Math.max(3, longest + 1));
+  return [note, `${title}:`, '', fence, output, fence].filter(v => v != null).join('\n');
+}
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+/**
+ * @param {object} opts
+ * @param {Function} opts.broadcastSync
+ * @param {object} [opts.baseEnv] - environment scripts start from
+ * @param {Function} [opts.envFor] - (conversationId, baseEnv) => extra variables for that conversation's scripts
+ */
+export function createScriptRunner({ broadcastSync, baseEnv = process.env, envFor = null }) {
+  const byConversation = new Map();
+  const exitListeners = new Set();
+
+  function entriesFor(conversationId) {
+    if (!byConversation.has(conversationId)) byConversation.set(conversationId, new Map());
+    return byConversation.get(conversationId);
+  }
+
+  function summary(e) {
+    return {
+      id: e.script.id, source: e.script.source, name: e.script.name, label: e.script.label,
+      status: e.status, exitCode: e.exitCode, signal: e.signal, pid: e.pid,
+      startedAt: e.startedAt, endedAt: e.endedAt, notifyOnFailure: e.notifyOnFailure
+    };
+  }
+
+  // Worked out at every start, so a restart picks up profile changes
+  function childEnv(conversationId, extra) {
+    const env = { ...baseEnv, ...(envFor ? envFor(conversationId, baseEnv) : {}), ...extra, FORCE_COLOR: '1' };
+    delete env.PORT;
+    delete env.BASE_URL;
+    delete env.HOT_RELOAD;
+    return env;
+  }
+
+  function start(conversationId, cwd, script, { env = null, notifyOnFailure = false } = {}) {
+    const entries = entriesFor(conversationId);
+    const prev = entries.get(script.id);
+    if (prev?.status === 'running') fail(409, `${script.label} is already running`);
+
+    const child = spawn(script.command, script.args, { cwd, stdio: ['ignore', 'pipe', 'pipe'], detached: !isWindows, env: childEnv(conversationId, env), shell: isWindows });
+    const entry = {
+      script, cwd, env, process: child, pid: child.pid,
+      status: 'running', exitCode: null, signal: null,
+      startedAt: Date.now(), endedAt: null, log: '', notifyOnFailure: !!notifyOnFailure,
+      stopRequested: false, restartRequested: false
+    };
+    entries.set(script.id, entry);
+    broadcastSync({ type: 'script_started', conversationId, scriptId: script.id, script: script.name, label: script.label, timestamp: Date.now() });
+
+    const onData = (stream) => (chunk) => {
+      const data = chunk.toString();
+      entry.log = (entry.log + data).slice(-MAX_LOG_CHARS);
+      broadcastSync({ type: 'script_output', conversationId, scriptId: script.id, data, stream, timestamp: Date.now() });
+    };
+    child.stdout.on('data', onData('stdout'));
+    child.stderr.on('data', onData('stderr'));
+    child.stdout.on('error', () => {});
+    child.stderr.on('error', () => {});
+    child.on('error', (err) => finish(conversationId, entry, null, null, err.message));
+    child.on('close', (code, signal) => finish(conversationId, entry, code, signal, null));
+    return summary(entry);
+  }
+
+  function finish(conversationId, entry, code, signal, error) {
+    if (entry.status !== 'running') return;
+    entry.exitCode = error ? 1 : code;
+    entry.signal = signal || null;
+    entry.endedAt = Date.now();
+    entry.status = entry.stopRequested ? 'stopped' : (entry.exitCode === 0 ? 'exited' : 'failed');
+    if (error) entry.log = (entry.log + `\r\n${error}\r\n`).slice(-MAX_LOG_CHARS);
+    broadcastSync({
+      type: 'script_stopped', conversationId, scriptId: entry.script.id, script: entry.script.name,
+      code: entry.exitCode ?? 1, signal: entry.signal, status: entry.status, error, timestamp: Date.now()
+    });
+    // Only restart if the entry was not replaced or forgotten meanwhile
+    if (entry.restartRequested && byConversation.get(conversationId)?.get(entry.script.id) === entry) {
+      try { start(conversationId, entry.cwd, entry.script, { env: entry.env, notifyOnFailure: entry.notifyOnFailure }); } catch (e) { console.error('[scripts] Restart failed:', e.message); }
+      return;
+    }
+    for (const fn of exitListeners) {
+      try { fn(conversationId, summary(entry), entry.log); } catch (e) { console.error('[scripts] Exit listener failed:', e.message); }
+    }
+  }
+
+  function kill(entry) {
+    const signal = (sig) => {
+      try { process.kill(-entry.pid, sig); } catch { try { entry.process.kill(sig); } catch {} }
+    };
+    signal('SIGTERM');
+    setTimeout(() => { if (entry.status === 'running') signal('SIGKILL'); }, KILL_GRACE_MS).unref?.();
+  }
+
+  function get(conversationId, scriptId) {
+    const entry = byConversation.get(conversationId)?.get(scriptId);
+    if (!entry) fail(404, 'Script has not been run in this conversation');
+    return entry;
+  }
+
+  function stop(conversationId, scriptId) {
+    const entry = get(conversationId, scriptId);
+    if (entry.status !== 'running') fail(409, `${entry.script.label} is not running`);
+    entry.stopRequested = true;
+    kill(entry);
+    return summary(entry);
+  }
+
+  function restart(conversationId, scriptId) {
+    const entry = get(conversationId, scriptId);
+    if (entry.status !== 'running') return start(conversationId, entry.cwd, entry.script, { env: entry.env, notifyOnFailure: entry.notifyOnFailure });
+    entry.stopRequested = true;
+    entry.restartRequested = true;
+    kill(entry);
+    return summary(entry);
+  }
+
+  function stopAll(conversationId) {
+    const running = [...(byConversation.get(conversationId)?.values() || [])].filter(e => e.status === 'running');
+    for (const entry of running) { entry.stopRequested = true; kill(entry); }
+    return running.length;
+  }
+
+  function setNotifyOnFailure(conversationId, scriptId, enabled) {
+    const entry = get(conversationId, scriptId);
+    entry.notifyOnFailure = !!enabled;
+    return summary(entry);
+  }
+
+  // Drop finished entries; with scriptId only that one
+  function dismiss(conversationId, scriptId) {
+    const entries = byConversation.get(conversationId);
+    if (!entries) return 0;
+    let removed = 0;
+    for (const [id, entry] of entries) {
+      if ((scriptId && id !== scriptId) || entry.status === 'running') continue;
+      entries.delete(id);
+      removed++;
+    }
+    if (entries.size === 0) byConversation.delete(conversationId);
+    return removed;
+  }
+
+  // Stops everything for a conversation that is going away
+  function forget(conversationId) {
+    const stopped = stopAll(conversationId);
+    byConversation.delete(conversationId);
+    return stopped;
+  }
+
+  return {
+    list: (conversationId) => [...(byConversation.get(conversationId)?.values() || [])].map(summary),
+    getLog: (conversationId, scriptId) => get(conversationId, scriptId).log,
+    isRunning: (conversationId) => [...(byConversation.get(conversationId)?.values() || [])].some(e => e.status === 'running'),
+    start, stop, restart, stopAll, dismiss, forget, setNotifyOnFailure,
+    // fn(conversationId, summary, log) once a script ends, except when it is being restarted
+    onExit: (fn) => { exitListeners.add(fn); return () => exitListeners.delete(fn); },
+    stopEverything: () => { for (const id of byConversation.keys()) stopAll(id); }
+  };
+}
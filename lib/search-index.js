@@ -0,0 +1,104 @@
+/**
+ * Full-text search helpers
+ * Turns stored message content and chunk blocks into indexable text, and user
+ * input into a safe FTS5 MATCH expression.
+ */
+
+export const SNIPPET_OPEN = '\u0002';
+export const SNIPPET_CLOSE = '\u0003';
+
+const MAX_INDEXED_CHARS = 8000;
+
+// Keys that hold ids, encodings or payloads nobody searches for
+const SKIP_KEYS = new Set([
+  'type', 'id', 'tool_use_id', 'toolCallId', 'requestId', 'session_id', 'sessionId', 'uuid', 'parentUuid',
+  'signature', 'source', 'data', 'media_type', 'is_error', 'seq', 'timestamp', 'expiresAt', 'options'
+]);
+
+function collect(node, out, depth) {
+  if (node == null || depth > 8 || out.length >= MAX_INDEXED_CHARS) return;
+  if (typeof node === 'string') {
+    out.push(node);
+    return;
+  }
+  if (typeof node === 'number' || typeof node === 'boolean') return;
+  if (Array.isArray(node)) {
+    for (const item of node) collect(item, out, depth + 1);
+    return;
+  }
+  if (typeof node === 'object') {
+    if (node.type === 'image') return;
+    for (const [key, value] of Object.entries(node)) {
+      if (!SKIP_KEYS.has(key)) collect(value, out, depth + 1);
+    }
+  }
+}
+
+// Chunk types whose content repeats other chunks or carries no readable text
+const UNSEARCHABLE_CHUNK_TYPES = new Set(['system', 'result', 'usage']);
+
+export function isSearchableChunk(type) {
+  return !UNSEARCHABLE_CHUNK_TYPES.has(type);
+}
+
+/**
+ * Text worth indexing from a message's content or a chunk's block, capped so a
+ * huge tool result cannot bloat the index.
+ */
+export function extractSearchText(value) {
+  let node = value;
+  if (typeof value === 'string') {
+    const trimmed = value.trimStart();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try { node = JSON.parse(value); } catch { node = value; }
+    }
+  } else if (Buffer.isBuffer(value)) {
+    return extractSearchText(value.toString('utf-8'));
+  }
+  const out = [];
+  collect(node, out, 0);
+  return out.join('\n').slice(0, MAX_INDEXED_CHARS);
+}
+
+/**
+ * Build an FTS5 query from free text. Words are ANDed, "quoted text" is a
+ * phrase, and the last bare word matches as a prefix so results update while
+ * typing. Returns null when there is nothing to search for.
+ */
+export function buildMatchQuery(input) {
+  if (typeof input !== 'string') return null;
+  const terms = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  let lastBare = -1;
+  while ((m = re.exec(input)) !== null) {
+    const words = (m[1] ?? m[2]).match(/[\p{L}\p{N}_]+/gu);
+    if (!words) continue;
+    if (m[1] !== undefined) {
+      terms.push(`"${words.join(' ')}"`);
+    } else {
+      for (const w of words) terms.push(`"${w}"`);
+      lastBare = terms.length - 1;
+    }
+  }
+  if (!terms.length) return null;
+  if (lastBare === terms.length - 1) terms[lastBare] += '*';
+  return terms.join(' ');
+}
+
+/**
+ * Split an FTS5 snippet() result into plain text and [start, end) highlight ranges.
+ */
+export function parseSnippet(raw) {
+  let text = '';
+  const highlights = [];
+  let start = -1;
+  for (const ch of raw || '') {
+    if (ch === SNIPPET_OPEN) start = text.length;
+    else if (ch === SNIPPET_CLOSE) {
+      if (start >= 0) highlights.push([start, text.length]);
+      start = -1;
+    } else text += ch;
+  }
+  return { text, highlights };
+}
@@ -0,0 +1,305 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Encrypted store for API keys and tokens handed to agents, kept in
+ * <dataDir>/secrets.enc. The file is one AES-256-GCM envelope around all
+ * secrets, with the key derived (scrypt) from SECRETS_PASSPHRASE, from the
+ * contents of the file named by SECRETS_KEY_FILE, or else from a random key
+ * generated into <dataDir>/secrets.key on first use. That generated key sits
+ * next to secrets.enc, so it only keeps secrets out of casual reads and
+ * backups of the file itself; real protection takes a passphrase or a key
+ * file kept elsewhere.
+ *
+ * Each secret has the env var it is injected as and the agents that receive
+ * it ('*' for all). Values are only ever decrypted in memory to build an agent
+ * process's environment; the API lists them masked. Every change and every
+ * injection into an agent process is recorded in queries' secret_audit.
+ */
+
+export const SECRETS_FILE = 'secrets.enc';
+export const KEY_FILE = 'secrets.key';
+export const ALL_AGENTS = '*';
+
+const NAME_RE = /^[A-Za-z0-9_.:-]{1,64}$/;
+const ENV_RE = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+const MAX_VALUE = 10000;
+const SCRYPT = { N: 16384, r: 8, p: 1 };
+
+const SEALED_PREFIX = 'sealed:v1:';
+
+export function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+}
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function maskSecret(value) {
+  if (!value || value.length < 8) return '****';
+  return '****' + value.slice(-4);
+}
+
+// Key material and where it came from, without creating anything when a
+// passphrase or key file is configured
+function loadKeyMaterial(dataDir) {
+  if (process.env.SECRETS_PASSPHRASE) return { material: process.env.SECRETS_PASSPHRASE, source: 'passphrase' };
+  if (process.env.SECRETS_KEY_FILE) {
+    const material = fs.readFileSync(process.env.SECRETS_KEY_FILE, 'utf-8').trim();
+    if (!material) throw new Error(`SECRETS_KEY_FILE ${process.env.SECRETS_KEY_FILE} is empty`);
+    return { material, source: 'key-file' };
+  }
+  const keyPath = path.join(dataDir, KEY_FILE);
+  try {
+    return { material: fs.readFileSync(keyPath, 'utf-8').trim(), source: 'generated' };
+  } catch {
+    const material = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(keyPath, material, { mode: 0o600 });
+    return { material, source: 'generated' };
+  }
+}
+
+function validateAgents(agents) {
+  if (!Array.isArray(agents) || !agents.length || agents.some(a => typeof a !== 'string' || !a || a.length > 100)) {
+    fail(400, `agents must be a non-empty array of agent ids, or ["${ALL_AGENTS}"]`);
+  }
+}
+
+function validateValue(value) {
+  if (typeof value !== 'string' || !value.length || value.length > MAX_VALUE) fail(400, `value must be a string of 1-${MAX_VALUE} characters`);
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dataDir - directory holding secrets.enc (and secrets.key)
+ * @param {object} opts.queries - database queries, for the audit trail
+ */
+export function createSecretStore({ dataDir, queries }) {
+  const file = path.join(dataDir, SECRETS_FILE);
+  let keySource = null;
+  let material = null;
+  let salt = null;
+  let key = null;
+  // No prototype, so names such as __proto__ or toString are ordinary keys
+  let secrets = Object.create(null);
+  let lockedReason = null;
+
+  function deriveKey() {
+    if (!key) key = crypto.scryptSync(material, salt, 32, SCRYPT);
+    return key;
+  }
+
+  function load() {
+    try {
+      ({ material, source: keySource } = loadKeyMaterial(dataDir));
+    } catch (e) {
+      lockedReason = `no key: ${e.message}`;
+      return;
+    }
+    let raw;
+    try { raw = fs.readFileSync(file, 'utf-8'); } catch (e) {
+      if (e.code !== 'ENOENT') { lockedReason = e.message; return; }
+      salt = crypto.randomBytes(16);
+      return;
+    }
+    try {
+      const box = JSON.parse(raw);
+      salt = Buffer.from(box.salt, 'base64');
+      const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(), Buffer.from(box.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(box.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(box.data, 'base64')), decipher.final()]);
+      secrets = Object.assign(Object.create(null), JSON.parse(plain.toString('utf-8')).secrets);
+    } catch {
+      // Never overwrite a store we cannot read: it may just be the wrong key
+      lockedReason = `${SECRETS_FILE} cannot be decrypted with the configured ${keySource === 'passphrase' ? 'passphrase' : 'key file'}`;
+      key = null;
+    }
+  }
+
+  function save() {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify({ secrets }), 'utf-8'), cipher.final()]);
+    const box = {
+      v: 1,
+      kdf: 'scrypt',
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(box) + '\n', { mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function assertUnlocked() {
+    if (lockedReason) fail(503, `Secret store is locked (${lockedReason})`);
+  }
+
+  function audit(name, action, details) {
+    try { queries.recordSecretEvent(name, action, details); } catch (e) {
+      console.error('[secrets] audit failed:', e.message);
+    }
+  }
+
+  const entry = (name) => (Object.hasOwn(secrets, name) ? secrets[name] : null);
+
+  function describe(name) {
+    const s = secrets[name];
+    return {
+      name,
+      env: s.env,
+      agents: s.agents,
+      meta: s.meta || {},
+      preview: maskSecret(s.value),
+      version: s.version,
+      createdAt: s.createdAt,
+      updatedAt: s.updatedAt
+    };
+  }
+
+  load();
+  if (lockedReason) console.error(`[secrets] ${lockedReason}; secrets will not be injected until this is fixed`);
+  else if (keySource === 'generated') console.log(`[secrets] Key kept in ${path.join(dataDir, KEY_FILE)} next to the store; set SECRETS_PASSPHRASE or SECRETS_KEY_FILE to protect it`);
+
+  return {
+    path: file,
+
+    status() {
+      return { path: file, keySource, locked: !!lockedReason, reason: lockedReason, count: Object.keys(secrets).length };
+    },
+
+    list() {
+      assertUnlocked();
+      return Object.keys(secrets).sort().map(describe);
+    },
+
+    get(name) {
+      assertUnlocked();
+      if (!entry(name)) fail(404, `No secret ${name}`);
+      return describe(name);
+    },
+
+    /** Whether the unlocked store holds `name`, without decrypting anything */
+    has(name) {
+      return !lockedReason && !!entry(name);
+    },
+
+    /** Raw value, for callers inside the server that need it (never sent to clients) */
+    reveal(name) {
+      if (lockedReason || !entry(name)) return null;
+      return entry(name).value;
+    },
+
+    /**
+     * Create or update a secret. `value` may be left out when updating to
+     * change only where it goes; a new value counts as a new version.
+     */
+    set(name, { value, env, agents, meta } = {}, { userId = null } = {}) {
+      assertUnlocked();
+      if (typeof name !== 'string' || !NAME_RE.test(name)) fail(400, 'name must be 1-64 letters, digits, _ . : or -');
+      const existing = entry(name);
+      if (!existing || value !== undefined) validateValue(value);
+      const nextEnv = env ?? existing?.env;
+      if (typeof nextEnv !== 'string' || !ENV_RE.test(nextEnv)) fail(400, 'env must be an environment variable name');
+      const nextAgents = agents ?? existing?.agents ?? [ALL_AGENTS];
+      validateAgents(nextAgents);
+      if (meta !== undefined && (typeof meta !== 'object' || meta === null || Array.isArray(meta) || Object.values(meta).some(v => typeof v !== 'string'))) {
+        fail(400, 'meta must be an object of strings');
+      }
+      const now = Date.now();
+      const changedValue = !existing || (value !== undefined && value !== existing.value);
+      secrets[name] = {
+        value: value ?? existing.value,
+        env: nextEnv,
+        agents: [...new Set(nextAgents)],
+        meta: meta ?? existing?.meta ?? {},
+        version: existing ? existing.version + (changedValue ? 1 : 0) : 1,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+      };
+      save();
+      audit(name, existing ? 'updated' : 'created', { userId, version: secrets[name].version });
+      return describe(name);
+    },
+
+    /** Replace a secret's value, keeping where it goes */
+    rotate(name, value, { userId = null } = {}) {
+      assertUnlocked();
+      const existing = entry(name);
+      if (!existing) fail(404, `No secret ${name}`);
+      validateValue(value);
+      if (value === existing.value) fail(400, 'The new value is the same as the current one');
+      existing.value = value;
+      existing.version += 1;
+      existing.updatedAt = Date.now();
+      save();
+      audit(name, 'rotated', { userId, version: existing.version });
+      return describe(name);
+    },
+
+    remove(name, { userId = null } = {}) {
+      assertUnlocked();
+      const existing = entry(name);
+      if (!existing) fail(404, `No secret ${name}`);
+      delete secrets[name];
+      save();
+      audit(name, 'deleted', { userId, version: existing.version });
+    },
+
+    /**
+     * Env vars for an agent process: { env, names } where names lists the
+     * secrets used. A secret naming the agent beats one for all agents when
+     * both set the same variable. Variables in `skip` are left to whoever
+     * sets them instead. A locked store contributes nothing.
+     */
+    envFor(agentId, { skip = [] } = {}) {
+      const env = Object.create(null);
+      const chosen = Object.create(null);
+      if (lockedReason) return { env, names: [] };
+      for (const name of Object.keys(secrets).sort()) {
+        const s = secrets[name];
+        if (skip.includes(s.env)) continue;
+        const specific = s.agents.includes(agentId);
+        if (!specific && !s.agents.includes(ALL_AGENTS)) continue;
+        if (chosen[s.env] && (chosen[s.env].specific || !specific)) continue;
+        chosen[s.env] = { name, specific };
+        env[s.env] = s.value;
+      }
+      return { env, names: Object.values(chosen).map(c => c.name) };
+    },
+
+    /**
+     * Encrypt a single value under the store's key, for secrets kept elsewhere
+     * (such as environment profile variables in SQLite).
+     */
+    seal(value) {
+      assertUnlocked();
+      // The key depends on the store file's salt, so that file must exist
+      if (!fs.existsSync(file)) save();
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(), iv);
+      const data = Buffer.concat([cipher.update(String(value), 'utf-8'), cipher.final()]);
+      return SEALED_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64');
+    },
+
+    unseal(sealed) {
+      assertUnlocked();
+      if (!isSealed(sealed)) fail(400, 'Not a sealed value');
+      const raw = Buffer.from(sealed.slice(SEALED_PREFIX.length), 'base64');
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(), raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(12, 28));
+        return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf-8');
+      } catch {
+        fail(503, 'Value was sealed with a different secret store key');
+      }
+    },
+
+    /** Record that an agent process was started with these secrets */
+    recordInjection(names, { agentId, conversationId = null }) {
+      for (const name of names) audit(name, 'injected', { agentId, conversationId, version: entry(name)?.version ?? null });
+    }
+  };
+}
@@ -0,0 +1,242 @@
+import fs from 'fs';
+import path from 'path';
+import { repoRoot, snapshotWorkingTree, commitDiff, deleteRef, snapshotChanges, restoreSnapshot } from './git.js';
+import { createFileCheckpoint, fileCheckpointChanges, restoreFileCheckpoint, pruneFileCheckpoints } from './file-checkpoints.js';
+
+/**
+ * What a session changed. In a git repository the whole working tree is
+ * snapshotted into a commit when the session starts and again when it ends,
+ * each kept alive by a hidden ref (refs/agentgui/sessions/<id>/start|end), so
+ * the diff covers every file, edited by a tool or by a shell command. Outside
+ * git the diff is rebuilt from the Write/Edit tool calls recorded in the
+ * session's chunks, which only knows the edited fragments.
+ *
+ * The start snapshot doubles as the checkpoint a user message can be rolled
+ * back to; outside git a file checkpoint is taken for that instead.
+ */
+
+const REF_PREFIX = 'refs/agentgui/sessions';
+const MAX_LCS_CELLS = 250000;
+const PROMPT_PREVIEW = 200;
+
+function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function sessionRef(sessionId, which) {
+  return `${REF_PREFIX}/${sessionId}/${which}`;
+}
+
+export async function beginSessionSnapshot(queries, { sessionId, conversationId, workingDirectory, dataDir }) {
+  const root = repoRoot(workingDirectory);
+  if (root) {
+    try {
+      const startCommit = await snapshotWorkingTree(root, { message: `AgentGUI session ${sessionId} start`, ref: sessionRef(sessionId, 'start') });
+      return queries.createSessionSnapshot(sessionId, { conversationId, kind: 'git', workingDirectory, repoRoot: root, startCommit });
+    } catch (e) {
+      console.error(`[session-diff] Snapshot of ${root} failed: ${e.message}`);
+    }
+  }
+  let manifestHash = null;
+  if (dataDir && workingDirectory && fs.existsSync(workingDirectory)) {
+    try {
+      manifestHash = await createFileCheckpoint(dataDir, workingDirectory, queries.getLatestFileCheckpoint(workingDirectory));
+      if (!manifestHash) console.log(`[session-diff] ${workingDirectory} has too many files for a checkpoint`);
+    } catch (e) {
+      console.error(`[session-diff] Checkpoint of ${workingDirectory} failed: ${e.message}`);
+    }
+  }
+  return queries.createSessionSnapshot(sessionId, { conversationId, kind: 'tools', workingDirectory, manifestHash });
+}
+
+export async function endSessionSnapshot(queries, sessionId) {
+  const snap = queries.getSessionSnapshot(sessionId);
+  if (!snap || snap.completed_at) return;
+  let endCommit = null;
+  if (snap.kind === 'git' && fs.existsSync(snap.repoRoot)) {
+    try {
+      endCommit = await snapshotWorkingTree(snap.repoRoot, { message: `AgentGUI session ${sessionId} end`, ref: sessionRef(sessionId, 'end') });
+    } catch (e) {
+      console.error(`[session-diff] Snapshot of ${snap.repoRoot} failed: ${e.message}`);
+    }
+  }
+  queries.completeSessionSnapshot(sessionId, endCommit);
+}
+
+/**
+ * { sessionId, conversationId, source: 'git'|'tools', live, patch, files }.
+ * A git session that is still running is diffed against the current working
+ * tree.
+ */
+export async function sessionDiff(queries, sessionId) {
+  const session = queries.getSession(sessionId);
+  const snap = queries.getSessionSnapshot(sessionId);
+  if (!session) fail(404, 'Session not found');
+  const info = {
+    sessionId, conversationId: session.conversationId, status: session.status,
+    startedAt: session.started_at, completedAt: session.completed_at || null
+  };
+  const running = session.status === 'active' || session.status === 'pending';
+  if (snap?.kind === 'git' && snap.startCommit && (snap.endCommit || running) && fs.existsSync(snap.repoRoot)) {
+    const head = snap.endCommit || await snapshotWorkingTree(snap.repoRoot, { message: `AgentGUI session ${sessionId} live` });
+    return { ...info, source: 'git', live: !snap.endCommit, repoRoot: snap.repoRoot, base: snap.startCommit, head, ...commitDiff(snap.repoRoot, snap.startCommit, head) };
+  }
+  const cwd = snap?.workingDirectory || queries.getConversation(session.conversationId)?.workingDirectory || null;
+  return { ...info, source: 'tools', live: running, ...toolUseDiff(queries.getChunksSinceSeq(sessionId, -1), cwd) };
+}
+
+/** Sessions of a conversation for the diff panel, newest first. */
+export function listSessionDiffs(queries, conversationId) {
+  const kinds = new Map(queries.getConversationSessionSnapshots(conversationId).map(s => [s.sessionId, s.kind]));
+  return queries.getSessionsWithPrompts(conversationId).map(s => ({
+    id: s.id, status: s.status, startedAt: s.started_at, completedAt: s.completed_at || null,
+    prompt: s.prompt ? s.prompt.slice(0, PROMPT_PREVIEW) : null,
+    source: kinds.get(s.id) || 'tools'
+  }));
+}
+
+function requireCheckpoint(queries, conversationId, messageId) {
+  const session = queries.getSessionForMessage(conversationId, messageId);
+  if (!session) fail(404, 'No agent turn followed this message');
+  const snap = queries.getSessionSnapshot(session.id);
+  if (snap?.kind === 'git' && snap.startCommit) {
+    if (!fs.existsSync(snap.repoRoot)) fail(410, `${snap.repoRoot} no longer exists`);
+    return { session, snap, kind: 'git', root: snap.repoRoot };
+  }
+  if (snap?.manifestHash) {
+    if (!fs.existsSync(snap.workingDirectory)) fail(410, `${snap.workingDirectory} no longer exists`);
+    return { session, snap, kind: 'files', root: snap.workingDirectory };
+  }
+  fail(404, 'No checkpoint was taken before this turn');
+}
+
+/**
+ * Files that restoring to before the turn started by `messageId` would
+ * change, as { sessionId, kind, root, changes: [{ path, status }] } with
+ * paths relative to root.
+ */
+export async function messageCheckpoint(queries, dataDir, conversationId, messageId) {
+  const cp = requireCheckpoint(queries, conversationId, messageId);
+  const changes = cp.kind === 'git'
+    ? await snapshotChanges(cp.root, cp.snap.startCommit)
+    : await fileCheckpointChanges(dataDir, cp.snap.manifestHash, cp.root);
+  return { sessionId: cp.session.id, kind: cp.kind, root: cp.root, changes };
+}
+
+/** Put the files back as they were before the turn started by `messageId`. */
+export async function restoreMessageCheckpoint(queries, dataDir, conversationId, messageId) {
+  const cp = requireCheckpoint(queries, conversationId, messageId);
+  const changes = cp.kind === 'git'
+    ? await restoreSnapshot(cp.root, cp.snap.startCommit)
+    : await restoreFileCheckpoint(dataDir, cp.snap.manifestHash, cp.root);
+  return { sessionId: cp.session.id, kind: cp.kind, root: cp.root, restored: changes };
+}
+
+/** Remove file checkpoint objects no session refers to any more. */
+export function pruneCheckpoints(queries, dataDir) {
+  return pruneFileCheckpoints(dataDir, queries.getFileCheckpointHashes());
+}
+
+/** Drop the snapshot refs and rows of a deleted conversation. */
+export function removeSessionSnapshots(queries, conversationId) {
+  for (const snap of queries.getConversationSessionSnapshots(conversationId)) {
+    if (snap.kind !== 'git' || !fs.existsSync(snap.repoRoot)) continue;
+    deleteRef(snap.repoRoot, sessionRef(snap.sessionId, 'start'));
+    if (snap.endCommit) deleteRef(snap.repoRoot, sessionRef(snap.sessionId, 'end'));
+  }
+  return queries.deleteConversationSessionSnapshots(conversationId);
+}
+
+// Write: { file_path, content }; Edit: { file_path, old_string, new_string };
+// MultiEdit: { file_path, edits: [...] }. ACP agents use path/oldText/newText.
+function fileOperations(input) {
+  const file = input.file_path || input.filePath || input.path;
+  if (typeof file !== 'string') return [];
+  if (typeof input.content === 'string') return [{ path: file, content: input.content }];
+  const edits = Array.isArray(input.edits) ? input.edits : [input];
+  return edits
+    .map(e => ({ path: file, oldText: e.old_string ?? e.oldText ?? e.old_str, newText: e.new_string ?? e.newText ?? e.new_str, replaceAll: !!e.replace_all }))
+    .filter(e => typeof e.oldText === 'string' && typeof e.newText === 'string');
+}
+
+function splitLines(text) {
+  return text === '' ? [] : text.replace(/\n$/, '').split('\n');
+}
+
+// Line diff of two fragments as ' '/'-'/'+' prefixed lines (LCS)
+function lineDiff(a, b) {
+  const x = splitLines(a), y = splitLines(b);
+  const n = x.length, m = y.length;
+  if (n * m > MAX_LCS_CELLS) return [...x.map(l => '-' + l), ...y.map(l => '+' + l)];
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (x[i] === y[j]) { out.push(' ' + x[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) out.push('-' + x[i++]);
+    else out.push('+' + y[j++]);
+  }
+  while (i < n) out.push('-' + x[i++]);
+  while (j < m) out.push('+' + y[j++]);
+  return out;
+}
+
+function displayPath(file, cwd) {
+  if (cwd && path.isAbsolute(file)) {
+    const rel = path.relative(cwd, file);
+    if (rel && !rel.startsWith('..') && !path.isAbsolute(rel)) return rel;
+  }
+  return file;
+}
+
+/**
+ * Rebuild a patch from recorded tool calls. A Write shows the whole file as
+ * added (its previous content is unknown); edits to a file written earlier in
+ * the session are folded into that content, other edits become one `@@ edit @@`
+ * hunk each, without line numbers.
+ */
+export function toolUseDiff(chunks, cwd) {
+  const files = new Map();
+  for (const chunk of chunks) {
+    const block = chunk.data;
+    if (!block || block.type !== 'tool_use' || !block.input || typeof block.input !== 'object') continue;
+    for (const op of fileOperations(block.input)) {
+      const key = displayPath(op.path, cwd);
+      let file = files.get(key);
+      if (!file) files.set(key, file = { path: key, written: op.content != null, content: null, hunks: [] });
+      if (op.content != null) {
+        file.content = op.content;
+        file.hunks = [];
+      } else if (file.content != null && file.content.includes(op.oldText)) {
+        file.content = op.replaceAll ? file.content.split(op.oldText).join(op.newText) : file.content.replace(op.oldText, () => op.newText);
+      } else {
+        file.hunks.push(lineDiff(op.oldText, op.newText));
+      }
+    }
+  }
+
+  let patch = '';
+  const summary = [];
+  for (const file of [...files.values()].sort((a, b) => a.path.localeCompare(b.path))) {
+    const lines = [`diff --git a/${file.path} b/${file.path}`, file.written ? '--- /dev/null' : `--- a/${file.path}`, `+++ b/${file.path}`];
+    let additions = 0, deletions = 0;
+    if (file.content != null) {
+      const added = splitLines(file.content);
+      lines.push(`@@ -0,0 +1,${added.length} @@`, ...added.map(l => '+' + l));
+      additions += added.length;
+    }
+    for (const hunk of file.hunks) {
+      lines.push('@@ edit @@', ...hunk);
+      for (const l of hunk) {
+        if (l[0] === '+') additions++;
+        else if (l[0] === '-') deletions++;
+      }
+    }
+    patch += lines.join('\n') + '\n';
+    summary.push({ path: file.path, status: file.written ? 'A' : 'M', additions, deletions, binary: false });
+  }
+  return { patch, files: summary };
+}
@@ -0,0 +1,130 @@
+/**
+ * Token and cost accounting
+ * Agents report usage in different shapes: Claude Code's stream-json `result`
+ * carries Anthropic-style token counts and total_cost_usd, ACP prompt responses
+ * carry camelCase token counts, and ACP usage_update blocks carry the context
+ * window fill and a cost (which the runner turns from the ACP session's running
+ * total into the turn's share). These helpers map all of them onto one record
+ * per session (see queries.recordSessionUsage).
+ */
+
+const DAY_MS = 86400000;
+
+const num = (v) => (typeof v === 'number' && Number.isFinite(v) ? v : null);
+
+function pick(obj, keys) {
+  for (const key of keys) {
+    const v = num(obj[key]);
+    if (v !== null) return v;
+  }
+  return null;
+}
+
+export function normalizeTokens(usage) {
+  if (!usage || typeof usage !== 'object') return {};
+  return {
+    inputTokens: pick(usage, ['input_tokens', 'inputTokens', 'prompt_tokens']),
+    outputTokens: pick(usage, ['output_tokens', 'outputTokens', 'completion_tokens']),
+    cacheReadTokens: pick(usage, ['cache_read_input_tokens', 'cachedReadTokens', 'cacheReadInputTokens']),
+    cacheWriteTokens: pick(usage, ['cache_creation_input_tokens', 'cachedWriteTokens', 'cacheCreationInputTokens'])
+  };
+}
+
+// ACP reports cost as { amount, currency }; only USD amounts are accounted
+export function costInUsd(cost) {
+  if (typeof cost === 'number') return num(cost);
+  if (!cost || typeof cost !== 'object') return null;
+  if (cost.currency && String(cost.currency).toUpperCase() !== 'USD') return null;
+  return num(cost.amount);
+}
+
+// The model that accounted for most of a Claude Code result's cost
+function primaryModel(modelUsage) {
+  let best = null, bestCost = -1;
+  for (const [model, u] of Object.entries(modelUsage || {})) {
+    const cost = num(u?.costUSD) ?? 0;
+    if (cost > bestCost) { best = model; bestCost = cost; }
+  }
+  return best;
+}
+
+/**
+ * The usage carried by one streamed agent event, or null when it has none.
+ * Missing fields are null so they do not overwrite earlier values.
+ */
+export function usageFromEvent(parsed) {
+  if (parsed?.type === 'result') {
+    const tokens = normalizeTokens(parsed.usage);
+    const costUsd = num(parsed.total_cost_usd);
+    if (costUsd === null && Object.values(tokens).every(v => v === null)) return null;
+    return { ...tokens, costUsd, model: primaryModel(parsed.modelUsage) };
+  }
+  if (parsed?.type === 'usage' && parsed.usage) {
+    return { contextUsed: num(parsed.usage.used), contextSize: num(parsed.usage.size), costUsd: costInUsd(parsed.usage.cost) };
+  }
+  return null;
+}
+
+/**
+ * Parse ?from=&to= (YYYY-MM-DD or epoch ms, UTC days, `to` inclusive) into a
+ * [from, to) millisecond range. Defaults to the last 30 days. Returns null when
+ * either bound is unreadable.
+ */
+export function parseUsageRange({ from, to } = {}) {
+  const parse = (v) => {
+    if (v == null || v === '') return undefined;
+    if (/^\d+$/.test(String(v))) return Number(v);
+    const t = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(v) ? `${v}T00:00:00Z` : v);
+    return Number.isNaN(t) ? null : t;
+  };
+  let start = parse(from), end = parse(to);
+  if (start === null || end === null) return null;
+  if (end !== undefined && /^\d{4}-\d{2}-\d{2}$/.test(String(to))) end += DAY_MS;
+  if (end === undefined) end = Date.now();
+  if (start === undefined) start = end - 30 * DAY_MS;
+  return { from: start, to: end };
+}
+
+export function monthStart(now = Date.now()) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+}
+
+/**
+ * Warns once per calendar month (UTC) when spend crosses 80% and 100% of the
+ * monthly budget. With ownerId the budget applies to that user's conversations
+ * and the warning is addressed to them; otherwise it covers all usage.
+ */
+export function createBudgetMonitor({ queries, broadcastSync, budgetUsd, thresholds = [0.8, 1] }) {
+  const warned = new Set();
+  const levels = [...thresholds].sort((a, b) => b - a);
+
+  function status(ownerId = null) {
+    const spentUsd = queries.getUsageCostSince(monthStart(), ownerId);
+    return { monthlyUsd: budgetUsd || null, spentUsd, ratio: budgetUsd ? spentUsd / budgetUsd : null };
+  }
+
+  function check(ownerId = null, conversationId = null) {
+    if (!budgetUsd) return;
+    const { spentUsd, ratio } = status(ownerId);
+    const level = levels.find(t => ratio >= t);
+    if (level === undefined) return;
+    const month = new Date(monthStart()).toISOString().slice(0, 7);
+    const key = `${month}:${ownerId || ''}:${level}`;
+    if (warned.has(key)) return;
+    for (const t of levels) if (t <= level) warned.add(`${month}:${ownerId || ''}:${t}`);
+    broadcastSync({
+      type: 'usage_budget_warning',
+      month,
+      budgetUsd,
+      spentUsd,
+      threshold: level,
+      exceeded: ratio >= 1,
+      conversationId,
+      ...(ownerId ? { userId: ownerId } : {}),
+      timestamp: Date.now()
+    });
+  }
+
+  return { check, status };
+}
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Run-completion webhooks
+ * When a run with a webhook_url reaches a terminal status, the final run object
+ * is POSTed to that URL. Every delivery is stored in webhook_deliveries before
+ * the first attempt, so retries survive a restart.
+ *
+ * Receivers verify X-AgentGUI-Signature, which is
+ *   sha256=<hex HMAC-SHA256(secret, `${X-AgentGUI-Timestamp}.${body}`)>
+ */
+
+export const TERMINAL_RUN_STATUSES = ['success', 'error', 'cancelled', 'interrupted'];
+
+// Delay before attempt 2, 3, ...; a delivery is marked failed once these run out
+const RETRY_DELAYS_MS = [10e3, 60e3, 5 * 60e3, 30 * 60e3, 2 * 3600e3];
+const REQUEST_TIMEOUT_MS = 10000;
+
+export function loadWebhookSecret(dataDir) {
+  if (process.env.WEBHOOK_SECRET) return process.env.WEBHOOK_SECRET;
+  const keyPath = path.join(dataDir, 'webhook-secret');
+  try {
+    return fs.readFileSync(keyPath, 'utf-8').trim();
+  } catch {
+    const key = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(keyPath, key, { mode: 0o600 });
+    return key;
+  }
+}
+
+export function signWebhook(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Returns an error message for an unusable webhook_url, or null when it is
+ * absent or a valid http(s) URL.
+ */
+export function validateWebhookUrl(url) {
+  if (url == null || url === '') return null;
+  if (typeof url !== 'string') return 'webhook_url must be a string';
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? null : 'webhook_url must be an http(s) URL';
+  } catch {
+    return 'webhook_url is not a valid URL';
+  }
+}
+
+// Server errors, timeouts and throttling are worth retrying; other 4xx are not
+function isRetryable(status) {
+  return status == null || status === 408 || status === 429 || status >= 500;
+}
+
+export function createWebhookDispatcher({ queries, secret, userAgent = 'AgentGUI-Webhook', retryDelays = RETRY_DELAYS_MS, timeoutMs = REQUEST_TIMEOUT_MS }) {
+  let timer = null;
+  let draining = false;
+  let stopped = false;
+
+  function schedule(delay) {
+    if (stopped) return;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(drain, Math.max(0, delay));
+    timer.unref?.();
+  }
+
+  async function drain() {
+    timer = null;
+    if (draining) return;
+    draining = true;
+    try {
+      for (const id of queries.getDueWebhookDeliveries(Date.now())) {
+        if (stopped) break;
+        await attempt(id);
+      }
+    } catch (e) {
+      console.error('[webhooks] Delivery pass failed:', e.message);
+    } finally {
+      draining = false;
+    }
+    const next = queries.getNextWebhookAttemptAt();
+    if (next != null) schedule(next - Date.now());
+  }
+
+  async function attempt(id) {
+    const delivery = queries.getWebhookDelivery(id);
+    if (!delivery || delivery.status !== 'pending') return;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const startedAt = Date.now();
+    let status = null, error = null;
+    try {
+      const res = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': userAgent,
+          'X-AgentGUI-Event': delivery.event,
+          'X-AgentGUI-Delivery': delivery.id,
+          'X-AgentGUI-Timestamp': timestamp,
+          'X-AgentGUI-Signature': signWebhook(secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      status = res.status;
+      await res.body?.cancel().catch(() => {});
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (e) {
+      error = e.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : (e.cause?.message || e.message);
+    }
+
+    const entry = { at: new Date(startedAt).toISOString(), status, error, duration_ms: Date.now() - startedAt };
+    if (!error) {
+      queries.recordWebhookAttempt(id, entry, 'delivered', null);
+      return;
+    }
+    const delay = retryDelays[delivery.attempts];
+    if (isRetryable(status) && delay !== undefined) {
+      const jitter = delay * (0.8 + Math.random() * 0.4);
+      queries.recordWebhookAttempt(id, entry, 'pending', Date.now() + Math.round(jitter));
+    } else {
+      queries.recordWebhookAttempt(id, entry, 'failed', null);
+      console.error(`[webhooks] Giving up on ${delivery.event} for run ${delivery.run_id}: ${error}`);
+    }
+  }
+
+  function onRunStatus(run) {
+    if (stopped || !TERMINAL_RUN_STATUSES.includes(run.status)) return;
+    const url = queries.getRunWebhookUrl(run.run_id);
+    if (!url) return;
+    queries.createWebhookDelivery(run.run_id, url, `run.${run.status}`, run);
+    schedule(0);
+  }
+
+  return {
+    onRunStatus,
+    // Picks up deliveries left pending by a previous process
+    start() { stopped = false; schedule(0); },
+    stop() { stopped = true; if (timer) clearTimeout(timer); timer = null; }
+  };
+}
@@ -0,0 +1,37 @@
+import { agentsFilePath, isEndpointOverride, readCustomAgents, saveCustomAgent, deleteCustomAgent } from './custom-agents.js';
+
+function err(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function register(router, deps) {
+  const { dataDir, discoveredAgents, reloadCustomAgents, isBuiltinAgent } = deps;
+
+  // Read back from the file rather than the loaded list, so entries that
+  // failed validation still show up next to their error
+  router.handle('agent.custom.ls', () => {
+    const { agents, errors } = readCustomAgents(dataDir);
+    const clashes = agents.filter(a => a.name ? isBuiltinAgent(a.id) : !isBuiltinAgent(a.id, 'acp')).map(a => ({
+      index: null, id: a.id, error: a.name ? `${a.id} is a built-in agent and cannot be redefined` : `${a.id} is not a built-in ACP agent`
+    }));
+    return {
+      file: agentsFilePath(dataDir),
+      agents: agents.map(a => ({ ...a, available: discoveredAgents.some(d => d.id === a.id && (a.name ? d.custom : d.remote)) })),
+      errors: [...errors, ...clashes]
+    };
+  });
+
+  router.handle('agent.custom.save', async (p) => {
+    const { previousId = null, ...data } = p;
+    if (data.id && isEndpointOverride(data) && !isBuiltinAgent(data.id, 'acp')) err(404, `${data.id} is not a built-in ACP agent`);
+    if (data.id && !isEndpointOverride(data) && isBuiltinAgent(data.id)) err(409, `${data.id} is a built-in agent`);
+    const agent = saveCustomAgent(dataDir, data, previousId);
+    await reloadCustomAgents();
+    return { agent, available: discoveredAgents.some(d => d.id === agent.id && (agent.name ? d.custom : d.remote)) };
+  });
+
+  router.handle('agent.custom.del', async (p) => {
+    if (!p.id) err(400, 'id is required');
+    deleteCustomAgent(dataDir, p.id);
+    await reloadCustomAgents();
+    return { ok: true };
+  });
+}
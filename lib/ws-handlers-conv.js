@@ -1,13 +1,26 @@
 import path from 'path';
 import os from 'os';
+import { buildMatchQuery } from './search-index.js';
+import { tailOutput, formatOutputForAgent } from './script-runner.js';
+import { isolateConversation } from './git-worktree.js';
+import { forkConversation } from './conversation-fork.js';
 
 function fail(code, message) { const e = new Error(message); e.code = code; throw e; }
 function notFound(msg = 'Not found') { fail(404, msg); }
+const DEFAULT_ATTACH_LINES = 100;
+const MAX_ATTACH_LINES = 2000;
+
+function describeScript(proc) {
+  if (proc.status === 'running') return 'still running';
+  if (proc.status === 'stopped') return 'stopped';
+  return proc.signal ? `killed by ${proc.signal}` : `exited with code ${proc.exitCode}`;
+}
+
 function expandTilde(p) { return p && p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p; }
 
 export function register(router, deps) {
-  const { queries, activeExecutions, messageQueues, rateLimitState,
-    broadcastSync, processMessageWithStreaming, cleanupExecution } = deps;
+  const { queries, activeExecutions, rateLimitState,
+    broadcastSync, processMessageWithStreaming, cleanupExecution, access, scriptRunner, dataDir, envProfiles } = deps;
 
   // Per-conversation queue seq counter for event ordering
   const queueSeqByConv = new Map();
@@ -19,29 +32,43 @@ export function register(router, deps) {
     return next;
   }
 
-  router.handle('conv.ls', () => {
-    const conversations = queries.getConversationsList();
+  const assertProfileUsable = (id, ws) => envProfiles.assertUsable(id, { admin: !access.multiUser || access.isAdmin(ws?.principal) });
+
+  router.handle('conv.ls', (p, ws) => {
+    const conversations = access.listConversations(ws.principal);
     for (const c of conversations) { if (c.isStreaming && !activeExecutions.has(c.id)) c.isStreaming = 0; }
     return { conversations };
   });
 
-  router.handle('conv.new', (p) => {
+  router.handle('conv.new', (p, ws) => {
     const wd = p.workingDirectory ? path.resolve(expandTilde(p.workingDirectory)) : null;
-    const conv = queries.createConversation(p.agentId, p.title, wd, p.model || null, p.subAgent || null);
-    queries.createEvent('conversation.created', { agentId: p.agentId, workingDirectory: conv.workingDirectory, model: conv.model, subAgent: conv.subAgent }, conv.id);
+    if (p.envProfileId) assertProfileUsable(p.envProfileId, ws);
+    let conv = queries.createConversation(p.agentId, p.title, wd, p.model || null, p.subAgent || null, ws.principal?.id || null, p.envProfileId || null);
+    if (p.worktree) conv = isolateConversation({ queries, dataDir, conversation: conv });
+    queries.createEvent('conversation.created', { agentId: p.agentId, workingDirectory: conv.workingDirectory, model: conv.model, subAgent: conv.subAgent, worktree: !!p.worktree, envProfileId: conv.envProfileId }, conv.id);
     broadcastSync({ type: 'conversation_created', conversation: conv });
     return { conversation: conv };
   });
 
+  router.handle('conv.fork', (p, ws) => {
+    const { conversation, draft } = forkConversation({
+      queries, dataDir, conversationId: p.id, messageId: p.messageId || null, sessionId: p.sessionId || null, ownerId: ws?.principal?.id || null
+    });
+    queries.createEvent('conversation.forked', { from: p.id, messageId: p.messageId || null, sessionId: p.sessionId || null }, conversation.id);
+    broadcastSync({ type: 'conversation_created', conversation });
+    return { conversation, draft };
+  });
+
   router.handle('conv.get', (p) => {
     const conv = queries.getConversation(p.id);
     if (!conv) notFound();
     return { conversation: conv, isActivelyStreaming: activeExecutions.has(p.id), latestSession: queries.getLatestSession(p.id) };
   });
 
-  router.handle('conv.upd', (p) => {
+  router.handle('conv.upd', (p, ws) => {
     const { id, ...data } = p;
     if (data.workingDirectory) data.workingDirectory = path.resolve(data.workingDirectory);
+    if (data.envProfileId) assertProfileUsable(data.envProfileId, ws);
     const conv = queries.updateConversation(id, data);
     if (!conv) notFound('Conversation not found');
     queries.createEvent('conversation.updated', data, id);
@@ -51,11 +78,23 @@ export function register(router, deps) {
 
   router.handle('conv.del', (p) => {
     if (!queries.deleteConversation(p.id)) notFound();
+    access.invalidate(p.id);
     broadcastSync({ type: 'conversation_deleted', conversationId: p.id });
     return { deleted: true };
   });
 
-  router.handle('conv.del.all', (p) => {
+  router.handle('conv.del.all', (p, ws) => {
+    // Members only clear their own conversations; shared and other users' ones stay
+    if (!access.isAdmin(ws.principal)) {
+      const owned = access.listConversations(ws.principal).filter(c => c.access === 'owner');
+      for (const c of owned) {
+        if (queries.deleteConversation(c.id)) {
+          access.invalidate(c.id);
+          broadcastSync({ type: 'conversation_deleted', conversationId: c.id });
+        }
+      }
+      return { deleted: true, count: owned.length };
+    }
     if (!queries.deleteAllConversations()) fail(500, 'Failed to delete all conversations');
     broadcastSync({ type: 'all_conversations_deleted', timestamp: Date.now() });
     return { deleted: true, message: 'All conversations deleted' };
@@ -106,6 +145,7 @@ export function register(router, deps) {
     if (!entry) notFound('No active execution to cancel');
     const { pid, sessionId } = entry;
     if (pid) { try { process.kill(-pid, 'SIGKILL'); } catch { try { process.kill(pid, 'SIGKILL'); } catch {} } }
+    else entry.proc?.kill();
     if (sessionId) queries.updateSession(sessionId, { status: 'interrupted', completed_at: Date.now() });
 
     // Use atomic cleanup function to ensure state consistency
@@ -115,52 +155,125 @@ export function register(router, deps) {
     return { ok: true, cancelled: true, conversationId: p.id, sessionId };
   });
 
-  router.handle('conv.inject', (p) => {
-    const conv = queries.getConversation(p.id);
-    if (!conv) notFound('Conversation not found');
-    if (!p.content) fail(400, 'Missing content');
-    const entry = activeExecutions.get(p.id);
-    const message = queries.createMessage(p.id, 'user', '[INJECTED] ' + p.content);
+  function inject(conv, content) {
+    const entry = activeExecutions.get(conv.id);
+    const message = queries.createMessage(conv.id, 'user', '[INJECTED] ' + content);
     if (!entry) {
       const agentId = conv.agentId || 'claude-code';
-      const session = queries.createSession(p.id, agentId, 'pending');
-      processMessageWithStreaming(p.id, message.id, session.id, message.content, agentId, conv.model || null, conv.subAgent || null);
+      const session = queries.createSession(conv.id, agentId, 'pending');
+      processMessageWithStreaming(conv.id, message.id, session.id, message.content, agentId, conv.model || null, conv.subAgent || null);
     }
-    return { ok: true, injected: true, conversationId: p.id, messageId: message.id };
-  });
-
-  router.handle('conv.steer', (p) => {
-    const conv = queries.getConversation(p.id);
-    if (!conv) notFound('Conversation not found');
-    if (!p.content) fail(400, 'Missing content');
+    return message;
+  }
 
-    const entry = activeExecutions.get(p.id);
+  function steer(conv, content) {
+    const entry = activeExecutions.get(conv.id);
     if (!entry) fail(409, 'No active execution to steer');
 
     const { pid, sessionId } = entry;
 
     if (pid) {
       try { process.kill(-pid, 'SIGKILL'); } catch { try { process.kill(pid, 'SIGKILL'); } catch (e) {} }
+    } else {
+      entry.proc?.kill();
     }
 
     if (sessionId) queries.updateSession(sessionId, { status: 'interrupted', completed_at: Date.now() });
-    queries.setIsStreaming(p.id, false);
-    activeExecutions.delete(p.id);
+    queries.setIsStreaming(conv.id, false);
+    activeExecutions.delete(conv.id);
 
-    broadcastSync({ type: 'streaming_complete', sessionId, conversationId: p.id, interrupted: true, timestamp: Date.now() });
+    broadcastSync({ type: 'streaming_complete', sessionId, conversationId: conv.id, interrupted: true, timestamp: Date.now() });
 
     const agentId = conv.agentType || conv.agentId || 'claude-code';
     const model = conv.model || null;
     const subAgent = conv.subAgent || null;
-    const steerContent = typeof p.content === 'string' ? p.content : (p.content ? JSON.stringify(p.content) : '');
-    const message = queries.createMessage(p.id, 'user', steerContent);
-    queries.createEvent('message.created', { role: 'user', messageId: message.id }, p.id);
-    broadcastSync({ type: 'message_created', conversationId: p.id, message, timestamp: Date.now() });
-    startExecution(p.id, message, agentId, model, steerContent, subAgent);
+    const message = queries.createMessage(conv.id, 'user', content);
+    queries.createEvent('message.created', { role: 'user', messageId: message.id }, conv.id);
+    broadcastSync({ type: 'message_created', conversationId: conv.id, message, timestamp: Date.now() });
+    startExecution(conv.id, message, agentId, model, content, subAgent);
+    return message;
+  }
+
+  /**
+   * A regular user message: starts a turn, or waits in the queue while one is
+   * running. agentId, model and subAgent default to the conversation's.
+   */
+  function send(conv, content, userId, { agentId, model, subAgent, idempotencyKey = null } = {}) {
+    agentId = agentId || conv.agentType || conv.agentId || 'claude-code';
+    model = model || conv.model || null;
+    subAgent = subAgent || conv.subAgent || null;
+    const message = queries.createMessage(conv.id, 'user', content, idempotencyKey);
+    queries.createEvent('message.created', { role: 'user', messageId: message.id }, conv.id);
+
+    // Queued messages show in the queue indicator instead, through queue_status
+    if (!activeExecutions.has(conv.id)) {
+      broadcastSync({ type: 'message_created', conversationId: conv.id, message, timestamp: Date.now() });
+      return { message, session: startExecution(conv.id, message, agentId, model, content, subAgent) };
+    }
+    return { message, queued: true, queuePosition: enqueue(conv.id, content, agentId, model, message.id, subAgent, userId) };
+  }
+
+  router.handle('conv.inject', (p) => {
+    const conv = queries.getConversation(p.id);
+    if (!conv) notFound('Conversation not found');
+    if (!p.content) fail(400, 'Missing content');
+    const message = inject(conv, p.content);
+    return { ok: true, injected: true, conversationId: p.id, messageId: message.id };
+  });
 
+  router.handle('conv.steer', (p) => {
+    const conv = queries.getConversation(p.id);
+    if (!conv) notFound('Conversation not found');
+    if (!p.content) fail(400, 'Missing content');
+    const steerContent = typeof p.content === 'string' ? p.content : (p.content ? JSON.stringify(p.content) : '');
+    const message = steer(conv, steerContent);
     return { ok: true, steered: true, conversationId: p.id, messageId: message.id };
   });
 
+  /**
+   * Hand the tail of a script's log (scriptId) or of client-side terminal
+   * output (output) to the agent. mode 'inject' steers a running turn or
+   * injects into an idle conversation, like the inject button; 'message'
+   * sends a regular message, queued while the agent is busy.
+   */
+  router.handle('conv.attach-output', (p, ws) => {
+    const conv = queries.getConversation(p.id);
+    if (!conv) notFound('Conversation not found');
+    const lines = Math.min(Math.max(parseInt(p.lines) || DEFAULT_ATTACH_LINES, 1), MAX_ATTACH_LINES);
+    let raw, source;
+    if (p.scriptId) {
+      const proc = scriptRunner.list(p.id).find(s => s.id === p.scriptId);
+      raw = scriptRunner.getLog(p.id, p.scriptId);
+      source = `Output of \`${proc.label}\` (${describeScript(proc)}, `;
+    } else if (typeof p.output === 'string') {
+      raw = p.output;
+      source = `${p.label || 'Terminal output'} (`;
+    } else {
+      fail(400, 'Missing scriptId or output');
+    }
+    const output = tailOutput(raw, lines);
+    if (!output) fail(400, 'There is no output to attach');
+    const count = output.split('\n').length;
+    const title = `${source}last ${count} line${count === 1 ? '' : 's'})`;
+    const content = formatOutputForAgent({ title, output, note: p.note || null });
+    const mode = p.mode || 'inject';
+    if (mode === 'message') return { ok: true, mode, ...send(conv, content, ws.principal?.id) };
+    if (mode !== 'inject') fail(400, 'mode must be inject or message');
+    const message = activeExecutions.has(p.id) ? steer(conv, content) : inject(conv, content);
+    return { ok: true, mode, messageId: message.id };
+  });
+
+  router.handle('conv.script-notify', (p) => ({ ok: true, process: scriptRunner.setNotifyOnFailure(p.id, p.scriptId, p.enabled !== false) }));
+
+  scriptRunner.onExit((conversationId, proc, log) => {
+    if (!proc.notifyOnFailure || proc.status !== 'failed') return;
+    const conv = queries.getConversation(conversationId);
+    if (!conv) return;
+    const note = `\`${proc.label}\` ${describeScript(proc)}.`;
+    const output = tailOutput(log, DEFAULT_ATTACH_LINES);
+    send(conv, output ? formatOutputForAgent({ title: `Last ${DEFAULT_ATTACH_LINES} lines of its output`, output, note }) : note, null);
+  });
+
   router.handle('msg.ls', (p) => {
     return queries.getPaginatedMessages(p.id, Math.min(p.limit || 50, 100), Math.max(p.offset || 0, 0));
   });
@@ -173,6 +286,18 @@ export function register(router, deps) {
     return { ok: true, messages: result.messages, total: result.total, hasMore: result.hasMore, limit: result.limit };
   });
 
+  router.handle('search', (p, ws) => {
+    const match = buildMatchQuery(p.query);
+    if (!match) fail(400, 'Missing search query');
+    return queries.searchHistory({
+      match,
+      conversationId: p.conversationId || null,
+      visibleTo: access.scopeFor(ws.principal),
+      limit: Math.min(Math.max(parseInt(p.limit) || 20, 1), 100),
+      offset: Math.max(parseInt(p.offset) || 0, 0)
+    });
+  });
+
   function startExecution(convId, message, agentId, model, content, subAgent) {
     const session = queries.createSession(convId);
     queries.createEvent('session.created', { messageId: message.id, sessionId: session.id }, convId, session.id);
@@ -183,36 +308,23 @@ export function register(router, deps) {
     return session;
   }
 
-  function enqueue(convId, content, agentId, model, messageId, subAgent) {
-    if (!messageQueues.has(convId)) messageQueues.set(convId, []);
-    messageQueues.get(convId).push({ content, agentId, model, messageId, subAgent });
-    const queueLength = messageQueues.get(convId).length;
+  function enqueue(convId, content, agentId, model, messageId, subAgent, userId) {
+    const queueLength = queries.enqueueMessage(convId, { content, agentId, model, messageId, subAgent, userId: userId || null });
     broadcastSync({ type: 'queue_status', conversationId: convId, queueLength, messageId, timestamp: Date.now() });
     return queueLength;
   }
 
-  router.handle('msg.send', (p) => {
+  function assertCanChangeQueued(item, convId, ws) {
+    if (!access.canChangeQueued(ws.principal, convId, item)) fail(403, 'Only the sender or the owner can change a queued message');
+  }
+
+  router.handle('msg.send', (p, ws) => {
     const conv = queries.getConversation(p.id);
     if (!conv) notFound('Conversation not found');
-    const agentId = p.agentId || conv.agentType || conv.agentId || 'claude-code';
-    const model = p.model || conv.model || null;
-    const subAgent = p.subAgent || conv.subAgent || null;
     const idempotencyKey = p.idempotencyKey || null;
-    const rawContent = p.content;
-    p.content = typeof rawContent === 'string' ? rawContent : (rawContent ? JSON.stringify(rawContent) : '');
-    const message = queries.createMessage(p.id, 'user', p.content, idempotencyKey);
-    queries.createEvent('message.created', { role: 'user', messageId: message.id }, p.id);
-
-    // Only broadcast message_created if NOT queuing - queued messages show in queue indicator instead
-    if (!activeExecutions.has(p.id)) {
-      broadcastSync({ type: 'message_created', conversationId: p.id, message, timestamp: Date.now() });
-      const session = startExecution(p.id, message, agentId, model, p.content, subAgent);
-      return { message, session, idempotencyKey };
-    }
-
-    // Message is queued - don't broadcast as message_created, let queue_status handle the UI update
-    const qp = enqueue(p.id, p.content, agentId, model, message.id, subAgent);
-    return { message, queued: true, queuePosition: qp, idempotencyKey };
+    const content = typeof p.content === 'string' ? p.content : (p.content ? JSON.stringify(p.content) : '');
+    const sent = send(conv, content, ws.principal?.id, { agentId: p.agentId, model: p.model, subAgent: p.subAgent, idempotencyKey });
+    return { ...sent, idempotencyKey };
   });
 
   router.handle('msg.get', (p) => {
@@ -221,7 +333,7 @@ export function register(router, deps) {
     return { message: msg };
   });
 
-  router.handle('msg.stream', (p) => {
+  router.handle('msg.stream', (p, ws) => {
     const conv = queries.getConversation(p.id);
     if (!conv) notFound('Conversation not found');
     const rawContent = p.content || p.message;
@@ -240,12 +352,12 @@ export function register(router, deps) {
     }
 
     // Message is queued - don't broadcast as message_created, let queue_status handle the UI update
-    const qp = enqueue(p.id, prompt, agentId, model, userMessage.id, subAgent);
+    const qp = enqueue(p.id, prompt, agentId, model, userMessage.id, subAgent, ws.principal?.id);
     const seq = getNextQueueSeq(p.id);
     broadcastSync({
       type: 'queue_status',
       conversationId: p.id,
-      queueLength: messageQueues.get(p.id)?.length || 1,
+      queueLength: qp,
       seq,
       timestamp: Date.now()
     });
@@ -254,34 +366,30 @@ export function register(router, deps) {
 
   router.handle('q.ls', (p) => {
     if (!queries.getConversation(p.id)) notFound('Conversation not found');
-    return { queue: messageQueues.get(p.id) || [] };
+    return { queue: queries.getQueuedMessages(p.id) };
   });
 
-  router.handle('q.del', (p) => {
-    const queue = messageQueues.get(p.id);
-    if (!queue) notFound('Queue not found');
-    const idx = queue.findIndex(q => q.messageId === p.messageId);
-    if (idx === -1) notFound('Queued message not found');
-    queue.splice(idx, 1);
-    if (queue.length === 0) messageQueues.delete(p.id);
+  router.handle('q.del', (p, ws) => {
+    const item = queries.getQueuedMessage(p.id, p.messageId);
+    if (!item) notFound('Queued message not found');
+    assertCanChangeQueued(item, p.id, ws);
+    queries.deleteQueuedMessage(p.id, p.messageId);
     const seq = getNextQueueSeq(p.id);
     broadcastSync({
       type: 'queue_status',
       conversationId: p.id,
-      queueLength: queue?.length || 0,
+      queueLength: queries.getQueueLength(p.id),
       seq,
       timestamp: Date.now()
     });
     return { deleted: true };
   });
 
-  router.handle('q.upd', (p) => {
-    const queue = messageQueues.get(p.id);
-    if (!queue) notFound('Queue not found');
-    const item = queue.find(q => q.messageId === p.messageId);
-    if (!item) notFound('Queued message not found');
-    if (p.content !== undefined) item.content = p.content;
-    if (p.agentId !== undefined) item.agentId = p.agentId;
+  router.handle('q.upd', (p, ws) => {
+    const queued = queries.getQueuedMessage(p.id, p.messageId);
+    if (!queued) notFound('Queued message not found');
+    assertCanChangeQueued(queued, p.id, ws);
+    const item = queries.updateQueuedMessage(p.id, p.messageId, { content: p.content, agentId: p.agentId });
     const seq = getNextQueueSeq(p.id);
     broadcastSync({
       type: 'queue_updated',
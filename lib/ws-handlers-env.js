@@ -0,0 +1,22 @@
+function err(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function register(router, deps) {
+  const { envProfiles, broadcastSync } = deps;
+
+  // Listed for everyone, so any user can pick a profile for a new conversation
+  // (admins only for profiles holding secrets); secret values are masked
+  router.handle('env.profile.ls', () => ({ profiles: envProfiles.list() }));
+
+  router.handle('env.profile.save', (p) => {
+    const profile = envProfiles.save(p);
+    broadcastSync({ type: 'env_profiles_changed' });
+    return { profile };
+  });
+
+  router.handle('env.profile.del', (p) => {
+    if (!p.id) err(400, 'id is required');
+    envProfiles.remove(p.id);
+    broadcastSync({ type: 'env_profiles_changed' });
+    return { ok: true };
+  });
+}
@@ -0,0 +1,116 @@
+import { worktreeStatus, worktreeDiff, mergeWorktree, pushWorktreeBranch } from './git-worktree.js';
+import { sessionDiff, listSessionDiffs, messageCheckpoint, restoreMessageCheckpoint } from './session-diff.js';
+import * as gitPanel from './git-panel.js';
+
+function err(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function register(router, deps) {
+  const { queries, broadcastSync, dataDir, activeExecutions, runAgentOnce } = deps;
+
+  function requireConversation(id) {
+    const conv = queries.getConversation(id);
+    if (!conv) err(404, 'Conversation not found');
+    return conv;
+  }
+
+  function repoDir(id) {
+    const conv = requireConversation(id);
+    if (!conv.workingDirectory) err(400, 'The conversation has no working directory');
+    return conv.workingDirectory;
+  }
+
+  // Other clients showing the panel for this repository refresh on this
+  function changed(id, status) {
+    broadcastSync({ type: 'git_status_changed', conversationId: id, status, timestamp: Date.now() });
+    return status;
+  }
+
+  router.handle('conv.worktree', (p) => {
+    requireConversation(p.id);
+    return { worktree: worktreeStatus(queries, p.id) };
+  });
+
+  router.handle('conv.worktree.diff', (p) => {
+    requireConversation(p.id);
+    return worktreeDiff(queries, p.id);
+  });
+
+  router.handle('conv.worktree.merge', (p) => {
+    const conv = requireConversation(p.id);
+    const result = mergeWorktree(queries, p.id, { message: p.message || null, conversationTitle: conv.title });
+    const worktree = worktreeStatus(queries, p.id);
+    broadcastSync({ type: 'worktree_updated', conversationId: p.id, worktree, timestamp: Date.now() });
+    return { ...result, worktree };
+  });
+
+  router.handle('conv.worktree.push', async (p) => {
+    const conv = requireConversation(p.id);
+    const result = await pushWorktreeBranch(queries, p.id, { remote: p.remote || 'origin', message: p.message || null, conversationTitle: conv.title });
+    const worktree = worktreeStatus(queries, p.id);
+    broadcastSync({ type: 'worktree_updated', conversationId: p.id, worktree, timestamp: Date.now() });
+    return { ...result, worktree };
+  });
+
+  router.handle('conv.session-diffs', (p) => {
+    requireConversation(p.id);
+    return { sessions: listSessionDiffs(queries, p.id) };
+  });
+
+  router.handle('sess.diff', (p) => sessionDiff(queries, p.id));
+
+  router.handle('msg.checkpoint', (p) => {
+    requireConversation(p.id);
+    return messageCheckpoint(queries, dataDir, p.id, p.messageId);
+  });
+
+  router.handle('msg.restore', (p) => {
+    requireConversation(p.id);
+    if (activeExecutions.has(p.id)) err(409, 'Stop the agent before restoring files');
+    return restoreMessageCheckpoint(queries, dataDir, p.id, p.messageId);
+  });
+
+  router.handle('conv.git.status', (p) => gitPanel.status(repoDir(p.id)));
+
+  router.handle('conv.git.diff', (p) => gitPanel.fileDiff(repoDir(p.id), p.path, { staged: !!p.staged }));
+
+  router.handle('conv.git.stage', (p) => changed(p.id, gitPanel.stage(repoDir(p.id), p.paths)));
+
+  router.handle('conv.git.unstage', (p) => changed(p.id, gitPanel.unstage(repoDir(p.id), p.paths)));
+
+  router.handle('conv.git.commit', (p) => {
+    const result = gitPanel.commit(repoDir(p.id), p.message);
+    changed(p.id, result.status);
+    return result;
+  });
+
+  router.handle('conv.git.branches', (p) => gitPanel.branches(repoDir(p.id)));
+
+  router.handle('conv.git.branch', (p) => {
+    const dir = repoDir(p.id);
+    const result = gitPanel.createBranch(dir, p.name, { startPoint: p.startPoint || null, checkout: p.checkout !== false });
+    changed(p.id, gitPanel.status(dir));
+    return result;
+  });
+
+  router.handle('conv.git.switch', (p) => {
+    const dir = repoDir(p.id);
+    const result = gitPanel.switchBranch(dir, p.branch);
+    changed(p.id, gitPanel.status(dir));
+    return result;
+  });
+
+  router.handle('conv.git.push', async (p) => {
+    const result = await gitPanel.push(repoDir(p.id), { remote: p.remote, branch: p.branch || null, setUpstream: p.setUpstream !== false });
+    changed(p.id, result.status);
+    return result;
+  });
+
+  router.handle('conv.git.draft-message', async (p) => {
+    const conv = requireConversation(p.id);
+    const { prompt, staged } = gitPanel.commitMessagePrompt(repoDir(p.id));
+    const text = await runAgentOnce(conv, prompt);
+    const message = gitPanel.cleanCommitMessage(text);
+    if (!message) err(502, 'The agent did not return a commit message');
+    return { message, staged };
+  });
+}
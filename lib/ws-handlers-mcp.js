@@ -0,0 +1,46 @@
+import { validateMcpServer } from './mcp-config.js';
+
+function err(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function register(router, deps) {
+  const { queries, access } = deps;
+
+  // Global servers are system-wide for admins and personal for everyone else
+  const globalOwner = (ws) => access.isAdmin(ws.principal) ? null : ws.principal?.id || null;
+
+  function assertCanEdit(server, ws) {
+    if (server.conversationId) access.assertConversation(ws.principal, server.conversationId, 'write');
+    else if (server.ownerId !== globalOwner(ws) && !access.isAdmin(ws.principal)) err(404, 'MCP server not found');
+  }
+
+  router.handle('mcp.ls', (p, ws) => {
+    const conversationId = p.conversationId || null;
+    if (conversationId && !queries.getConversation(conversationId)) err(404, 'Conversation not found');
+    return {
+      global: queries.listMcpServers(null, globalOwner(ws)),
+      conversation: conversationId ? queries.listMcpServers(conversationId) : []
+    };
+  });
+
+  router.handle('mcp.save', (p, ws) => {
+    const existing = p.id ? queries.getMcpServer(p.id) : null;
+    if (p.id && !existing) err(404, 'MCP server not found');
+    if (existing) assertCanEdit(existing, ws);
+    const conversationId = existing ? existing.conversationId : (p.conversationId || null);
+    if (conversationId && !queries.getConversation(conversationId)) err(404, 'Conversation not found');
+    const ownerId = existing ? existing.ownerId : (conversationId ? null : globalOwner(ws));
+    const invalid = validateMcpServer(p);
+    if (invalid) err(400, invalid);
+    const clash = queries.listMcpServers(conversationId, ownerId).find(s => s.name === p.name && s.id !== p.id);
+    if (clash) err(409, `An MCP server named "${p.name}" already exists`);
+    return { server: queries.saveMcpServer({ ...p, conversationId, ownerId }) };
+  });
+
+  router.handle('mcp.del', (p, ws) => {
+    const existing = queries.getMcpServer(p.id);
+    if (!existing) err(404, 'MCP server not found');
+    assertCanEdit(existing, ws);
+    queries.deleteMcpServer(p.id);
+    return { ok: true };
+  });
+}
@@ -0,0 +1,28 @@
+function err(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function register(router, deps) {
+  const { queries, permissionManager, access } = deps;
+
+  router.handle('perm.respond', (p, ws) => {
+    if (!p.requestId) err(400, 'Missing requestId');
+    const entry = permissionManager.getPending(p.requestId);
+    if (entry) access.assertConversation(ws.principal, entry.conversationId, 'write');
+    const ok = permissionManager.respond(p.requestId, p.decision);
+    if (!ok) err(404, 'Permission request is no longer pending');
+    return { ok: true };
+  });
+
+  router.handle('perm.pending', (p, ws) => ({
+    pending: permissionManager.listPending(p.id || null).filter(r => access.can(ws.principal, r.conversationId, 'read'))
+  }));
+
+  router.handle('perm.rules', (p) => {
+    if (!queries.getConversation(p.id)) err(404, 'Conversation not found');
+    return { rules: queries.getPermissionRules(p.id) };
+  });
+
+  router.handle('perm.rule.del', (p) => {
+    if (!queries.deletePermissionRule(p.id, p.ruleId)) err(404, 'Rule not found');
+    return { ok: true };
+  });
+}
@@ -1,8 +1,12 @@
+import { validateWebhookUrl } from './webhook-dispatcher.js';
+
 function err(code, message) { const e = new Error(message); e.code = code; throw e; }
 function need(p, key) { if (!p[key]) err(400, `Missing required param: ${key}`); return p[key]; }
 
 function register(router, deps) {
-  const { queries, discoveredAgents, activeExecutions, activeProcessesByRunId, broadcastSync, processMessageWithStreaming } = deps;
+  const { queries, discoveredAgents, activeExecutions, activeProcessesByRunId, broadcastSync, processMessageWithStreaming, access } = deps;
+
+  function claim(threadId, ws) { if (ws.principal?.id) queries.setConversationOwner(threadId, ws.principal.id); }
 
   function findAgent(id) { const a = discoveredAgents.find(x => x.id === id); if (!a) err(404, 'Agent not found'); return a; }
   function getRunOrThrow(id) { const r = queries.getRun(id); if (!r) err(404, 'Run not found'); return r; }
@@ -13,6 +17,8 @@ function register(router, deps) {
     if (ex?.pid) {
       try { process.kill(-ex.pid, 'SIGTERM'); } catch { try { process.kill(ex.pid, 'SIGTERM'); } catch {} }
       setTimeout(() => { try { process.kill(-ex.pid, 'SIGKILL'); } catch { try { process.kill(ex.pid, 'SIGKILL'); } catch {} } }, 3000);
+    } else {
+      ex?.proc?.kill();
     }
     if (ex?.sessionId) queries.updateSession(ex.sessionId, { status: 'error', error: 'Cancelled by user', completed_at: Date.now() });
     activeExecutions.delete(threadId);
@@ -29,18 +35,31 @@ function register(router, deps) {
     activeExecutions.set(threadId, { pid: null, startTime: Date.now(), sessionId: session.id, lastActivity: Date.now() });
     activeProcessesByRunId.set(runId, { threadId, sessionId: session.id });
     queries.setIsStreaming(threadId, true);
+    // finishRun leaves a run that was cancelled meanwhile alone
     processMessageWithStreaming(threadId, null, session.id, input.content, agentId, config?.model || null)
-      .then(() => { queries.updateRunStatus(runId, 'success'); activeProcessesByRunId.delete(runId); })
-      .catch(() => { queries.updateRunStatus(runId, 'error'); activeProcessesByRunId.delete(runId); });
+      .then(() => { queries.finishRun(runId, queries.getSession(session.id)?.status === 'error' ? 'error' : 'success'); activeProcessesByRunId.delete(runId); })
+      .catch(() => { queries.finishRun(runId, 'error'); activeProcessesByRunId.delete(runId); });
+  }
+
+  function webhookUrl(p) {
+    const invalid = validateWebhookUrl(p.webhook_url);
+    if (invalid) err(422, invalid);
+    return p.webhook_url || null;
   }
 
   router.handle('run.new', async (p) => {
     findAgent(need(p, 'agent_id'));
-    return queries.createRun(p.agent_id, p.thread_id || null, p.input || null, p.config || null, p.webhook_url || null);
+    return queries.createRun(p.agent_id, p.thread_id || null, p.input || null, p.config || null, webhookUrl(p));
   });
 
   router.handle('run.get', async (p) => getRunOrThrow(need(p, 'id')));
 
+  router.handle('run.webhooks', async (p) => {
+    const id = need(p, 'id');
+    getRunOrThrow(id);
+    return { deliveries: queries.getWebhookDeliveries(id) };
+  });
+
   router.handle('run.del', async (p) => {
     try { queries.deleteRun(need(p, 'id')); } catch { err(404, 'Run not found'); }
     return { deleted: true };
@@ -64,7 +83,7 @@ function register(router, deps) {
     return cancelled;
   });
 
-  router.handle('run.search', async (p) => queries.searchRuns(p));
+  router.handle('run.search', async (p, ws) => queries.searchRuns({ ...p, visibleTo: access.scopeFor(ws.principal) }));
 
   router.handle('run.wait', async (p) => {
     const id = need(p, 'id');
@@ -90,8 +109,12 @@ function register(router, deps) {
 
   router.handle('run.stream.get', async (p) => getRunOrThrow(need(p, 'id')));
 
-  router.handle('thread.new', async (p) => queries.createThread(p.metadata || {}));
-  router.handle('thread.search', async (p) => queries.searchThreads(p));
+  router.handle('thread.new', async (p, ws) => {
+    const thread = queries.createThread(p.metadata || {});
+    claim(thread.thread_id, ws);
+    return thread;
+  });
+  router.handle('thread.search', async (p, ws) => queries.searchThreads({ ...p, visibleTo: access.scopeFor(ws.principal) }));
   router.handle('thread.get', async (p) => getThreadOrThrow(need(p, 'id')));
 
   router.handle('thread.upd', async (p) => {
@@ -115,9 +138,10 @@ function register(router, deps) {
     return { states: result.states, next_cursor: result.hasMore ? String(offset + limit) : null };
   });
 
-  router.handle('thread.copy', async (p) => {
+  router.handle('thread.copy', async (p, ws) => {
     try {
       const nt = queries.copyThread(need(p, 'id'));
+      claim(nt.thread_id, ws);
       return p.metadata ? queries.patchThread(nt.thread_id, { metadata: p.metadata }) : nt;
     } catch (e) {
       if (e.message.includes('not found')) err(404, e.message);
@@ -130,7 +154,7 @@ function register(router, deps) {
     const thread = getThreadOrThrow(threadId);
     if (thread.status !== 'idle') err(409, 'Thread has pending runs');
     findAgent(agent_id);
-    const run = queries.createRun(agent_id, threadId, p.input, p.config);
+    const run = queries.createRun(agent_id, threadId, p.input, p.config, webhookUrl(p));
     startExecution(run.run_id, threadId, agent_id, p.input, p.config);
     return run;
   });
@@ -0,0 +1,28 @@
+function err(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+export function register(router, deps) {
+  const { secretStore, queries } = deps;
+  const actor = (ws) => ({ userId: ws?.principal?.id || null });
+
+  router.handle('secret.ls', () => ({ ...secretStore.status(), secrets: secretStore.list() }));
+
+  router.handle('secret.save', (p, ws) => {
+    if (!p.name) err(400, 'name is required');
+    return { secret: secretStore.set(p.name, { value: p.value, env: p.env, agents: p.agents, meta: p.meta }, actor(ws)) };
+  });
+
+  router.handle('secret.rotate', (p, ws) => {
+    if (!p.name) err(400, 'name is required');
+    return { secret: secretStore.rotate(p.name, p.value, actor(ws)) };
+  });
+
+  router.handle('secret.del', (p, ws) => {
+    if (!p.name) err(400, 'name is required');
+    secretStore.remove(p.name, actor(ws));
+    return { ok: true };
+  });
+
+  router.handle('secret.audit', (p) => ({
+    events: queries.getSecretAudit({ secretName: p.name || null, agentId: p.agentId || null, limit: parseInt(p.limit, 10) || 200 })
+  }));
+}
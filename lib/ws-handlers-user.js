@@ -0,0 +1,88 @@
+import { SHARE_ACCESS } from './access-control.js';
+
+function err(code, message) { const e = new Error(message); e.code = code; throw e; }
+
+const USERNAME_RE = /^[A-Za-z0-9_.@-]{1,64}$/;
+const ROLES = ['admin', 'member'];
+
+export function register(router, deps) {
+  const { queries, access, broadcastSync, auth } = deps;
+
+  function requireMultiUser() {
+    if (!access.multiUser) err(400, 'Sharing requires AUTH_MODE=password or AUTH_MODE=proxy');
+  }
+
+  function requireUser(username) {
+    const user = typeof username === 'string' ? queries.getUserByUsername(username.trim()) : null;
+    if (!user) err(404, `User not found: ${username}`);
+    return user;
+  }
+
+  router.handle('user.me', (p, ws) => ({
+    user: ws.principal,
+    multiUser: access.multiUser
+  }));
+
+  router.handle('user.ls', () => ({ users: queries.listUsers() }));
+
+  router.handle('user.new', (p) => {
+    const username = typeof p.username === 'string' ? p.username.trim() : '';
+    if (!USERNAME_RE.test(username)) err(400, 'username must be 1-64 characters of letters, digits, _ . @ or -');
+    if (p.role && !ROLES.includes(p.role)) err(400, `role must be one of ${ROLES.join(', ')}`);
+    if (p.password !== undefined && (typeof p.password !== 'string' || p.password.length < 8)) err(400, 'password must be at least 8 characters');
+    if (queries.getUserByUsername(username)) err(409, `User "${username}" already exists`);
+    return { user: queries.createUser({ username, password: p.password || null, role: p.role || 'member' }) };
+  });
+
+  router.handle('user.password', (p) => {
+    if (typeof p.password !== 'string' || p.password.length < 8) err(400, 'password must be at least 8 characters');
+    const user = queries.getUser(p.id);
+    if (!user) err(404, 'User not found');
+    auth.revokeSessions(user.username);
+    return { user: queries.setUserPassword(p.id, p.password) };
+  });
+
+  router.handle('user.role', (p) => {
+    if (!ROLES.includes(p.role)) err(400, `role must be one of ${ROLES.join(', ')}`);
+    if (!queries.getUser(p.id)) err(404, 'User not found');
+    return { user: queries.setUserRole(p.id, p.role) };
+  });
+
+  router.handle('user.del', (p, ws) => {
+    if (p.id === ws.principal?.id) err(400, 'You cannot delete your own account');
+    const user = queries.getUser(p.id);
+    if (!user || !queries.deleteUser(p.id)) err(404, 'User not found');
+    // A new account with the same name must not inherit its sessions
+    auth.revokeSessions(user.username);
+    return { deleted: true };
+  });
+
+  router.handle('conv.shares', (p) => {
+    if (!queries.getConversation(p.id)) err(404, 'Conversation not found');
+    return { shares: queries.getConversationShares(p.id) };
+  });
+
+  router.handle('conv.share', (p) => {
+    requireMultiUser();
+    const conv = queries.getConversation(p.id);
+    if (!conv) err(404, 'Conversation not found');
+    const accessLevel = p.access || 'read';
+    if (!SHARE_ACCESS.includes(accessLevel)) err(400, `access must be one of ${SHARE_ACCESS.join(', ')}`);
+    const user = requireUser(p.username);
+    if (user.id === conv.ownerId) err(400, 'The owner already has full access');
+    const share = queries.shareConversation(p.id, user.id, accessLevel);
+    access.invalidate(p.id);
+    // Addressed to the new member only, so the conversation appears in their sidebar
+    broadcastSync({ type: 'conversation_created', conversation: { ...conv, access: accessLevel }, userId: user.id });
+    return { share };
+  });
+
+  router.handle('conv.unshare', (p) => {
+    requireMultiUser();
+    const user = requireUser(p.username);
+    if (!queries.unshareConversation(p.id, user.id)) err(404, 'Share not found');
+    access.invalidate(p.id);
+    broadcastSync({ type: 'conversation_deleted', conversationId: p.id, userId: user.id });
+    return { ok: true };
+  });
+}
@@ -1,7 +1,9 @@
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
-import { execSync, spawn, spawnSync } from 'child_process';
+import { execSync, spawnSync } from 'child_process';
+import { setUnsavedBuffer, clearUnsavedBuffer, resolveSandboxedPath } from './acp-client-handlers.js';
+import { listProjectScripts, findProjectScript } from './script-runner.js';
 
 function err(code, message) { const e = new Error(message); e.code = code; throw e; }
 
@@ -9,7 +11,7 @@ export function register(router, deps) {
   const { queries, wsOptimizer, modelDownloadState, ensureModelsDownloaded,
     broadcastSync, getSpeech, getProviderConfigs, saveProviderConfig,
     startGeminiOAuth, exchangeGeminiOAuthCode, geminiOAuthState,
-    STARTUP_CWD, activeScripts, voiceCacheManager, toolManager, discoveredAgents } = deps;
+    STARTUP_CWD, scriptRunner, voiceCacheManager, toolManager, discoveredAgents, usageReport } = deps;
 
   router.handle('home', () => ({ home: os.homedir(), cwd: STARTUP_CWD }));
 
@@ -30,6 +32,25 @@ export function register(router, deps) {
     } catch (e) { err(400, e.message); }
   });
 
+  // Unsaved editor contents served to ACP agents via fs/read_text_file
+  router.handle('fs.buffer.set', (p) => {
+    const conv = queries.getConversation(p.conversationId);
+    if (!conv) err(404, 'Conversation not found');
+    if (typeof p.content !== 'string') err(400, 'content must be a string');
+    let filePath;
+    try { filePath = resolveSandboxedPath(conv.workingDirectory || STARTUP_CWD, p.path); } catch (e) { err(400, e.message); }
+    setUnsavedBuffer(filePath, p.content);
+    return { ok: true, path: filePath };
+  });
+
+  router.handle('fs.buffer.clear', (p) => {
+    const conv = queries.getConversation(p.conversationId);
+    if (!conv) err(404, 'Conversation not found');
+    let filePath;
+    try { filePath = resolveSandboxedPath(conv.workingDirectory || STARTUP_CWD, p.path); } catch (e) { err(400, e.message); }
+    return { ok: true, cleared: clearUnsavedBuffer(filePath) };
+  });
+
   router.handle('clone', (p) => {
     const repo = (p.repo || '').trim();
     if (!repo || !/^[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+$/.test(repo)) {
@@ -67,17 +88,6 @@ export function register(router, deps) {
     }
   });
 
-  router.handle('git.push', () => {
-    try {
-      const isWindows = os.platform() === 'win32';
-      const cmd = isWindows
-        ? 'git add -A & git commit -m "Auto-commit" & git push'
-        : 'git add -A && git commit -m "Auto-commit" && git push';
-      execSync(cmd, { encoding: 'utf-8', cwd: STARTUP_CWD, shell: isWindows });
-      return { success: true };
-    } catch (e) { err(500, e.message); }
-  });
-
   router.handle('speech.status', async () => {
     try {
       const { getStatus } = await getSpeech();
@@ -123,12 +133,12 @@ export function register(router, deps) {
 
   router.handle('auth.configs', () => getProviderConfigs());
 
-  router.handle('auth.save', (p) => {
+  router.handle('auth.save', (p, ws) => {
     const { providerId, apiKey, defaultModel } = p;
     if (typeof providerId !== 'string' || !providerId.length || providerId.length > 100) err(400, 'Invalid providerId');
     if (typeof apiKey !== 'string' || !apiKey.length || apiKey.length > 10000) err(400, 'Invalid apiKey');
     if (defaultModel !== undefined && (typeof defaultModel !== 'string' || defaultModel.length > 200)) err(400, 'Invalid defaultModel');
-    const configPath = saveProviderConfig(providerId, apiKey, defaultModel || '');
+    const configPath = saveProviderConfig(providerId, apiKey, defaultModel || '', ws?.principal?.id || null);
     return { success: true, path: configPath };
   });
 
@@ -177,54 +187,47 @@ export function register(router, deps) {
 
   router.handle('ws.stats', () => wsOptimizer.getStats());
 
-  router.handle('conv.scripts', (p) => {
-    const conv = queries.getConversation(p.id);
+  router.handle('usage', (p, ws) => usageReport(ws.principal, p));
+
+  function scriptConv(id) {
+    const conv = queries.getConversation(id);
     if (!conv) err(404, 'Not found');
-    const wd = conv.workingDirectory || STARTUP_CWD;
-    let hasStart = false, hasDev = false;
-    try {
-      const pkg = JSON.parse(fs.readFileSync(path.join(wd, 'package.json'), 'utf-8'));
-      const scripts = pkg.scripts || {};
-      hasStart = !!scripts.start;
-      hasDev = !!scripts.dev;
-    } catch {}
-    const running = activeScripts.has(p.id);
-    const runningScript = running ? activeScripts.get(p.id).script : null;
-    return { hasStart, hasDev, running, runningScript };
+    return conv;
+  }
+
+  router.handle('conv.scripts', (p) => {
+    const conv = scriptConv(p.id);
+    const scripts = listProjectScripts(conv.workingDirectory || STARTUP_CWD).map(({ command, args, ...s }) => s);
+    return { scripts, processes: scriptRunner.list(p.id), running: scriptRunner.isRunning(p.id) };
   });
 
   router.handle('conv.run-script', (p) => {
-    const conv = queries.getConversation(p.id);
-    if (!conv) err(404, 'Not found');
-    if (activeScripts.has(p.id)) err(409, 'Script already running');
-    const script = p.script;
-    if (script !== 'start' && script !== 'dev') err(400, 'Invalid script');
+    const conv = scriptConv(p.id);
     const wd = conv.workingDirectory || STARTUP_CWD;
-    try {
-      const pkg = JSON.parse(fs.readFileSync(path.join(wd, 'package.json'), 'utf-8'));
-      if (!pkg.scripts || !pkg.scripts[script]) err(400, `Script "${script}" not found`);
-    } catch (e) { if (e.code) throw e; err(400, 'No package.json'); }
-    const childEnv = { ...process.env, FORCE_COLOR: '1' };
-    delete childEnv.PORT; delete childEnv.BASE_URL; delete childEnv.HOT_RELOAD;
-    const isWindows = os.platform() === 'win32';
-    const child = spawn('npm', ['run', script], { cwd: wd, stdio: ['ignore', 'pipe', 'pipe'], detached: true, env: childEnv, shell: isWindows });
-    activeScripts.set(p.id, { process: child, script, startTime: Date.now() });
-    broadcastSync({ type: 'script_started', conversationId: p.id, script, timestamp: Date.now() });
-    const onData = (stream) => (chunk) => broadcastSync({ type: 'script_output', conversationId: p.id, data: chunk.toString(), stream, timestamp: Date.now() });
-    child.stdout.on('data', onData('stdout'));
-    child.stderr.on('data', onData('stderr'));
-    child.on('error', (e) => { activeScripts.delete(p.id); broadcastSync({ type: 'script_stopped', conversationId: p.id, code: 1, error: e.message, timestamp: Date.now() }); });
-    child.on('close', (code) => { activeScripts.delete(p.id); broadcastSync({ type: 'script_stopped', conversationId: p.id, code: code || 0, timestamp: Date.now() }); });
-    return { ok: true, script, pid: child.pid };
+    const script = findProjectScript(wd, p.script);
+    if (!script) err(400, `Script "${p.script}" not found`);
+    return { ok: true, process: scriptRunner.start(p.id, wd, script, { notifyOnFailure: !!p.notifyOnFailure }) };
   });
 
   router.handle('conv.stop-script', (p) => {
-    const entry = activeScripts.get(p.id);
-    if (!entry) err(404, 'No running script');
-    try { process.kill(-entry.process.pid, 'SIGTERM'); } catch { try { entry.process.kill('SIGTERM'); } catch {} }
-    return { ok: true };
+    if (p.scriptId) return { ok: true, process: scriptRunner.stop(p.id, p.scriptId) };
+    const stopped = scriptRunner.stopAll(p.id);
+    if (!stopped) err(404, 'No running script');
+    return { ok: true, stopped };
   });
 
+  router.handle('conv.restart-script', (p) => {
+    if (!p.scriptId) err(400, 'Missing scriptId');
+    return { ok: true, process: scriptRunner.restart(p.id, p.scriptId) };
+  });
+
+  router.handle('conv.script-log', (p) => {
+    if (!p.scriptId) err(400, 'Missing scriptId');
+    return { scriptId: p.scriptId, log: scriptRunner.getLog(p.id, p.scriptId) };
+  });
+
+  router.handle('conv.dismiss-script', (p) => ({ ok: true, removed: scriptRunner.dismiss(p.id, p.scriptId || null) }));
+
   router.handle('voice.cache', async (p) => {
     const { conversationId, text } = p;
     if (!conversationId || !text) err(400, 'Missing conversationId or text');
@@ -8,6 +8,13 @@ class WsRouter {
   constructor() {
     this.handlers = new Map();
     this.legacyHandler = null;
+    this.middleware = [];
+  }
+
+  // Middleware runs before every method handler as fn(method, params, ws); throwing rejects the call
+  use(fn) {
+    this.middleware.push(fn);
+    return this;
   }
 
   handle(method, fn) {
@@ -15,6 +22,18 @@ class WsRouter {
     return this;
   }
 
+  // Run a handler without a socket or middleware, for HTTP routes that share
+  // it (access is checked by the HTTP guard instead)
+  async call(method, params = {}) {
+    const handler = this.handlers.get(method);
+    if (!handler) {
+      const e = new Error(`Unknown method: ${method}`);
+      e.code = 404;
+      throw e;
+    }
+    return handler(params, null);
+  }
+
   onLegacy(fn) {
     this.legacyHandler = fn;
     return this;
@@ -55,7 +74,9 @@ class WsRouter {
         return;
       }
       try {
-        const result = await handler(parsed.p || {}, ws);
+        const params = parsed.p || {};
+        for (const fn of this.middleware) await fn(parsed.m, params, ws);
+        const result = await handler(params, ws);
         this.reply(ws, parsed.r, result);
       } catch (err) {
         const code = err.code || 500;
@@ -6,15 +6,18 @@ import zlib from 'zlib';
 import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { WebSocketServer } from 'ws';
-import { execSync, spawn } from 'child_process';
+import { execSync, spawn, spawnSync } from 'child_process';
 import { createRequire } from 'module';
 const PKG_VERSION = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf8')).version;
 import { OAuth2Client } from 'google-auth-library';
 import express from 'express';
 import Busboy from 'busboy';
 import fsbrowse from 'fsbrowse';
-import { queries } from './database.js';
-import { runClaudeWithStreaming } from './lib/claude-runner.js';
+import { queries, dataDir } from './database.js';
+import { runClaudeWithStreaming, setCustomAgents, isBuiltinAgent, setSpawnEnvProvider, setPermissionPromptProvider, getRegisteredAgents } from './lib/claude-runner.js';
+import { setMcpConfigDir } from './lib/mcp-config.js';
+import { readCustomAgents, watchCustomAgents } from './lib/custom-agents.js';
+import { closeAll as closeACPPool, closeConversation as closeACPConnection } from './lib/acp-pool.js';
 import { initializeDescriptors, getAgentDescriptor } from './lib/agent-descriptors.js';
 import { WSOptimizer } from './lib/ws-optimizer.js';
 import { WsRouter } from './lib/ws-protocol.js';
@@ -29,6 +32,28 @@ import { installGMAgentConfigs } from './lib/gm-agent-configs.js';
 import * as toolManager from './lib/tool-manager.js';
 import { pm2Manager } from './lib/pm2-manager.js';
 import CheckpointManager from './lib/checkpoint-manager.js';
+import { createPermissionManager } from './lib/permission-manager.js';
+import { createPermissionPrompt } from './lib/permission-prompt.js';
+import { register as registerPermissionHandlers } from './lib/ws-handlers-perm.js';
+import { register as registerMcpHandlers } from './lib/ws-handlers-mcp.js';
+import { register as registerAgentHandlers } from './lib/ws-handlers-agents.js';
+import { createAuth, isLoopbackHost } from './lib/http-auth.js';
+import { createAccessControl } from './lib/access-control.js';
+import { register as registerUserHandlers } from './lib/ws-handlers-user.js';
+import { buildMatchQuery } from './lib/search-index.js';
+import { exportConversation, validateConversationArchive, EXPORT_FORMATS } from './lib/conversation-export.js';
+import { getHistoryImporter, listHistoryImporters, importHistory } from './lib/history-importers.js';
+import { createWebhookDispatcher, loadWebhookSecret, validateWebhookUrl } from './lib/webhook-dispatcher.js';
+import { createSecretStore, ALL_AGENTS } from './lib/secret-store.js';
+import { register as registerSecretHandlers } from './lib/ws-handlers-secrets.js';
+import { createEnvProfiles } from './lib/env-profiles.js';
+import { register as registerEnvProfileHandlers } from './lib/ws-handlers-env.js';
+import { usageFromEvent, parseUsageRange, createBudgetMonitor } from './lib/usage-accounting.js';
+import { createScriptRunner, listProjectScripts, findProjectScript } from './lib/script-runner.js';
+import { isolateConversation, removeConversationWorktree, worktreeStatus, worktreeDiff, mergeWorktree, pushWorktreeBranch } from './lib/git-worktree.js';
+import { register as registerGitHandlers } from './lib/ws-handlers-git.js';
+import { forkConversation, forkTranscript, seedPrompt } from './lib/conversation-fork.js';
+import { beginSessionSnapshot, endSessionSnapshot, sessionDiff, listSessionDiffs, removeSessionSnapshots, messageCheckpoint, restoreMessageCheckpoint, pruneCheckpoints } from './lib/session-diff.js';
 
 
 process.on('uncaughtException', (err, origin) => {
@@ -44,6 +69,8 @@ process.on('unhandledRejection', (reason, promise) => {
 process.on('SIGINT', () => {
   console.log('[SIGNAL] SIGINT received - graceful shutdown');
   try { pm2Manager.disconnect(); } catch (_) {}
+  try { scriptRunner.stopEverything(); } catch (_) {}
+  try { closeACPPool(); } catch (_) {}
   stopACPTools().catch(() => {}).finally(() => {
     try { wss.close(() => server.close(() => process.exit(0))); } catch (_) { process.exit(0); }
   });
@@ -296,10 +323,14 @@ function buildSystemPrompt(agentId, model, subAgent) {
 
 const activeExecutions = new Map();
 const activeScripts = new Map();
-const messageQueues = new Map();
 const rateLimitState = new Map();
 const activeProcessesByRunId = new Map();
 const checkpointManager = new CheckpointManager(queries);
+const permissionManager = createPermissionManager({
+  queries,
+  timeoutMs: parseInt(process.env.PERMISSION_TIMEOUT_MS || '120000', 10),
+  defaultDecision: process.env.PERMISSION_DEFAULT || 'deny'
+});
 const STUCK_AGENT_THRESHOLD_MS = 1800000;
 const NO_PID_GRACE_PERIOD_MS = 60000;
 const DEFAULT_RATE_LIMIT_COOLDOWN_MS = 60000;
@@ -314,6 +345,7 @@ function cleanupExecution(conversationId, broadcastCompletion = false) {
   debugLog(`[cleanup] Starting cleanup for ${conversationId}`);
 
   activeExecutions.delete(conversationId);
+  permissionManager.cancelConversation(conversationId);
 
   // Clean database state
   queries.setIsStreaming(conversationId, false);
@@ -332,6 +364,8 @@ function cleanupExecution(conversationId, broadcastCompletion = false) {
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = process.env.PORTABLE_EXE_DIR || __dirname;
 const PORT = process.env.PORT || 3000;
+// Unset listens on every interface
+const HOST = process.env.HOST || undefined;
 const BASE_URL = (process.env.BASE_URL || '/gm').replace(/\/+$/, '');
 const watch = process.argv.includes('--no-watch') ? false : (process.argv.includes('--watch') || process.env.HOT_RELOAD !== 'false');
 
@@ -421,31 +455,22 @@ expressApp.use(BASE_URL + '/files/:conversationId', (req, res, next) => {
 
 function findCommand(cmd) {
   const isWindows = os.platform() === 'win32';
+  // agents.json can name a command by path, spaces included
+  if (path.isAbsolute(cmd)) return fs.existsSync(cmd) ? cmd : null;
   const localBin = path.join(path.dirname(fileURLToPath(import.meta.url)), 'node_modules', '.bin', isWindows ? cmd + '.cmd' : cmd);
   if (fs.existsSync(localBin)) {
     console.log(`[agent-discovery] Found ${cmd} in local node_modules`);
     return localBin;
   }
-  try {
-    // Increase timeout to 10 seconds to handle slower systems and running agents
-    const timeoutMs = 10000;
-    if (isWindows) {
-      const result = execSync(`where ${cmd}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'], timeout: timeoutMs }).trim();
-      if (result) {
-        console.log(`[agent-discovery] Found ${cmd} in PATH`);
-        return result.split('\n')[0].trim();
-      }
-    } else {
-      const result = execSync(`which ${cmd}`, { encoding: 'utf-8', stdio: ['pipe', 'pipe', 'ignore'], timeout: timeoutMs }).trim();
-      if (result) {
-        console.log(`[agent-discovery] Found ${cmd} in PATH`);
-        return result;
-      }
-    }
-  } catch (err) {
-    console.log(`[agent-discovery] ${cmd} not found or timed out`);
-    return null;
+  // No shell, so a command from agents.json is never interpreted. The 10 second
+  // timeout allows for slower systems and running agents.
+  const result = spawnSync(isWindows ? 'where' : 'which', [cmd], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 10000 });
+  const found = result.status === 0 ? (result.stdout || '').split('\n')[0].trim() : '';
+  if (found) {
+    console.log(`[agent-discovery] Found ${cmd} in PATH`);
+    return found;
   }
+  console.log(`[agent-discovery] ${cmd} not found or timed out`);
   return null;
 }
 
@@ -500,6 +525,20 @@ async function queryACPServerAgents(baseUrl) {
   }
 }
 
+// Agents declared in <dataDir>/agents.json, registered with the runner and
+// listed after the built-in ones, plus endpoints for built-in ACP agents
+let customAgents = [];
+let agentEndpoints = new Map();
+
+function loadCustomAgents() {
+  const { agents, errors } = readCustomAgents(dataDir);
+  const problems = setCustomAgents(agents);
+  const applied = agents.filter(a => !problems.some(p => p.id === a.id));
+  customAgents = applied.filter(a => a.name);
+  agentEndpoints = new Map(applied.filter(a => !a.name).map(a => [a.id, a.endpoint]));
+  for (const e of [...errors, ...problems]) console.error(`[agents.json] ${e.id || (e.index == null ? 'file' : `entry ${e.index}`)}: ${e.error}`);
+}
+
 function discoverAgents() {
   const agents = [];
   const binaries = [
@@ -520,7 +559,9 @@ function discoverAgents() {
   ];
   for (const bin of binaries) {
     const result = findCommand(bin.cmd);
-    if (result) {
+    if (agentEndpoints.has(bin.id)) {
+      agents.push({ id: bin.id, name: bin.name, icon: bin.icon, path: null, protocol: bin.protocol, remote: true });
+    } else if (result) {
       agents.push({ id: bin.id, name: bin.name, icon: bin.icon, path: result, protocol: bin.protocol });
     } else if (bin.npxPackage) {
       // For npx-launchable packages (including claude-code as fallback)
@@ -531,6 +572,19 @@ function discoverAgents() {
     }
   }
 
+  for (const def of customAgents) {
+    const result = def.command && findCommand(def.command);
+    if (def.endpoint) {
+      agents.push({ id: def.id, name: def.name, icon: def.icon, path: null, protocol: 'acp', remote: true, custom: true });
+    } else if (result) {
+      agents.push({ id: def.id, name: def.name, icon: def.icon, path: result, protocol: def.protocol === 'direct' ? 'cli' : 'acp', custom: true });
+    } else if (def.npxPackage) {
+      agents.push({ id: def.id, name: def.name, icon: def.icon, path: null, protocol: def.protocol === 'direct' ? 'cli' : 'acp', npxPackage: def.npxPackage, npxLaunchable: true, custom: true });
+    } else {
+      console.log(`[discoverAgents] Skipping ${def.id} from agents.json (${def.command} not found)`);
+    }
+  }
+
   // Add CLI tool wrappers for ACP agents (these map CLI commands to plugin sub-agents)
   // These allow users to select "OpenCode", "Gemini", etc. and then pick a model/variant
   const cliWrappers = [
@@ -577,6 +631,7 @@ initializeDescriptors(discoveredAgents);
 // Agent discovery happens asynchronously in background to not block startup
 async function initializeAgentDiscovery() {
   try {
+    loadCustomAgents();
     const agents = discoverAgents();
     // Mutate the existing array instead of reassigning to preserve closure references in handlers
     discoveredAgents.length = 0;
@@ -597,6 +652,18 @@ initializeAgentDiscovery().then(() => {
 
 const modelCache = new Map();
 
+async function reloadCustomAgents() {
+  await initializeAgentDiscovery();
+  modelCache.clear();
+  broadcastSync({ type: 'agents_changed', timestamp: Date.now() });
+}
+
+watchCustomAgents(dataDir, () => {
+  console.log('[AGENTS] agents.json changed, reloading');
+  reloadCustomAgents().catch(() => {});
+});
+
+
 async function getModelsForAgent(agentId) {
   const cached = modelCache.get(agentId);
   if (cached && Date.now() - cached.timestamp < 300000) return cached.models;
@@ -931,6 +998,10 @@ function getGeminiOAuthStatus() {
   return null;
 }
 
+// Provider keys live in the secret store as <providerId>-api-key and reach
+// agents as `env` (only the listed agents, if any). configPaths are where the
+// CLIs keep keys of their own, shown when the store has none. Each provider
+// has its own variable; Claude Code Max takes the token from `claude setup-token`.
 const PROVIDER_CONFIGS = {
   'anthropic': {
     name: 'Anthropic', configPaths: [
@@ -938,69 +1009,69 @@ const PROVIDER_CONFIGS = {
       path.join(os.homedir(), '.config', 'claude', 'settings.json'),
       path.join(os.homedir(), '.anthropic.json')
     ],
-    configFormat: (apiKey, model) => ({ api_key: apiKey, default_model: model })
+    env: 'ANTHROPIC_API_KEY'
   },
   'openai': {
     name: 'OpenAI', configPaths: [
       path.join(os.homedir(), '.openai.json'),
       path.join(os.homedir(), '.config', 'openai', 'api-key')
     ],
-    configFormat: (apiKey, model) => ({ apiKey, defaultModel: model })
+    env: 'OPENAI_API_KEY'
   },
   'google': {
     name: 'Google Gemini', configPaths: [
       path.join(os.homedir(), '.gemini.json'),
       path.join(os.homedir(), '.config', 'gemini', 'credentials.json')
     ],
-    configFormat: (apiKey, model) => ({ api_key: apiKey, default_model: model })
+    env: 'GEMINI_API_KEY'
   },
   'openrouter': {
     name: 'OpenRouter', configPaths: [
       path.join(os.homedir(), '.openrouter.json'),
       path.join(os.homedir(), '.config', 'openrouter', 'config.json')
     ],
-    configFormat: (apiKey, model) => ({ api_key: apiKey, default_model: model })
+    env: 'OPENROUTER_API_KEY'
   },
   'github': {
     name: 'GitHub Models', configPaths: [
       path.join(os.homedir(), '.github.json'),
       path.join(os.homedir(), '.config', 'github-copilot.json')
     ],
-    configFormat: (apiKey, model) => ({ github_token: apiKey, default_model: model })
+    env: 'GITHUB_TOKEN'
   },
   'azure': {
     name: 'Azure OpenAI', configPaths: [
       path.join(os.homedir(), '.azure.json'),
       path.join(os.homedir(), '.config', 'azure-openai', 'config.json')
     ],
-    configFormat: (apiKey, model) => ({ api_key: apiKey, endpoint: '', default_model: model })
+    env: 'AZURE_OPENAI_API_KEY'
   },
   'anthropic-claude-code': {
     name: 'Claude Code Max', configPaths: [
       path.join(os.homedir(), '.claude', 'max.json'),
       path.join(os.homedir(), '.config', 'claude-code', 'max.json')
     ],
-    configFormat: (apiKey, model) => ({ api_key: apiKey, plan: 'max', default_model: model })
+    env: 'CLAUDE_CODE_OAUTH_TOKEN', agents: ['claude-code']
   },
   'opencode': {
     name: 'OpenCode', configPaths: [
       path.join(os.homedir(), '.opencode', 'config.json'),
       path.join(os.homedir(), '.config', 'opencode', 'config.json')
     ],
-    configFormat: (apiKey, model) => ({ api_key: apiKey, default_model: model, providers: ['anthropic', 'openai', 'google'] })
+    env: 'OPENCODE_API_KEY', agents: ['opencode']
   },
   'proxypilot': {
     name: 'ProxyPilot', configPaths: [
       path.join(os.homedir(), '.proxypilot', 'config.json'),
       path.join(os.homedir(), '.config', 'proxypilot', 'config.json')
     ],
-    configFormat: (apiKey, model) => ({ api_key: apiKey, default_model: model })
+    env: 'PROXYPILOT_API_KEY'
   },
   'codex': {
     name: 'Codex CLI', configPaths: [
       path.join(os.homedir(), '.codex', 'auth.json')
     ],
-    configFormat: (apiKey) => ({ auth_mode: 'apikey', OPENAI_API_KEY: apiKey })
+    env: 'OPENAI_API_KEY', agents: ['codex']
   }
 };
 
@@ -1009,6 +1080,8 @@ function maskKey(key) {
   return '****' + key.slice(-4);
 }
 
+const providerSecretName = (providerId) => `${providerId}-api-key`;
+
 function getProviderConfigs() {
   const configs = {};
   for (const [providerId, config] of Object.entries(PROVIDER_CONFIGS)) {
@@ -1019,6 +1092,19 @@ function getProviderConfigs() {
         continue;
       }
     }
+    const secretName = providerSecretName(providerId);
+    const secret = secretStore.has(secretName) ? secretStore.get(secretName) : null;
+    if (secret) {
+      configs[providerId] = {
+        name: config.name,
+        apiKey: secret.preview,
+        hasKey: true,
+        defaultModel: secret.meta.defaultModel || '',
+        path: secretStore.path,
+        env: secret.env
+      };
+      continue;
+    }
     for (const configPath of config.configPaths) {
       try {
         if (fs.existsSync(configPath)) {
@@ -1043,19 +1129,17 @@ function getProviderConfigs() {
   return configs;
 }
 
-function saveProviderConfig(providerId, apiKey, defaultModel) {
+// Keys go to the encrypted store, never into the CLIs' own config files
+function saveProviderConfig(providerId, apiKey, defaultModel, userId = null) {
   const config = PROVIDER_CONFIGS[providerId];
   if (!config) throw new Error('Unknown provider: ' + providerId);
-  const configPath = config.configPaths[0];
-  const configDir = path.dirname(configPath);
-  if (!fs.existsSync(configDir)) fs.mkdirSync(configDir, { recursive: true });
-  let existing = {};
-  try {
-    if (fs.existsSync(configPath)) existing = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-  } catch (_) {}
-  const merged = { ...existing, ...config.configFormat(apiKey, defaultModel) };
-  fs.writeFileSync(configPath, JSON.stringify(merged, null, 2), { mode: 0o600 });
-  return configPath;
+  secretStore.set(providerSecretName(providerId), {
+    value: apiKey,
+    env: config.env,
+    agents: config.agents || [ALL_AGENTS],
+    meta: { provider: providerId, defaultModel: defaultModel || '' }
+  }, { userId });
+  return secretStore.path;
 }
 
 function parseBody(req) {
@@ -1099,12 +1183,97 @@ function sendJSON(req, res, statusCode, data) {
   compressAndSend(req, res, statusCode, 'application/json', JSON.stringify(data));
 }
 
+const auth = createAuth({
+  baseUrl: BASE_URL,
+  dataDir,
+  verifyUser: (username, password) => queries.verifyUserPassword(username, password)?.username || null
+});
+if (auth.mode !== 'none') console.log(`[auth] Authentication enabled (mode: ${auth.mode})`);
+else if (!isLoopbackHost(HOST)) {
+  console.warn(`[auth] WARNING: AUTH_MODE=none while listening on ${HOST || 'every interface'}; anyone who can reach port ${PORT} can run agents and commands on this machine. Set AUTH_MODE, or HOST=127.0.0.1 to accept local connections only.`);
+}
+const access = createAccessControl({
+  queries,
+  authMode: auth.mode,
+  adminUsers: (process.env.AUTH_ADMIN_USERS || '').split(',').map(s => s.trim()).filter(Boolean)
+});
+if (auth.mode === 'password') {
+  // The AUTH_PASSWORD login signs in as this bootstrap admin account
+  const admin = queries.ensureUser('admin', 'admin');
+  if (admin.role !== 'admin') queries.setUserRole(admin.id, 'admin');
+}
+if (access.multiUser) console.log('[auth] Multi-user workspaces enabled');
+
+const webhooks = createWebhookDispatcher({ queries, secret: loadWebhookSecret(dataDir) });
+
+const secretStore = createSecretStore({ dataDir, queries });
+// Tokens from older versions sat in oauth_tokens in plain text
+for (const row of queries.getOAuthTokens()) {
+  try {
+    const name = `${row.provider}-oauth-token`.replace(/[^A-Za-z0-9_.:-]/g, '-').slice(0, 64);
+    secretStore.set(name, { value: row.token, env: `${row.provider.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_OAUTH_TOKEN`, meta: { provider: row.provider, email: row.email || '' } });
+    queries.deleteOAuthToken(row.id);
+    console.log(`[secrets] Moved the ${row.provider} OAuth token into the secret store`);
+  } catch (e) {
+    console.error(`[secrets] Could not move the ${row.provider} OAuth token: ${e.message}`);
+  }
+}
+setMcpConfigDir(dataDir);
+const envProfiles = createEnvProfiles({ queries, secretStore });
+// A conversation's environment profile beats the secret store for the same variable
+setSpawnEnvProvider((agentId, { conversationId }) => {
+  const profileEnv = envProfiles.envForConversation(conversationId);
+  const { env, names } = secretStore.envFor(agentId, { skip: Object.keys(profileEnv) });
+  return {
+    env: { ...env, ...profileEnv },
+    onSpawn: names.length ? () => secretStore.recordInjection(names, { agentId, conversationId }) : null
+  };
+});
+queries.onRunStatusChange(webhooks.onRunStatus);
+
+// Claude Code asks for tool approval over MCP, on this server's loopback address
+const permissionPromptPath = `${BASE_URL}/api/mcp/permission`;
+const loopbackHost = !HOST || HOST === '0.0.0.0' || HOST === '::' ? '127.0.0.1' : HOST;
+const permissionPrompt = createPermissionPrompt({
+  path: permissionPromptPath,
+  url: `http://${loopbackHost.includes(':') ? `[${loopbackHost}]` : loopbackHost}:${PORT}${permissionPromptPath}`
+});
+setPermissionPromptProvider(permissionPrompt.register);
+
+const usageBudget = createBudgetMonitor({
+  queries,
+  broadcastSync,
+  budgetUsd: parseFloat(process.env.USAGE_MONTHLY_BUDGET_USD) || null
+});
+
+const scriptRunner = createScriptRunner({ broadcastSync, envFor: envProfiles.envForConversation });
+queries.onConversationDeleted((id) => scriptRunner.forget(id));
+queries.onConversationDeleted((id) => closeACPConnection(id));
+// Snapshot refs first: a worktree conversation keeps them in its worktree
+queries.onConversationDeleted((id) => {
+  try { removeSessionSnapshots(queries, id); } catch (e) { console.error(`[session-diff] Cleanup for ${id} failed:`, e.message); }
+});
+queries.onConversationDeleted((id) => {
+  try { removeConversationWorktree(queries, id); } catch (e) { console.error(`[worktree] Cleanup for ${id} failed:`, e.message); }
+});
+
+function usageReport(principal, params) {
+  const range = parseUsageRange(params);
+  if (!range) { const e = new Error('from and to must be dates (YYYY-MM-DD) or epoch milliseconds'); e.code = 400; throw e; }
+  const visibleTo = access.scopeFor(principal);
+  return {
+    ...queries.getUsageReport({ ...range, visibleTo, agentId: params.agentId || null }),
+    budget: usageBudget.status(visibleTo)
+  };
+}
+
 const server = http.createServer(async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  auth.cors(req, res);
   if (req.method === 'OPTIONS') { res.writeHead(200); res.end(); return; }
   if (req.headers.upgrade && req.headers.upgrade.toLowerCase() === 'websocket') return;
+  // Authenticated by the run's own token instead of the user's credentials
+  if (await permissionPrompt.handle(req, res)) return;
+  if (await auth.guard(req, res)) return;
 
   const pathOnly = req.url.split('?')[0];
 
@@ -1144,13 +1313,21 @@ const server = http.createServer(async (req, res) => {
     // Remove query parameters from routePath for matching
     const pathOnly = routePath.split('?')[0];
 
+    req.principal = access.identify(req.auth);
+    try {
+      access.httpGuard(req.principal, req.method, pathOnly);
+    } catch (e) {
+      sendJSON(req, res, e.code || 403, { error: e.message });
+      return;
+    }
+
     if (pathOnly === '/oauth2callback' && req.method === 'GET') {
       await handleGeminiOAuthCallback(req, res);
       return;
     }
 
     if (pathOnly === '/api/conversations' && req.method === 'GET') {
-      const conversations = queries.getConversationsList();
+      const conversations = access.listConversations(req.principal);
       // Filter out stale streaming state using a single bulk query instead of N+1 per-conversation queries
       const activeSessionConvIds = new Set(queries.getActiveSessionConversationIds());
       for (const conv of conversations) {
@@ -1167,13 +1344,63 @@ const server = http.createServer(async (req, res) => {
       // Normalize working directory to avoid Windows path issues; expand ~ to home
       const expandTilde = p => p && p.startsWith('~') ? path.join(os.homedir(), p.slice(1)) : p;
       const normalizedWorkingDir = body.workingDirectory ? path.resolve(expandTilde(body.workingDirectory)) : null;
-      const conversation = queries.createConversation(body.agentId, body.title, normalizedWorkingDir, body.model || null);
-      queries.createEvent('conversation.created', { agentId: body.agentId, workingDirectory: conversation.workingDirectory, model: conversation.model }, conversation.id);
+      if (body.envProfileId) {
+        try {
+          envProfiles.assertUsable(body.envProfileId, { admin: !access.multiUser || access.isAdmin(req.principal) });
+        } catch (e) {
+          sendJSON(req, res, e.code || 500, { error: e.message });
+          return;
+        }
+      }
+      let conversation = queries.createConversation(body.agentId, body.title, normalizedWorkingDir, body.model || null, null, req.principal?.id || null, body.envProfileId || null);
+      if (body.worktree) {
+        try {
+          conversation = isolateConversation({ queries, dataDir, conversation });
+        } catch (e) {
+          sendJSON(req, res, e.code || 500, { error: e.message });
+          return;
+        }
+      }
+      queries.createEvent('conversation.created', { agentId: body.agentId, workingDirectory: conversation.workingDirectory, model: conversation.model, worktree: !!body.worktree, envProfileId: conversation.envProfileId }, conversation.id);
       broadcastSync({ type: 'conversation_created', conversation });
             sendJSON(req, res, 201, { conversation });
       return;
     }
 
+    if (pathOnly === '/api/search' && req.method === 'GET') {
+      const url = new URL(req.url, 'http://localhost');
+      const match = buildMatchQuery(url.searchParams.get('q') || '');
+      if (!match) { sendJSON(req, res, 400, { error: 'Missing q parameter' }); return; }
+      const conversationId = url.searchParams.get('conversationId') || null;
+      try {
+        if (conversationId) access.assertConversation(req.principal, conversationId, 'read');
+        sendJSON(req, res, 200, queries.searchHistory({
+          match,
+          conversationId,
+          visibleTo: access.scopeFor(req.principal),
+          limit: Math.min(Math.max(parseInt(url.searchParams.get('limit')) || 20, 1), 100),
+          offset: Math.max(parseInt(url.searchParams.get('offset')) || 0, 0)
+        }));
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
+    if (pathOnly === '/api/conversations/import' && req.method === 'POST') {
+      let archive;
+      try { archive = await parseBody(req); } catch (e) { sendJSON(req, res, 400, { error: e.message }); return; }
+      const invalid = validateConversationArchive(archive);
+      if (invalid) { sendJSON(req, res, 400, { error: invalid }); return; }
+      const imported = queries.importConversationArchive(archive, req.principal?.id || null);
+      if (!imported.duplicate) {
+        queries.createEvent('conversation.imported', { sourceId: archive.conversation.id || null, messages: imported.messages, chunks: imported.chunks }, imported.conversation.id);
+        broadcastSync({ type: 'conversation_created', conversation: imported.conversation });
+      }
+      sendJSON(req, res, imported.duplicate ? 200 : 201, imported);
+      return;
+    }
+
     const convMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)$/);
     if (convMatch) {
       if (req.method === 'GET') {
@@ -1209,12 +1436,29 @@ const server = http.createServer(async (req, res) => {
       if (req.method === 'DELETE') {
         const deleted = queries.deleteConversation(convMatch[1]);
         if (!deleted) { sendJSON(req, res, 404, { error: 'Not found' }); return; }
+        access.invalidate(convMatch[1]);
         broadcastSync({ type: 'conversation_deleted', conversationId: convMatch[1] });
                 sendJSON(req, res, 200, { deleted: true });
         return;
       }
     }
 
+    const forkMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/fork$/);
+    if (forkMatch && req.method === 'POST') {
+      try {
+        const body = await parseBody(req);
+        const { conversation, draft } = forkConversation({
+          queries, dataDir, conversationId: forkMatch[1], messageId: body.messageId || null, sessionId: body.sessionId || null, ownerId: req.principal?.id || null
+        });
+        queries.createEvent('conversation.forked', { from: forkMatch[1], messageId: body.messageId || null, sessionId: body.sessionId || null }, conversation.id);
+        broadcastSync({ type: 'conversation_created', conversation });
+        sendJSON(req, res, 201, { conversation, draft });
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
     const messagesMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/messages$/);
     if (messagesMatch) {
       if (req.method === 'GET') {
@@ -1240,9 +1484,7 @@ const server = http.createServer(async (req, res) => {
         broadcastSync({ type: 'message_created', conversationId, message, timestamp: Date.now() });
 
         if (activeExecutions.has(conversationId)) {
-          if (!messageQueues.has(conversationId)) messageQueues.set(conversationId, []);
-          messageQueues.get(conversationId).push({ content: body.content, agentId, model, messageId: message.id, subAgent });
-          const queueLength = messageQueues.get(conversationId).length;
+          const queueLength = queries.enqueueMessage(conversationId, { content: body.content, agentId, model, messageId: message.id, subAgent, userId: req.principal?.id || null });
           broadcastSync({ type: 'queue_status', conversationId, queueLength, messageId: message.id, timestamp: Date.now() });
           sendJSON(req, res, 200, { message, queued: true, queuePosition: queueLength, idempotencyKey });
           return;
@@ -1293,10 +1535,7 @@ const server = http.createServer(async (req, res) => {
 
       if (activeExecutions.has(conversationId)) {
         debugLog(`[stream] Conversation ${conversationId} is busy, queuing message`);
-        if (!messageQueues.has(conversationId)) messageQueues.set(conversationId, []);
-        messageQueues.get(conversationId).push({ content: prompt, agentId, model, messageId: userMessage.id, subAgent });
-
-        const queueLength = messageQueues.get(conversationId).length;
+        const queueLength = queries.enqueueMessage(conversationId, { content: prompt, agentId, model, messageId: userMessage.id, subAgent, userId: req.principal?.id || null });
         broadcastSync({ type: 'queue_status', conversationId, queueLength, messageId: userMessage.id, timestamp: Date.now() });
 
                 sendJSON(req, res, 200, { message: userMessage, queued: true, queuePosition: queueLength });
@@ -1330,8 +1569,7 @@ const server = http.createServer(async (req, res) => {
       const conversationId = queueMatch[1];
       const conv = queries.getConversation(conversationId);
       if (!conv) { sendJSON(req, res, 404, { error: 'Conversation not found' }); return; }
-      const queue = messageQueues.get(conversationId) || [];
-      sendJSON(req, res, 200, { queue });
+      sendJSON(req, res, 200, { queue: queries.getQueuedMessages(conversationId) });
       return;
     }
 
@@ -1339,13 +1577,11 @@ const server = http.createServer(async (req, res) => {
     if (queueItemMatch && req.method === 'DELETE') {
       const conversationId = queueItemMatch[1];
       const messageId = queueItemMatch[2];
-      const queue = messageQueues.get(conversationId);
-      if (!queue) { sendJSON(req, res, 404, { error: 'Queue not found' }); return; }
-      const index = queue.findIndex(q => q.messageId === messageId);
-      if (index === -1) { sendJSON(req, res, 404, { error: 'Queued message not found' }); return; }
-      queue.splice(index, 1);
-      if (queue.length === 0) messageQueues.delete(conversationId);
-      broadcastSync({ type: 'queue_status', conversationId, queueLength: queue?.length || 0, timestamp: Date.now() });
+      const item = queries.getQueuedMessage(conversationId, messageId);
+      if (!item) { sendJSON(req, res, 404, { error: 'Queued message not found' }); return; }
+      if (!access.canChangeQueued(req.principal, conversationId, item)) { sendJSON(req, res, 403, { error: 'Only the sender or the owner can change a queued message' }); return; }
+      queries.deleteQueuedMessage(conversationId, messageId);
+      broadcastSync({ type: 'queue_status', conversationId, queueLength: queries.getQueueLength(conversationId), timestamp: Date.now() });
       sendJSON(req, res, 200, { deleted: true });
       return;
     }
@@ -1354,17 +1590,35 @@ const server = http.createServer(async (req, res) => {
       const conversationId = queueItemMatch[1];
       const messageId = queueItemMatch[2];
       const body = await parseBody(req);
-      const queue = messageQueues.get(conversationId);
-      if (!queue) { sendJSON(req, res, 404, { error: 'Queue not found' }); return; }
-      const item = queue.find(q => q.messageId === messageId);
-      if (!item) { sendJSON(req, res, 404, { error: 'Queued message not found' }); return; }
-      if (body.content !== undefined) item.content = body.content;
-      if (body.agentId !== undefined) item.agentId = body.agentId;
+      const queued = queries.getQueuedMessage(conversationId, messageId);
+      if (!queued) { sendJSON(req, res, 404, { error: 'Queued message not found' }); return; }
+      if (!access.canChangeQueued(req.principal, conversationId, queued)) { sendJSON(req, res, 403, { error: 'Only the sender or the owner can change a queued message' }); return; }
+      const item = queries.updateQueuedMessage(conversationId, messageId, { content: body.content, agentId: body.agentId });
       broadcastSync({ type: 'queue_updated', conversationId, messageId, content: item.content, agentId: item.agentId, timestamp: Date.now() });
       sendJSON(req, res, 200, { updated: true, item });
       return;
     }
 
+    const checkpointMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/messages\/([^/]+)\/(checkpoint|restore)$/);
+    if (checkpointMatch && (req.method === 'GET' || req.method === 'POST')) {
+      const [, conversationId, messageId, action] = checkpointMatch;
+      try {
+        if (!queries.getConversation(conversationId)) { sendJSON(req, res, 404, { error: 'Conversation not found' }); return; }
+        if (action === 'checkpoint') {
+          sendJSON(req, res, 200, await messageCheckpoint(queries, dataDir, conversationId, messageId));
+        } else if (req.method !== 'POST') {
+          sendJSON(req, res, 405, { error: 'Use POST' });
+        } else if (activeExecutions.has(conversationId)) {
+          sendJSON(req, res, 409, { error: 'Stop the agent before restoring files' });
+        } else {
+          sendJSON(req, res, 200, await restoreMessageCheckpoint(queries, dataDir, conversationId, messageId));
+        }
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
     const messageMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/messages\/([^/]+)$/);
     if (messageMatch && req.method === 'GET') {
       const msg = queries.getMessage(messageMatch[2]);
@@ -1431,6 +1685,41 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    const exportMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/export$/);
+    if (exportMatch && req.method === 'GET') {
+      const url = new URL(req.url, 'http://localhost');
+      const format = url.searchParams.get('format') || 'md';
+      if (!EXPORT_FORMATS.includes(format)) { sendJSON(req, res, 400, { error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }); return; }
+      const exported = exportConversation(queries, exportMatch[1], format);
+      if (!exported) { sendJSON(req, res, 404, { error: 'Conversation not found' }); return; }
+      const body = Buffer.from(exported.body);
+      res.writeHead(200, {
+        'Content-Type': exported.contentType,
+        'Content-Disposition': `attachment; filename="${exported.filename}"`,
+        'Content-Length': body.length,
+        'Cache-Control': 'no-store'
+      });
+      res.end(body);
+      return;
+    }
+
+    const sessionDiffMatch = pathOnly.match(/^\/api\/sessions\/([^/]+)\/diff$/);
+    if (sessionDiffMatch && req.method === 'GET') {
+      try {
+        sendJSON(req, res, 200, await sessionDiff(queries, sessionDiffMatch[1]));
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
+    const sessionDiffsMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/session-diffs$/);
+    if (sessionDiffsMatch && req.method === 'GET') {
+      if (!queries.getConversation(sessionDiffsMatch[1])) { sendJSON(req, res, 404, { error: 'Conversation not found' }); return; }
+      sendJSON(req, res, 200, { sessions: listSessionDiffs(queries, sessionDiffsMatch[1]) });
+      return;
+    }
+
     const sessionChunksMatch = pathOnly.match(/^\/api\/sessions\/([^/]+)\/chunks$/);
     if (sessionChunksMatch && req.method === 'GET') {
       const sessionId = sessionChunksMatch[1];
@@ -1508,24 +1797,35 @@ const server = http.createServer(async (req, res) => {
       let parsed = {};
       try { parsed = body ? JSON.parse(body) : {}; } catch {}
 
-      const { input, agentId, webhook } = parsed;
+      const { input, agentId } = parsed;
       if (!input) {
         sendJSON(req, res, 400, { error: 'Missing input in request body' });
         return;
       }
+      const webhookUrl = parsed.webhook_url || parsed.webhook || null;
+      const invalidWebhook = validateWebhookUrl(webhookUrl);
+      if (invalidWebhook) {
+        sendJSON(req, res, 422, { error: invalidWebhook });
+        return;
+      }
 
       const resolvedAgentId = agentId || 'claude-code';
       const resolvedModel = parsed.model || null;
       const cwd = parsed.workingDirectory || STARTUP_CWD;
 
-      const thread = queries.createConversation(resolvedAgentId, 'Stateless Run', cwd);
+      const thread = queries.createConversation(resolvedAgentId, 'Stateless Run', cwd, null, null, req.principal?.id || null);
+      const run = queries.createRun(resolvedAgentId, thread.id, typeof input === 'string' ? { content: input } : input, parsed.config || null, webhookUrl, { withSession: false });
       const session = queries.createSession(thread.id, resolvedAgentId, 'pending');
       const message = queries.createMessage(thread.id, 'user', typeof input === 'string' ? input : JSON.stringify(input));
 
-      processMessageWithStreaming(thread.id, message.id, session.id, typeof input === 'string' ? input : JSON.stringify(input), resolvedAgentId, resolvedModel);
+      queries.updateRunStatus(run.run_id, 'active');
+      processMessageWithStreaming(thread.id, message.id, session.id, typeof input === 'string' ? input : JSON.stringify(input), resolvedAgentId, resolvedModel)
+        .then(() => queries.finishRun(run.run_id, queries.getSession(session.id)?.status === 'error' ? 'error' : 'success'))
+        .catch(() => queries.finishRun(run.run_id, 'error'));
 
       sendJSON(req, res, 200, {
         id: session.id,
+        run_id: run.run_id,
         status: 'pending',
         started_at: session.started_at,
         agentId: resolvedAgentId
@@ -1535,7 +1835,7 @@ const server = http.createServer(async (req, res) => {
 
     const runsSearchMatch = pathOnly.match(/^\/api\/runs\/search$/);
     if (runsSearchMatch && req.method === 'POST') {
-      const sessions = queries.getAllSessions();
+      const sessions = queries.getAllSessions().filter(s => access.can(req.principal, s.conversationId, 'read'));
       const runs = sessions.slice(0, 50).map(s => ({
         id: s.id,
         status: s.status,
@@ -1559,77 +1859,81 @@ const server = http.createServer(async (req, res) => {
     if (scriptsMatch && req.method === 'GET') {
       const conv = queries.getConversation(scriptsMatch[1]);
       if (!conv) { sendJSON(req, res, 404, { error: 'Not found' }); return; }
-      const wd = conv.workingDirectory || STARTUP_CWD;
-      let hasStart = false, hasDev = false;
-      try {
-        const pkg = JSON.parse(fs.readFileSync(path.join(wd, 'package.json'), 'utf-8'));
-        const scripts = pkg.scripts || {};
-        hasStart = !!scripts.start;
-        hasDev = !!scripts.dev;
-      } catch {}
-      const running = activeScripts.has(scriptsMatch[1]);
-      const runningScript = running ? activeScripts.get(scriptsMatch[1]).script : null;
-      sendJSON(req, res, 200, { hasStart, hasDev, running, runningScript });
+      const scripts = listProjectScripts(conv.workingDirectory || STARTUP_CWD).map(({ command, args, ...s }) => s);
+      sendJSON(req, res, 200, { scripts, processes: scriptRunner.list(conv.id), running: scriptRunner.isRunning(conv.id) });
       return;
     }
 
-    const runScriptMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/run-script$/);
-    if (runScriptMatch && req.method === 'POST') {
-      const conversationId = runScriptMatch[1];
+    const scriptActionMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/(run|stop|restart)-script$/);
+    if (scriptActionMatch && req.method === 'POST') {
+      const [, conversationId, action] = scriptActionMatch;
       const conv = queries.getConversation(conversationId);
       if (!conv) { sendJSON(req, res, 404, { error: 'Not found' }); return; }
-      if (activeScripts.has(conversationId)) { sendJSON(req, res, 409, { error: 'Script already running' }); return; }
       const body = await parseBody(req);
-      const script = body.script;
-      if (script !== 'start' && script !== 'dev') { sendJSON(req, res, 400, { error: 'Invalid script' }); return; }
-      const wd = conv.workingDirectory || STARTUP_CWD;
       try {
-        const pkg = JSON.parse(fs.readFileSync(path.join(wd, 'package.json'), 'utf-8'));
-        if (!pkg.scripts || !pkg.scripts[script]) { sendJSON(req, res, 400, { error: `Script "${script}" not found` }); return; }
-      } catch { sendJSON(req, res, 400, { error: 'No package.json' }); return; }
-
-      const childEnv = { ...process.env, FORCE_COLOR: '1' };
-      delete childEnv.PORT;
-      delete childEnv.BASE_URL;
-      delete childEnv.HOT_RELOAD;
-      const isWindows = os.platform() === 'win32';
-      const child = spawn('npm', ['run', script], { cwd: wd, stdio: ['ignore', 'pipe', 'pipe'], detached: true, env: childEnv, shell: isWindows });
-      activeScripts.set(conversationId, { process: child, script, startTime: Date.now() });
-      broadcastSync({ type: 'script_started', conversationId, script, timestamp: Date.now() });
+        if (action === 'run') {
+          const wd = conv.workingDirectory || STARTUP_CWD;
+          const script = findProjectScript(wd, body.script);
+          if (!script) { sendJSON(req, res, 400, { error: `Script "${body.script}" not found` }); return; }
+          sendJSON(req, res, 200, { ok: true, process: scriptRunner.start(conversationId, wd, script, { notifyOnFailure: !!body.notifyOnFailure }) });
+        } else if (action === 'restart') {
+          if (!body.scriptId) { sendJSON(req, res, 400, { error: 'Missing scriptId' }); return; }
+          sendJSON(req, res, 200, { ok: true, process: scriptRunner.restart(conversationId, body.scriptId) });
+        } else if (body.scriptId) {
+          sendJSON(req, res, 200, { ok: true, process: scriptRunner.stop(conversationId, body.scriptId) });
+        } else {
+          const stopped = scriptRunner.stopAll(conversationId);
+          if (!stopped) { sendJSON(req, res, 404, { error: 'No running script' }); return; }
+          sendJSON(req, res, 200, { ok: true, stopped });
+        }
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
 
-      const onData = (stream) => (chunk) => {
-        broadcastSync({ type: 'script_output', conversationId, data: chunk.toString(), stream, timestamp: Date.now() });
-      };
-      child.stdout.on('data', onData('stdout'));
-      child.stderr.on('data', onData('stderr'));
-      child.stdout.on('error', () => {});
-      child.stderr.on('error', () => {});
-      child.on('error', (err) => {
-        activeScripts.delete(conversationId);
-        broadcastSync({ type: 'script_stopped', conversationId, code: 1, error: err.message, timestamp: Date.now() });
-      });
-      child.on('close', (code) => {
-        activeScripts.delete(conversationId);
-        broadcastSync({ type: 'script_stopped', conversationId, code: code || 0, timestamp: Date.now() });
-      });
-      sendJSON(req, res, 200, { ok: true, script, pid: child.pid });
+    const scriptStatusMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/script-status$/);
+    if (scriptStatusMatch && req.method === 'GET') {
+      sendJSON(req, res, 200, { running: scriptRunner.isRunning(scriptStatusMatch[1]), processes: scriptRunner.list(scriptStatusMatch[1]) });
       return;
     }
 
-    const stopScriptMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/stop-script$/);
-    if (stopScriptMatch && req.method === 'POST') {
-      const conversationId = stopScriptMatch[1];
-      const entry = activeScripts.get(conversationId);
-      if (!entry) { sendJSON(req, res, 404, { error: 'No running script' }); return; }
-      try { process.kill(-entry.process.pid, 'SIGTERM'); } catch { try { entry.process.kill('SIGTERM'); } catch {} }
-      sendJSON(req, res, 200, { ok: true });
+    const scriptLogMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/scripts\/([^/]+)\/log$/);
+    if (scriptLogMatch && req.method === 'GET') {
+      try {
+        const scriptId = decodeURIComponent(scriptLogMatch[2]);
+        sendJSON(req, res, 200, { scriptId, log: scriptRunner.getLog(scriptLogMatch[1], scriptId) });
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
       return;
     }
 
-    const scriptStatusMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/script-status$/);
-    if (scriptStatusMatch && req.method === 'GET') {
-      const entry = activeScripts.get(scriptStatusMatch[1]);
-      sendJSON(req, res, 200, { running: !!entry, script: entry?.script || null });
+    const worktreeMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/worktree(?:\/(diff|merge|push))?$/);
+    if (worktreeMatch) {
+      const [, conversationId, action] = worktreeMatch;
+      const conv = queries.getConversation(conversationId);
+      if (!conv) { sendJSON(req, res, 404, { error: 'Not found' }); return; }
+      try {
+        if (!action && req.method === 'GET') {
+          sendJSON(req, res, 200, { worktree: worktreeStatus(queries, conversationId) });
+        } else if (action === 'diff' && req.method === 'GET') {
+          sendJSON(req, res, 200, worktreeDiff(queries, conversationId));
+        } else if ((action === 'merge' || action === 'push') && req.method === 'POST') {
+          const body = await parseBody(req);
+          const opts = { message: body.message || null, conversationTitle: conv.title };
+          const result = action === 'merge'
+            ? mergeWorktree(queries, conversationId, opts)
+            : await pushWorktreeBranch(queries, conversationId, { ...opts, remote: body.remote || 'origin' });
+          const worktree = worktreeStatus(queries, conversationId);
+          broadcastSync({ type: 'worktree_updated', conversationId, worktree, timestamp: Date.now() });
+          sendJSON(req, res, 200, { ...result, worktree });
+        } else {
+          sendJSON(req, res, 405, { error: 'Method not allowed' });
+        }
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message, ...(e.conflicts ? { conflicts: e.conflicts } : {}) });
+      }
       return;
     }
 
@@ -2186,26 +2490,9 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
-    if (pathOnly === '/api/runs' && req.method === 'POST') {
-      const body = await parseBody(req);
-      const { agent_id, input, config, webhook_url } = body;
-      if (!agent_id) {
-        sendJSON(req, res, 422, { error: 'agent_id is required' });
-        return;
-      }
-      const agent = discoveredAgents.find(a => a.id === agent_id);
-      if (!agent) {
-        sendJSON(req, res, 404, { error: 'Agent not found' });
-        return;
-      }
-      const run = queries.createRun(agent_id, null, input, config, webhook_url);
-      sendJSON(req, res, 201, run);
-      return;
-    }
-
     if (pathOnly === '/api/runs/search' && req.method === 'POST') {
       const body = await parseBody(req);
-      const result = queries.searchRuns(body);
+      const result = queries.searchRuns({ ...body, visibleTo: access.scopeFor(req.principal) });
       sendJSON(req, res, 200, result);
       return;
     }
@@ -2239,6 +2526,25 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (pathOnly === '/api/usage' && req.method === 'GET') {
+      try {
+        sendJSON(req, res, 200, usageReport(req.principal, Object.fromEntries(new URL(req.url, 'http://localhost').searchParams)));
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
+    const runWebhooksMatch = pathOnly.match(/^\/api\/runs\/([^/]+)\/webhook-deliveries$/);
+    if (runWebhooksMatch && req.method === 'GET') {
+      if (!queries.getRun(runWebhooksMatch[1])) {
+        sendJSON(req, res, 404, { error: 'Run not found' });
+        return;
+      }
+      sendJSON(req, res, 200, { deliveries: queries.getWebhookDeliveries(runWebhooksMatch[1]) });
+      return;
+    }
+
     const oldRunByIdMatch1 = pathOnly.match(/^\/api\/runs\/([^/]+)$/);
     if (oldRunByIdMatch1) {
       const runId = oldRunByIdMatch1[1];
@@ -2354,6 +2660,8 @@ const server = http.createServer(async (req, res) => {
                 } catch (e) {}
               }
             }, 3000);
+          } else {
+            execution?.proc?.kill();
           }
 
           if (execution?.sessionId) {
@@ -2434,6 +2742,8 @@ const server = http.createServer(async (req, res) => {
               } catch (e) {}
             }
           }, 3000);
+        } else {
+          execution?.proc?.kill();
         }
 
         if (execution?.sessionId) {
@@ -2681,6 +2991,85 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    if (pathOnly === '/api/secrets' && req.method === 'GET') {
+      try {
+        sendJSON(req, res, 200, { ...secretStore.status(), secrets: secretStore.list() });
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
+    if (pathOnly === '/api/secrets/audit' && req.method === 'GET') {
+      const url = new URL(req.url, 'http://localhost');
+      const events = queries.getSecretAudit({
+        secretName: url.searchParams.get('name'),
+        agentId: url.searchParams.get('agentId'),
+        limit: parseInt(url.searchParams.get('limit'), 10) || 200
+      });
+      sendJSON(req, res, 200, { events });
+      return;
+    }
+
+    const secretMatch = pathOnly.match(/^\/api\/secrets\/([^/]+)(\/rotate)?$/);
+    if (secretMatch) {
+      const name = decodeURIComponent(secretMatch[1]);
+      const actor = { userId: req.principal?.id || null };
+      try {
+        if (secretMatch[2] && req.method === 'POST') {
+          const body = await parseBody(req);
+          sendJSON(req, res, 200, { secret: secretStore.rotate(name, body.value, actor) });
+        } else if (!secretMatch[2] && req.method === 'GET') {
+          sendJSON(req, res, 200, { secret: secretStore.get(name) });
+        } else if (!secretMatch[2] && req.method === 'PUT') {
+          const body = await parseBody(req);
+          sendJSON(req, res, 200, { secret: secretStore.set(name, { value: body.value, env: body.env, agents: body.agents, meta: body.meta }, actor) });
+        } else if (!secretMatch[2] && req.method === 'DELETE') {
+          secretStore.remove(name, actor);
+          sendJSON(req, res, 200, { ok: true });
+        } else {
+          sendJSON(req, res, 405, { error: 'Method not allowed' });
+        }
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
+    if (pathOnly === '/api/env-profiles' && (req.method === 'GET' || req.method === 'POST')) {
+      try {
+        if (req.method === 'GET') {
+          sendJSON(req, res, 200, await wsRouter.call('env.profile.ls'));
+        } else {
+          const body = await parseBody(req);
+          sendJSON(req, res, 201, await wsRouter.call('env.profile.save', { ...body, id: undefined }));
+        }
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
+    const envProfileMatch = pathOnly.match(/^\/api\/env-profiles\/([^/]+)$/);
+    if (envProfileMatch) {
+      const id = envProfileMatch[1];
+      try {
+        if (req.method === 'GET') {
+          sendJSON(req, res, 200, { profile: envProfiles.get(id) });
+        } else if (req.method === 'PUT') {
+          const body = await parseBody(req);
+          sendJSON(req, res, 200, await wsRouter.call('env.profile.save', { ...body, id }));
+        } else if (req.method === 'DELETE') {
+          sendJSON(req, res, 200, await wsRouter.call('env.profile.del', { id }));
+        } else {
+          sendJSON(req, res, 405, { error: 'Method not allowed' });
+        }
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
+      }
+      return;
+    }
+
     if (pathOnly === '/api/auth/configs' && req.method === 'GET') {
       const configs = getProviderConfigs();
       sendJSON(req, res, 200, configs);
@@ -2700,7 +3089,7 @@ const server = http.createServer(async (req, res) => {
         if (defaultModel !== undefined && (typeof defaultModel !== 'string' || defaultModel.length > 200)) {
           sendJSON(req, res, 400, { error: 'Invalid defaultModel' }); return;
         }
-        const configPath = saveProviderConfig(providerId, apiKey, defaultModel || '');
+        const configPath = saveProviderConfig(providerId, apiKey, defaultModel || '', req.principal?.id || null);
         sendJSON(req, res, 200, { success: true, path: configPath });
       } catch (err) {
         sendJSON(req, res, 400, { error: err.message });
@@ -2720,6 +3109,23 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
+    const historyMatch = pathOnly.match(/^\/api\/(discover|import)\/([^/]+)$/);
+    if (historyMatch && req.method === 'GET') {
+      const [, action, agentId] = historyMatch;
+      const importer = getHistoryImporter(agentId);
+      if (!importer) { sendJSON(req, res, 404, { error: `No history importer for ${agentId}`, available: listHistoryImporters() }); return; }
+      const options = { knownDirectories: [...new Set([...queries.getKnownWorkingDirectories(), STARTUP_CWD, os.homedir()])] };
+      if (action === 'discover') {
+        sendJSON(req, res, 200, { discovered: importer.discover(options) });
+        return;
+      }
+      const imported = importHistory(queries, agentId, options);
+      const importedCount = imported.filter(i => i.status === 'imported').length;
+      if (importedCount > 0) broadcastSync({ type: 'conversations_updated', count: importedCount });
+      sendJSON(req, res, 200, { imported });
+      return;
+    }
+
     if (pathOnly === '/api/home' && req.method === 'GET') {
             sendJSON(req, res, 200, { home: os.homedir(), cwd: STARTUP_CWD });
       return;
@@ -2999,16 +3405,25 @@ const server = http.createServer(async (req, res) => {
       return;
     }
 
-    if (pathOnly === '/api/git/push' && req.method === 'POST') {
+    const gitPanelMatch = pathOnly.match(/^\/api\/conversations\/([^/]+)\/git\/([a-z-]+)$/);
+    if (gitPanelMatch) {
+      const [, id, action] = gitPanelMatch;
+      // Same handlers as the WebSocket conv.git.* methods
+      const method = {
+        'GET status': 'conv.git.status', 'GET diff': 'conv.git.diff', 'GET branches': 'conv.git.branches',
+        'POST branches': 'conv.git.branch', 'POST switch': 'conv.git.switch', 'POST stage': 'conv.git.stage',
+        'POST unstage': 'conv.git.unstage', 'POST commit': 'conv.git.commit', 'POST push': 'conv.git.push',
+        'POST draft-message': 'conv.git.draft-message'
+      }[`${req.method} ${action}`];
+      if (!method) { sendJSON(req, res, 404, { error: 'Not found' }); return; }
       try {
-        const isWindows = os.platform() === 'win32';
-        const gitCommand = isWindows
-          ? 'git add -A & git commit -m "Auto-commit" & git push'
-          : 'git add -A && git commit -m "Auto-commit" && git push';
-        execSync(gitCommand, { encoding: 'utf-8', cwd: STARTUP_CWD, shell: isWindows });
-        sendJSON(req, res, 200, { success: true });
-      } catch (err) {
-        sendJSON(req, res, 500, { error: err.message });
+        const url = new URL(req.url, 'http://localhost');
+        const params = req.method === 'GET'
+          ? { path: url.searchParams.get('path'), staged: url.searchParams.get('staged') === '1' }
+          : await parseBody(req);
+        sendJSON(req, res, 200, await wsRouter.call(method, { ...params, id }));
+      } catch (e) {
+        sendJSON(req, res, e.code || 500, { error: e.message });
       }
       return;
     }
@@ -3024,6 +3439,7 @@ const server = http.createServer(async (req, res) => {
         const body = await parseBody(req);
         const metadata = body.metadata || {};
         const thread = queries.createThread(metadata);
+        if (req.principal?.id) queries.setConversationOwner(thread.thread_id, req.principal.id);
         sendJSON(req, res, 201, thread);
       } catch (err) {
         sendJSON(req, res, 422, { error: err.message, type: 'validation_error' });
@@ -3035,7 +3451,7 @@ const server = http.createServer(async (req, res) => {
     if (pathOnly === '/api/threads/search' && req.method === 'POST') {
       try {
         const body = await parseBody(req);
-        const result = queries.searchThreads(body);
+        const result = queries.searchThreads({ ...body, visibleTo: access.scopeFor(req.principal) });
         sendJSON(req, res, 200, result);
       } catch (err) {
         sendJSON(req, res, 422, { error: err.message, type: 'validation_error' });
@@ -3138,6 +3554,7 @@ const server = http.createServer(async (req, res) => {
       try {
         const body = await parseBody(req);
         const newThread = queries.copyThread(sourceThreadId);
+        if (req.principal?.id) queries.setConversationOwner(newThread.thread_id, req.principal.id);
 
         // Update metadata if provided
         if (body.metadata) {
@@ -3377,6 +3794,58 @@ function parseRateLimitResetTime(text) {
   return Math.max(60, Math.ceil((resetTime.getTime() - now.getTime()) / 1000));
 }
 
+function recordUsage(conv, sessionId, agentId, model, parsed) {
+  const usage = usageFromEvent(parsed);
+  if (!usage) return;
+  try {
+    queries.recordSessionUsage(sessionId, {
+      ...usage,
+      conversationId: conv.id,
+      ownerId: conv.ownerId || null,
+      agentId,
+      model: usage.model || model || null,
+      workingDirectory: conv.workingDirectory || STARTUP_CWD
+    });
+    if (usage.costUsd != null) usageBudget.check(access.multiUser ? conv.ownerId || null : null, conv.id);
+  } catch (e) {
+    console.error('[usage] Failed to record usage:', e.message);
+  }
+}
+
+// One-off agent call outside any session, used to draft text such as commit
+// messages. The prompt embeds content the user did not write (a diff, say),
+// so the agent runs with its tools switched off and cannot act on instructions
+// hidden there. That takes an agent supporting 'no-tools': the conversation's
+// own when it does, Claude Code otherwise, since ACP has no such switch.
+async function runAgentOnce(conv, prompt) {
+  const convAgentId = conv.agentType || conv.agentId || 'claude-code';
+  const canDisableTools = getRegisteredAgents().find(a => a.id === convAgentId)?.supportedFeatures.includes('no-tools');
+  const agentId = canDisableTools ? convAgentId : 'claude-code';
+  const model = canDisableTools ? conv.model : null;
+  const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'agentgui-draft-'));
+  try {
+    const { outputs } = await runClaudeWithStreaming(prompt, cwd, agentId, {
+      verbose: true,
+      outputFormat: 'stream-json',
+      timeout: 120000,
+      print: true,
+      tools: false,
+      systemPrompt: buildSystemPrompt(agentId, model, canDisableTools ? conv.subAgent : null),
+      model: model || undefined
+    });
+    // ACP turns end with a result that carries no text
+    const result = [...outputs].reverse().find(o => o?.type === 'result' && typeof o.result === 'string' && o.result);
+    if (result) return result.result;
+    return outputs.filter(o => o?.type === 'assistant')
+      .flatMap(o => o.message?.content || [])
+      .filter(b => b.type === 'text')
+      .map(b => b.text)
+      .join('');
+  } finally {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
 async function processMessageWithStreaming(conversationId, messageId, sessionId, content, agentId, model, subAgent) {
   const startTime = Date.now();
   touchACP(agentId);
@@ -3415,6 +3884,7 @@ async function processMessageWithStreaming(conversationId, messageId, sessionId,
 
     const cwd = conv?.workingDirectory || STARTUP_CWD;
     const resumeSessionId = conv?.claudeSessionId || null;
+    try { await beginSessionSnapshot(queries, { sessionId, conversationId, workingDirectory: cwd, dataDir }); } catch (e) { console.error('[session-diff] Failed to snapshot session start:', e.message); }
 
     let allBlocks = [];
     let eventCount = 0;
@@ -3555,6 +4025,7 @@ async function processMessageWithStreaming(conversationId, messageId, sessionId,
           }
         }
       } else if (parsed.type === 'result') {
+        recordUsage(conv, sessionId, agentId, resolvedModel, parsed);
         const resultBlock = {
           type: 'result',
           subtype: parsed.subtype,
@@ -3652,6 +4123,7 @@ async function processMessageWithStreaming(conversationId, messageId, sessionId,
           timestamp: Date.now()
         });
       } else if (parsed.type === 'usage') {
+        recordUsage(conv, sessionId, agentId, resolvedModel, parsed);
         // Handle ACP usage updates
         broadcastSync({
           type: 'streaming_progress',
@@ -3689,9 +4161,11 @@ async function processMessageWithStreaming(conversationId, messageId, sessionId,
       timeout: 1800000,
       print: true,
       resumeSessionId,
+      conversationId,
       systemPrompt: unifiedSystemPrompt,
       model: resolvedModel || undefined,
       subAgent: resolvedSubAgent || undefined,
+      mcpServers: queries.getEffectiveMcpServers(conversationId),
       onEvent,
       onPid: (pid) => {
         const entry = activeExecutions.get(conversationId);
@@ -3700,10 +4174,37 @@ async function processMessageWithStreaming(conversationId, messageId, sessionId,
       onProcess: (proc) => {
         const entry = activeExecutions.get(conversationId);
         if (entry) entry.proc = proc;
+      },
+      onPermissionRequest: (params) => permissionManager.request({
+        conversationId,
+        sessionId,
+        params,
+        emitBlock: (block) => {
+          currentSequence++;
+          batcher.add(sessionId, conversationId, currentSequence, block.type, block);
+          broadcastSync({
+            type: 'streaming_progress',
+            sessionId,
+            conversationId,
+            block,
+            blockRole: 'permission',
+            blockIndex: allBlocks.length,
+            seq: currentSequence,
+            timestamp: Date.now()
+          });
+        }
+      }),
+      onTerminalEvent: (event) => {
+        const { kind, ...rest } = event;
+        broadcastSync({ type: `agent_terminal_${kind}`, sessionId, conversationId, ...rest, timestamp: Date.now() });
       }
     };
 
-    const { outputs, sessionId: claudeSessionId } = await runClaudeWithStreaming(content, cwd, agentId || 'claude-code', config);
+    // A fork has no agent session to resume yet, so its history goes into the prompt
+    const prompt = conv.forkedFrom && !resumeSessionId
+      ? seedPrompt(forkTranscript(queries, conversationId, { messageId, sessionId }), content)
+      : content;
+    const { outputs, sessionId: claudeSessionId } = await runClaudeWithStreaming(prompt, cwd, agentId || 'claude-code', config);
 
     // Check if rate limit was already handled in stream detection
     if (rateLimitState.get(conversationId)?.isStreamDetected) {
@@ -3870,6 +4371,7 @@ async function processMessageWithStreaming(conversationId, messageId, sessionId,
     }
   } finally {
     batcher.drain();
+    try { await endSessionSnapshot(queries, sessionId); } catch (e) { console.error('[session-diff] Failed to snapshot session end:', e.message); }
     // Use atomic cleanup but only if not in rate limit recovery
     if (!rateLimitState.has(conversationId)) {
       cleanupExecution(conversationId);
@@ -3898,7 +4400,7 @@ function scheduleRetry(conversationId, messageId, content, agentId, model, subAg
     conversationId,
     messageId,
     agentId,
-    queueLength: messageQueues.get(conversationId)?.length || 0,
+    queueLength: queries.getQueueLength(conversationId),
     timestamp: Date.now()
   });
 
@@ -3924,11 +4426,9 @@ function scheduleRetry(conversationId, messageId, content, agentId, model, subAg
 }
 
 function drainMessageQueue(conversationId) {
-  const queue = messageQueues.get(conversationId);
-  if (!queue || queue.length === 0) return;
-
-  const next = queue.shift();
-  if (queue.length === 0) messageQueues.delete(conversationId);
+  const next = queries.dequeueMessage(conversationId);
+  if (!next) return;
+  const queueLength = queries.getQueueLength(conversationId);
 
   debugLog(`[queue] Draining next message for ${conversationId}, messageId=${next.messageId}`);
 
@@ -3937,7 +4437,7 @@ function drainMessageQueue(conversationId) {
     type: 'queue_item_dequeued',
     conversationId,
     messageId: next.messageId,
-    queueLength: queue?.length || 0,
+    queueLength: queueLength,
     timestamp: Date.now()
   });
 
@@ -3950,14 +4450,14 @@ function drainMessageQueue(conversationId) {
     conversationId,
     messageId: next.messageId,
     agentId: next.agentId,
-    queueLength: queue?.length || 0,
+    queueLength: queueLength,
     timestamp: Date.now()
   });
 
   broadcastSync({
     type: 'queue_status',
     conversationId,
-    queueLength: queue?.length || 0,
+    queueLength: queueLength,
     timestamp: Date.now()
   });
 
@@ -3985,10 +4485,16 @@ function drainMessageQueue(conversationId) {
 
 const wss = new WebSocketServer({
   server,
-  perMessageDeflate: false  // Disabled: msgpack binary doesn't compress well, and
+  perMessageDeflate: false,  // Disabled: msgpack binary doesn't compress well, and
                              // synchronous zlib on every frame blocks the event loop.
                              // HTTP-layer gzip already handles static assets; WS
                              // streaming events are small and latency-sensitive.
+  verifyClient: (info, done) => {
+    const identity = auth.authenticate(info.req);
+    if (!identity) return done(false, 401, 'Unauthorized');
+    info.req.auth = identity;
+    done(true);
+  }
 });
 wss.on('error', (err) => {
   console.error('[WSS] WebSocket server error (contained):', err.message);
@@ -4009,6 +4515,8 @@ wss.on('connection', (ws, req) => {
     ws.isAlive = true;
     ws.subscriptions = new Set();
     ws.clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    ws.auth = req.auth || null;
+    ws.principal = access.identify(ws.auth);
 
     sendWs(ws, ({
       type: 'sync_connected',
@@ -4045,6 +4553,7 @@ const BROADCAST_TYPES = new Set([
   'conversations_updated', 'conversation_deleted', 'all_conversations_deleted', 'queue_status', 'queue_updated',
   'rate_limit_hit', 'rate_limit_clear',
   'script_started', 'script_stopped', 'script_output',
+  'agent_terminal_started', 'agent_terminal_output', 'agent_terminal_exit',
   'model_download_progress', 'stt_progress', 'tts_setup_progress', 'voice_list',
   'streaming_start', 'streaming_progress', 'streaming_complete', 'streaming_error',
   'tool_install_started', 'tool_install_progress', 'tool_install_complete', 'tool_install_failed',
@@ -4054,7 +4563,8 @@ const BROADCAST_TYPES = new Set([
   'pm2_monit_update', 'pm2_monitoring_started', 'pm2_monitoring_stopped',
   'pm2_list_response', 'pm2_start_response', 'pm2_stop_response',
   'pm2_restart_response', 'pm2_delete_response', 'pm2_logs_response',
-  'pm2_flush_logs_response', 'pm2_ping_response', 'pm2_unavailable'
+  'pm2_flush_logs_response', 'pm2_ping_response', 'pm2_unavailable',
+  'usage_budget_warning'
 ]);
 
 const wsOptimizer = new WSOptimizer();
@@ -4070,7 +4580,10 @@ function broadcastSync(event) {
 
     if (syncClients.size > 0) {
       if (isBroadcast) {
-        for (const ws of syncClients) { try { wsOptimizer.sendToClient(ws, event); } catch (e) {} }
+        for (const ws of syncClients) {
+          if (!access.canReceive(ws.principal, event)) continue;
+          try { wsOptimizer.sendToClient(ws, event); } catch (e) {}
+        }
       } else {
         const targets = new Set();
         if (event.sessionId) {
@@ -4081,7 +4594,10 @@ function broadcastSync(event) {
           const subs = subscriptionIndex.get(`conv-${event.conversationId}`);
           if (subs) for (const ws of subs) targets.add(ws);
         }
-        for (const ws of targets) { try { wsOptimizer.sendToClient(ws, event); } catch (e) {} }
+        for (const ws of targets) {
+          if (!access.canReceive(ws.principal, event)) continue;
+          try { wsOptimizer.sendToClient(ws, event); } catch (e) {}
+        }
       }
     }
 
@@ -4092,11 +4608,20 @@ function broadcastSync(event) {
 
 // WebSocket protocol router
 const wsRouter = new WsRouter();
+wsRouter.use(access.wsGuard);
+
+registerPermissionHandlers(wsRouter, { queries, permissionManager, access });
+registerMcpHandlers(wsRouter, { queries, access });
+registerAgentHandlers(wsRouter, { dataDir, discoveredAgents, reloadCustomAgents, isBuiltinAgent });
+registerSecretHandlers(wsRouter, { secretStore, queries });
+registerEnvProfileHandlers(wsRouter, { envProfiles, broadcastSync });
+registerUserHandlers(wsRouter, { queries, access, broadcastSync, auth });
 
 registerConvHandlers(wsRouter, {
-  queries, activeExecutions, messageQueues, rateLimitState,
-  broadcastSync, processMessageWithStreaming, cleanupExecution
+  queries, activeExecutions, rateLimitState,
+  broadcastSync, processMessageWithStreaming, cleanupExecution, access, scriptRunner, dataDir, envProfiles
 });
+registerGitHandlers(wsRouter, { queries, broadcastSync, dataDir, activeExecutions, runAgentOnce });
 
 console.log('[INIT] About to call registerSessionHandlers, discoveredAgents.length:', discoveredAgents.length);
 registerSessionHandlers(wsRouter, {
@@ -4108,7 +4633,7 @@ console.log('[INIT] registerSessionHandlers completed');
 
 registerRunHandlers(wsRouter, {
   queries, discoveredAgents, activeExecutions, activeProcessesByRunId,
-  broadcastSync, processMessageWithStreaming
+  broadcastSync, processMessageWithStreaming, access
 });
 
 registerUtilHandlers(wsRouter, {
@@ -4116,12 +4641,20 @@ registerUtilHandlers(wsRouter, {
   broadcastSync, getSpeech, getProviderConfigs, saveProviderConfig,
   startGeminiOAuth, exchangeGeminiOAuthCode,
   geminiOAuthState: () => geminiOAuthState,
-  STARTUP_CWD, activeScripts, voiceCacheManager, toolManager, discoveredAgents
+  STARTUP_CWD, scriptRunner, voiceCacheManager, toolManager, discoveredAgents, usageReport
 });
 
 wsRouter.onLegacy((data, ws) => {
   try {
   if (data.type === 'subscribe') {
+    // Never index a socket under a conversation or session its user cannot read
+    try {
+      access.assertConversation(ws.principal, data.conversationId, 'read');
+      if (data.sessionId) access.assertConversation(ws.principal, queries.getSession(data.sessionId)?.conversationId, 'read');
+    } catch (e) {
+      sendWs(ws, ({ type: 'subscription_denied', sessionId: data.sessionId, conversationId: data.conversationId, error: e.message, timestamp: Date.now() }));
+      return;
+    }
     if (data.sessionId) {
       ws.subscriptions.add(data.sessionId);
       if (!subscriptionIndex.has(data.sessionId)) subscriptionIndex.set(data.sessionId, new Set());
@@ -4146,13 +4679,12 @@ wsRouter.onLegacy((data, ws) => {
     if (data.conversationId && activeExecutions.has(data.conversationId)) {
       const execution = activeExecutions.get(data.conversationId);
       const conv = queries.getConversation(data.conversationId);
-      const queue = messageQueues.get(data.conversationId);
       sendWs(ws, ({
         type: 'streaming_start',
         sessionId: execution.sessionId,
         conversationId: data.conversationId,
         agentId: conv?.agentType || conv?.agentId || 'claude-code',
-        queueLength: queue?.length || 0,
+        queueLength: queries.getQueueLength(data.conversationId),
         resumed: true,
         seq: ++broadcastSeq,
         timestamp: Date.now()
@@ -4219,9 +4751,16 @@ wsRouter.onLegacy((data, ws) => {
       timestamp: Date.now()
     }));
   } else if (data.type === 'terminal_start') {
+    // The terminal is a shell as the server user, so members of a shared workspace do not get one
+    if (access.multiUser && !access.isAdmin(ws.principal)) {
+      sendWs(ws, { type: 'terminal_exit', code: 1, error: 'Terminal access requires an admin account' });
+      return;
+    }
     if (ws.terminalProc) {
       try { ws.terminalProc.kill(); } catch(e) {}
     }
+    // The terminal of a conversation gets its environment profile too
+    const termEnv = { ...process.env, ...envProfiles.envForConversation(data.conversationId || null), TERM: 'xterm-256color', COLORTERM: 'truecolor' };
     try {
       const _req = createRequire(import.meta.url);
       const pty = _req('node-pty');
@@ -4232,7 +4771,7 @@ wsRouter.onLegacy((data, ws) => {
         cols: data.cols || 80,
         rows: data.rows || 24,
         cwd: cwd,
-        env: { ...process.env, TERM: 'xterm-256color', COLORTERM: 'truecolor' }
+        env: termEnv
       });
       ws.terminalProc = proc;
       ws.terminalPty = true;
@@ -4253,7 +4792,7 @@ wsRouter.onLegacy((data, ws) => {
       console.error('[TERMINAL] Failed to spawn PTY, falling back to pipes:', e.message);
       const shell = process.env.SHELL || '/bin/bash';
       const cwd = data.cwd || process.env.STARTUP_CWD || process.env.HOME || '/';
-      const proc = spawn(shell, ['-i'], { cwd, env: { ...process.env, TERM: 'xterm-256color', COLORTERM: 'truecolor' }, stdio: ['pipe', 'pipe', 'pipe'] });
+      const proc = spawn(shell, ['-i'], { cwd, env: termEnv, stdio: ['pipe', 'pipe', 'pipe'] });
       ws.terminalProc = proc;
       ws.terminalPty = false;
       proc.stdout.on('data', (chunk) => {
@@ -4394,6 +4933,8 @@ if (watch) {
 process.on('SIGTERM', () => {
   console.log('[SIGNAL] SIGTERM received - graceful shutdown');
   try { pm2Manager.disconnect(); } catch (_) {}
+  try { scriptRunner.stopEverything(); } catch (_) {}
+  try { closeACPPool(); } catch (_) {}
   stopACPTools().catch(() => {}).finally(() => {
     try { wss.close(() => server.close(() => process.exit(0))); } catch (_) { process.exit(0); }
   });
@@ -4403,7 +4944,7 @@ server.on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
     console.error(`Port ${PORT} already in use. Waiting 3 seconds before retry...`);
     setTimeout(() => {
-      server.listen(PORT, onServerReady);
+      server.listen(PORT, HOST, onServerReady);
     }, 3000);
   } else {
     console.error('[SERVER] Error (contained):', err.message);
@@ -4423,9 +4964,24 @@ function recoverStaleSessions() {
         error: 'Server restarted',
         completed_at: Date.now()
       });
+      endSessionSnapshot(queries, session.id).catch(e => console.error('[RECOVERY] Session snapshot failed:', e.message));
     }
     // Clear all isStreaming flags - nothing is running yet
     queries.clearAllStreamingFlags();
+    const interruptedRuns = queries.interruptActiveRuns();
+    if (interruptedRuns > 0) console.log(`[RECOVERY] Marked ${interruptedRuns} active run(s) interrupted`);
+    for (const id of queries.getOrphanedSnapshotConversations()) {
+      try { removeSessionSnapshots(queries, id); } catch (e) { console.error(`[RECOVERY] Snapshot cleanup for ${id} failed:`, e.message); }
+    }
+    try {
+      const pruned = pruneCheckpoints(queries, dataDir);
+      if (pruned > 0) console.log(`[RECOVERY] Removed ${pruned} unused checkpoint object(s)`);
+    } catch (e) {
+      console.error('[RECOVERY] Checkpoint pruning failed:', e.message);
+    }
+    for (const id of queries.getOrphanedWorktrees()) {
+      try { removeConversationWorktree(queries, id); } catch (e) { console.error(`[RECOVERY] Worktree cleanup for ${id} failed:`, e.message); }
+    }
     if (staleSessions.length > 0) {
       console.log(`[RECOVERY] Marked ${staleSessions.length} stale session(s); cleared streaming flags`);
     }
@@ -4449,6 +5005,7 @@ async function resumeInterruptedStreams() {
       } catch (err) {
         console.error(`[RESUME] Failed to resume conv ${conv.id}: ${err.message}`);
         queries.setIsStreaming(conv.id, false);
+        if (!activeExecutions.has(conv.id)) drainMessageQueue(conv.id);
       }
     }
   } catch (err) {
@@ -4456,6 +5013,19 @@ async function resumeInterruptedStreams() {
   }
 }
 
+// Start queues persisted by a previous process. Conversations being resumed by
+// resumeInterruptedStreams drain their own queue once that session is handled.
+function resumeQueuedMessages() {
+  const resuming = new Set(queries.getResumableConversations(600000).map(c => c.id));
+  const pending = queries.getConversationsWithQueuedMessages().filter(id => !resuming.has(id) && !activeExecutions.has(id));
+  if (pending.length === 0) return;
+  console.log(`[RESUME] Draining queued messages for ${pending.length} conversation(s)`);
+  for (const conversationId of pending) {
+    if (!queries.getConversation(conversationId)) continue;
+    drainMessageQueue(conversationId);
+  }
+}
+
 function isProcessAlive(pid) {
   try {
     process.kill(pid, 0);
@@ -4573,7 +5143,8 @@ function performAgentHealthCheck() {
         try { process.kill(entry.pid, 'SIGTERM'); } catch (e) {}
         markAgentDead(conversationId, entry, 'Agent was stuck (no activity for 30 minutes)');
       }
-    } else {
+    } else if (!entry.proc) {
+      // Neither a PID nor a remote ACP connection: the agent never started
       if (now - entry.startTime > NO_PID_GRACE_PERIOD_MS) {
         debugLog(`[HEALTH] Agent for conv ${conversationId} never reported PID after ${Math.round((now - entry.startTime) / 1000)}s`);
         markAgentDead(conversationId, entry, 'Agent failed to start (no PID reported)');
@@ -4596,8 +5167,10 @@ function onServerReady() {
   }
 
   recoverStaleSessions();
+  webhooks.start();
 
   resumeInterruptedStreams().catch(err => console.error('[RESUME] Startup error:', err.message));
+  resumeQueuedMessages();
 
   installGMAgentConfigs().catch(err => console.error('[GM-CONFIG] Startup error:', err.message));
 
@@ -4798,7 +5371,7 @@ async function loadPluginExtensions() {
   }
 }
 
-server.listen(PORT, () => {
+server.listen(PORT, HOST, () => {
   onServerReady();
   loadPluginExtensions();
 });
@@ -0,0 +1,202 @@
+(function() {
+  var btn = document.getElementById('agentsSettingsBtn');
+  var popup = document.getElementById('agentsPopup');
+  var body = document.getElementById('agentsPopupBody');
+  var state = { file: '', agents: [], errors: [] };
+  var editing = null;
+
+  function init() {
+    if (!btn || !popup || !body) return;
+    btn.addEventListener('click', togglePopup);
+    popup.addEventListener('click', closePopup);
+    window.addEventListener('ws-message', function(e) {
+      if (e.detail && e.detail.type === 'agents_changed' && popup.classList.contains('open') && !editing) refresh();
+    });
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function togglePopup(e) {
+    e.stopPropagation();
+    if (!popup.classList.contains('open')) {
+      editing = null;
+      refresh();
+    }
+    popup.classList.toggle('open');
+  }
+
+  function closePopup() {
+    popup.classList.remove('open');
+  }
+
+  function refresh() {
+    window.wsClient.rpc('agent.custom.ls')
+      .then(function(data) {
+        state.file = data.file;
+        state.agents = data.agents || [];
+        state.errors = data.errors || [];
+        render();
+      })
+      .catch(function(err) {
+        body.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+      });
+  }
+
+  function describe(agent) {
+    if (agent.endpoint) return 'ACP at ' + agent.endpoint;
+    var mode = agent.protocol === 'acp' ? 'ACP' : 'direct, ' + agent.parse;
+    return [agent.command].concat(agent.args || []).join(' ') + ' (' + mode + ')';
+  }
+
+  function unavailableReason(agent) {
+    if (!agent.name) return 'not a built-in ACP agent';
+    if (agent.endpoint) return 'not loaded';
+    return escapeHtml(agent.command) + ' not found' + (agent.npxPackage ? '' : ' and no npx package');
+  }
+
+  function renderList() {
+    if (!state.agents.length) return '<div class="settings-item-detail">None configured</div>';
+    return state.agents.map(function(a) {
+      return '<div class="settings-item">' +
+        '<span title="' + escapeHtml(a.id) + '">' + escapeHtml(a.icon || '') + '</span>' +
+        '<div class="settings-item-main"><strong>' + escapeHtml(a.name || a.id + ' (built-in)') + '</strong> ' +
+        '<span class="settings-item-detail">' + escapeHtml(describe(a)) +
+        (a.available ? '' : ' · not available: ' + unavailableReason(a)) + '</span></div>' +
+        '<button data-edit="' + escapeHtml(a.id) + '">Edit</button>' +
+        '<button data-delete="' + escapeHtml(a.id) + '">Delete</button>' +
+        '</div>';
+    }).join('');
+  }
+
+  function renderErrors() {
+    return state.errors.map(function(e) {
+      var where = e.id ? e.id : e.index === null ? 'agents.json' : 'Entry ' + (e.index + 1);
+      return '<div class="settings-error">' + escapeHtml(where + ': ' + e.error) + '</div>';
+    }).join('');
+  }
+
+  function pairsToText(obj) {
+    return Object.keys(obj || {}).map(function(k) { return k + '=' + obj[k]; }).join('\n');
+  }
+
+  function textToPairs(text) {
+    var out = {};
+    (text || '').split('\n').forEach(function(line) {
+      var idx = line.indexOf('=');
+      if (idx > 0) out[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    });
+    return out;
+  }
+
+  function renderForm() {
+    var a = editing.agent || { id: '', name: '', icon: '', command: '', endpoint: '', args: [], env: {}, protocol: 'acp', parse: 'stream-json', npxPackage: '', supportedFeatures: ['streaming'] };
+    return '<form class="settings-form" id="agentForm">' +
+      '<div class="settings-item-detail">To run a built-in ACP agent elsewhere, enter its id and an endpoint and leave name and command empty.</div>' +
+      '<label for="agentId">Id</label><input id="agentId" name="id" value="' + escapeHtml(a.id) + '" required pattern="[a-z0-9][a-z0-9_.\\-]*">' +
+      '<label for="agentName">Name</label><input id="agentName" name="name" value="' + escapeHtml(a.name || '') + '">' +
+      '<label for="agentIcon">Icon</label><input id="agentIcon" name="icon" maxlength="2" value="' + escapeHtml(a.icon || '') + '">' +
+      '<label for="agentProtocol">Protocol</label><select id="agentProtocol" name="protocol">' +
+        [['acp', 'ACP (JSON-RPC over stdio)'], ['direct', 'Direct (parse CLI output)']].map(function(p) {
+          return '<option value="' + p[0] + '"' + ((a.protocol || 'acp') === p[0] ? ' selected' : '') + '>' + p[1] + '</option>';
+        }).join('') +
+      '</select>' +
+      '<label for="agentParse" data-direct>Output</label><select id="agentParse" name="parse" data-direct>' +
+        [['stream-json', 'JSON lines (stream-json)'], ['text', 'Plain text']].map(function(p) {
+          return '<option value="' + p[0] + '"' + ((a.parse || 'stream-json') === p[0] ? ' selected' : '') + '>' + p[1] + '</option>';
+        }).join('') +
+      '</select>' +
+      '<label for="agentCommand">Command</label><input id="agentCommand" name="command" value="' + escapeHtml(a.command || '') + '">' +
+      '<label for="agentEndpoint" data-acp>Endpoint</label><input id="agentEndpoint" name="endpoint" data-acp value="' + escapeHtml(a.endpoint || '') + '" placeholder="ws://, wss:// or tcp:// address of an agent that is already running">' +
+      '<label for="agentArgs">Args (one per line; {prompt} {model} {cwd} {sessionId})</label><textarea id="agentArgs" name="args">' + escapeHtml((a.args || []).join('\n')) + '</textarea>' +
+      '<label for="agentEnv">Env (KEY=value)</label><textarea id="agentEnv" name="env">' + escapeHtml(pairsToText(a.env)) + '</textarea>' +
+      '<label for="agentNpx">npx package</label><input id="agentNpx" name="npxPackage" value="' + escapeHtml(a.npxPackage || '') + '" placeholder="Used when the command is not installed">' +
+      '<label for="agentFeatures">Features (comma-separated)</label><input id="agentFeatures" name="supportedFeatures" value="' + escapeHtml((a.supportedFeatures || []).join(', ')) + '">' +
+      '<div class="settings-error" id="agentFormError"></div>' +
+      '<div class="settings-form-actions"><button type="button" id="agentCancel">Cancel</button><button type="submit">Save</button></div>' +
+      '</form>';
+  }
+
+  function render() {
+    var html = '<div class="settings-item-detail">Stored in ' + escapeHtml(state.file) + '; edits to the file are picked up automatically.</div>' +
+      renderErrors() +
+      '<div class="settings-section-title">Agents</div>' + renderList() +
+      '<div><button class="tools-popup-refresh-btn" data-add>Add agent</button></div>';
+    if (editing) html += renderForm();
+    body.innerHTML = html;
+    bind();
+  }
+
+  function findAgent(id) {
+    return state.agents.find(function(a) { return a.id === id; });
+  }
+
+  function syncProtocolFields() {
+    var form = document.getElementById('agentForm');
+    if (!form) return;
+    var isDirect = form.elements.protocol.value === 'direct';
+    form.querySelectorAll('[data-direct]').forEach(function(el) { el.style.display = isDirect ? '' : 'none'; });
+    form.querySelectorAll('[data-acp]').forEach(function(el) { el.style.display = isDirect ? 'none' : ''; });
+  }
+
+  function bind() {
+    var add = body.querySelector('[data-add]');
+    add.addEventListener('click', function() { editing = { agent: null }; render(); });
+    body.querySelectorAll('[data-edit]').forEach(function(el) {
+      el.addEventListener('click', function() { editing = { agent: findAgent(el.dataset.edit) }; render(); });
+    });
+    body.querySelectorAll('[data-delete]').forEach(function(el) {
+      el.addEventListener('click', function() {
+        var agent = findAgent(el.dataset.delete);
+        if (!confirm('Delete agent "' + (agent.name || agent.id) + '"?')) return;
+        window.wsClient.rpc('agent.custom.del', { id: agent.id }).then(refresh).catch(function(err) { alert(err.message); });
+      });
+    });
+    var form = document.getElementById('agentForm');
+    if (!form) return;
+    form.elements.protocol.addEventListener('change', syncProtocolFields);
+    syncProtocolFields();
+    document.getElementById('agentCancel').addEventListener('click', function() { editing = null; render(); });
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      var endpoint = form.elements.protocol.value === 'acp' ? form.elements.endpoint.value.trim() : '';
+      if (endpoint && !form.elements.name.value.trim() && !form.elements.command.value.trim()) {
+        save({ previousId: editing.agent ? editing.agent.id : undefined, id: form.elements.id.value.trim(), endpoint: endpoint });
+        return;
+      }
+      var payload = {
+        previousId: editing.agent ? editing.agent.id : undefined,
+        id: form.elements.id.value.trim(),
+        name: form.elements.name.value.trim(),
+        command: form.elements.command.value.trim(),
+        args: form.elements.args.value.split('\n').map(function(a) { return a.trim(); }).filter(Boolean),
+        env: textToPairs(form.elements.env.value),
+        protocol: form.elements.protocol.value,
+        supportedFeatures: form.elements.supportedFeatures.value.split(',').map(function(f) { return f.trim(); }).filter(Boolean)
+      };
+      if (form.elements.icon.value.trim()) payload.icon = form.elements.icon.value.trim();
+      if (payload.protocol === 'direct') payload.parse = form.elements.parse.value;
+      if (form.elements.npxPackage.value.trim()) payload.npxPackage = form.elements.npxPackage.value.trim();
+      if (payload.command === '') delete payload.command;
+      if (endpoint) payload.endpoint = endpoint;
+      save(payload);
+    });
+  }
+
+  function save(payload) {
+    window.wsClient.rpc('agent.custom.save', payload)
+      .then(function(result) {
+        editing = null;
+        refresh();
+        if (!result.available) window.UIDialog.showToast((result.agent.name || result.agent.id) + ' was saved but is not available', 'error', 6000);
+      })
+      .catch(function(err) { document.getElementById('agentFormError').textContent = err.message; });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.agentSettings = { refresh: refresh };
+})();
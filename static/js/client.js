@@ -590,7 +590,7 @@ class AgentGUIClient {
     window.addEventListener('create-new-conversation', (event) => {
       this.unlockAgentAndModel();
       const detail = event.detail || {};
-      this.createNewConversation(detail.workingDirectory, detail.title);
+      this.createNewConversation(detail.workingDirectory, detail.title, { worktree: detail.worktree, envProfileId: detail.envProfileId });
     });
 
     window.addEventListener('preparing-new-conversation', () => {
@@ -733,6 +733,9 @@ class AgentGUIClient {
         case 'conversation_created':
           this.handleConversationCreated(data);
           break;
+        case 'agents_changed':
+          this.handleAgentsChanged();
+          break;
         case 'all_conversations_deleted':
           this.handleAllConversationsDeleted(data);
           break;
@@ -909,6 +912,7 @@ class AgentGUIClient {
                   }
                   const el = this.renderer.renderBlock(chunk.block, chunk, bFrag);
                   if (!el) return;
+                  if (chunk.id) el.dataset.chunkId = chunk.id;
                   bFrag.appendChild(el);
                 });
                 bEl.appendChild(bFrag);
@@ -1275,6 +1279,17 @@ class AgentGUIClient {
   /**
    * Handle conversation created
    */
+  // agents.json was edited: refresh the agent list, keeping the current choice if it still exists
+  async handleAgentsChanged() {
+    const selected = this.ui.cliSelector?.value;
+    await this.loadAgents();
+    window.conversationManager?.loadAgents();
+    if (selected && this.ui.cliSelector && this.state.agents.some(a => a.id === selected) && this.ui.cliSelector.value !== selected) {
+      this.ui.cliSelector.value = selected;
+      this.ui.cliSelector.dispatchEvent(new Event('change'));
+    }
+  }
+
   handleConversationCreated(data) {
     if (data.conversation) {
       if (this.state.conversations.some(c => c.id === data.conversation.id)) {
@@ -2521,13 +2536,15 @@ class AgentGUIClient {
   /**
    * Create a new empty conversation
    */
-  async createNewConversation(workingDirectory, title) {
+  async createNewConversation(workingDirectory, title, options = {}) {
     try {
       const agentId = this.getEffectiveAgentId();
       const model = this.ui.modelSelector?.value || null;
       const convTitle = title || 'New Conversation';
       const body = { agentId, title: convTitle };
       if (workingDirectory) body.workingDirectory = workingDirectory;
+      if (options.worktree) body.worktree = true;
+      if (options.envProfileId) body.envProfileId = options.envProfileId;
       if (model) body.model = model;
 
       const { conversation } = await window.wsClient.rpc('conv.new', body);
@@ -2859,6 +2876,7 @@ class AgentGUIClient {
               const element = this.renderer.renderBlock(chunk.block, chunk, blockFrag);
               if (!element) return;
               element.classList.add('block-loaded');
+              if (chunk.id) element.dataset.chunkId = chunk.id;
               blockFrag.appendChild(element);
             });
 
@@ -2876,6 +2894,7 @@ class AgentGUIClient {
               const element = this.renderer.renderBlock(chunk.block, contextWithParent, toolUseEl);
               if (element) {
                 element.classList.add('block-loaded');
+                if (chunk.id) element.dataset.chunkId = chunk.id;
                 toolUseEl.appendChild(element);
               }
             });
@@ -3101,6 +3120,7 @@ class AgentGUIClient {
                 if (blockEl) {
                   const wrapper = document.createElement('div');
                   wrapper.setAttribute('data-chunk-created', chunk.created_at);
+                  if (chunk.id) wrapper.dataset.chunkId = chunk.id;
                   wrapper.appendChild(blockEl);
                   newContent.appendChild(wrapper);
                 }
@@ -51,6 +51,8 @@ class ConversationManager {
     this.setupFolderBrowser();
     this.setupCloneUI();
     this.setupDeleteAllButton();
+    this.setupSearch();
+    this.setupImportDrop();
 
     await Promise.all([this.loadAgents(), this.loadConversations()]);
 
@@ -114,8 +116,32 @@ class ConversationManager {
     return ' (' + model.replace(/^claude-/i, '').replace(/-\d{8,}.*$/, '').replace(/-/g, ' ') + ')';
   }
 
+  canShare(conv) {
+    return !!window.workspace?.canShare(conv);
+  }
+
+  // Only shown for conversations someone else shared with the current user
+  getForkLabel(conv) {
+    if (!conv.forkedFrom) return '';
+    const parent = this.conversations.find(c => c.id === conv.forkedFrom);
+    return parent ? `\u2442 fork of ${parent.title || 'Untitled'}` : '\u2442 fork';
+  }
+
+  getAccessLabel(conv) {
+    if (conv.access === 'read') return 'shared, read-only';
+    if (conv.access === 'write') return 'shared';
+    return '';
+  }
+
   setupDelegatedListeners() {
     this.listEl.addEventListener('click', (e) => {
+      const shareBtn = e.target.closest('[data-share-conv]');
+      if (shareBtn) {
+        e.stopPropagation();
+        const conv = this.conversations.find(c => c.id === shareBtn.dataset.shareConv);
+        window.workspace?.openShare(shareBtn.dataset.shareConv, conv?.title);
+        return;
+      }
       const deleteBtn = e.target.closest('[data-delete-conv]');
       if (deleteBtn) {
         e.stopPropagation();
@@ -288,8 +314,10 @@ class ConversationManager {
     this.closeFolderBrowser();
 
     const dirName = pathBasename(expanded) || 'root';
+    const worktree = !!document.getElementById('folderWorktreeOption')?.checked;
+    const envProfileId = document.getElementById('folderEnvProfileOption')?.value || null;
     window.dispatchEvent(new CustomEvent('create-new-conversation', {
-      detail: { workingDirectory: expanded, title: dirName }
+      detail: { workingDirectory: expanded, title: dirName, worktree, envProfileId }
     }));
   }
 
@@ -414,6 +442,153 @@ class ConversationManager {
     }
   }
 
+  setupSearch() {
+    this.searchInput = document.getElementById('sidebarSearchInput');
+    this.searchResultsEl = document.getElementById('sidebarSearchResults');
+    if (!this.searchInput || !this.searchResultsEl) return;
+    this._searchSeq = 0;
+
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this._searchTimer);
+      this._searchTimer = setTimeout(() => this.runSearch(this.searchInput.value.trim()), 250);
+    });
+    this.searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.clearSearch();
+    });
+    this.searchResultsEl.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-search-hit]');
+      if (item) this.openSearchHit(this._searchHits[Number(item.dataset.searchHit)]);
+    });
+  }
+
+  clearSearch() {
+    clearTimeout(this._searchTimer);
+    this._searchSeq++;
+    this.searchInput.value = '';
+    this.searchResultsEl.style.display = 'none';
+    this.searchResultsEl.innerHTML = '';
+    this.listEl.style.display = '';
+  }
+
+  async runSearch(query) {
+    if (!query) { this.clearSearch(); return; }
+    const seq = ++this._searchSeq;
+    let data;
+    try {
+      data = await window.wsClient.rpc('search', { query, limit: 30 });
+    } catch (err) {
+      if (seq !== this._searchSeq) return;
+      this.renderSearchResults([], err.message);
+      return;
+    }
+    if (seq !== this._searchSeq) return;
+    this.renderSearchResults(data.hits || []);
+  }
+
+  renderSearchResults(hits, error) {
+    this._searchHits = hits;
+    this.listEl.style.display = 'none';
+    this.searchResultsEl.style.display = '';
+    if (error || !hits.length) {
+      this.searchResultsEl.innerHTML = `<li class="sidebar-empty">${this.escapeHtml(error || 'No matches')}</li>`;
+      return;
+    }
+    this.searchResultsEl.innerHTML = hits.map((hit, i) => {
+      const where = hit.kind === 'message' ? hit.role : (hit.role || 'output').replace(/_/g, ' ');
+      return `<li class="search-result" data-search-hit="${i}">
+        <div class="search-result-title">${this.escapeHtml(hit.conversationTitle || 'Untitled')}</div>
+        <div class="search-result-snippet">${this.highlightSnippet(hit)}</div>
+        <div class="search-result-meta">${this.escapeHtml(where)} · ${this.escapeHtml(new Date(hit.created_at).toLocaleString())}</div>
+      </li>`;
+    }).join('');
+  }
+
+  highlightSnippet(hit) {
+    let html = '';
+    let pos = 0;
+    for (const [start, end] of hit.highlights || []) {
+      html += this.escapeHtml(hit.snippet.slice(pos, start)) + '<mark>' + this.escapeHtml(hit.snippet.slice(start, end)) + '</mark>';
+      pos = end;
+    }
+    return html + this.escapeHtml(hit.snippet.slice(pos));
+  }
+
+  // Select the conversation, then wait for its history to render and scroll to the matching block
+  openSearchHit(hit) {
+    if (!hit) return;
+    if (this.activeId !== hit.conversationId) this.select(hit.conversationId);
+    const selector = hit.kind === 'message'
+      ? `[data-msg-id="${CSS.escape(hit.id)}"]`
+      : `[data-chunk-id="${CSS.escape(hit.id)}"]`;
+    const fallback = hit.sessionId ? `#message-${CSS.escape(hit.sessionId)}` : null;
+    const deadline = Date.now() + 5000;
+    const seek = () => {
+      const outputEl = document.getElementById('output');
+      let target = outputEl?.querySelector(selector);
+      if (!target && Date.now() < deadline) { setTimeout(seek, 150); return; }
+      if (!target && fallback) target = outputEl?.querySelector(fallback);
+      if (!target) {
+        window.UIDialog?.showToast('The match is in earlier history. Scroll up to load it.', 'info');
+        return;
+      }
+      const details = target.closest('details');
+      if (details) details.open = true;
+      target.scrollIntoView({ block: 'center' });
+      target.classList.remove('search-hit-flash');
+      void target.offsetWidth;
+      target.classList.add('search-hit-flash');
+    };
+    seek();
+  }
+
+  // JSON archives from /export?format=json can be dropped onto the sidebar to import them
+  setupImportDrop() {
+    if (!this.sidebarEl) return;
+    let depth = 0;
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    this.sidebarEl.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      if (++depth === 1) this.sidebarEl.classList.add('sidebar-drop-target');
+    });
+    this.sidebarEl.addEventListener('dragover', (e) => {
+      if (hasFiles(e)) e.preventDefault();
+    });
+    this.sidebarEl.addEventListener('dragleave', () => {
+      if (depth > 0 && --depth === 0) this.sidebarEl.classList.remove('sidebar-drop-target');
+    });
+    this.sidebarEl.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth = 0;
+      this.sidebarEl.classList.remove('sidebar-drop-target');
+      const files = Array.from(e.dataTransfer.files).filter(f => f.name.endsWith('.json') || f.type === 'application/json');
+      if (!files.length) {
+        window.UIDialog?.showToast('Drop a conversation .json export to import it', 'error');
+        return;
+      }
+      files.reduce((p, file) => p.then(() => this.importArchiveFile(file)), Promise.resolve());
+    });
+  }
+
+  async importArchiveFile(file) {
+    try {
+      const base = window.__BASE_URL || '/gm';
+      const res = await fetch(base + '/api/conversations/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: await file.text()
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'HTTP ' + res.status);
+      this.addConversation(data.conversation);
+      this.select(data.conversation.id);
+      window.UIDialog?.showToast(data.duplicate ? `"${file.name}" was already imported` : `Imported "${data.conversation.title}"`, 'success');
+    } catch (err) {
+      window.UIDialog?.showToast(`Import of ${file.name} failed: ${err.message}`, 'error');
+    }
+  }
+
   showLoading() {
     if (!this.listEl) return;
     this.listEl.innerHTML = '';
@@ -523,6 +698,10 @@ class ConversationManager {
     const wd = conv.workingDirectory ? pathBasename(conv.workingDirectory) : '';
     const metaParts = [agent + modelLabel, timestamp];
     if (wd) metaParts.push(wd);
+    const forkLabel = this.getForkLabel(conv);
+    if (forkLabel) metaParts.push(forkLabel);
+    const accessLabel = this.getAccessLabel(conv);
+    if (accessLabel) metaParts.push(accessLabel);
 
     const titleEl = el.querySelector('.conversation-item-title');
     if (titleEl) {
@@ -534,6 +713,9 @@ class ConversationManager {
 
     const metaEl = el.querySelector('.conversation-item-meta');
     if (metaEl) metaEl.textContent = metaParts.join(' \u2022 ');
+
+    const shareEl = el.querySelector('.conversation-item-share');
+    if (shareEl) shareEl.hidden = !this.canShare(conv);
   }
 
   createConversationItem(conv) {
@@ -551,6 +733,10 @@ class ConversationManager {
     const wd = conv.workingDirectory ? pathBasename(conv.workingDirectory) : '';
     const metaParts = [agent + modelLabel, timestamp];
     if (wd) metaParts.push(wd);
+    const forkLabel = this.getForkLabel(conv);
+    if (forkLabel) metaParts.push(forkLabel);
+    const accessLabel = this.getAccessLabel(conv);
+    if (accessLabel) metaParts.push(accessLabel);
 
     const streamingBadge = isStreaming
       ? '<span class="conversation-streaming-badge" title="Streaming in progress"><span class="streaming-dot"></span></span>'
@@ -559,8 +745,14 @@ class ConversationManager {
     li.innerHTML = `
       <div class="conversation-item-content">
         <div class="conversation-item-title">${streamingBadge}${this.escapeHtml(title)}</div>
-        <div class="conversation-item-meta">${metaParts.join(' • ')}</div>
+        <div class="conversation-item-meta">${this.escapeHtml(metaParts.join(' • '))}</div>
       </div>
+      <button class="conversation-item-share" title="Share conversation" data-share-conv="${conv.id}"${this.canShare(conv) ? '' : ' hidden'}>
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="18" cy="5" r="3"></circle><circle cx="6" cy="12" r="3"></circle><circle cx="18" cy="19" r="3"></circle>
+          <line x1="8.59" y1="13.51" x2="15.42" y2="17.49"></line><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"></line>
+        </svg>
+      </button>
       <button class="conversation-item-delete" title="Delete conversation" data-delete-conv="${conv.id}">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <polyline points="3 6 5 6 21 6"></polyline>
@@ -657,6 +849,7 @@ class ConversationManager {
   }
 
   setupWebSocketListener() {
+    window.addEventListener('workspace-ready', () => this.render());
     window.addEventListener('ws-message', (event) => {
       const msg = event.detail;
 
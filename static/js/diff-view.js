@@ -0,0 +1,139 @@
+(function() {
+  var escapeHtml = window._escHtml;
+
+  // Split a `git diff` patch into { path, lines } per file
+  function splitPatch(patch) {
+    var files = [];
+    var current = null;
+    (patch || '').split('\n').forEach(function(line) {
+      if (line.indexOf('diff --git ') === 0) {
+        var m = line.match(/^diff --git a\/(.*) b\/(.*)$/);
+        current = { path: m ? m[2] : line.slice(11), lines: [] };
+        files.push(current);
+        return;
+      }
+      if (current) current.lines.push(line);
+    });
+    return files;
+  }
+
+  function lineClass(line) {
+    if (line.indexOf('@@') === 0) return 'diff-hunk';
+    if (line.indexOf('+++') === 0 || line.indexOf('---') === 0) return 'diff-meta';
+    if (line[0] === '+') return 'diff-add';
+    if (line[0] === '-') return 'diff-del';
+    if (/^(index |new file|deleted file|old mode|new mode|similarity|rename|Binary)/.test(line)) return 'diff-meta';
+    return 'diff-ctx';
+  }
+
+  var MODE_KEY = 'diffViewMode';
+
+  function getMode() {
+    try { return localStorage.getItem(MODE_KEY) === 'split' ? 'split' : 'unified'; } catch (e) { return 'unified'; }
+  }
+
+  function setMode(mode) {
+    try { localStorage.setItem(MODE_KEY, mode); } catch (e) {}
+  }
+
+  function renderUnified(file) {
+    return '<pre class="diff-body">' + file.lines.map(function(l) {
+      return '<span class="' + lineClass(l) + '">' + escapeHtml(l) + '</span>';
+    }).join('\n') + '</pre>';
+  }
+
+  // Side by side: removed lines on the left, added lines on the right, paired
+  // up within each run of changes. Hunks without line numbers (`@@ edit @@`)
+  // are shown without them.
+  function renderSplit(file) {
+    var rows = [];
+    var oldNo = null, newNo = null;
+    var dels = [], adds = [];
+    function cell(no, text, cls) {
+      if (text == null) return '<td class="diff-ln"></td><td class="diff-code diff-empty"></td>';
+      return '<td class="diff-ln">' + (no == null ? '' : no) + '</td><td class="diff-code ' + cls + '">' + escapeHtml(text) + '</td>';
+    }
+    function flush() {
+      for (var i = 0; i < Math.max(dels.length, adds.length); i++) {
+        var d = dels[i], a = adds[i];
+        rows.push('<tr>' + (d ? cell(d.no, d.text, 'diff-del') : cell(null, null)) + (a ? cell(a.no, a.text, 'diff-add') : cell(null, null)) + '</tr>');
+      }
+      dels = []; adds = [];
+    }
+    var inHunk = false;
+    file.lines.forEach(function(l) {
+      if (l.indexOf('@@') === 0) {
+        flush();
+        var m = l.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)/);
+        oldNo = m ? parseInt(m[1], 10) : null;
+        newNo = m ? parseInt(m[2], 10) : null;
+        inHunk = true;
+        rows.push('<tr><td colspan="4" class="diff-hunk">' + escapeHtml(l) + '</td></tr>');
+        return;
+      }
+      if (!inHunk || l[0] === '\\') return;
+      if (l[0] === '-') { dels.push({ no: oldNo, text: l.slice(1) }); if (oldNo != null) oldNo++; return; }
+      if (l[0] === '+') { adds.push({ no: newNo, text: l.slice(1) }); if (newNo != null) newNo++; return; }
+      if (l === '') return;
+      flush();
+      rows.push('<tr>' + cell(oldNo, l.slice(1), 'diff-ctx') + cell(newNo, l.slice(1), 'diff-ctx') + '</tr>');
+      if (oldNo != null) oldNo++;
+      if (newNo != null) newNo++;
+    });
+    flush();
+    if (!rows.length) return renderUnified(file);
+    return '<div class="diff-split-wrap"><table class="diff-split">' + rows.join('') + '</table></div>';
+  }
+
+  function renderFileDiff(file, mode) {
+    return '<div class="diff-file" data-path="' + escapeHtml(file.path) + '">' +
+      '<div class="diff-file-header">' + escapeHtml(file.path) + '</div>' +
+      (mode === 'split' ? renderSplit(file) : renderUnified(file)) + '</div>';
+  }
+
+  /**
+   * Render { files: [{ path, status, additions, deletions }], patch } into
+   * container: a unified/split toggle, a file list with line counts, then the
+   * diff of each file. options.mode overrides the remembered view mode.
+   */
+  function render(container, diff, options) {
+    var files = diff.files || [];
+    if (!files.length) {
+      container.innerHTML = '<div class="settings-item-detail">No changes</div>';
+      return;
+    }
+    var mode = (options && options.mode) || getMode();
+    var sections = splitPatch(diff.patch);
+    var added = 0, removed = 0;
+    files.forEach(function(f) { added += f.additions || 0; removed += f.deletions || 0; });
+    var html = '<div class="diff-toolbar">' +
+      '<span class="diff-counts">' + files.length + ' file' + (files.length === 1 ? '' : 's') + ' <span class="diff-add">+' + added + '</span> <span class="diff-del">-' + removed + '</span></span>' +
+      '<span class="diff-mode">' +
+        '<button type="button" data-mode="unified"' + (mode === 'unified' ? ' class="active"' : '') + '>Unified</button>' +
+        '<button type="button" data-mode="split"' + (mode === 'split' ? ' class="active"' : '') + '>Split</button>' +
+      '</span></div>';
+    html += '<div class="diff-file-list">' + files.map(function(f) {
+      var counts = f.binary ? 'binary' : '<span class="diff-add">+' + (f.additions || 0) + '</span> <span class="diff-del">-' + (f.deletions || 0) + '</span>';
+      return '<div class="diff-file-row" data-path="' + escapeHtml(f.path) + '">' +
+        '<span class="diff-status diff-status-' + escapeHtml(f.status || 'M') + '">' + escapeHtml(f.status || 'M') + '</span>' +
+        '<span class="diff-file-name">' + escapeHtml(f.path) + '</span>' +
+        '<span class="diff-counts">' + counts + '</span></div>';
+    }).join('') + '</div>';
+    html += sections.map(function(file) { return renderFileDiff(file, mode); }).join('');
+    container.innerHTML = html;
+    container.querySelectorAll('.diff-mode button').forEach(function(b) {
+      b.addEventListener('click', function() {
+        setMode(b.dataset.mode);
+        render(container, diff, { mode: b.dataset.mode });
+      });
+    });
+    container.querySelectorAll('.diff-file-row').forEach(function(row) {
+      row.addEventListener('click', function() {
+        var target = container.querySelector('.diff-file[data-path="' + CSS.escape(row.dataset.path) + '"]');
+        if (target) target.scrollIntoView({ block: 'start', behavior: 'smooth' });
+      });
+    });
+  }
+
+  window.DiffView = { render: render, splitPatch: splitPatch };
+})();
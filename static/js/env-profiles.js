@@ -0,0 +1,167 @@
+(function() {
+  var btn = document.getElementById('envProfilesBtn');
+  var popup = document.getElementById('envProfilesPopup');
+  var body = document.getElementById('envProfilesPopupBody');
+  var picker = document.getElementById('folderEnvProfileOption');
+  var profiles = [];
+  var editing = null;
+
+  function init() {
+    if (btn && popup && body) {
+      btn.addEventListener('click', togglePopup);
+      popup.addEventListener('click', closePopup);
+    }
+    window.addEventListener('ws-message', function(e) {
+      if (e.detail && e.detail.type === 'env_profiles_changed' && !editing) refresh();
+    });
+    if (window.wsManager && window.wsManager.isConnected) refresh();
+    else if (window.wsManager) window.wsManager.on('connected', refresh);
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function togglePopup(e) {
+    e.stopPropagation();
+    if (!popup.classList.contains('open')) {
+      editing = null;
+      refresh();
+    }
+    popup.classList.toggle('open');
+  }
+
+  function closePopup() {
+    popup.classList.remove('open');
+  }
+
+  function refresh() {
+    return window.wsClient.rpc('env.profile.ls')
+      .then(function(data) {
+        profiles = data.profiles || [];
+        renderPicker();
+        if (popup && popup.classList.contains('open')) render();
+      })
+      .catch(function(err) {
+        if (body) body.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+      });
+  }
+
+  // The selector in the folder dialog used to start a conversation
+  function renderPicker() {
+    if (!picker) return;
+    var current = picker.value;
+    picker.innerHTML = '<option value="">Server environment</option>' + profiles.map(function(p) {
+      return '<option value="' + escapeHtml(p.id) + '">' + escapeHtml(p.name) + (p.holdsSecrets ? ' (admins only)' : '') + '</option>';
+    }).join('');
+    picker.value = profiles.some(function(p) { return p.id === current; }) ? current : '';
+    picker.parentElement.style.display = profiles.length ? '' : 'none';
+  }
+
+  function describe(p) {
+    var parts = [];
+    var vars = Object.keys(p.env || {});
+    if (vars.length) parts.push(vars.length + (vars.length === 1 ? ' variable' : ' variables'));
+    if (p.pathPrepend.length) parts.push('PATH +' + p.pathPrepend.length);
+    if (p.httpProxy || p.httpsProxy) parts.push('proxy');
+    parts.push(p.conversations + (p.conversations === 1 ? ' conversation' : ' conversations'));
+    return parts.join(' · ');
+  }
+
+  function renderList() {
+    if (!profiles.length) return '<div class="settings-item-detail">None yet</div>';
+    return profiles.map(function(p) {
+      return '<div class="settings-item">' +
+        '<div class="settings-item-main"><strong>' + escapeHtml(p.name) + '</strong> ' +
+        '<span class="settings-item-detail">' + escapeHtml(p.description ? p.description + ' · ' : '') + escapeHtml(describe(p)) + '</span></div>' +
+        '<button data-edit="' + escapeHtml(p.id) + '">Edit</button>' +
+        '<button data-delete="' + escapeHtml(p.id) + '">Delete</button>' +
+        '</div>';
+    }).join('');
+  }
+
+  function pairsToText(obj) {
+    return Object.keys(obj || {}).map(function(k) { return k + '=' + obj[k]; }).join('\n');
+  }
+
+  function textToPairs(text) {
+    var out = {};
+    (text || '').split('\n').forEach(function(line) {
+      var idx = line.indexOf('=');
+      if (idx > 0) out[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    });
+    return out;
+  }
+
+  function renderForm() {
+    var p = editing.profile || { name: '', description: '', env: {}, secretVars: [], pathPrepend: [], httpProxy: '', httpsProxy: '', noProxy: '' };
+    return '<form class="settings-form" id="envProfileForm">' +
+      '<label for="envProfileName">Name</label><input id="envProfileName" name="name" required maxlength="64" value="' + escapeHtml(p.name) + '">' +
+      '<label for="envProfileDescription">Description</label><input id="envProfileDescription" name="description" value="' + escapeHtml(p.description || '') + '">' +
+      '<label for="envProfileEnv">Variables (KEY=value), e.g. ANTHROPIC_BASE_URL or OPENAI_BASE_URL for a local proxy</label>' +
+      '<textarea id="envProfileEnv" name="env">' + escapeHtml(pairsToText(p.env)) + '</textarea>' +
+      '<div class="settings-item-detail">Values of variables named like a key, token, secret or password, and of those listed below, are encrypted and shown masked; leave a masked value as it is to keep it.</div>' +
+      '<label for="envProfileSecretVars">Also secret (comma-separated)</label><input id="envProfileSecretVars" name="secretVars" value="' + escapeHtml((p.secretVars || []).join(', ')) + '">' +
+      '<label for="envProfilePath">Prepend to PATH (one directory per line)</label><textarea id="envProfilePath" name="pathPrepend">' + escapeHtml((p.pathPrepend || []).join('\n')) + '</textarea>' +
+      '<label for="envProfileHttpProxy">HTTP proxy</label><input id="envProfileHttpProxy" name="httpProxy" placeholder="http://proxy:8080" value="' + escapeHtml(p.httpProxy || '') + '">' +
+      '<label for="envProfileHttpsProxy">HTTPS proxy</label><input id="envProfileHttpsProxy" name="httpsProxy" placeholder="http://proxy:8080" value="' + escapeHtml(p.httpsProxy || '') + '">' +
+      '<label for="envProfileNoProxy">No proxy for</label><input id="envProfileNoProxy" name="noProxy" placeholder="localhost,127.0.0.1" value="' + escapeHtml(p.noProxy || '') + '">' +
+      '<div class="settings-error" id="envProfileFormError"></div>' +
+      '<div class="settings-form-actions"><button type="button" id="envProfileCancel">Cancel</button><button type="submit">Save</button></div>' +
+      '</form>';
+  }
+
+  function render() {
+    var html = '<div class="settings-item-detail">Applied to the agents, scripts and terminal of conversations started with the profile.</div>' +
+      '<div class="settings-section-title">Profiles</div>' + renderList() +
+      '<div><button class="tools-popup-refresh-btn" data-add>Add profile</button></div>';
+    if (editing) html += renderForm();
+    body.innerHTML = html;
+    bind();
+  }
+
+  function findProfile(id) {
+    return profiles.find(function(p) { return p.id === id; });
+  }
+
+  function bind() {
+    body.querySelector('[data-add]').addEventListener('click', function() { editing = { profile: null }; render(); });
+    body.querySelectorAll('[data-edit]').forEach(function(el) {
+      el.addEventListener('click', function() { editing = { profile: findProfile(el.dataset.edit) }; render(); });
+    });
+    body.querySelectorAll('[data-delete]').forEach(function(el) {
+      el.addEventListener('click', function() {
+        var profile = findProfile(el.dataset.delete);
+        var note = profile.conversations ? ' Its ' + profile.conversations + ' conversation(s) will use the server environment.' : '';
+        if (!confirm('Delete profile "' + profile.name + '"?' + note)) return;
+        window.wsClient.rpc('env.profile.del', { id: profile.id }).then(refresh).catch(function(err) { alert(err.message); });
+      });
+    });
+    var form = document.getElementById('envProfileForm');
+    if (!form) return;
+    document.getElementById('envProfileCancel').addEventListener('click', function() { editing = null; render(); });
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      var payload = {
+        name: form.elements.name.value.trim(),
+        description: form.elements.description.value.trim(),
+        env: textToPairs(form.elements.env.value),
+        secretVars: form.elements.secretVars.value.split(',').map(function(v) { return v.trim(); }).filter(Boolean),
+        pathPrepend: form.elements.pathPrepend.value.split('\n').map(function(d) { return d.trim(); }).filter(Boolean),
+        httpProxy: form.elements.httpProxy.value.trim(),
+        httpsProxy: form.elements.httpsProxy.value.trim(),
+        noProxy: form.elements.noProxy.value.trim()
+      };
+      if (editing.profile) payload.id = editing.profile.id;
+      window.wsClient.rpc('env.profile.save', payload)
+        .then(function() { editing = null; refresh(); })
+        .catch(function(err) { document.getElementById('envProfileFormError').textContent = err.message; });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.envProfiles = { refresh: refresh };
+})();
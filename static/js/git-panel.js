@@ -0,0 +1,241 @@
+(function() {
+  var btn = document.getElementById('gitPanelBtn');
+  var popup = document.getElementById('gitPanelPopup');
+  var body = document.getElementById('gitPanelPopupBody');
+  var currentConversationId = null;
+  var state = { status: null, branches: null, selected: null, message: '' };
+
+  function init() {
+    if (!btn || !popup || !body) return;
+    btn.addEventListener('click', togglePopup);
+    popup.addEventListener('click', function() { popup.classList.remove('open'); });
+
+    window.addEventListener('conversation-selected', function(e) {
+      currentConversationId = e.detail.conversationId;
+      btn.style.display = currentConversationId ? '' : 'none';
+      popup.classList.remove('open');
+      state = { status: null, branches: null, selected: null, message: '' };
+    });
+
+    window.addEventListener('ws-message', function(e) {
+      var data = e.detail;
+      if (!data || data.conversationId !== currentConversationId || !popup.classList.contains('open')) return;
+      if (data.type === 'git_status_changed') { state.status = data.status; render(); }
+      else if (data.type === 'streaming_complete') refresh();
+    });
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function rpc(method, params) {
+    params = params || {};
+    params.id = currentConversationId;
+    return window.wsClient.rpc(method, params);
+  }
+
+  function toast(msg, type) {
+    window.UIDialog.showToast(msg, type || 'success', type === 'error' ? 8000 : 4000);
+  }
+
+  function togglePopup(e) {
+    e.stopPropagation();
+    if (!popup.classList.contains('open')) refresh();
+    popup.classList.toggle('open');
+  }
+
+  function refresh() {
+    if (!currentConversationId) return;
+    Promise.all([rpc('conv.git.status'), rpc('conv.git.branches')])
+      .then(function(results) {
+        state.status = results[0];
+        state.branches = results[1];
+        render();
+      })
+      .catch(function(err) {
+        body.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+      });
+  }
+
+  function fileRow(f, staged) {
+    var letter = f.conflicted ? 'U' : f.untracked ? 'A' : (staged ? f.index : f.worktree);
+    var selected = state.selected && state.selected.path === f.path && state.selected.staged === staged;
+    return '<div class="diff-file-row git-file-row' + (selected ? ' selected' : '') + '" data-path="' + escapeHtml(f.path) + '" data-staged="' + (staged ? '1' : '') + '">' +
+      '<span class="diff-status diff-status-' + escapeHtml(letter) + '">' + escapeHtml(letter) + '</span>' +
+      '<span class="diff-file-name" title="' + escapeHtml(f.origPath ? f.origPath + ' → ' + f.path : f.path) + '">' + escapeHtml(f.path) + '</span>' +
+      '<button type="button" class="git-file-toggle" title="' + (staged ? 'Unstage' : 'Stage') + '">' + (staged ? '−' : '+') + '</button>' +
+      '</div>';
+  }
+
+  function section(title, files, staged) {
+    var action = staged ? 'unstage-all' : 'stage-all';
+    return '<div class="git-section">' +
+      '<div class="git-section-header"><span>' + title + ' (' + files.length + ')</span>' +
+      (files.length ? '<button type="button" class="git-link-btn" data-git="' + action + '">' + (staged ? 'Unstage all' : 'Stage all') + '</button>' : '') +
+      '</div>' +
+      '<div class="diff-file-list">' + (files.length ? files.map(function(f) { return fileRow(f, staged); }).join('') : '<div class="settings-item-detail git-empty">None</div>') + '</div>' +
+      '</div>';
+  }
+
+  function render() {
+    var s = state.status;
+    var b = state.branches;
+    if (!s || !b) return;
+    var staged = s.files.filter(function(f) { return f.staged; });
+    var unstaged = s.files.filter(function(f) { return f.unstaged; });
+    var tracking = s.upstream ? s.upstream + (s.ahead || s.behind ? ' · ↑' + s.ahead + ' ↓' + s.behind : ' · up to date') : 'no upstream';
+    var remotes = b.remotes.map(function(r) {
+      return '<option value="' + escapeHtml(r.name) + '" title="' + escapeHtml(r.url || '') + '">' + escapeHtml(r.name) + '</option>';
+    }).join('');
+
+    body.innerHTML =
+      '<div class="settings-item-detail" title="' + escapeHtml(s.root) + '">' + escapeHtml(s.root) + '</div>' +
+      '<div class="git-toolbar">' +
+        '<select data-git="branch">' +
+          (s.detached ? '<option value="" selected>(detached HEAD)</option>' : '') +
+          b.branches.map(function(br) {
+            return '<option value="' + escapeHtml(br.name) + '"' + (br.name === s.branch ? ' selected' : '') + '>' + escapeHtml(br.name) + '</option>';
+          }).join('') +
+        '</select>' +
+        '<button type="button" class="git-link-btn" data-git="new-branch">New branch</button>' +
+        '<span class="settings-item-detail">' + escapeHtml(tracking) + '</span>' +
+      '</div>' +
+      '<div class="git-columns">' +
+        '<div class="git-files">' + section('Staged', staged, true) + section('Changes', unstaged, false) + '</div>' +
+        '<div class="git-diff"></div>' +
+      '</div>' +
+      '<div class="settings-form git-commit-form">' +
+        '<label for="gitCommitMessage">Message</label>' +
+        '<textarea id="gitCommitMessage" data-git="message" rows="3" placeholder="Commit message"></textarea>' +
+        '<div class="settings-form-actions">' +
+          '<button type="button" data-git="draft" title="Ask the conversation\'s agent to draft a message from the diff">Draft with agent</button>' +
+          '<button type="button" data-git="commit"' + (staged.length ? '' : ' disabled') + '>Commit ' + staged.length + ' file' + (staged.length === 1 ? '' : 's') + '</button>' +
+        '</div>' +
+        (remotes
+          ? '<label for="gitPushRemote">Remote</label><select id="gitPushRemote" data-git="remote">' + remotes + '</select>' +
+            '<div class="settings-form-actions"><button type="button" data-git="push"' + (s.branch ? '' : ' disabled') + '>Push ' + escapeHtml(s.branch || '') + '</button></div>'
+          : '') +
+      '</div>';
+
+    var message = body.querySelector('[data-git="message"]');
+    message.value = state.message;
+    message.addEventListener('input', function() { state.message = message.value; });
+    var remote = body.querySelector('[data-git="remote"]');
+    if (remote && s.upstream) {
+      var upstreamRemote = s.upstream.split('/')[0];
+      if (b.remotes.some(function(r) { return r.name === upstreamRemote; })) remote.value = upstreamRemote;
+    }
+    bind(staged, unstaged);
+    if (state.selected) showDiff(state.selected.path, state.selected.staged);
+  }
+
+  function bind(staged, unstaged) {
+    body.querySelectorAll('.git-file-row').forEach(function(row) {
+      var path = row.dataset.path;
+      var isStaged = row.dataset.staged === '1';
+      row.querySelector('.git-file-toggle').addEventListener('click', function(e) {
+        e.stopPropagation();
+        run(isStaged ? 'conv.git.unstage' : 'conv.git.stage', { paths: [path] });
+      });
+      row.addEventListener('click', function() {
+        state.selected = { path: path, staged: isStaged };
+        body.querySelectorAll('.git-file-row.selected').forEach(function(r) { r.classList.remove('selected'); });
+        row.classList.add('selected');
+        showDiff(path, isStaged);
+      });
+    });
+    on('stage-all', function() { run('conv.git.stage', { paths: unstaged.map(function(f) { return f.path; }) }); });
+    on('unstage-all', function() { run('conv.git.unstage', { paths: staged.map(function(f) { return f.path; }) }); });
+    on('new-branch', newBranch);
+    on('draft', draftMessage);
+    on('commit', commit);
+    on('push', push);
+    var branch = body.querySelector('[data-git="branch"]');
+    branch.addEventListener('change', function() {
+      if (!branch.value) return;
+      rpc('conv.git.switch', { branch: branch.value })
+        .then(function(result) { state.branches = result; toast('Switched to ' + result.current); refresh(); })
+        .catch(function(err) { toast(err.message, 'error'); render(); });
+    });
+  }
+
+  function on(name, fn) {
+    var el = body.querySelector('[data-git="' + name + '"]');
+    if (el) el.addEventListener('click', fn);
+  }
+
+  function run(method, params) {
+    return rpc(method, params)
+      .then(function(status) { state.status = status; render(); })
+      .catch(function(err) { toast(err.message, 'error'); });
+  }
+
+  function showDiff(path, staged) {
+    var target = body.querySelector('.git-diff');
+    if (!target) return;
+    rpc('conv.git.diff', { path: path, staged: staged })
+      .then(function(diff) { window.DiffView.render(target, diff); })
+      .catch(function(err) { target.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>'; });
+  }
+
+  function newBranch() {
+    window.UIDialog.prompt('Name of the new branch (created from the current commit and checked out)', '', 'New branch')
+      .then(function(name) {
+        if (!name || !name.trim()) return;
+        return rpc('conv.git.branch', { name: name.trim() })
+          .then(function(result) { toast('Created and switched to ' + result.current); refresh(); });
+      })
+      .catch(function(err) { toast(err.message, 'error'); });
+  }
+
+  function draftMessage(e) {
+    var button = e.target;
+    button.disabled = true;
+    button.textContent = 'Drafting...';
+    rpc('conv.git.draft-message')
+      .then(function(result) {
+        state.message = result.message;
+        var message = body.querySelector('[data-git="message"]');
+        if (message) message.value = result.message;
+      })
+      .catch(function(err) { toast(err.message, 'error'); })
+      .then(function() {
+        button.disabled = false;
+        button.textContent = 'Draft with agent';
+      });
+  }
+
+  function commit(e) {
+    var message = state.message.trim();
+    if (!message) { toast('Enter a commit message first', 'error'); return; }
+    e.target.disabled = true;
+    rpc('conv.git.commit', { message: message })
+      .then(function(result) {
+        state.message = '';
+        state.selected = null;
+        toast('Committed ' + result.commit.slice(0, 8) + ': ' + result.summary);
+        refresh();
+      })
+      .catch(function(err) { e.target.disabled = false; toast(err.message, 'error'); });
+  }
+
+  function push(e) {
+    var remote = body.querySelector('[data-git="remote"]').value;
+    e.target.disabled = true;
+    e.target.textContent = 'Pushing...';
+    rpc('conv.git.push', { remote: remote })
+      .then(function(result) {
+        toast('Pushed ' + result.branch + ' to ' + result.remote);
+        state.status = result.status;
+        render();
+      })
+      .catch(function(err) { toast(err.message, 'error'); render(); });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.gitPanel = { refresh: refresh };
+})();
@@ -0,0 +1,182 @@
+(function() {
+  var btn = document.getElementById('mcpServersBtn');
+  var popup = document.getElementById('mcpPopup');
+  var body = document.getElementById('mcpPopupBody');
+  var state = { global: [], conversation: [] };
+  var editing = null;
+  var currentConversationId = null;
+
+  function init() {
+    if (!btn || !popup || !body) return;
+    btn.addEventListener('click', togglePopup);
+    popup.addEventListener('click', closePopup);
+    window.addEventListener('conversation-selected', function(e) {
+      currentConversationId = e.detail.conversationId;
+      if (popup.classList.contains('open')) refresh();
+    });
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function togglePopup(e) {
+    e.stopPropagation();
+    if (!popup.classList.contains('open')) {
+      editing = null;
+      refresh();
+    }
+    popup.classList.toggle('open');
+  }
+
+  function closePopup() {
+    popup.classList.remove('open');
+  }
+
+  function refresh() {
+    window.wsClient.rpc('mcp.ls', { conversationId: currentConversationId })
+      .then(function(data) {
+        state.global = data.global || [];
+        state.conversation = data.conversation || [];
+        render();
+      })
+      .catch(function(err) {
+        body.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+      });
+  }
+
+  function describe(server) {
+    if (server.transport === 'stdio') return [server.command].concat(server.args || []).join(' ');
+    return server.transport + ' ' + server.url;
+  }
+
+  function renderList(servers) {
+    if (!servers.length) return '<div class="settings-item-detail">None configured</div>';
+    return servers.map(function(s) {
+      return '<div class="settings-item">' +
+        '<input type="checkbox" data-toggle="' + escapeHtml(s.id) + '"' + (s.enabled ? ' checked' : '') + ' title="Enabled">' +
+        '<div class="settings-item-main"><strong>' + escapeHtml(s.name) + '</strong> ' +
+        '<span class="settings-item-detail">' + escapeHtml(describe(s)) + '</span></div>' +
+        '<button data-edit="' + escapeHtml(s.id) + '">Edit</button>' +
+        '<button data-delete="' + escapeHtml(s.id) + '">Delete</button>' +
+        '</div>';
+    }).join('');
+  }
+
+  function pairsToText(obj) {
+    return Object.keys(obj || {}).map(function(k) { return k + '=' + obj[k]; }).join('\n');
+  }
+
+  function textToPairs(text) {
+    var out = {};
+    (text || '').split('\n').forEach(function(line) {
+      var idx = line.indexOf('=');
+      if (idx > 0) out[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+    });
+    return out;
+  }
+
+  function renderForm() {
+    var s = editing.server || { name: '', transport: 'stdio', command: '', args: [], env: {}, url: '', headers: {} };
+    var scopeLabel = editing.conversationId ? 'This conversation' : 'Global';
+    return '<form class="settings-form" id="mcpForm">' +
+      '<label>Scope</label><span>' + scopeLabel + '</span>' +
+      '<label for="mcpName">Name</label><input id="mcpName" name="name" value="' + escapeHtml(s.name) + '" required>' +
+      '<label for="mcpTransport">Transport</label><select id="mcpTransport" name="transport">' +
+        ['stdio', 'http', 'sse'].map(function(t) { return '<option' + (s.transport === t ? ' selected' : '') + '>' + t + '</option>'; }).join('') +
+      '</select>' +
+      '<label for="mcpCommand" data-stdio>Command</label><input id="mcpCommand" name="command" data-stdio value="' + escapeHtml(s.command || '') + '">' +
+      '<label for="mcpArgs" data-stdio>Args (one per line)</label><textarea id="mcpArgs" name="args" data-stdio>' + escapeHtml((s.args || []).join('\n')) + '</textarea>' +
+      '<label for="mcpEnv" data-stdio>Env (KEY=value)</label><textarea id="mcpEnv" name="env" data-stdio>' + escapeHtml(pairsToText(s.env)) + '</textarea>' +
+      '<label for="mcpUrl" data-remote>URL</label><input id="mcpUrl" name="url" data-remote value="' + escapeHtml(s.url || '') + '">' +
+      '<label for="mcpHeaders" data-remote>Headers (Name=value)</label><textarea id="mcpHeaders" name="headers" data-remote>' + escapeHtml(pairsToText(s.headers)) + '</textarea>' +
+      '<div class="settings-error" id="mcpFormError"></div>' +
+      '<div class="settings-form-actions"><button type="button" id="mcpCancel">Cancel</button><button type="submit">Save</button></div>' +
+      '</form>';
+  }
+
+  function render() {
+    var html = '<div class="settings-section-title">Global</div>' + renderList(state.global) +
+      '<div><button class="tools-popup-refresh-btn" data-add="global">Add global server</button></div>';
+    if (currentConversationId) {
+      html += '<div class="settings-section-title">This conversation</div>' + renderList(state.conversation) +
+        '<div><button class="tools-popup-refresh-btn" data-add="conversation">Add conversation server</button></div>';
+    }
+    if (editing) html += renderForm();
+    body.innerHTML = html;
+    bind();
+  }
+
+  function findServer(id) {
+    return state.global.concat(state.conversation).find(function(s) { return s.id === id; });
+  }
+
+  function syncTransportFields() {
+    var form = document.getElementById('mcpForm');
+    if (!form) return;
+    var isStdio = form.elements.transport.value === 'stdio';
+    form.querySelectorAll('[data-stdio]').forEach(function(el) { el.style.display = isStdio ? '' : 'none'; });
+    form.querySelectorAll('[data-remote]').forEach(function(el) { el.style.display = isStdio ? 'none' : ''; });
+  }
+
+  function bind() {
+    body.querySelectorAll('[data-add]').forEach(function(el) {
+      el.addEventListener('click', function() {
+        editing = { server: null, conversationId: el.dataset.add === 'conversation' ? currentConversationId : null };
+        render();
+      });
+    });
+    body.querySelectorAll('[data-edit]').forEach(function(el) {
+      el.addEventListener('click', function() {
+        var server = findServer(el.dataset.edit);
+        editing = { server: server, conversationId: server.conversationId };
+        render();
+      });
+    });
+    body.querySelectorAll('[data-delete]').forEach(function(el) {
+      el.addEventListener('click', function() {
+        var server = findServer(el.dataset.delete);
+        if (!confirm('Delete MCP server "' + server.name + '"?')) return;
+        window.wsClient.rpc('mcp.del', { id: server.id }).then(refresh).catch(function(err) { alert(err.message); });
+      });
+    });
+    body.querySelectorAll('[data-toggle]').forEach(function(el) {
+      el.addEventListener('change', function() {
+        var server = Object.assign({}, findServer(el.dataset.toggle), { enabled: el.checked });
+        window.wsClient.rpc('mcp.save', server).then(refresh).catch(function(err) { alert(err.message); });
+      });
+    });
+    var form = document.getElementById('mcpForm');
+    if (!form) return;
+    form.elements.transport.addEventListener('change', syncTransportFields);
+    syncTransportFields();
+    document.getElementById('mcpCancel').addEventListener('click', function() { editing = null; render(); });
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      var payload = {
+        id: editing.server ? editing.server.id : undefined,
+        conversationId: editing.conversationId,
+        name: form.elements.name.value.trim(),
+        transport: form.elements.transport.value,
+        enabled: editing.server ? editing.server.enabled : true
+      };
+      if (payload.transport === 'stdio') {
+        payload.command = form.elements.command.value.trim();
+        payload.args = form.elements.args.value.split('\n').map(function(a) { return a.trim(); }).filter(Boolean);
+        payload.env = textToPairs(form.elements.env.value);
+      } else {
+        payload.url = form.elements.url.value.trim();
+        payload.headers = textToPairs(form.elements.headers.value);
+      }
+      window.wsClient.rpc('mcp.save', payload)
+        .then(function() { editing = null; refresh(); })
+        .catch(function(err) { document.getElementById('mcpFormError').textContent = err.message; });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.mcpSettings = { refresh: refresh };
+})();
@@ -0,0 +1,115 @@
+(function() {
+  var actions = [];
+  var currentConversationId = null;
+
+  var escapeHtml = window._escHtml;
+
+  /**
+   * Add a button to the hover bar of messages. action: { id, label, title,
+   * roles, run(id, conversationId, messageEl) }. Roles are 'user' and
+   * 'assistant' for stored messages, whose id is passed, and 'turn' for an
+   * assistant turn rendered from a session's chunks, whose session id is.
+   */
+  function register(action) {
+    actions.push(action);
+  }
+
+  function target(el) {
+    var id = el.getAttribute('data-msg-id');
+    if (id) return id.indexOf('msg-') === 0 ? { id: id, role: el.classList.contains('message-user') ? 'user' : 'assistant' } : null;
+    var m = /^(?:message|streaming)-(.+)$/.exec(el.id || '');
+    // A turn still streaming gets its bar on the first hover after it ends
+    if (!m || !el.classList.contains('message-assistant') || el.classList.contains('streaming-message')) return null;
+    return { id: m[1], role: 'turn' };
+  }
+
+  // Messages are rendered from several places, so the bar is added on first hover
+  function decorate(el) {
+    if (el.querySelector(':scope > .message-actions')) return;
+    var t = target(el);
+    if (!t) return;
+    var id = t.id;
+    var mine = actions.filter(function(a) { return a.roles.indexOf(t.role) !== -1; });
+    if (!mine.length) return;
+    var bar = document.createElement('div');
+    bar.className = 'message-actions';
+    bar.innerHTML = mine.map(function(a) {
+      return '<button type="button" class="message-action-btn" data-action="' + escapeHtml(a.id) + '" title="' + escapeHtml(a.title) + '">' + escapeHtml(a.label) + '</button>';
+    }).join('');
+    bar.addEventListener('click', function(e) {
+      var btn = e.target.closest('.message-action-btn');
+      if (!btn || !currentConversationId) return;
+      e.stopPropagation();
+      var action = mine.find(function(a) { return a.id === btn.dataset.action; });
+      if (action) action.run(id, currentConversationId, el);
+    });
+    el.appendChild(bar);
+  }
+
+  function formatChanges(changes) {
+    var verbs = { M: 'revert', A: 'restore', D: 'delete' };
+    var lines = changes.slice(0, 25).map(function(c) { return '  ' + (verbs[c.status] || c.status) + '  ' + c.path; });
+    if (changes.length > 25) lines.push('  … and ' + (changes.length - 25) + ' more');
+    return lines.join('\n');
+  }
+
+  function restoreBeforeTurn(messageId, conversationId) {
+    window.wsClient.rpc('msg.checkpoint', { id: conversationId, messageId: messageId })
+      .then(function(cp) {
+        if (!cp.changes.length) {
+          window.UIDialog.showToast('Files already match the state before this turn', 'info', 4000);
+          return null;
+        }
+        var message = cp.changes.length + ' file' + (cp.changes.length === 1 ? '' : 's') + ' in ' + cp.root +
+          ' will be put back as they were before this turn. Changes made since, by the agent or anyone else, are discarded.\n\n' + formatChanges(cp.changes);
+        return window.UIDialog.confirm(message, 'Restore files');
+      })
+      .then(function(ok) {
+        if (!ok) return null;
+        return window.wsClient.rpc('msg.restore', { id: conversationId, messageId: messageId });
+      })
+      .then(function(result) {
+        if (result) window.UIDialog.showToast('Restored ' + result.restored.length + ' file' + (result.restored.length === 1 ? '' : 's'), 'success', 4000);
+      })
+      .catch(function(err) {
+        window.UIDialog.showToast(err.message, 'error', 6000);
+      });
+  }
+
+  // A fork at a user message ends just before it, with the message left as a
+  // draft to edit; a fork at an assistant turn includes that turn
+  function forkFrom(param) {
+    return function(id, conversationId) {
+      var params = { id: conversationId };
+      params[param] = id;
+      window.wsClient.rpc('conv.fork', params)
+        .then(function(result) {
+          var conv = result.conversation;
+          if (result.draft) localStorage.setItem('draft-' + conv.id, result.draft);
+          var manager = window.conversationManager;
+          return Promise.resolve(manager && manager.loadConversations()).then(function() {
+            if (manager) manager.select(conv.id);
+            window.UIDialog.showToast('Forked into "' + conv.title + '"', 'success', 4000);
+          });
+        })
+        .catch(function(err) {
+          window.UIDialog.showToast(err.message, 'error', 6000);
+        });
+    };
+  }
+
+  register({ id: 'restore', label: '⟲ Restore', title: 'Restore files to before this turn', roles: ['user'], run: restoreBeforeTurn });
+  register({ id: 'fork-message', label: '⑂ Fork', title: 'New conversation from the history before this message, with the message as an editable draft', roles: ['user'], run: forkFrom('messageId') });
+  register({ id: 'fork-turn', label: '⑂ Fork', title: 'New conversation from the history up to the end of this turn', roles: ['turn'], run: forkFrom('sessionId') });
+
+  document.addEventListener('mouseover', function(e) {
+    var el = e.target.closest && e.target.closest('.message');
+    if (el) decorate(el);
+  });
+
+  window.addEventListener('conversation-selected', function(e) {
+    currentConversationId = e.detail.conversationId;
+  });
+
+  window.messageActions = { register: register };
+})();
@@ -1,8 +1,16 @@
 (function() {
+  var MAX_LOG_CHARS = 256 * 1024;
+  var SOURCE_TITLES = { npm: 'package.json', make: 'Makefile', just: 'justfile' };
+  var NOTIFY_PREF_KEY = 'scriptNotifyOnFailure';
+  var ATTACH_TITLE = 'Send the last lines of output to the agent (Shift: as a queued message)';
+
   let currentConversationId = null;
-  let currentWorkingDirectory = null;
-  let scriptState = { running: false, script: null, hasStart: false, hasDev: false };
-  let hasTerminalContent = false;
+  let scripts = [];
+  // scriptId -> { id, name, label, status, exitCode, signal, notifyOnFailure, log, logLoaded }
+  let processes = new Map();
+  let selectedTab = 'shell';
+  let logTerm = null;
+  let logFit = null;
 
   function init() {
     setupListeners();
@@ -12,139 +20,328 @@
   function setupListeners() {
     window.addEventListener('conversation-selected', function(e) {
       currentConversationId = e.detail.conversationId;
-      hasTerminalContent = false;
-      // Do not hide terminal tab; it should always be visible
-      fetchConversationAndCheckScripts();
+      scripts = [];
+      processes = new Map();
+      selectTab('shell');
+      showTerminalTab();
+      checkScripts();
     });
 
     window.addEventListener('ws-message', function(e) {
       const data = e.detail;
-      if (!data || !currentConversationId) return;
+      if (!data || !currentConversationId || !data.scriptId) return;
       if (data.conversationId !== currentConversationId) return;
 
-      const term = getTerminal();
-
       if (data.type === 'script_started') {
-        scriptState.running = true;
-        scriptState.script = data.script;
-        hasTerminalContent = false;
-        if (term) term.clear();
+        var prev = processes.get(data.scriptId);
+        var proc = { id: data.scriptId, name: data.script, label: data.label || data.script, status: 'running', exitCode: null, signal: null, notifyOnFailure: prev ? prev.notifyOnFailure : notifyPref(), log: '', logLoaded: true };
+        processes.set(data.scriptId, proc);
+        if (selectedTab === data.scriptId) renderLog();
+        renderTabs();
         updateButtons();
         showTerminalTab();
       } else if (data.type === 'script_stopped') {
-        scriptState.running = false;
-        const msg = data.error ? data.error : ('exited with code ' + (data.code || 0));
-        if (term) term.writeln('\r\n\x1b[90m[process ' + msg + ']\x1b[0m');
+        var stopped = processes.get(data.scriptId);
+        if (!stopped) return;
+        stopped.status = data.status || (data.code ? 'failed' : 'exited');
+        stopped.exitCode = data.code;
+        stopped.signal = data.signal || null;
+        appendLog(stopped, '\r\n\x1b[90m[process ' + describeExit(stopped, data.error) + ']\x1b[0m\r\n');
+        renderTabs();
         updateButtons();
       } else if (data.type === 'script_output') {
-        hasTerminalContent = true;
-        showTerminalTab();
-        if (term) term.write(data.data);
+        var running = processes.get(data.scriptId);
+        if (!running) return;
+        appendLog(running, data.data);
       }
     });
 
-    window.addEventListener('resize', debounce(fitTerminal, 200));
+    window.addEventListener('resize', debounce(fitTerminals, 200));
+    document.addEventListener('click', function() { closeMenu(); });
   }
 
   function setupButtons() {
-    var startBtn = document.getElementById('scriptStartBtn');
-    var devBtn = document.getElementById('scriptDevBtn');
+    var runBtn = document.getElementById('scriptRunBtn');
     var stopBtn = document.getElementById('scriptStopBtn');
+    var menu = document.getElementById('scriptMenu');
 
-    if (startBtn) startBtn.addEventListener('click', function() { runScript('start'); });
-    if (devBtn) devBtn.addEventListener('click', function() { runScript('dev'); });
-    if (stopBtn) stopBtn.addEventListener('click', function() { stopScript(); });
+    if (runBtn) runBtn.addEventListener('click', function(e) {
+      e.stopPropagation();
+      if (menu && menu.classList.contains('open')) closeMenu(); else openMenu();
+    });
+    if (menu) menu.addEventListener('click', function(e) {
+      e.stopPropagation();
+      var item = e.target.closest('[data-script-id]');
+      if (!item) return;
+      closeMenu();
+      runScript(item.dataset.scriptId);
+    });
+    if (stopBtn) stopBtn.addEventListener('click', function() { stopScript(null); });
+
+    var tabs = document.getElementById('scriptTabs');
+    if (tabs) tabs.addEventListener('click', function(e) {
+      var action = e.target.closest('[data-action]');
+      var tab = e.target.closest('[data-tab]');
+      if (!tab) return;
+      if (action) {
+        e.stopPropagation();
+        if (action.dataset.action === 'restart') restartScript(tab.dataset.tab);
+        else if (action.dataset.action === 'stop') stopScript(tab.dataset.tab);
+        else if (action.dataset.action === 'dismiss') dismissScript(tab.dataset.tab);
+        else if (action.dataset.action === 'attach') attachOutput(tab.dataset.tab, e.shiftKey ? 'message' : 'inject');
+        else if (action.dataset.action === 'notify') toggleNotify(tab.dataset.tab);
+        return;
+      }
+      selectTab(tab.dataset.tab);
+    });
   }
 
-  function fetchConversationAndCheckScripts() {
-    if (!currentConversationId) return;
-    window.wsClient.rpc('conv.get', { id: currentConversationId })
-      .then(function(data) {
-        currentWorkingDirectory = data.conversation?.workingDirectory || null;
-        // Always show the terminal tab, even without a working directory
-        showTerminalTab();
-        checkScripts();
-      })
-      .catch(function() {
-        // Still show terminal tab on error
-        showTerminalTab();
-        checkScripts();
-      });
+  var escapeHtml = window._escHtml;
+
+  function describeExit(proc, error) {
+    if (error) return error;
+    if (proc.status === 'stopped') return 'stopped';
+    if (proc.signal) return 'killed by ' + proc.signal;
+    return 'exited with code ' + (proc.exitCode == null ? '?' : proc.exitCode);
+  }
+
+  function appendLog(proc, text) {
+    proc.log = (proc.log + text).slice(-MAX_LOG_CHARS);
+    if (selectedTab === proc.id && logTerm) logTerm.write(text);
   }
 
   function checkScripts() {
     if (!currentConversationId) return;
-    window.wsClient.rpc('conv.scripts', { id: currentConversationId })
+    var convId = currentConversationId;
+    window.wsClient.rpc('conv.scripts', { id: convId })
       .then(function(data) {
-        scriptState.hasStart = data.hasStart;
-        scriptState.hasDev = data.hasDev;
-        scriptState.running = data.running;
-        scriptState.script = data.runningScript;
+        if (convId !== currentConversationId) return;
+        scripts = data.scripts || [];
+        (data.processes || []).forEach(function(p) {
+          if (processes.has(p.id)) return;
+          processes.set(p.id, { id: p.id, name: p.name, label: p.label, status: p.status, exitCode: p.exitCode, signal: p.signal, notifyOnFailure: p.notifyOnFailure, log: '', logLoaded: false });
+        });
+        renderTabs();
         updateButtons();
-        if (data.running || hasTerminalContent) showTerminalTab();
       })
       .catch(function() {
-        scriptState.hasStart = false;
-        scriptState.hasDev = false;
+        scripts = [];
         updateButtons();
       });
   }
 
   function updateButtons() {
     var container = document.getElementById('scriptButtons');
-    var startBtn = document.getElementById('scriptStartBtn');
-    var devBtn = document.getElementById('scriptDevBtn');
     var stopBtn = document.getElementById('scriptStopBtn');
+    var anyRunning = Array.from(processes.values()).some(function(p) { return p.status === 'running'; });
+    if (container) container.style.display = scripts.length || processes.size ? 'flex' : 'none';
+    if (stopBtn) stopBtn.style.display = anyRunning ? 'flex' : 'none';
+  }
 
-    var showAny = scriptState.hasStart || scriptState.hasDev || scriptState.running;
-    if (container) container.style.display = showAny ? 'flex' : 'none';
-
-    if (scriptState.running) {
-      if (startBtn) startBtn.style.display = 'none';
-      if (devBtn) devBtn.style.display = 'none';
-      if (stopBtn) stopBtn.style.display = 'flex';
-    } else {
-      if (startBtn) startBtn.style.display = scriptState.hasStart ? 'flex' : 'none';
-      if (devBtn) devBtn.style.display = scriptState.hasDev ? 'flex' : 'none';
-      if (stopBtn) stopBtn.style.display = 'none';
-    }
+  function openMenu() {
+    var menu = document.getElementById('scriptMenu');
+    if (!menu) return;
+    checkScripts();
+    var html = '';
+    ['npm', 'make', 'just'].forEach(function(source) {
+      var group = scripts.filter(function(s) { return s.source === source; });
+      if (!group.length) return;
+      html += '<div class="agent-auth-section-header">' + SOURCE_TITLES[source] + '</div>';
+      html += group.map(function(s) {
+        var proc = processes.get(s.id);
+        var running = proc && proc.status === 'running';
+        return '<button class="agent-auth-item script-menu-item" data-script-id="' + escapeHtml(s.id) + '"' + (running ? ' disabled' : '') + ' title="' + escapeHtml(s.detail || s.label) + '">' +
+          '<span class="script-status-dot ' + (proc ? proc.status : 'idle') + '"></span>' +
+          '<span class="script-menu-label">' + escapeHtml(s.label) + '</span>' +
+          (s.detail ? '<span class="script-menu-detail">' + escapeHtml(s.detail) + '</span>' : '') +
+          '</button>';
+      }).join('');
+    });
+    menu.innerHTML = html || '<div class="agent-auth-section-header">No scripts found</div>';
+    menu.classList.add('open');
+  }
+
+  function closeMenu() {
+    var menu = document.getElementById('scriptMenu');
+    if (menu) menu.classList.remove('open');
+  }
+
+  function rpcError(action) {
+    return function(err) {
+      if (window.UIDialog) window.UIDialog.showToast('Failed to ' + action + ': ' + err.message, 'error');
+      else console.error('Failed to ' + action + ':', err);
+    };
   }
 
-  function runScript(script) {
-    if (!currentConversationId || scriptState.running) return;
-    window.wsClient.rpc('conv.run-script', { id: currentConversationId, script: script })
+  function runScript(scriptId) {
+    if (!currentConversationId) return;
+    window.wsClient.rpc('conv.run-script', { id: currentConversationId, script: scriptId, notifyOnFailure: notifyPref() })
       .then(function(data) {
-        if (data.ok) {
-          scriptState.running = true;
-          scriptState.script = script;
-          hasTerminalContent = false;
-          updateButtons();
-          showTerminalTab();
-          switchToTerminalView();
-          var term = getTerminal();
-          if (term) {
-            term.clear();
-            term.writeln('\x1b[36m[running npm run ' + script + ']\x1b[0m\r\n');
-          }
-        }
+        if (!data.ok) return;
+        showTerminalTab();
+        switchToTerminalView();
+        selectTab(data.process.id);
       })
-      .catch(function(err) { console.error('Failed to start script:', err); });
+      .catch(rpcError('start script'));
   }
 
-  function stopScript() {
+  function stopScript(scriptId) {
     if (!currentConversationId) return;
-    window.wsClient.rpc('conv.stop-script', { id: currentConversationId })
-      .catch(function(err) { console.error('Failed to stop script:', err); });
+    var params = { id: currentConversationId };
+    if (scriptId) params.scriptId = scriptId;
+    window.wsClient.rpc('conv.stop-script', params).catch(rpcError('stop script'));
   }
 
-  function showTerminalTab() {
-    var btn = document.getElementById('terminalTabBtn');
-    if (btn) btn.style.display = '';
+  function restartScript(scriptId) {
+    if (!currentConversationId) return;
+    window.wsClient.rpc('conv.restart-script', { id: currentConversationId, scriptId: scriptId })
+      .then(function() { selectTab(scriptId); })
+      .catch(rpcError('restart script'));
+  }
+
+  function dismissScript(scriptId) {
+    if (!currentConversationId) return;
+    window.wsClient.rpc('conv.dismiss-script', { id: currentConversationId, scriptId: scriptId })
+      .then(function() {
+        processes.delete(scriptId);
+        if (selectedTab === scriptId) selectTab('shell');
+        renderTabs();
+        updateButtons();
+      })
+      .catch(rpcError('dismiss script'));
+  }
+
+  function notifyPref() {
+    try { return localStorage.getItem(NOTIFY_PREF_KEY) === '1'; } catch (_) { return false; }
+  }
+
+  function toggleNotify(scriptId) {
+    var proc = processes.get(scriptId);
+    if (!proc || !currentConversationId) return;
+    var enabled = !proc.notifyOnFailure;
+    window.wsClient.rpc('conv.script-notify', { id: currentConversationId, scriptId: scriptId, enabled: enabled })
+      .then(function() {
+        proc.notifyOnFailure = enabled;
+        // New runs follow the last choice
+        try { localStorage.setItem(NOTIFY_PREF_KEY, enabled ? '1' : '0'); } catch (_) {}
+        renderTabs();
+      })
+      .catch(rpcError('change notification'));
+  }
+
+  // Visible text of the shell terminal, including scrollback
+  function shellText() {
+    var term = getTerminal();
+    if (!term || !term.buffer) return '';
+    var buf = term.buffer.active;
+    var lines = [];
+    for (var i = 0; i < buf.length; i++) {
+      var line = buf.getLine(i);
+      if (line) lines.push(line.translateToString(true));
+    }
+    return lines.join('\n');
+  }
+
+  function attachOutput(tab, mode) {
+    if (!currentConversationId) return;
+    var convId = currentConversationId;
+    window.UIDialog.prompt('Number of lines to send:', '100', mode === 'message' ? 'Send output as a message' : 'Attach output to agent')
+      .then(function(value) {
+        var lines = parseInt(value, 10);
+        if (!value || !(lines > 0)) return;
+        var params = { id: convId, lines: lines, mode: mode };
+        if (tab === 'shell') {
+          params.output = shellText();
+          params.label = 'Terminal output';
+        } else {
+          params.scriptId = tab;
+        }
+        return window.wsClient.rpc('conv.attach-output', params).then(function(data) {
+          if (window.UIDialog) window.UIDialog.showToast(data.queued ? 'Output queued for the agent' : 'Output sent to the agent', 'success', 3000);
+        });
+      })
+      .catch(rpcError('attach output'));
+  }
+
+  function renderTabs() {
+    var tabs = document.getElementById('scriptTabs');
+    if (!tabs) return;
+    var html = '<div class="script-tab' + (selectedTab === 'shell' ? ' active' : '') + '" data-tab="shell">' +
+      '<span class="script-tab-label">Shell</span>' +
+      '<button class="script-tab-action" data-action="attach" title="' + ATTACH_TITLE + '">&#x2197;</button>' +
+      '</div>';
+    processes.forEach(function(p) {
+      var running = p.status === 'running';
+      var exit = running ? '' : '<span class="script-tab-exit">' + escapeHtml(p.status === 'stopped' ? 'stopped' : p.signal || p.exitCode) + '</span>';
+      html += '<div class="script-tab' + (selectedTab === p.id ? ' active' : '') + '" data-tab="' + escapeHtml(p.id) + '" title="' + escapeHtml(p.label) + '">' +
+        '<span class="script-status-dot ' + p.status + '"></span>' +
+        '<span class="script-tab-label">' + escapeHtml(p.label) + '</span>' + exit +
+        '<button class="script-tab-action" data-action="attach" title="' + ATTACH_TITLE + '">&#x2197;</button>' +
+        '<button class="script-tab-action' + (p.notifyOnFailure ? ' on' : '') + '" data-action="notify" title="' + (p.notifyOnFailure ? 'Agent is told when this script fails' : 'Tell the agent when this script fails') + '">&#x1f514;</button>' +
+        '<button class="script-tab-action" data-action="restart" title="Restart">&#x21bb;</button>' +
+        (running
+          ? '<button class="script-tab-action" data-action="stop" title="Stop">&#x25a0;</button>'
+          : '<button class="script-tab-action" data-action="dismiss" title="Close">&times;</button>') +
+        '</div>';
+    });
+    tabs.innerHTML = html;
+    tabs.style.display = 'flex';
+  }
+
+  function selectTab(tab) {
+    if (tab !== 'shell' && !processes.has(tab)) tab = 'shell';
+    selectedTab = tab;
+    var shellOutput = document.getElementById('terminalOutput');
+    var logOutput = document.getElementById('scriptLogOutput');
+    if (shellOutput) shellOutput.style.display = tab === 'shell' ? '' : 'none';
+    if (logOutput) logOutput.style.display = tab === 'shell' ? 'none' : '';
+    renderTabs();
+    if (tab === 'shell') {
+      setTimeout(fitTerminals, 50);
+      return;
+    }
+    var proc = processes.get(tab);
+    if (proc.logLoaded) { renderLog(); return; }
+    window.wsClient.rpc('conv.script-log', { id: currentConversationId, scriptId: tab })
+      .then(function(data) {
+        // Output that arrived while loading is already part of the server log
+        proc.log = data.log || '';
+        proc.logLoaded = true;
+        if (selectedTab === tab) renderLog();
+      })
+      .catch(function() { proc.logLoaded = true; renderLog(); });
   }
 
-  function hideTerminalTab() {
+  function ensureLogTerm() {
+    if (logTerm) return true;
+    var output = document.getElementById('scriptLogOutput');
+    if (!output || !window.Terminal || !window.FitAddon) return false;
+    logTerm = new Terminal({
+      disableStdin: true,
+      cursorBlink: false,
+      fontSize: 14,
+      fontFamily: 'Menlo, Monaco, "Courier New", monospace',
+      theme: { background: '#0d1117', foreground: '#e6edf3', cursor: '#0d1117', selectionBackground: '#3b4455' },
+      convertEol: true,
+      scrollback: 10000
+    });
+    logFit = new FitAddon.FitAddon();
+    logTerm.loadAddon(logFit);
+    logTerm.open(output);
+    return true;
+  }
+
+  function renderLog() {
+    var proc = processes.get(selectedTab);
+    if (!proc || !ensureLogTerm()) return;
+    logTerm.reset();
+    logTerm.write(proc.log);
+    setTimeout(fitTerminals, 50);
+  }
+
+  function showTerminalTab() {
     var btn = document.getElementById('terminalTabBtn');
-    if (btn) btn.style.display = 'none';
+    if (btn) btn.style.display = '';
   }
 
   function switchToTerminalView() {
@@ -161,10 +358,9 @@
     return null;
   }
 
-  function fitTerminal() {
-    var term = getTerminal();
-    if (term && term._core && term._core._renderService) {
-      try { term.fit(); } catch {}
+  function fitTerminals() {
+    if (logFit && selectedTab !== 'shell') {
+      try { logFit.fit(); } catch {}
     }
   }
 
@@ -178,7 +374,7 @@
 
   window.addEventListener('view-switched', function(e) {
     if (e.detail && e.detail.view === 'terminal') {
-      setTimeout(fitTerminal, 100);
+      setTimeout(fitTerminals, 100);
     }
   });
 
@@ -189,7 +385,15 @@
   }
 
   window.scriptRunner = {
-    getState: function() { return scriptState; },
-    getTerminal: getTerminal
+    getState: function() {
+      return { scripts: scripts, processes: Array.from(processes.values()), selected: selectedTab };
+    },
+    getLog: function(scriptId) {
+      var proc = processes.get(scriptId);
+      return proc ? proc.log : '';
+    },
+    getTerminal: getTerminal,
+    run: runScript,
+    refresh: checkScripts
   };
 })();
@@ -0,0 +1,96 @@
+(function() {
+  var btn = document.getElementById('sessionDiffBtn');
+  var popup = document.getElementById('sessionDiffPopup');
+  var body = document.getElementById('sessionDiffPopupBody');
+  var select = document.getElementById('sessionDiffSelect');
+  var currentConversationId = null;
+
+  function init() {
+    if (!btn || !popup || !body || !select) return;
+    btn.addEventListener('click', togglePopup);
+    popup.addEventListener('click', function() { popup.classList.remove('open'); });
+    select.addEventListener('change', function() { loadDiff(select.value); });
+
+    window.addEventListener('conversation-selected', function(e) {
+      currentConversationId = e.detail.conversationId;
+      btn.style.display = currentConversationId ? '' : 'none';
+      popup.classList.remove('open');
+    });
+
+    window.addEventListener('ws-message', function(e) {
+      var data = e.detail;
+      if (!data || data.conversationId !== currentConversationId || !popup.classList.contains('open')) return;
+      if (data.type === 'streaming_complete' || data.type === 'streaming_error') loadSessions(select.value || null);
+    });
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function togglePopup(e) {
+    e.stopPropagation();
+    if (!popup.classList.contains('open')) loadSessions(null);
+    popup.classList.toggle('open');
+  }
+
+  function label(s) {
+    var time = new Date(s.startedAt).toLocaleString();
+    var prompt = (s.prompt || '').replace(/\s+/g, ' ').trim();
+    if (prompt.length > 60) prompt = prompt.slice(0, 60) + '…';
+    return time + (prompt ? ' — ' + prompt : '') + (s.status === 'active' || s.status === 'pending' ? ' (running)' : '');
+  }
+
+  function loadSessions(selectedId) {
+    if (!currentConversationId) return;
+    var convId = currentConversationId;
+    window.wsClient.rpc('conv.session-diffs', { id: convId })
+      .then(function(data) {
+        if (convId !== currentConversationId) return;
+        var sessions = data.sessions || [];
+        if (!sessions.length) {
+          select.innerHTML = '';
+          body.innerHTML = '<div class="settings-item-detail">No sessions yet</div>';
+          return;
+        }
+        select.innerHTML = sessions.map(function(s) {
+          return '<option value="' + escapeHtml(s.id) + '">' + escapeHtml(label(s)) + '</option>';
+        }).join('');
+        var keep = selectedId && sessions.some(function(s) { return s.id === selectedId; });
+        select.value = keep ? selectedId : sessions[0].id;
+        loadDiff(select.value);
+      })
+      .catch(function(err) {
+        body.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+      });
+  }
+
+  function loadDiff(sessionId) {
+    if (!sessionId) return;
+    body.innerHTML = '<div class="settings-item-detail">Loading diff...</div>';
+    window.wsClient.rpc('sess.diff', { id: sessionId })
+      .then(function(diff) {
+        if (select.value !== sessionId) return;
+        var note = diff.source === 'git'
+          ? (diff.live ? 'Working tree compared with the start of this session (still running)' : 'Working tree at the start and end of this session')
+          : 'Reconstructed from the agent\'s file edits (not a git repository)';
+        body.innerHTML = '<div class="settings-item-detail session-diff-note">' + escapeHtml(note) + '</div><div class="session-diff-content"></div>';
+        window.DiffView.render(body.querySelector('.session-diff-content'), diff);
+      })
+      .catch(function(err) {
+        body.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.sessionDiffPanel = {
+    open: function(sessionId) {
+      if (!popup) return;
+      popup.classList.add('open');
+      loadSessions(sessionId || null);
+    }
+  };
+})();
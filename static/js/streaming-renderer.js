@@ -390,6 +390,10 @@ class StreamingRenderer {
           return this.renderBlockPlan(block, context);
         case 'premature':
           return this.renderBlockPremature(block, context);
+        case 'permission_request':
+          return this.renderBlockPermissionRequest(block, context);
+        case 'permission_result':
+          return this.renderBlockPermissionResult(block, context);
         default:
           return this.renderBlockGeneric(block, context);
       }
@@ -1500,6 +1504,77 @@ class StreamingRenderer {
     return div;
   }
 
+  /**
+   * Render permission request card (ACP session/request_permission)
+   */
+  renderBlockPermissionRequest(block, context) {
+    const toolCall = block.toolCall || {};
+    const title = toolCall.title || block.tool || 'Tool call';
+    const input = toolCall.rawInput && Object.keys(toolCall.rawInput).length
+      ? `<pre class="tool-input-pre">${this.escapeHtml(JSON.stringify(toolCall.rawInput, null, 2))}</pre>` : '';
+    const secondsLeft = block.expiresAt ? Math.max(0, Math.round((block.expiresAt - Date.now()) / 1000)) : 0;
+
+    const div = document.createElement('div');
+    div.className = 'folded-tool folded-tool-info block-permission';
+    div.classList.add(this._getBlockTypeClass('permission'));
+    div.dataset.permissionRequest = block.requestId;
+    div.innerHTML = `
+      <div class="folded-tool-bar">
+        <span class="folded-tool-icon"><svg viewBox="0 0 20 20" fill="currentColor"><path fill-rule="evenodd" d="M5 9V7a5 5 0 0110 0v2a2 2 0 012 2v5a2 2 0 01-2 2H5a2 2 0 01-2-2v-5a2 2 0 012-2zm8-2v2H7V7a3 3 0 016 0z" clip-rule="evenodd"/></svg></span>
+        <span class="folded-tool-name">Permission requested</span>
+        <span class="folded-tool-desc">${this.escapeHtml(title)}</span>
+      </div>
+      <div class="folded-tool-body">
+        ${input}
+        <div class="permission-actions">
+          <button class="permission-btn permission-btn-allow" data-decision="allow">Approve</button>
+          <button class="permission-btn" data-decision="always" title="Always allow ${this.escapeHtml(block.tool || '')} in this conversation">Always allow</button>
+          <button class="permission-btn permission-btn-deny" data-decision="deny">Deny</button>
+          <span class="permission-status">${secondsLeft ? `Defaults to ${this.escapeHtml(block.defaultDecision || 'deny')} in ${secondsLeft}s` : ''}</span>
+        </div>
+      </div>
+    `;
+    div.querySelectorAll('.permission-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        div.querySelectorAll('.permission-btn').forEach(b => { b.disabled = true; });
+        window.wsClient.rpc('perm.respond', { requestId: block.requestId, decision: btn.dataset.decision })
+          .catch(() => StreamingRenderer.markPermissionResolved(block.requestId, null, 'expired'));
+      });
+    });
+    return div;
+  }
+
+  /**
+   * Render permission outcome and settle the matching request card
+   */
+  renderBlockPermissionResult(block, context) {
+    const labels = { allow: 'Approved', always: 'Always allowed', deny: 'Denied', cancelled: 'Cancelled' };
+    const reasons = { rule: 'saved rule', timeout: 'timed out', user: '', cancelled: '' };
+    const label = labels[block.decision] || block.decision;
+    const reason = reasons[block.reason] ?? block.reason;
+    StreamingRenderer.markPermissionResolved(block.requestId, label, reason);
+    setTimeout(() => StreamingRenderer.markPermissionResolved(block.requestId, label, reason), 0);
+
+    const div = document.createElement('div');
+    div.className = 'block-permission-result';
+    div.classList.add(this._getBlockTypeClass('permission'));
+    div.innerHTML = `
+      <div style="display:flex;gap:0.5rem;padding:0.25rem 0.5rem;font-size:0.7rem;color:var(--color-text-secondary)">
+        <span><strong>${this.escapeHtml(label)}</strong> ${this.escapeHtml(block.tool || '')}</span>
+        ${reason ? `<span>(${this.escapeHtml(reason)})</span>` : ''}
+      </div>
+    `;
+    return div;
+  }
+
+  static markPermissionResolved(requestId, label, reason) {
+    const card = document.querySelector(`[data-permission-request="${CSS.escape(requestId || '')}"]`);
+    if (!card) return;
+    card.querySelectorAll('.permission-btn').forEach(b => { b.disabled = true; });
+    const status = card.querySelector('.permission-status');
+    if (status) status.textContent = [label, reason].filter(Boolean).join(' · ');
+  }
+
   renderBlockPremature(block, context) {
     const div = document.createElement('div');
     div.className = 'folded-tool folded-tool-error block-premature';
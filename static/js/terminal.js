@@ -20,6 +20,11 @@
     return undefined;
   }
 
+  function getConversationId() {
+    if (window.conversationManager && window.conversationManager.activeId) return window.conversationManager.activeId;
+    return window.currentConversation || null;
+  }
+
   function wsSend(obj) {
     if (window.wsManager && window.wsManager.sendMessage) {
       window.wsManager.sendMessage(obj);
@@ -100,7 +105,7 @@
     installWsListener();
     var cwd = getCwd();
     var dims = term ? { cols: term.cols, rows: term.rows } : { cols: 80, rows: 24 };
-    wsSend({ type: 'terminal_start', cwd: cwd, cols: dims.cols, rows: dims.rows });
+    wsSend({ type: 'terminal_start', cwd: cwd, conversationId: getConversationId(), cols: dims.cols, rows: dims.rows });
     setTimeout(function() { if (term && term.focus) term.focus(); }, 100);
   }
 
@@ -155,11 +160,32 @@
     }
   });
 
+  // Terminals created by the agent via ACP terminal/create, mirrored read-only
+  window.addEventListener('ws-message', function(e) {
+    var data = e.detail;
+    if (!data || typeof data.type !== 'string' || data.type.indexOf('agent_terminal_') !== 0) return;
+    if (data.conversationId !== getConversationId()) return;
+    var tabBtn = document.getElementById('terminalTabBtn');
+    if (tabBtn) tabBtn.style.display = '';
+    if (!ensureTerm()) return;
+    if (data.type === 'agent_terminal_started') {
+      var cmdline = [data.command].concat(data.args || []).join(' ');
+      term.write('\r\n\x1b[35m[agent ' + data.terminalId + '] $ ' + cmdline + '\x1b[0m\r\n');
+    } else if (data.type === 'agent_terminal_output') {
+      var raw = atob(data.data);
+      try { raw = decodeURIComponent(escape(raw)); } catch (_) {}
+      term.write(raw);
+    } else if (data.type === 'agent_terminal_exit') {
+      var status = data.signal ? 'signal ' + data.signal : 'code ' + data.exitCode;
+      term.write('\r\n\x1b[90m[agent ' + data.terminalId + ' exited with ' + status + ']\x1b[0m\r\n');
+    }
+  });
+
   window.addEventListener('conversation-changed', function() {
     if (!termActive) return;
     var cwd = getCwd();
     var dims = term ? { cols: term.cols, rows: term.rows } : { cols: 80, rows: 24 };
-    wsSend({ type: 'terminal_start', cwd: cwd, cols: dims.cols, rows: dims.rows });
+    wsSend({ type: 'terminal_start', cwd: cwd, conversationId: getConversationId(), cols: dims.cols, rows: dims.rows });
     if (term) term.write('\r\n\x1b[33m[Switched to: ' + (cwd || '/') + ']\x1b[0m\r\n');
   });
 
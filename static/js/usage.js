@@ -0,0 +1,116 @@
+(function() {
+  var btn = document.getElementById('usageBtn');
+  var popup = document.getElementById('usagePopup');
+  var body = document.getElementById('usagePopupBody');
+  var rangeSelect = document.getElementById('usageRange');
+  var DAY_MS = 86400000;
+
+  function init() {
+    if (btn && popup && body) {
+      btn.addEventListener('click', togglePopup);
+      popup.addEventListener('click', function() { popup.classList.remove('open'); });
+      if (rangeSelect) rangeSelect.addEventListener('change', refresh);
+    }
+    window.addEventListener('ws-message', function(e) {
+      var data = e.detail;
+      if (!data || data.type !== 'usage_budget_warning') return;
+      var msg = data.exceeded
+        ? 'Monthly budget of ' + formatCost(data.budgetUsd) + ' exceeded (' + formatCost(data.spentUsd) + ' spent)'
+        : Math.round(data.threshold * 100) + '% of the monthly budget used (' + formatCost(data.spentUsd) + ' of ' + formatCost(data.budgetUsd) + ')';
+      if (window.UIDialog) window.UIDialog.showToast(msg, data.exceeded ? 'error' : 'warning', 8000);
+      if (popup && popup.classList.contains('open')) refresh();
+    });
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function formatCost(usd) {
+    usd = usd || 0;
+    return '$' + (usd >= 100 ? usd.toFixed(0) : usd >= 1 ? usd.toFixed(2) : usd.toFixed(4));
+  }
+
+  function formatTokens(n) {
+    n = n || 0;
+    if (n >= 1e6) return (n / 1e6).toFixed(1) + 'M';
+    if (n >= 1e3) return (n / 1e3).toFixed(1) + 'k';
+    return String(n);
+  }
+
+  function togglePopup(e) {
+    e.stopPropagation();
+    if (!popup.classList.contains('open')) refresh();
+    popup.classList.toggle('open');
+  }
+
+  function refresh() {
+    var days = parseInt(rangeSelect ? rangeSelect.value : '30', 10) || 30;
+    var to = Date.now();
+    window.wsClient.rpc('usage', { from: to - days * DAY_MS, to: to })
+      .then(render)
+      .catch(function(err) {
+        body.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+      });
+  }
+
+  function renderBudget(budget) {
+    if (!budget || !budget.monthlyUsd) return '';
+    var pct = Math.min(100, Math.round((budget.ratio || 0) * 100));
+    var level = budget.ratio >= 1 ? ' over' : budget.ratio >= 0.8 ? ' near' : '';
+    return '<div class="settings-section-title">Monthly budget</div>' +
+      '<div class="usage-budget' + level + '"><div class="usage-budget-bar" style="width:' + pct + '%"></div></div>' +
+      '<div class="settings-item-detail">' + formatCost(budget.spentUsd) + ' of ' + formatCost(budget.monthlyUsd) + ' this month (' + pct + '%)</div>';
+  }
+
+  function renderDays(days) {
+    if (!days.length) return '';
+    var max = days.reduce(function(m, d) { return Math.max(m, d.costUsd || 0); }, 0);
+    var maxTokens = days.reduce(function(m, d) { return Math.max(m, (d.inputTokens || 0) + (d.outputTokens || 0)); }, 0);
+    return '<div class="settings-section-title">By day</div><div class="usage-days">' +
+      days.map(function(d) {
+        var value = max > 0 ? (d.costUsd || 0) / max : ((d.inputTokens || 0) + (d.outputTokens || 0)) / (maxTokens || 1);
+        return '<div class="usage-day" title="' + escapeHtml(d.key + ': ' + formatCost(d.costUsd) + ', ' + formatTokens(d.inputTokens + d.outputTokens) + ' tokens') + '">' +
+          '<div class="usage-day-bar" style="height:' + Math.max(2, Math.round(value * 100)) + '%"></div></div>';
+      }).join('') + '</div>';
+  }
+
+  function renderGroup(title, rows, label) {
+    if (!rows.length) return '';
+    return '<div class="settings-section-title">' + title + '</div>' +
+      rows.map(function(r) {
+        return '<div class="settings-item">' +
+          '<div class="settings-item-main" title="' + escapeHtml(label(r.key)) + '">' + escapeHtml(label(r.key)) + '</div>' +
+          '<span class="settings-item-detail">' + r.sessions + ' sessions · ' + formatTokens(r.inputTokens) + ' in · ' + formatTokens(r.outputTokens) + ' out</span>' +
+          '<strong class="usage-cost">' + formatCost(r.costUsd) + '</strong>' +
+          '</div>';
+      }).join('');
+  }
+
+  function render(report) {
+    var t = report.totals || {};
+    var html = '<div class="usage-totals">' +
+      '<div><strong>' + formatCost(t.costUsd) + '</strong><span>Cost</span></div>' +
+      '<div><strong>' + formatTokens(t.inputTokens) + '</strong><span>Input tokens</span></div>' +
+      '<div><strong>' + formatTokens(t.outputTokens) + '</strong><span>Output tokens</span></div>' +
+      '<div><strong>' + formatTokens((t.cacheReadTokens || 0) + (t.cacheWriteTokens || 0)) + '</strong><span>Cache tokens</span></div>' +
+      '<div><strong>' + (t.sessions || 0) + '</strong><span>Sessions</span></div>' +
+      '</div>';
+    html += renderBudget(report.budget);
+    if (!t.sessions) {
+      html += '<div class="settings-item-detail">No usage recorded in this period</div>';
+    } else {
+      html += renderDays(report.byDay || []);
+      html += renderGroup('By agent', report.byAgent || [], function(k) { return k; });
+      html += renderGroup('By model', report.byModel || [], function(k) { return k; });
+      html += renderGroup('By working directory', report.byDirectory || [], function(k) { return k || '(none)'; });
+    }
+    body.innerHTML = html;
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.usageDashboard = { refresh: refresh };
+})();
@@ -289,10 +289,23 @@ class WebSocketManager {
     this.emit('disconnected', { timestamp: Date.now() });
 
     if (!this.isManuallyDisconnected) {
+      if (this.reconnectCount >= 2) this.checkAuth();
       this.scheduleReconnect();
     }
   }
 
+  // Browsers hide the upgrade status, so ask the HTTP side whether the session expired
+  checkAuth() {
+    const base = window.__BASE_URL || '';
+    fetch(base + '/api/auth/session', { credentials: 'same-origin' })
+      .then((res) => {
+        if (res.status === 401) {
+          window.location.href = base + '/login?next=' + encodeURIComponent(window.location.pathname);
+        }
+      })
+      .catch(() => {});
+  }
+
   scheduleReconnect() {
     if (this.isManuallyDisconnected) return;
     if (this.reconnectTimer) return;
@@ -0,0 +1,180 @@
+(function() {
+  var usersBtn = document.getElementById('usersBtn');
+  var usersPopup = document.getElementById('usersPopup');
+  var usersBody = document.getElementById('usersPopupBody');
+  var sharePopup = document.getElementById('sharePopup');
+  var shareBody = document.getElementById('sharePopupBody');
+  var shareTitle = document.getElementById('sharePopupTitle');
+  var me = null;
+  var multiUser = false;
+  var shareConvId = null;
+
+  function init() {
+    if (usersBtn && usersPopup) {
+      usersBtn.addEventListener('click', toggleUsers);
+      usersPopup.addEventListener('click', function() { usersPopup.classList.remove('open'); });
+    }
+    if (sharePopup) sharePopup.addEventListener('click', function() { sharePopup.classList.remove('open'); });
+    window.wsClient.rpc('user.me')
+      .then(function(data) {
+        me = data.user;
+        multiUser = !!data.multiUser;
+        if (usersBtn) usersBtn.style.display = multiUser && me && me.role === 'admin' ? '' : 'none';
+        window.dispatchEvent(new CustomEvent('workspace-ready', { detail: { user: me, multiUser: multiUser } }));
+      })
+      .catch(function(err) { console.error('[workspace] user.me failed:', err.message); });
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function showError(el, err) {
+    el.innerHTML = '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+  }
+
+  function canShare(conv) {
+    if (!multiUser || !me || !conv) return false;
+    return conv.access === 'owner' || me.role === 'admin' || (!!conv.ownerId && conv.ownerId === me.id);
+  }
+
+  // ---- Sharing ----
+
+  function openShare(convId, title) {
+    if (!sharePopup) return;
+    shareConvId = convId;
+    if (shareTitle) shareTitle.textContent = 'Share "' + (title || 'Untitled') + '"';
+    sharePopup.classList.add('open');
+    refreshShares();
+  }
+
+  function refreshShares() {
+    window.wsClient.rpc('conv.shares', { id: shareConvId })
+      .then(function(data) { renderShares(data.shares || []); })
+      .catch(function(err) { showError(shareBody, err); });
+  }
+
+  function accessSelect(name, value) {
+    return '<select name="' + name + '">' +
+      ['read', 'write'].map(function(a) {
+        return '<option value="' + a + '"' + (a === value ? ' selected' : '') + '>' + (a === 'read' ? 'Read only' : 'Read & write') + '</option>';
+      }).join('') + '</select>';
+  }
+
+  function renderShares(shares) {
+    var html = '<div class="settings-section-title">People with access</div>';
+    if (!shares.length) html += '<div class="settings-item-detail">Only you</div>';
+    html += shares.map(function(s) {
+      return '<div class="settings-item" data-username="' + escapeHtml(s.username) + '">' +
+        '<div class="settings-item-main"><strong>' + escapeHtml(s.username) + '</strong></div>' +
+        accessSelect('access', s.access) +
+        '<button data-unshare>Remove</button>' +
+        '</div>';
+    }).join('');
+    html += '<form class="settings-form" id="shareForm">' +
+      '<label for="shareUsername">Username</label><input id="shareUsername" name="username" required>' +
+      '<label>Access</label>' + accessSelect('access', 'read') +
+      '<div class="settings-error" id="shareFormError"></div>' +
+      '<div class="settings-form-actions"><button type="submit">Share</button></div>' +
+      '</form>';
+    shareBody.innerHTML = html;
+
+    shareBody.querySelectorAll('.settings-item').forEach(function(row) {
+      var username = row.dataset.username;
+      row.querySelector('select').addEventListener('change', function(e) {
+        share(username, e.target.value).catch(function(err) { showError(shareBody, err); });
+      });
+      row.querySelector('[data-unshare]').addEventListener('click', function() {
+        window.wsClient.rpc('conv.unshare', { id: shareConvId, username: username })
+          .then(refreshShares)
+          .catch(function(err) { showError(shareBody, err); });
+      });
+    });
+    var form = document.getElementById('shareForm');
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      share(form.elements.username.value.trim(), form.elements.access.value)
+        .catch(function(err) { document.getElementById('shareFormError').textContent = err.message; });
+    });
+  }
+
+  function share(username, access) {
+    return window.wsClient.rpc('conv.share', { id: shareConvId, username: username, access: access }).then(refreshShares);
+  }
+
+  // ---- User administration ----
+
+  function toggleUsers(e) {
+    e.stopPropagation();
+    if (!usersPopup.classList.contains('open')) refreshUsers();
+    usersPopup.classList.toggle('open');
+  }
+
+  function refreshUsers() {
+    window.wsClient.rpc('user.ls')
+      .then(function(data) { renderUsers(data.users || []); })
+      .catch(function(err) { showError(usersBody, err); });
+  }
+
+  function renderUsers(users) {
+    var html = users.map(function(u) {
+      var self = me && u.id === me.id;
+      return '<div class="settings-item" data-user-id="' + escapeHtml(u.id) + '">' +
+        '<div class="settings-item-main"><strong>' + escapeHtml(u.username) + '</strong> ' +
+        '<span class="settings-item-detail">' + escapeHtml(u.role) + (u.hasPassword ? '' : ', no password') + '</span></div>' +
+        (self ? '' : '<button data-role="' + (u.role === 'admin' ? 'member' : 'admin') + '">' + (u.role === 'admin' ? 'Make member' : 'Make admin') + '</button>') +
+        '<button data-password>Set password</button>' +
+        (self ? '' : '<button data-delete>Delete</button>') +
+        '</div>';
+    }).join('');
+    html += '<form class="settings-form" id="userForm">' +
+      '<label for="newUsername">Username</label><input id="newUsername" name="username" required>' +
+      '<label for="newPassword">Password</label><input id="newPassword" name="password" type="password" autocomplete="new-password" minlength="8">' +
+      '<label for="newRole">Role</label><select id="newRole" name="role"><option value="member">Member</option><option value="admin">Admin</option></select>' +
+      '<div class="settings-error" id="userFormError"></div>' +
+      '<div class="settings-form-actions"><button type="submit">Add user</button></div>' +
+      '</form>';
+    usersBody.innerHTML = html;
+
+    usersBody.querySelectorAll('[data-user-id]').forEach(function(row) {
+      var id = row.dataset.userId;
+      var roleBtn = row.querySelector('[data-role]');
+      if (roleBtn) roleBtn.addEventListener('click', function() {
+        window.wsClient.rpc('user.role', { id: id, role: roleBtn.dataset.role }).then(refreshUsers).catch(function(err) { showError(usersBody, err); });
+      });
+      row.querySelector('[data-password]').addEventListener('click', function() {
+        window.UIDialog.prompt('New password (at least 8 characters)', '', 'Set password').then(function(password) {
+          if (!password) return;
+          window.wsClient.rpc('user.password', { id: id, password: password }).then(refreshUsers).catch(function(err) { showError(usersBody, err); });
+        });
+      });
+      var delBtn = row.querySelector('[data-delete]');
+      if (delBtn) delBtn.addEventListener('click', function() {
+        window.UIDialog.confirm('Delete this user? Conversations they own stay visible to admins.', 'Delete user').then(function(ok) {
+          if (!ok) return;
+          window.wsClient.rpc('user.del', { id: id }).then(refreshUsers).catch(function(err) { showError(usersBody, err); });
+        });
+      });
+    });
+    var form = document.getElementById('userForm');
+    form.addEventListener('submit', function(e) {
+      e.preventDefault();
+      var payload = { username: form.elements.username.value.trim(), role: form.elements.role.value };
+      if (form.elements.password.value) payload.password = form.elements.password.value;
+      window.wsClient.rpc('user.new', payload)
+        .then(refreshUsers)
+        .catch(function(err) { document.getElementById('userFormError').textContent = err.message; });
+    });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.workspace = {
+    me: function() { return me; },
+    isMultiUser: function() { return multiUser; },
+    canShare: canShare,
+    openShare: openShare
+  };
+})();
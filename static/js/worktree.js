@@ -0,0 +1,129 @@
+(function() {
+  var btn = document.getElementById('worktreeBtn');
+  var popup = document.getElementById('worktreePopup');
+  var body = document.getElementById('worktreePopupBody');
+  var currentConversationId = null;
+  var worktree = null;
+
+  function init() {
+    if (!btn || !popup || !body) return;
+    btn.addEventListener('click', togglePopup);
+    popup.addEventListener('click', function() { popup.classList.remove('open'); });
+
+    window.addEventListener('conversation-selected', function(e) {
+      currentConversationId = e.detail.conversationId;
+      worktree = null;
+      popup.classList.remove('open');
+      load();
+    });
+
+    window.addEventListener('ws-message', function(e) {
+      var data = e.detail;
+      if (!data || data.type !== 'worktree_updated' || data.conversationId !== currentConversationId) return;
+      worktree = data.worktree;
+      updateButton();
+      if (popup.classList.contains('open')) refresh();
+    });
+  }
+
+  var escapeHtml = window._escHtml;
+
+  function load() {
+    if (!currentConversationId) { updateButton(); return; }
+    var convId = currentConversationId;
+    window.wsClient.rpc('conv.worktree', { id: convId })
+      .then(function(data) {
+        if (convId !== currentConversationId) return;
+        worktree = data.worktree;
+        updateButton();
+      })
+      .catch(function() { worktree = null; updateButton(); });
+  }
+
+  function updateButton() {
+    btn.style.display = worktree ? '' : 'none';
+    if (worktree) btn.title = 'Worktree: ' + worktree.branch;
+  }
+
+  function togglePopup(e) {
+    e.stopPropagation();
+    if (!popup.classList.contains('open')) refresh();
+    popup.classList.toggle('open');
+  }
+
+  function refresh() {
+    if (!worktree) return;
+    body.innerHTML = renderHeader() + '<div class="settings-item-detail">Loading diff...</div>';
+    bindActions();
+    window.wsClient.rpc('conv.worktree.diff', { id: currentConversationId })
+      .then(function(diff) {
+        body.innerHTML = renderHeader() + '<div class="worktree-diff"></div>';
+        bindActions();
+        window.DiffView.render(body.querySelector('.worktree-diff'), diff);
+      })
+      .catch(function(err) {
+        body.innerHTML = renderHeader() + '<div class="settings-error">' + escapeHtml(err.message) + '</div>';
+        bindActions();
+      });
+  }
+
+  function renderHeader() {
+    var wt = worktree;
+    var state = [];
+    if (wt.ahead) state.push(wt.ahead + ' commit' + (wt.ahead === 1 ? '' : 's') + ' ahead');
+    if (wt.dirty) state.push('uncommitted changes');
+    if (wt.status === 'merged') state.push('merged');
+    if (wt.pushedRemote) state.push('pushed to ' + wt.pushedRemote);
+    return '<div class="settings-item">' +
+      '<div class="settings-item-main"><strong>' + escapeHtml(wt.branch) + '</strong> from ' + escapeHtml(wt.baseBranch || wt.baseCommit.slice(0, 8)) + '</div>' +
+      '<span class="settings-item-detail">' + escapeHtml(state.join(' · ') || 'no changes') + '</span>' +
+      '</div>' +
+      '<div class="settings-item-detail" title="' + escapeHtml(wt.worktreePath) + '">' + escapeHtml(wt.repoRoot) + '</div>' +
+      '<div class="settings-form">' +
+        '<label for="worktreeMessage">Commit message</label><input id="worktreeMessage" data-wt="message" placeholder="For uncommitted changes (optional)">' +
+        '<label for="worktreeRemote">Remote</label><input id="worktreeRemote" data-wt="remote" value="' + escapeHtml(wt.pushedRemote || 'origin') + '">' +
+        '<div class="settings-form-actions">' +
+          '<button type="button" data-wt="push">Push branch for PR</button>' +
+          '<button type="button" data-wt="merge"' + (wt.baseBranch ? '' : ' disabled') + '>Merge into ' + escapeHtml(wt.baseBranch || 'base') + '</button>' +
+        '</div>' +
+      '</div>';
+  }
+
+  function bindActions() {
+    var message = body.querySelector('[data-wt="message"]');
+    var remote = body.querySelector('[data-wt="remote"]');
+    body.querySelector('[data-wt="merge"]').addEventListener('click', function(e) {
+      run(e.target, 'conv.worktree.merge', { id: currentConversationId, message: message.value.trim() || null }, function(r) {
+        return r.merged ? 'Merged into ' + r.into : r.reason;
+      });
+    });
+    body.querySelector('[data-wt="push"]').addEventListener('click', function(e) {
+      run(e.target, 'conv.worktree.push', { id: currentConversationId, message: message.value.trim() || null, remote: remote.value.trim() || 'origin' }, function(r) {
+        if (r.compareUrl) window.open(r.compareUrl, '_blank', 'noopener');
+        return 'Pushed ' + r.branch + ' to ' + r.remote;
+      });
+    });
+  }
+
+  function run(button, method, params, describe) {
+    button.disabled = true;
+    window.wsClient.rpc(method, params)
+      .then(function(result) {
+        worktree = result.worktree || worktree;
+        window.UIDialog.showToast(describe(result), 'success', 5000);
+        refresh();
+      })
+      .catch(function(err) {
+        button.disabled = false;
+        window.UIDialog.showToast(err.message, 'error', 8000);
+      });
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.worktreePanel = { refresh: load };
+})();
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAccessControl } from '../lib/access-control.js';
+
+const ADMIN = { id: 'u-admin', username: 'admin', role: 'admin' };
+const ALICE = { id: 'u-alice', username: 'alice', role: 'member' };
+const BOB = { id: 'u-bob', username: 'bob', role: 'member' };
+const CAROL = { id: 'u-carol', username: 'carol', role: 'member' };
+
+// alice owns c1, shares it read-only with bob and read-write with carol;
+// legacy has no owner, as for conversations created before multi-user mode
+const ACLS = {
+  c1: { ownerId: ALICE.id, shares: [{ userId: BOB.id, access: 'read' }, { userId: CAROL.id, access: 'write' }] },
+  legacy: { ownerId: null, shares: [] }
+};
+
+const queries = {
+  getConversationAcl: (id) => ACLS[id] || null,
+  getSession: (id) => (id === 's1' ? { conversationId: 'c1' } : null),
+  getRun: (id) => (id === 'r1' ? { thread_id: 'c1' } : null),
+  getUserByUsername: (name) => [ADMIN, ALICE, BOB, CAROL].find(u => u.username === name) || null
+};
+
+const access = createAccessControl({ queries, authMode: 'password' });
+
+function guard(method, params, principal) {
+  return () => access.wsGuard(method, params, { principal });
+}
+
+function failsWith(code) {
+  return (e) => e.code === code;
+}
+
+test('read methods need any access to the conversation', () => {
+  for (const principal of [ALICE, BOB, CAROL]) {
+    assert.doesNotThrow(guard('conv.full', { id: 'c1' }, principal));
+    assert.doesNotThrow(guard('mcp.ls', { conversationId: 'c1' }, principal));
+  }
+  assert.throws(guard('conv.full', { id: 'c1' }, { id: 'u-dave', username: 'dave', role: 'member' }), failsWith(404));
+});
+
+test('write methods are refused for read-only shares', () => {
+  assert.doesNotThrow(guard('msg.send', { id: 'c1' }, ALICE));
+  assert.doesNotThrow(guard('msg.send', { id: 'c1' }, CAROL));
+  assert.throws(guard('msg.send', { id: 'c1' }, BOB), failsWith(403));
+  assert.throws(guard('run.new', { thread_id: 'c1' }, BOB), failsWith(403));
+});
+
+test('owner methods are refused for every share', () => {
+  assert.doesNotThrow(guard('conv.del', { id: 'c1' }, ALICE));
+  assert.throws(guard('conv.del', { id: 'c1' }, CAROL), failsWith(403));
+  assert.throws(guard('conv.share', { id: 'c1' }, BOB), failsWith(403));
+});
+
+test('sessions and runs are checked against their conversation', () => {
+  assert.doesNotThrow(guard('sess.chunks', { id: 's1' }, BOB));
+  assert.throws(guard('sess.chunks', { id: 's1' }, { id: 'u-dave', role: 'member' }), failsWith(404));
+  assert.doesNotThrow(guard('run.get', { id: 'r1' }, BOB));
+  assert.throws(guard('run.cancel', { id: 'r1' }, BOB), failsWith(403));
+  assert.doesNotThrow(guard('run.cancel', { id: 'r1' }, CAROL));
+});
+
+test('ownerless conversations are admin-only', () => {
+  assert.throws(guard('conv.get', { id: 'legacy' }, ALICE), failsWith(404));
+  assert.doesNotThrow(guard('conv.del', { id: 'legacy' }, ADMIN));
+});
+
+test('admins bypass conversation rules and alone reach admin methods', () => {
+  assert.doesNotThrow(guard('conv.del', { id: 'c1' }, ADMIN));
+  assert.doesNotThrow(guard('secret.save', {}, ADMIN));
+  assert.throws(guard('secret.save', {}, ALICE), failsWith(403));
+  assert.throws(guard('user.new', {}, ALICE), failsWith(403));
+});
+
+test('unauthenticated sockets are refused', () => {
+  assert.throws(guard('conv.ls', {}, null), failsWith(401));
+});
+
+test('missing conversations are left to the handler', () => {
+  assert.doesNotThrow(guard('conv.get', { id: 'nope' }, ALICE));
+});
+
+test('canReceive delivers conversation events only to users with access', () => {
+  const event = { type: 'streaming_progress', conversationId: 'c1' };
+  assert.equal(access.canReceive(ALICE, event), true);
+  assert.equal(access.canReceive(BOB, event), true);
+  assert.equal(access.canReceive({ id: 'u-dave', role: 'member' }, event), false);
+  assert.equal(access.canReceive(null, event), false);
+  assert.equal(access.canReceive(ADMIN, { type: 'streaming_progress', conversationId: 'legacy' }), true);
+  assert.equal(access.canReceive(ALICE, { type: 'streaming_progress', conversationId: 'legacy' }), false);
+});
+
+test('canReceive resolves the conversation from other event fields', () => {
+  const dave = { id: 'u-dave', role: 'member' };
+  assert.equal(access.canReceive(BOB, { type: 'conversation_updated', conversation: { id: 'c1' } }), true);
+  assert.equal(access.canReceive(dave, { type: 'conversation_updated', conversation: { id: 'c1' } }), false);
+  assert.equal(access.canReceive(BOB, { type: 'streaming_complete', sessionId: 's1' }), true);
+  assert.equal(access.canReceive(dave, { type: 'streaming_complete', sessionId: 's1' }), false);
+  assert.equal(access.canReceive(dave, { type: 'run_update', threadId: 'c1' }), false);
+});
+
+test('canReceive handles addressed, unrestricted and global events', () => {
+  assert.equal(access.canReceive(BOB, { type: 'conversation_shared', userId: BOB.id, conversationId: 'c1' }), true);
+  assert.equal(access.canReceive(CAROL, { type: 'conversation_shared', userId: BOB.id, conversationId: 'c1' }), false);
+  assert.equal(access.canReceive(ADMIN, { type: 'conversation_shared', userId: BOB.id }), false);
+  assert.equal(access.canReceive({ id: 'u-dave', role: 'member' }, { type: 'conversation_deleted', conversationId: 'c1' }), true);
+  assert.equal(access.canReceive(BOB, { type: 'tools_updated' }), true);
+});
+
+test('single-user mode lets everything through', () => {
+  const open = createAccessControl({ queries, authMode: 'none' });
+  assert.equal(open.multiUser, false);
+  assert.doesNotThrow(() => open.wsGuard('conv.del', { id: 'legacy' }, {}));
+  assert.equal(open.canReceive(null, { type: 'streaming_progress', conversationId: 'c1' }), true);
+  assert.equal(open.identify(undefined).role, 'admin');
+});
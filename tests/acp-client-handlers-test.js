@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resolveSandboxedPath, RPC_ERRORS } from '../lib/acp-client-handlers.js';
+
+let tmp, root, outside;
+
+before(() => {
+  tmp = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'agentgui-sandbox-')));
+  root = path.join(tmp, 'project');
+  outside = path.join(tmp, 'outside');
+  fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+  fs.mkdirSync(outside);
+  fs.writeFileSync(path.join(root, '..foo'), '');
+  fs.writeFileSync(path.join(outside, 'secret.txt'), '');
+  fs.symlinkSync(outside, path.join(root, 'escape'));
+});
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function rejects(requested) {
+  assert.throws(() => resolveSandboxedPath(root, requested), (e) => e.rpcCode === RPC_ERRORS.INVALID_PARAMS);
+}
+
+test('resolves relative and absolute paths inside the root', () => {
+  assert.equal(resolveSandboxedPath(root, 'src'), path.join(root, 'src'));
+  assert.equal(resolveSandboxedPath(root, path.join(root, 'src')), path.join(root, 'src'));
+  assert.equal(resolveSandboxedPath(root, '.'), root);
+});
+
+test('allows names that merely start with two dots', () => {
+  assert.equal(resolveSandboxedPath(root, '..foo'), path.join(root, '..foo'));
+  assert.equal(resolveSandboxedPath(root, 'src/..bar'), path.join(root, 'src', '..bar'));
+});
+
+test('allows files that do not exist yet', () => {
+  assert.equal(resolveSandboxedPath(root, 'src/new/file.js'), path.join(root, 'src', 'new', 'file.js'));
+});
+
+test('rejects paths that leave the root', () => {
+  rejects('..');
+  rejects('../outside/secret.txt');
+  rejects('src/../../outside');
+  rejects(path.join(outside, 'secret.txt'));
+  rejects('/');
+});
+
+test('rejects paths that leave the root through a symlink', () => {
+  rejects('escape/secret.txt');
+  rejects('escape/not-yet-created.txt');
+});
+
+test('requires a non-empty string path', () => {
+  rejects('');
+  rejects(undefined);
+  rejects(42);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { permissionRuleKey, createPermissionManager } from '../lib/permission-manager.js';
+import { toPermissionParams, toPromptDecision } from '../lib/permission-prompt.js';
+
+const OPTIONS = toPermissionParams({ tool_name: 'Bash', input: {} }).options;
+
+function fakeQueries() {
+  const rules = new Map();
+  return {
+    rules,
+    getPermissionRule: (conversationId, tool) => rules.get(`${conversationId}|${tool}`) || null,
+    setPermissionRule: (conversationId, tool, decision) => rules.set(`${conversationId}|${tool}`, { decision })
+  };
+}
+
+test('permissionRuleKey keys commands by kind and command', () => {
+  assert.equal(permissionRuleKey({ kind: 'execute', title: 'Bash', rawInput: { command: 'npm test' } }), 'execute: npm test');
+  assert.equal(permissionRuleKey({ kind: 'execute', rawInput: { command: ['git', 'status'] } }), 'execute: git status');
+  assert.notEqual(
+    permissionRuleKey({ kind: 'execute', rawInput: { command: 'npm test' } }),
+    permissionRuleKey({ kind: 'execute', rawInput: { command: 'rm -rf /' } })
+  );
+});
+
+test('permissionRuleKey keys edits by their sorted, de-duplicated locations', () => {
+  const key = permissionRuleKey({ kind: 'edit', locations: [{ path: '/b' }, { path: '/a' }, { path: '/b' }] });
+  assert.equal(key, 'edit: /a, /b');
+  assert.equal(permissionRuleKey({ kind: 'edit', rawInput: { file_path: '/src/x.js' } }), 'edit: /src/x.js');
+});
+
+test('permissionRuleKey falls back to the title for untyped tools', () => {
+  assert.equal(permissionRuleKey({ kind: 'other', title: 'mcp__db__query' }), 'mcp__db__query');
+  assert.equal(permissionRuleKey({ title: 'Fetch', rawInput: { url: 'https://example.com' } }), 'Fetch: https://example.com');
+  assert.equal(permissionRuleKey({}), 'other');
+  assert.equal(permissionRuleKey(), 'other');
+});
+
+test('always-allow stores a rule that answers later identical requests', async () => {
+  const queries = fakeQueries();
+  const manager = createPermissionManager({ queries, timeoutMs: 60000 });
+  const params = toPermissionParams({ tool_name: 'Bash', input: { command: 'npm test' } });
+  const blocks = [];
+
+  const first = manager.request({ conversationId: 'c1', params, emitBlock: (b) => blocks.push(b) });
+  assert.equal(blocks[0].type, 'permission_request');
+  assert.equal(blocks[0].tool, 'execute: npm test');
+  assert.equal(manager.respond(blocks[0].requestId, 'always'), true);
+  assert.deepEqual(await first, { outcome: { outcome: 'selected', optionId: 'allow-always' } });
+
+  const second = await manager.request({ conversationId: 'c1', params, emitBlock: (b) => blocks.push(b) });
+  assert.deepEqual(second, { outcome: { outcome: 'selected', optionId: 'allow' } });
+  assert.equal(blocks.at(-1).reason, 'rule');
+
+  // The rule covers neither another command nor another conversation
+  const other = toPermissionParams({ tool_name: 'Bash', input: { command: 'rm -rf build' } });
+  manager.request({ conversationId: 'c1', params: other, emitBlock: (b) => blocks.push(b) });
+  manager.request({ conversationId: 'c2', params, emitBlock: (b) => blocks.push(b) });
+  assert.equal(manager.listPending().length, 2);
+  manager.cancelConversation('c1');
+  manager.cancelConversation('c2');
+  assert.equal(manager.listPending().length, 0);
+});
+
+test('unanswered requests resolve with the default decision', async () => {
+  const manager = createPermissionManager({ queries: fakeQueries(), timeoutMs: 10, defaultDecision: 'always' });
+  const blocks = [];
+  const response = await manager.request({ conversationId: 'c1', params: { options: OPTIONS }, emitBlock: (b) => blocks.push(b) });
+  assert.deepEqual(response, { outcome: { outcome: 'selected', optionId: 'reject' } });
+  assert.equal(blocks.at(-1).reason, 'timeout');
+});
+
+test('respond rejects unknown decisions', () => {
+  const manager = createPermissionManager({ queries: fakeQueries() });
+  assert.throws(() => manager.respond('permreq-1', 'maybe'), (e) => e.code === 400);
+  assert.equal(manager.respond('permreq-1', 'allow'), false);
+});
+
+test('Claude Code approval requests map to ACP tool kinds', () => {
+  const { toolCall } = toPermissionParams({ tool_name: 'Write', input: { file_path: '/a.txt', content: 'x' }, tool_use_id: 'tu_1' });
+  assert.equal(toolCall.kind, 'edit');
+  assert.equal(toolCall.toolCallId, 'tu_1');
+  assert.deepEqual(toolCall.locations, [{ path: '/a.txt' }]);
+  assert.equal(permissionRuleKey(toolCall), 'edit: /a.txt');
+  assert.equal(toPermissionParams({ tool_name: 'mcp__x__y', input: {} }).toolCall.kind, 'other');
+});
+
+test('ACP responses map to Claude Code permission decisions', () => {
+  const input = { command: 'ls' };
+  assert.deepEqual(toPromptDecision({ outcome: { outcome: 'selected', optionId: 'allow' } }, input), { behavior: 'allow', updatedInput: input });
+  assert.deepEqual(toPromptDecision({ outcome: { outcome: 'selected', optionId: 'allow-always' } }, input), { behavior: 'allow', updatedInput: input });
+  assert.equal(toPromptDecision({ outcome: { outcome: 'selected', optionId: 'reject' } }, input).behavior, 'deny');
+  assert.equal(toPromptDecision({ outcome: { outcome: 'cancelled' } }, input).behavior, 'deny');
+  assert.equal(toPromptDecision(undefined, input).behavior, 'deny');
+});
@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { listProjectScripts, findProjectScript, tailOutput, formatOutputForAgent } from '../lib/script-runner.js';
+
+const MAKEFILE = `CC := gcc
+PREFIX ::= /usr/local
+FLAGS :::= -O2
+OBJ = main.o
+.PHONY: build test
+.DEFAULT_GOAL := build
+
+build: $(OBJ)
+\t$(CC) -o app $(OBJ)
+
+test lint: build
+\t./run-tests
+
+install:: build
+\tcp app $(PREFIX)/bin
+
+%.o: %.c
+\t$(CC) -c $<
+
+$(OBJ): main.c
+
+build:
+\t@echo again
+`;
+
+const JUSTFILE = `set shell := ["bash", "-c"]
+alias b := build
+
+# Compile everything
+build:
+    cargo build
+
+@quiet-check:
+    cargo check
+
+# Deploy to an environment
+deploy env:
+    ./deploy {{env}}
+
+serve port='8080' *flags:
+    ./serve {{port}} {{flags}}
+
+[private]
+helper:
+    echo private
+
+_hidden:
+    echo hidden
+
+export FOO := "bar"
+`;
+
+let tmp;
+
+function project(name, files) {
+  const dir = path.join(tmp, name);
+  fs.mkdirSync(dir);
+  for (const [file, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), text);
+  return dir;
+}
+
+before(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'agentgui-scripts-')); });
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+test('Makefile targets skip assignments, special and pattern targets', () => {
+  const dir = project('make', { Makefile: MAKEFILE });
+  const names = listProjectScripts(dir).map(s => s.id);
+  assert.deepEqual(names, ['make:build', 'make:test', 'make:lint', 'make:install']);
+  assert.deepEqual(findProjectScript(dir, 'make:install').args, ['install']);
+});
+
+test('GNUmakefile takes precedence over Makefile', () => {
+  const dir = project('gnu', { GNUmakefile: 'gnu-only:\n\ttrue\n', Makefile: 'plain:\n\ttrue\n' });
+  assert.deepEqual(listProjectScripts(dir).map(s => s.id), ['make:gnu-only']);
+});
+
+test('justfile recipes skip settings, private recipes and required parameters', () => {
+  const dir = project('just', { justfile: JUSTFILE });
+  const recipes = listProjectScripts(dir);
+  assert.deepEqual(recipes.map(s => s.id), ['just:build', 'just:quiet-check', 'just:serve']);
+  assert.equal(recipes[0].detail, 'Compile everything');
+  assert.equal(recipes[1].detail, null);
+});
+
+test('package.json scripts use the project package manager', () => {
+  const dir = project('npm', {
+    'package.json': JSON.stringify({ scripts: { dev: 'vite', 'bad name': 'x' } }),
+    'pnpm-lock.yaml': ''
+  });
+  const [dev, ...rest] = listProjectScripts(dir);
+  assert.equal(rest.length, 0);
+  assert.equal(dev.label, 'pnpm run dev');
+  assert.deepEqual(dev.args, ['run', 'dev']);
+  // Bare names from older clients are package.json scripts
+  assert.equal(findProjectScript(dir, 'dev').id, 'npm:dev');
+  assert.equal(findProjectScript(dir, 'make:dev'), null);
+});
+
+test('tailOutput strips terminal escapes and keeps the last state of redrawn lines', () => {
+  assert.equal(tailOutput('\x1b[32mok\x1b[0m\r\n10%\r50%\r100%\n\n'), 'ok\n100%');
+  assert.equal(tailOutput('a\nb\nc', 2), 'b\nc');
+});
+
+test('formatOutputForAgent fences output longer than any backtick run inside it', () => {
+  const text = formatOutputForAgent({ title: 'npm run test', output: 'has ```` inside' });
+  assert.equal(text, 'npm run test:\n\n`````\nhas ```` inside\n`````');
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSecretStore, isSealed, maskSecret, SECRETS_FILE } from '../lib/secret-store.js';
+
+let tmp;
+const events = [];
+const queries = { recordSecretEvent: (name, action, details) => events.push({ name, action, details }) };
+
+function storeIn(name) {
+  const dataDir = path.join(tmp, name);
+  fs.mkdirSync(dataDir, { recursive: true });
+  return createSecretStore({ dataDir, queries });
+}
+
+before(() => {
+  delete process.env.SECRETS_PASSPHRASE;
+  delete process.env.SECRETS_KEY_FILE;
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'agentgui-secrets-'));
+});
+
+after(() => {
+  delete process.env.SECRETS_PASSPHRASE;
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('seal and unseal round-trip a value', () => {
+  const store = storeIn('seal');
+  const sealed = store.seal('sk-live-123456');
+  assert.ok(isSealed(sealed));
+  assert.ok(!sealed.includes('sk-live'));
+  assert.notEqual(store.seal('sk-live-123456'), sealed);
+  assert.equal(store.unseal(sealed), 'sk-live-123456');
+  // Sealing creates the store file whose salt the key depends on
+  assert.ok(fs.existsSync(path.join(tmp, 'seal', SECRETS_FILE)));
+  assert.equal(storeIn('seal').unseal(sealed), 'sk-live-123456');
+});
+
+test('unseal refuses plain values and values sealed under another key', () => {
+  const sealed = storeIn('first').seal('value');
+  const other = storeIn('second');
+  assert.throws(() => other.unseal(sealed), (e) => e.code === 503);
+  assert.throws(() => other.unseal('plain'), (e) => e.code === 400);
+  assert.throws(() => other.unseal(sealed.slice(0, -4) + 'AAAA'), (e) => e.code === 503);
+});
+
+test('isSealed and maskSecret', () => {
+  assert.equal(isSealed('sealed:v1:abc'), true);
+  assert.equal(isSealed('abc'), false);
+  assert.equal(isSealed(null), false);
+  assert.equal(maskSecret('sk-ant-0123456789'), '****6789');
+  assert.equal(maskSecret('short'), '****');
+});
+
+test('secrets persist encrypted and reload', () => {
+  const store = storeIn('persist');
+  store.set('anthropic', { value: 'sk-ant-secret-value', env: 'ANTHROPIC_API_KEY' }, { userId: 'u1' });
+  const raw = fs.readFileSync(path.join(tmp, 'persist', SECRETS_FILE), 'utf-8');
+  assert.ok(!raw.includes('sk-ant-secret-value'));
+
+  const reloaded = storeIn('persist');
+  assert.equal(reloaded.reveal('anthropic'), 'sk-ant-secret-value');
+  assert.equal(reloaded.get('anthropic').preview, '****alue');
+  assert.deepEqual(events.at(-1), { name: 'anthropic', action: 'created', details: { userId: 'u1', version: 1 } });
+});
+
+test('names that are Object.prototype keys are ordinary secrets', () => {
+  const store = storeIn('proto');
+  assert.equal(store.has('toString'), false);
+  assert.equal(store.has('__proto__'), false);
+  assert.equal(store.reveal('constructor'), null);
+  assert.throws(() => store.get('__proto__'), (e) => e.code === 404);
+
+  store.set('__proto__', { value: 'proto-value', env: 'PROTO_TOKEN' });
+  store.set('toString', { value: 'to-string-value', env: 'TO_STRING_TOKEN' });
+  const reloaded = storeIn('proto');
+  assert.deepEqual(reloaded.list().map(s => s.name), ['__proto__', 'toString']);
+  assert.equal(reloaded.reveal('__proto__'), 'proto-value');
+  assert.deepEqual({ ...reloaded.envFor('claude-code').env }, { PROTO_TOKEN: 'proto-value', TO_STRING_TOKEN: 'to-string-value' });
+});
+
+test('agent-specific secrets beat ones for all agents', () => {
+  const store = storeIn('env');
+  store.set('shared', { value: 'shared-value', env: 'API_KEY' });
+  store.set('gemini', { value: 'gemini-value', env: 'API_KEY', agents: ['gemini'] });
+  assert.equal(store.envFor('gemini').env.API_KEY, 'gemini-value');
+  assert.equal(store.envFor('claude-code').env.API_KEY, 'shared-value');
+  assert.deepEqual(store.envFor('gemini', { skip: ['API_KEY'] }).names, []);
+});
+
+test('a store encrypted under another passphrase stays locked and untouched', () => {
+  process.env.SECRETS_PASSPHRASE = 'right';
+  storeIn('locked').set('token', { value: 'token-value', env: 'TOKEN' });
+  const file = path.join(tmp, 'locked', SECRETS_FILE);
+  const original = fs.readFileSync(file, 'utf-8');
+
+  process.env.SECRETS_PASSPHRASE = 'wrong';
+  const locked = storeIn('locked');
+  assert.equal(locked.status().locked, true);
+  assert.equal(locked.reveal('token'), null);
+  assert.deepEqual(locked.envFor('claude-code').names, []);
+  assert.throws(() => locked.set('other', { value: 'x', env: 'X' }), (e) => e.code === 503);
+  assert.throws(() => locked.seal('x'), (e) => e.code === 503);
+  assert.equal(fs.readFileSync(file, 'utf-8'), original);
+
+  process.env.SECRETS_PASSPHRASE = 'right';
+  assert.equal(storeIn('locked').reveal('token'), 'token-value');
+  delete process.env.SECRETS_PASSPHRASE;
+});
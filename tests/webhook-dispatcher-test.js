@@ -0,0 +1,128 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import crypto from 'crypto';
+import { signWebhook, validateWebhookUrl, createWebhookDispatcher } from '../lib/webhook-dispatcher.js';
+
+const SECRET = 'test-secret';
+
+let server, baseUrl;
+// Status codes the receiver answers with, per path, in order; the last one repeats
+const replies = new Map();
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const codes = replies.get(req.url) || [200];
+      res.writeHead(codes.length > 1 ? codes.shift() : codes[0]);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// In-memory stand-in for the webhook_deliveries queries in acp-queries.js
+function fakeQueries(webhookUrl) {
+  const deliveries = new Map();
+  const settled = new Map();
+  let counter = 0;
+  return {
+    deliveries,
+    settledPromise(runId) {
+      return new Promise((resolve) => settled.set(runId, resolve));
+    },
+    getRunWebhookUrl: () => webhookUrl,
+    createWebhookDelivery(runId, url, event, payload) {
+      const id = `whd-${++counter}`;
+      deliveries.set(id, { id, run_id: runId, url, event, payload, status: 'pending', attempts: 0, next_attempt_at: Date.now(), log: [] });
+      return deliveries.get(id);
+    },
+    getWebhookDelivery: (id) => deliveries.get(id) || null,
+    getDueWebhookDeliveries: (now) => [...deliveries.values()].filter(d => d.status === 'pending' && d.next_attempt_at <= now).map(d => d.id),
+    getNextWebhookAttemptAt() {
+      const times = [...deliveries.values()].filter(d => d.status === 'pending').map(d => d.next_attempt_at);
+      return times.length ? Math.min(...times) : null;
+    },
+    recordWebhookAttempt(id, attempt, status, nextAttemptAt) {
+      const d = deliveries.get(id);
+      Object.assign(d, { status, attempts: d.attempts + 1, next_attempt_at: nextAttemptAt, log: [...d.log, attempt] });
+      if (status !== 'pending') settled.get(d.run_id)?.(d);
+      return d;
+    }
+  };
+}
+
+async function deliver(path, runId) {
+  const queries = fakeQueries(baseUrl + path);
+  const dispatcher = createWebhookDispatcher({ queries, secret: SECRET, retryDelays: [5, 5], timeoutMs: 2000 });
+  const done = queries.settledPromise(runId);
+  dispatcher.onRunStatus({ run_id: runId, status: 'success', thread_id: 't1' });
+  try {
+    return await done;
+  } finally {
+    dispatcher.stop();
+  }
+}
+
+test('signWebhook is an HMAC-SHA256 of the timestamp and body', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signWebhook(SECRET, '1700000000', '{"a":1}'), `sha256=${expected}`);
+  assert.notEqual(signWebhook(SECRET, '1700000001', '{"a":1}'), signWebhook(SECRET, '1700000000', '{"a":1}'));
+});
+
+test('validateWebhookUrl accepts only http(s) URLs', () => {
+  assert.equal(validateWebhookUrl(undefined), null);
+  assert.equal(validateWebhookUrl(''), null);
+  assert.equal(validateWebhookUrl('https://example.com/hook'), null);
+  assert.match(validateWebhookUrl('ftp://example.com'), /http\(s\)/);
+  assert.match(validateWebhookUrl('not a url'), /not a valid URL/);
+  assert.match(validateWebhookUrl(42), /must be a string/);
+});
+
+test('deliveries carry a signature the receiver can verify', async () => {
+  const delivery = await deliver('/signed', 'run-signed');
+  assert.equal(delivery.status, 'delivered');
+  const request = received.find(r => r.path === '/signed');
+  assert.equal(request.headers['x-agentgui-event'], 'run.success');
+  assert.equal(request.headers['x-agentgui-delivery'], delivery.id);
+  assert.equal(request.headers['x-agentgui-signature'], signWebhook(SECRET, request.headers['x-agentgui-timestamp'], request.body));
+  assert.equal(JSON.parse(request.body).run_id, 'run-signed');
+});
+
+test('server errors are retried until the receiver accepts', async () => {
+  replies.set('/flaky', [503, 500, 200]);
+  const delivery = await deliver('/flaky', 'run-flaky');
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts, 3);
+  assert.deepEqual(delivery.log.map(a => a.status), [503, 500, 200]);
+});
+
+test('a delivery fails once the retries run out', async () => {
+  replies.set('/down', [500]);
+  const delivery = await deliver('/down', 'run-down');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+});
+
+test('client errors other than 408 and 429 are not retried', async () => {
+  replies.set('/gone', [410]);
+  const delivery = await deliver('/gone', 'run-gone');
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.log[0].error, 'HTTP 410');
+});
+
+test('only terminal run statuses are delivered', () => {
+  const queries = fakeQueries(baseUrl + '/ignored');
+  const dispatcher = createWebhookDispatcher({ queries, secret: SECRET });
+  dispatcher.onRunStatus({ run_id: 'run-active', status: 'active' });
+  dispatcher.stop();
+  assert.equal(queries.deliveries.size, 0);
+});